@@ -0,0 +1,263 @@
+// Injected into an application form by the popup: maps the form's fields to a CV and fills the ones the user
+// keeps. Fields are recognised by autocomplete token, label, name/id and placeholder. Repeated experience and
+// education groups are filled entry by entry, clicking the form's "Add another" button when it has too few.
+// Nothing here ever submits the form: submit events are cancelled while filling and only non-submit buttons are clicked.
+(() => {
+  if (globalThis.cvFoundryAutofill) return;   // injected again by a later scan: keep the ids already handed out
+  const ATTR = 'data-cvfoundry-field';
+  let nextId = 1;
+
+  /* -------------------- field rules -------------------- */
+  // Single fields: CV value by key. Tested in order against the field's descriptor (label, name, id, placeholder).
+  const PROFILE_RULES = [
+    ['firstName', /\b(first|given|fore) ?name\b|vorname|pr[ée]nom/],
+    ['lastName', /\b(last|family|sur) ?name\b|surname|nachname|nom de famille/],
+    ['email', /e ?-?mail|courriel/],
+    ['phone', /phone|mobile|\btel\b|telephone|telefon|t[ée]l[ée]phone|handy/],
+    ['linkedin', /linked ?in/],
+    ['github', /git ?hub/],
+    ['website', /website|portfolio|personal (site|url|page)|homepage|\burl\b/],
+    ['city', /\bcity\b|\btown\b|\bort\b|\bville\b/],
+    ['location', /location|address|wohnort|adresse|where do you live/],
+    ['headline', /headline|current (job )?title|professional title/],
+    ['summary', /summary|about (you|yourself|me)|professional profile|kurzprofil/],
+    ['coverLetter', /cover ?letter|motivation|anschreiben|lettre/],
+    ['skills', /\bskills?\b|kenntnisse|comp[ée]tences/],
+    ['fullName', /\bfull ?name\b|^name$|^your name$|candidate name|^(vor- und )?name$|nom complet/]
+  ];
+  const AUTOCOMPLETE = {
+    'given-name': 'firstName', 'family-name': 'lastName', name: 'fullName', email: 'email', tel: 'phone',
+    'tel-national': 'phone', 'address-level2': 'city', 'street-address': 'location', url: 'website', 'organization-title': 'headline'
+  };
+  const GROUP_RULES = {
+    experience: [
+      ['description', /description|responsibilit|achievement|dut(y|ies)|tasks|t[äa]tigkeit|missions?/],
+      ['company', /company|employer|organi[sz]ation|arbeitgeber|unternehmen|entreprise|soci[ée]t[ée]/],
+      ['role', /job ?title|\btitle\b|position|\brole\b|berufsbezeichnung|poste|intitul[ée]/],
+      ['location', /location|\bcity\b|\bort\b|lieu/],
+      ['start', /\bstart|\bfrom\b|since|\bvon\b|d[ée]but|\bbegin/],
+      ['end', /\bend\b|\bto\b|until|\bbis\b|\bfin\b/]
+    ],
+    education: [
+      ['institution', /school|university|college|institution|hochschule|universit[äa]t|[ée]cole|[ée]tablissement/],
+      ['degree', /degree|qualification|diploma|abschluss|dipl[ôo]me|field of study|major|discipline|studiengang/],
+      ['start', /\bstart|\bfrom\b|since|\bvon\b|d[ée]but|\bbegin/],
+      ['end', /\bend\b|\bto\b|until|\bbis\b|\bfin\b|graduat/]
+    ]
+  };
+  const SECTION_RE = {
+    experience: /experience|employment|work history|career|positions?|berufserfahrung|werdegang|exp[ée]rience|emploi/,
+    education: /education|academic|school|studies|qualifications?|ausbildung|studium|formation|[ée]tudes/
+  };
+  const ADD_RE = /\badd\b|another|weitere|hinzuf[üu]gen|ajouter/i;
+  const SKIP_TYPES = /^(hidden|submit|button|reset|image|file|password|checkbox|radio|search|range|color)$/;
+
+  /* -------------------- describing a field -------------------- */
+  const clean = (s) => String(s ?? '').replace(/\s+/g, ' ').trim();
+  const words = (s) => clean(String(s ?? '').replace(/([a-z])([A-Z])/g, '$1 $2').replace(/[_\-[\].]+/g, ' ')).toLowerCase();
+
+  function labelText(el) {
+    const byIds = (ids) => ids.split(/\s+/).map(id => document.getElementById(id)?.textContent || '').join(' ');
+    if (el.getAttribute('aria-labelledby')) return clean(byIds(el.getAttribute('aria-labelledby')));
+    const label = (el.id && document.querySelector(`label[for="${CSS.escape(el.id)}"]`)) || el.closest('label');
+    if (label) return clean([...label.childNodes].filter(n => !n.contains(el)).map(n => n.textContent).join(' '));
+    return clean(el.getAttribute('aria-label') || el.title);
+  }
+
+  // What the field asks for: its label (what the user sees) and, as words, the label, name, id and placeholder
+  // — matched in that order, so the visible label wins.
+  function describe(el) {
+    const label = labelText(el);
+    return {
+      label: label || clean(el.placeholder) || clean(el.name) || clean(el.id),
+      parts: [label, el.name, el.id, el.placeholder].map(words).filter(Boolean)
+    };
+  }
+
+  const visible = (el) => !!(el.offsetWidth || el.offsetHeight || el.getClientRects().length) && getComputedStyle(el).visibility !== 'hidden';
+
+  function formFields(root = document) {
+    return [...root.querySelectorAll('input, select, textarea')]
+      .filter(el => !SKIP_TYPES.test(el.type) && !el.disabled && !el.readOnly && visible(el));
+  }
+
+  // Experience/education container of a field: the closest ancestor whose own heading, legend, aria-label or
+  // class/id names the section.
+  function sectionOf(el) {
+    for (let n = el.parentElement, depth = 0; n && n !== document.body && depth < 10; n = n.parentElement, depth++) {
+      const heading = n.querySelector(':scope > legend, :scope > h1, :scope > h2, :scope > h3, :scope > h4')?.textContent;
+      const own = words([heading, n.getAttribute('aria-label'), n.id, typeof n.className === 'string' ? n.className : ''].join(' '));
+      for (const [kind, re] of Object.entries(SECTION_RE)) if (re.test(own)) return { kind, root: n };
+    }
+    return null;
+  }
+
+  function matchRule(rules, parts) {
+    for (const part of parts) { const hit = rules.find(([, re]) => re.test(part)); if (hit) return hit[0]; }
+    return null;
+  }
+
+  /* -------------------- CV values -------------------- */
+  const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+  function nameParts(cv) {
+    const parts = clean(cv?.profile?.name).split(' ').filter(Boolean);
+    return { first: parts.slice(0, -1).join(' ') || parts[0] || '', last: parts.length > 1 ? parts[parts.length - 1] : '' };
+  }
+
+  function profileValue(cv, key) {
+    const p = cv?.profile || {}, c = p.contact || {};
+    switch (key) {
+      case 'firstName': return nameParts(cv).first;
+      case 'lastName': return nameParts(cv).last;
+      case 'fullName': return clean(p.name);
+      case 'city': return clean(String(p.location || '').split(',')[0]);
+      case 'location': return clean(p.location);
+      case 'headline': return clean(p.title);
+      case 'summary': return String(p.summary || '').trim();
+      case 'coverLetter': return (cv?.coverLetter?.paragraphs || []).filter(Boolean).join('\n\n');
+      case 'skills': return (cv?.skills || []).join(', ');
+      default: return clean(c[key] ?? p[key]);
+    }
+  }
+
+  function entryValue(entry, key) {
+    if (key === 'description') return (entry?.bullets || []).map(b => `• ${b}`).join('\n');
+    return String(entry?.[key] ?? '').trim();
+  }
+
+  // Month and date inputs get the entry's structured date ({ year, month } from the webapp); other fields its text.
+  function dateFor(el, entry, key) {
+    if (el.type !== 'month' && el.type !== 'date') return entryValue(entry, key);
+    const ym = entry?.[`${key}YM`];
+    if (!ym?.year) return '';   // "Present" or no date: nothing such an input can hold
+    const mm = String(ym.month || 1).padStart(2, '0');
+    return el.type === 'month' ? `${ym.year}-${mm}` : `${ym.year}-${mm}-01`;
+  }
+
+  /* -------------------- scan -------------------- */
+  /**
+   * scan(cv) → { fields, unmapped, groups }
+   *   fields:   [{ id, label, target, value }] — one per field that has a CV value; `id` marks the element
+   *   unmapped: [label] — fields that could not be matched, or whose CV value is empty
+   *   groups:   { experience: { forms, entries, canAdd }, education: … } — repeated groups on the form vs in the CV
+   */
+  function scan(cv) {
+    const fields = [], unmapped = [];
+    const counters = {};   // `${kind}.${key}` → fields seen so far (the n-th company field is entry n)
+    const groups = { experience: { forms: 0, entries: (cv?.experience || []).length, canAdd: false },
+      education: { forms: 0, entries: (cv?.education || []).length, canAdd: false } };
+    for (const el of formFields()) {
+      const { label, parts } = describe(el);
+      const section = sectionOf(el);
+      let target = null, value = '';
+      const groupKey = section && matchRule(GROUP_RULES[section.kind], parts);
+      if (groupKey) {
+        const n = counters[`${section.kind}.${groupKey}`] = (counters[`${section.kind}.${groupKey}`] ?? -1) + 1;
+        groups[section.kind].forms = Math.max(groups[section.kind].forms, n + 1);
+        groups[section.kind].canAdd ||= !!addButton(section.root);
+        const entry = cv?.[section.kind]?.[n];
+        target = `${section.kind === 'experience' ? 'Experience' : 'Education'} #${n + 1} ${groupKey}`;
+        value = /^(start|end)$/.test(groupKey) ? dateFor(el, entry, groupKey) : entryValue(entry, groupKey);
+      } else {
+        const key = AUTOCOMPLETE[String(el.autocomplete || '').split(/\s+/).pop()] || matchRule(PROFILE_RULES, parts);
+        if (key) { target = key; value = profileValue(cv, key); }
+      }
+      if (!target || !value || (el.tagName === 'SELECT' && !optionFor(el, value))) { unmapped.push(label || '(unlabelled field)'); continue; }
+      if (!el.getAttribute(ATTR)) el.setAttribute(ATTR, String(nextId++));
+      fields.push({ id: el.getAttribute(ATTR), label, target, value });
+    }
+    return { fields, unmapped, groups };
+  }
+
+  /* -------------------- fill -------------------- */
+  // Month number (1–12) named in a date: "Mar 2021", "03/2021", "2021-03".
+  function monthOf(v) {
+    const named = MONTHS.findIndex(m => new RegExp(`\\b${m}`).test(v));
+    if (named >= 0) return named + 1;
+    const n = +(v.match(/^(\d{1,2})[/.]\d{4}/)?.[1] || v.match(/^\d{4}-(\d{2})/)?.[1] || 0);
+    return n >= 1 && n <= 12 ? n : 0;
+  }
+
+  // The option for `value`: exact value or text, then text contained either way (years in a year select),
+  // then the month for month selects.
+  function optionFor(select, value) {
+    const v = clean(value).toLowerCase();
+    const opts = [...select.options].filter(o => o.value !== '').map(o => [o, clean(o.textContent).toLowerCase()]);
+    const month = monthOf(v);
+    return (opts.find(([o, t]) => o.value.toLowerCase() === v || t === v)
+      || opts.find(([, t]) => v && t.length >= 3 && (t.includes(v) || v.includes(t)))
+      || (month && opts.find(([o, t]) => t.startsWith(MONTHS[month - 1]) || +o.value === month))
+      || [])[0] || null;
+  }
+
+  // Set the value the way typing would, so framework-controlled inputs (React, Vue) notice it.
+  function setValue(el, value) {
+    if (el.tagName === 'SELECT') {
+      const opt = optionFor(el, value);
+      if (!opt) return false;
+      el.value = opt.value;
+    } else {
+      const proto = el.tagName === 'TEXTAREA' ? HTMLTextAreaElement.prototype : HTMLInputElement.prototype;
+      Object.getOwnPropertyDescriptor(proto, 'value').set.call(el, value);
+    }
+    el.dispatchEvent(new Event('input', { bubbles: true }));
+    el.dispatchEvent(new Event('change', { bubbles: true }));
+    el.dispatchEvent(new Event('blur'));
+    return true;
+  }
+
+  // The section's "Add another" control, never a submit button or a link that navigates away.
+  function addButton(root) {
+    return [...root.querySelectorAll('button, a, [role="button"], input[type="button"]')].find(b => {
+      if (b.tagName === 'BUTTON' && (b.getAttribute('type') || 'submit').toLowerCase() === 'submit' && b.form) return false;
+      if (b.tagName === 'A' && !/^(#.*|javascript:.*)?$/i.test((b.getAttribute('href') || '').trim())) return false;
+      const text = clean(b.textContent || b.value || b.getAttribute('aria-label'));
+      return text.length < 60 && ADD_RE.test(text) && visible(b);
+    }) || null;
+  }
+
+  const wait = (ms) => new Promise(r => setTimeout(r, ms));
+
+  /**
+   * fill(cv, ids, { addGroups }) → { filled: [target], failed: [label], unmapped: [label], added }
+   * Fills the fields `ids` picked from scan(). With addGroups, clicks each section's "Add another" until the form
+   * has a group per CV entry (at most 10 clicks per section), then fills the new groups too.
+   */
+  async function fill(cv, ids, { addGroups = true } = {}) {
+    const blockSubmit = (e) => { e.preventDefault(); e.stopImmediatePropagation(); };
+    document.addEventListener('submit', blockSubmit, true);
+    try {
+      const before = new Set(formFields().map(el => el.getAttribute(ATTR)).filter(Boolean));
+      let added = 0;
+      if (addGroups) {
+        for (const kind of ['experience', 'education']) {
+          for (let clicks = 0; clicks < 10; clicks++) {
+            const { groups } = scan(cv);
+            const root = formFields().map(sectionOf).find(s => s?.kind === kind)?.root;
+            const button = root && addButton(root);
+            if (!button || groups[kind].forms >= groups[kind].entries) break;
+            button.click();
+            added++;
+            await wait(400);
+          }
+        }
+      }
+      const plan = scan(cv);
+      // Everything picked in the preview, plus the fields of groups that only exist since the clicks above.
+      const wanted = new Set(ids.map(String));
+      const chosen = plan.fields.filter(f => wanted.has(f.id) || !before.has(f.id));
+      const filled = [], failed = [];
+      for (const f of chosen) {
+        const el = document.querySelector(`[${ATTR}="${f.id}"]`);
+        if (el && setValue(el, f.value)) filled.push(f.target); else failed.push(f.label);
+      }
+      return { filled, failed, unmapped: plan.unmapped, added };
+    } finally {
+      // Frameworks may re-dispatch the events a moment later; keep blocking submits for that long.
+      setTimeout(() => document.removeEventListener('submit', blockSubmit, true), 1000);
+    }
+  }
+
+  globalThis.cvFoundryAutofill = { scan, fill };
+})();
@@ -1,11 +1,31 @@
+// Context menu "Tailor my CV with Job Listing": extract the job posting from the page (extract.js), store it as a
+// structured job record and open the popup.
+//   lastJob      { id, title, company, location, employmentType, salary, datePosted, description, url, source, extractedAt }
+//   jobs         the last MAX_JOBS records, newest first (one per URL)
+//   lastJobText  lastJob.description, which the popup starts from
+const MAX_JOBS = 20;
+
 chrome.runtime.onInstalled.addListener(() => {
   chrome.contextMenus.create({ id:'cvfoundry-tailor', title:'Tailor my CV with Job Listing', contexts:['selection','page'] });
 });
+
 chrome.contextMenus.onClicked.addListener(async (info, tab) => {
   if (info.menuItemId !== 'cvfoundry-tailor') return;
   try {
-    const [{ result }] = await chrome.scripting.executeScript({ target:{ tabId: tab.id }, func: () => document.body.innerText.slice(0,20000) });
-    chrome.storage.local.set({ lastJobText: result || '' });
+    await chrome.scripting.executeScript({ target: { tabId: tab.id }, files: ['extract.js'] });
+    // getSelection() keeps the line breaks that info.selectionText flattens.
+    const [{ result: job }] = await chrome.scripting.executeScript({
+      target: { tabId: tab.id },
+      func: (selectionText) => globalThis.cvFoundryExtractJob({ selection: selectionText ? String(getSelection()) || selectionText : '' }),
+      args: [info.selectionText || '']
+    });
+    const record = { id: crypto.randomUUID(), ...job };
+    const { jobs = [] } = await chrome.storage.local.get('jobs');
+    await chrome.storage.local.set({
+      lastJob: record,
+      jobs: [record, ...jobs.filter(j => j.url !== record.url)].slice(0, MAX_JOBS),
+      lastJobText: record.description
+    });
     chrome.action.openPopup();
   } catch(e) { console.error(e); }
-});
\ No newline at end of file
+});
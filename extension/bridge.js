@@ -0,0 +1,39 @@
+// Content script on the CV Foundry webapp: relays between the page (webapp/js/lib/extension_bridge.js) and
+// chrome.storage.local, which the popup reads and writes.
+//   cvProfiles        { profiles: [{ id, name, updatedAt, cv }], activeId, url, syncedAt } — written by the page
+//   pendingTailoring  { id, profileId, experienceIndex, company, role, bullets, skills, jobText, job, createdAt }
+//                     — written by the popup, handed to the page, removed once the page acknowledges it
+const APP = 'cvfoundry-app';
+const EXTENSION = 'cvfoundry-extension';
+let ready = false;
+
+const toPage = (type, data = {}) => window.postMessage({ source: EXTENSION, type, ...data }, location.origin);
+
+async function sendPending() {
+  const { pendingTailoring } = await chrome.storage.local.get('pendingTailoring');
+  if (pendingTailoring) toPage('tailoring', { tailoring: pendingTailoring });
+}
+
+window.addEventListener('message', async (e) => {
+  if (e.source !== window || e.data?.source !== APP) return;
+  const msg = e.data;
+  if (msg.type === 'ready') {
+    ready = true;
+    toPage('connected');
+    sendPending();
+  } else if (msg.type === 'profiles') {
+    chrome.storage.local.set({
+      cvProfiles: { profiles: msg.profiles || [], activeId: msg.activeId || null, url: msg.url || location.href, syncedAt: Date.now() }
+    });
+  } else if (msg.type === 'applied') {
+    const { pendingTailoring } = await chrome.storage.local.get('pendingTailoring');
+    if (pendingTailoring?.id === msg.id) chrome.storage.local.remove('pendingTailoring');
+  }
+});
+
+// A result sent while the webapp is already open.
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'local' && ready && changes.pendingTailoring?.newValue) toPage('tailoring', { tailoring: changes.pendingTailoring.newValue });
+});
+
+toPage('hello');
@@ -0,0 +1,214 @@
+// Injected into the job page by background.js: turns the posting into a structured job record.
+// Sources, best first: schema.org JobPosting JSON-LD, JobPosting microdata, then the page's main content block.
+// The user's selection, when the menu was used on one, replaces the description.
+(() => {
+  const MAX_DESCRIPTION = 100000;
+  const clean = (s) => String(s ?? '').replace(/[ \t\u00a0]+/g, ' ').replace(/ *\n */g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+  const first = (v) => (Array.isArray(v) ? v[0] : v);
+  const isJobPosting = (o) => [].concat(o?.['@type'] || []).some(t => /(^|\/)JobPosting$/.test(String(t)));
+
+  /* -------------------- text -------------------- */
+  const BLOCK_RE = /^(P|DIV|SECTION|ARTICLE|LI|UL|OL|H[1-6]|BR|TR|TABLE|HEADER|FOOTER|BLOCKQUOTE|PRE|DD|DT)$/;
+  const PARAGRAPH_RE = /^(P|UL|OL|H[1-6]|TABLE|BLOCKQUOTE|PRE)$/;
+
+  // Text of a node with a line break at block boundaries, a blank line after paragraphs and lists,
+  // and "• " before list items.
+  function nodeText(node) {
+    let out = '';
+    const newline = () => { if (out && !out.endsWith('\n')) out += '\n'; };
+    const walk = (n) => {
+      if (n.nodeType === Node.TEXT_NODE) { out += n.nodeValue.replace(/\s*\n\s*/g, ' '); return; }
+      if (n.nodeType !== Node.ELEMENT_NODE) return;
+      const tag = n.tagName.toUpperCase(); // inline SVG keeps its lower-case "svg" even in HTML documents
+      if (/^(SCRIPT|STYLE|NOSCRIPT|TEMPLATE|SVG|BUTTON)$/.test(tag)) return;
+      const block = BLOCK_RE.test(tag);
+      if (block) newline();
+      if (tag === 'LI') out += '• ';
+      n.childNodes.forEach(walk);
+      if (block) newline();
+      if (PARAGRAPH_RE.test(tag)) out += '\n';
+    };
+    walk(node);
+    return clean(out);
+  }
+
+  // JSON-LD descriptions are usually HTML (sometimes escaped twice).
+  function htmlText(html) {
+    let s = String(html || '');
+    if (/&lt;\/?[a-z]/i.test(s) && !/<[a-z]/i.test(s)) s = new DOMParser().parseFromString(s, 'text/html').documentElement.textContent;
+    if (!/<[a-z!\/]/i.test(s)) return clean(s);
+    return nodeText(new DOMParser().parseFromString(s, 'text/html').body);
+  }
+
+  /* -------------------- field formatting -------------------- */
+  function place(loc) {
+    if (!loc) return '';
+    if (typeof loc === 'string') return clean(loc);
+    const a = loc.address || loc;
+    if (typeof a === 'string') return clean(a);
+    const country = typeof a.addressCountry === 'object' ? a.addressCountry?.name : a.addressCountry;
+    return [a.addressLocality, a.addressRegion, country].map(x => clean(x)).filter(Boolean).join(', ') || clean(loc.name);
+  }
+
+  function locations(posting) {
+    const list = [].concat(posting.jobLocation || []).map(place).filter(Boolean);
+    if (/TELECOMMUTE/i.test(String(posting.jobLocationType || ''))) {
+      const where = [].concat(posting.applicantLocationRequirements || []).map(place).filter(Boolean);
+      list.push(`Remote${where.length ? ` (${where.join(', ')})` : ''}`);
+    }
+    return [...new Set(list)].join('; ');
+  }
+
+  const amount = (n) => (Number.isFinite(+n) && String(n).trim() !== '' ? (+n).toLocaleString('en') : clean(n));
+
+  function salary(s) {
+    if (!s) return '';
+    if (typeof s !== 'object') return clean(s);
+    const v = typeof s.value === 'object' ? s.value : { value: s.value };
+    const range = v.minValue != null && v.maxValue != null ? `${amount(v.minValue)}–${amount(v.maxValue)}`
+      : amount(v.value ?? v.minValue ?? v.maxValue ?? '');
+    const unit = v.unitText || s.unitText;
+    return range ? [s.currency, range, unit && `per ${String(unit).toLowerCase()}`].filter(Boolean).join(' ') : '';
+  }
+
+  const employment = (t) => [].concat(t || []).map(x => clean(String(x).replace(/_/g, ' ').toLowerCase())).filter(Boolean).join(', ');
+  const orgName = (o) => clean(typeof o === 'object' ? o?.name : o);
+
+  /* -------------------- schema.org JSON-LD -------------------- */
+  function fromJsonLd() {
+    const found = [];
+    const walk = (v) => {
+      if (!v || typeof v !== 'object') return;
+      if (Array.isArray(v)) return v.forEach(walk);
+      if (isJobPosting(v)) found.push(v);
+      if (v['@graph']) walk(v['@graph']);
+      if (v.mainEntity) walk(v.mainEntity);
+    };
+    for (const script of document.querySelectorAll('script[type="application/ld+json"]')) {
+      try { walk(JSON.parse(script.textContent)); } catch { /* malformed blocks are common; skip them */ }
+    }
+    const p = found[0];
+    if (!p) return null;
+    return {
+      title: clean(p.title || p.name),
+      company: orgName(first(p.hiringOrganization)),
+      location: locations(p),
+      employmentType: employment(p.employmentType),
+      salary: salary(first(p.baseSalary) || first(p.estimatedSalary)),
+      datePosted: clean(p.datePosted),
+      description: htmlText(p.description),
+      url: clean(p.url),
+      source: 'json-ld'
+    };
+  }
+
+  /* -------------------- microdata -------------------- */
+  function propValue(el) {
+    if (!el) return '';
+    if (el.hasAttribute('content')) return el.getAttribute('content');
+    if (el.tagName === 'TIME') return el.getAttribute('datetime') || el.textContent;
+    if (el.tagName === 'A' || el.tagName === 'LINK') return el.getAttribute('href');
+    if (el.tagName === 'META') return el.getAttribute('content');
+    return el.textContent;
+  }
+
+  // itemprop elements of `scope`, not of items nested inside it.
+  const props = (scope, name) => [...scope.querySelectorAll(`[itemprop~="${name}"]`)]
+    .filter(el => el.parentElement?.closest('[itemscope]') === scope);
+
+  // A nested item as a plain object (enough for place() and salary()).
+  function item(el) {
+    if (!el?.hasAttribute('itemscope')) return propValue(el);
+    const out = {};
+    for (const p of el.querySelectorAll('[itemprop]')) {
+      if (p.parentElement?.closest('[itemscope]') !== el) continue;
+      for (const name of p.getAttribute('itemprop').split(/\s+/)) out[name] ??= p.hasAttribute('itemscope') ? item(p) : clean(propValue(p));
+    }
+    return out;
+  }
+
+  function fromMicrodata() {
+    const scope = document.querySelector('[itemscope][itemtype*="schema.org/JobPosting"]');
+    if (!scope) return null;
+    const one = (name) => item(props(scope, name)[0]);
+    const description = props(scope, 'description')[0];
+    return {
+      title: clean(one('title') || one('name')),
+      company: orgName(one('hiringOrganization')),
+      location: props(scope, 'jobLocation').map(el => place(item(el))).filter(Boolean).join('; '),
+      employmentType: employment(props(scope, 'employmentType').map(el => propValue(el))),
+      salary: salary(one('baseSalary') || one('estimatedSalary')),
+      datePosted: clean(one('datePosted')),
+      description: description ? nodeText(description) : '',
+      url: clean(one('url')),
+      source: 'microdata'
+    };
+  }
+
+  /* -------------------- main content (readability-style) -------------------- */
+  const NOISE_SEL = 'nav, header, footer, aside, form, dialog, script, style, noscript, iframe, svg, [role="navigation"], [role="banner"], '
+    + '[role="contentinfo"], [role="dialog"], [aria-hidden="true"], [hidden]';
+  const NOISE_RE = /cookie|consent|gdpr|banner|newsletter|subscribe|share|social|breadcrumb|sidebar|related|similar|recommend|footer|header|nav|menu|modal|popup|advert|promo/i;
+  const NOISE_HEADING_RE = /^(similar|related|recommended|more|other) (jobs|roles|positions|vacancies)|^jobs you may|^you may also|^people also/i;
+
+  function stripNoise(root) {
+    root.querySelectorAll(NOISE_SEL).forEach(el => el.remove());
+    root.querySelectorAll('[class], [id]').forEach(el => {
+      if (el.isConnected && NOISE_RE.test(`${el.id} ${el.className}`) && !/job|posting|description|content|main/i.test(`${el.id} ${el.className}`)) el.remove();
+    });
+    // A "similar jobs" heading takes its section with it.
+    root.querySelectorAll('h2, h3, h4').forEach(h => {
+      if (!h.isConnected || !NOISE_HEADING_RE.test(clean(h.textContent))) return;
+      (h.closest('section, div') || h).remove();
+    });
+  }
+
+  const linkText = (el) => [...el.querySelectorAll('a')].reduce((n, a) => n + a.textContent.length, 0);
+
+  // The block with the most prose: text length minus link text, favouring paragraphs and list items.
+  function mainBlock(root) {
+    const preferred = root.querySelector('[itemprop="description"], main, article, [role="main"]');
+    let best = null, bestScore = 0;
+    for (const el of root.querySelectorAll('div, section, article, main, td')) {
+      const text = el.textContent.length;
+      if (text < 200) continue;
+      const paragraphs = el.querySelectorAll('p, li').length;
+      const score = (text - 2 * linkText(el)) * (1 + Math.min(paragraphs, 30) / 10) / Math.sqrt(1 + el.querySelectorAll('div, section').length);
+      if (score > bestScore) { best = el; bestScore = score; }
+    }
+    if (preferred && (!best || preferred.contains(best) || preferred.textContent.length > 0.5 * (best?.textContent.length || 0))) return preferred;
+    return best || root.body;
+  }
+
+  const meta = (sel) => clean(document.querySelector(sel)?.getAttribute('content'));
+
+  function fromPage() {
+    const doc = document.cloneNode(true);
+    stripNoise(doc);
+    const h1 = clean(document.querySelector('h1')?.textContent);
+    return {
+      title: h1 || meta('meta[property="og:title"]') || clean(document.title),
+      company: meta('meta[property="og:site_name"]'),
+      location: '', employmentType: '', salary: '', datePosted: '',
+      description: nodeText(mainBlock(doc)),
+      url: '',
+      source: 'readability'
+    };
+  }
+
+  /* -------------------- record -------------------- */
+  /**
+   * cvFoundryExtractJob({ selection }) → { title, company, location, employmentType, salary, datePosted,
+   *   description, url, source: 'json-ld' | 'microdata' | 'readability' | 'selection', extractedAt }
+   */
+  globalThis.cvFoundryExtractJob = ({ selection = '' } = {}) => {
+    const structured = fromJsonLd() || fromMicrodata();
+    const job = structured?.description || structured?.title ? structured : fromPage();
+    const picked = clean(selection);
+    if (picked) Object.assign(job, { description: picked, source: 'selection' });
+    job.description = job.description.slice(0, MAX_DESCRIPTION);
+    job.url = job.url || location.href;
+    job.extractedAt = new Date().toISOString();
+    return job;
+  };
+})();
@@ -1,4 +1,255 @@
-async function availability(){const parts=[];if('Summarizer'in self)parts.push('Summarizer ok');if('LanguageModel'in self)parts.push('Prompt ok');document.title+=' — '+parts.join(' / ');}availability();
-const jdEl=document.getElementById('jobText');chrome.storage.local.get(['lastJobText']).then(({lastJobText})=>{if(lastJobText)jdEl.value=lastJobText;});
-document.getElementById('analyze').onclick=async()=>{if(!('Summarizer'in self))return alert('Summarizer not supported.');const a=await Summarizer.availability();if(a==='unavailable')return alert('Summarizer unavailable');const s=await Summarizer.create({type:'key-points',format:'markdown',length:'short'});const out=await s.summarize(jdEl.value,{context:'Extract required skills and responsibilities.'});document.getElementById('out').textContent=String(out);};
-document.getElementById('tailor').onclick=async()=>{if(!('LanguageModel'in self))return alert('Prompt API not supported.');const session=await LanguageModel.create();const schema={type:'object',properties:{bullets:{type:'array',items:{type:'string'},maxItems:6},skills:{type:'array',items:{type:'string'},maxItems:12}},required:['bullets']};const prompt=`Create 4–6 ATS‑friendly STAR bullets for my CV based on this job description. Return JSON {bullets, skills}. JD:\n\n${jdEl.value}`;const res=await session.prompt(prompt,{responseConstraint:schema});document.getElementById('out').textContent=res;chrome.storage.local.set({lastTailored:res});};
\ No newline at end of file
+// Popup: pick a saved CV and the experience entry to tailor, generate bullets for the job with the built-in AI,
+// preview them and send the chosen ones to the webapp (via chrome.storage.local, see bridge.js for the contract).
+// It also maps the page's application form to the picked CV and fills it (autofill.js); it never submits it.
+const DEFAULT_APP_URL = 'http://127.0.0.1:8000/webapp/index.html';
+const $ = (s) => document.querySelector(s);
+
+let profiles = [];
+let appUrl = DEFAULT_APP_URL;
+let result = null;   // { bullets, skills } from the last generation
+let job = null;      // structured record of the page the menu was used on (see background.js)
+let autofillPlans = [];   // [{ frameId, fields, unmapped, groups }] from the last scan of the active tab
+
+const setStatus = (msg) => { $('#status').textContent = msg; };
+const currentProfile = () => profiles.find(p => p.id === $('#profile').value) || null;
+const entryLabel = (e) => [e.role, e.company].map(s => String(s || '').trim()).filter(Boolean).join(' — ') || 'Untitled entry';
+
+async function availability() {
+  const parts = [];
+  if ('Summarizer' in self) parts.push('Summarizer ok');
+  if ('LanguageModel' in self) parts.push('Prompt ok');
+  document.title += ' — ' + parts.join(' / ');
+}
+
+async function load() {
+  const { cvProfiles, lastJobText, lastJob } = await chrome.storage.local.get(['cvProfiles', 'lastJobText', 'lastJob']);
+  if (lastJobText) $('#jobText').value = lastJobText;
+  job = lastJob || null;
+  renderJob();
+  profiles = cvProfiles?.profiles || [];
+  appUrl = cvProfiles?.url || DEFAULT_APP_URL;
+  $('#noProfiles').hidden = profiles.length > 0;
+  $('#cvPicker').hidden = !profiles.length;
+  const sel = $('#profile');
+  sel.innerHTML = '';
+  profiles.forEach(p => sel.append(new Option(p.name, p.id)));
+  if (profiles.some(p => p.id === cvProfiles?.activeId)) sel.value = cvProfiles.activeId;
+  renderExperience();
+  if (cvProfiles?.syncedAt) setStatus(`CVs as of ${new Date(cvProfiles.syncedAt).toLocaleString()}.`);
+}
+
+function renderJob() {
+  const el = $('#job');
+  el.hidden = !job;
+  if (!job) return;
+  const head = [job.title, job.company].filter(Boolean).join(' — ') || job.url;
+  const details = [job.location, job.employmentType, job.salary, job.datePosted && `posted ${job.datePosted}`].filter(Boolean).join(' · ');
+  el.textContent = details ? `${head} (${details})` : head;
+}
+
+function renderExperience() {
+  const sel = $('#experience');
+  sel.innerHTML = '';
+  (currentProfile()?.cv?.experience || []).forEach((e, i) => sel.append(new Option(entryLabel(e), String(i))));
+  sel.append(new Option('New experience entry', '-1'));
+  renderPreview();
+}
+
+/* -------------------- AI -------------------- */
+async function onAnalyze() {
+  if (!('Summarizer' in self)) return setStatus('Summarizer not supported.');
+  try {
+    if (await Summarizer.availability() === 'unavailable') return setStatus('Summarizer unavailable.');
+    const s = await Summarizer.create({ type: 'key-points', format: 'markdown', length: 'short' });
+    const out = await s.summarize($('#jobText').value, { context: 'Extract required skills and responsibilities.' });
+    $('#out').hidden = false;
+    $('#out').textContent = String(out);
+  } catch (e) { setStatus(`Could not analyze the job: ${e?.message || e}`); }
+}
+
+async function onTailor() {
+  if (!('LanguageModel' in self)) return setStatus('Prompt API not supported.');
+  const jd = $('#jobText').value.trim();
+  if (!jd) return setStatus('Paste a job description first.');
+  const cv = currentProfile()?.cv;
+  const entry = cv?.experience?.[+$('#experience').value];
+  const schema = {
+    type: 'object',
+    properties: {
+      bullets: { type: 'array', items: { type: 'string' }, maxItems: 6 },
+      skills: { type: 'array', items: { type: 'string' }, maxItems: 12 }
+    },
+    required: ['bullets']
+  };
+  const background = entry
+    ? `Role: ${entry.role || ''} at ${entry.company || ''}\nCurrent bullets:\n${(entry.bullets || []).map(b => `- ${b}`).join('\n')}\n`
+    : '';
+  const prompt = `Create 4–6 ATS‑friendly STAR bullets for my CV based on this job description. Return JSON {bullets, skills}; `
+    + `skills are the job's skills the bullets show.\n${background}${cv?.skills?.length ? `My skills: ${cv.skills.join(', ')}\n` : ''}JD:\n\n${jd}`;
+  setStatus('Generating…');
+  $('#tailor').disabled = true;
+  try {
+    const session = await LanguageModel.create();
+    const parsed = JSON.parse(await session.prompt(prompt, { responseConstraint: schema }));
+    session.destroy?.();
+    result = {
+      bullets: (parsed.bullets || []).map(b => String(b).replace(/^[\s•*-]+/, '').trim()).filter(Boolean),
+      skills: (parsed.skills || []).map(s => String(s).trim()).filter(Boolean)
+    };
+    setStatus(result.bullets.length ? 'Untick anything you don’t want, then send it to CV Foundry.' : 'The model returned no bullets — try again.');
+  } catch (e) {
+    setStatus(`Could not generate bullets: ${e?.message || e}`);
+  } finally { $('#tailor').disabled = false; }
+  renderPreview();
+}
+
+/* -------------------- preview & send -------------------- */
+function checkbox(value, text) {
+  const label = document.createElement('label');
+  label.className = 'pick';
+  const box = document.createElement('input');
+  box.type = 'checkbox'; box.checked = true; box.value = value;
+  label.append(box, document.createTextNode(text));
+  return label;
+}
+
+function renderPreview() {
+  const box = $('#preview');
+  box.hidden = !result?.bullets?.length || !profiles.length;
+  if (box.hidden) return;
+  const listed = new Set((currentProfile()?.cv?.skills || []).map(s => s.toLowerCase()));
+  $('#bullets').replaceChildren(...result.bullets.map((b, i) => checkbox(String(i), b)));
+  const fresh = result.skills.filter(s => !listed.has(s.toLowerCase()));
+  $('#skills').replaceChildren(...(fresh.length ? fresh.map(s => checkbox(s, s)) : [Object.assign(document.createElement('span'), { className: 'notes', textContent: 'All already listed.' })]));
+}
+
+const checked = (sel) => [...document.querySelectorAll(`${sel} input:checked`)].map(i => i.value);
+
+// Focus the webapp's tab (the bridge there picks the result up at once), or open it.
+async function openApp() {
+  const base = appUrl.replace(/[?#].*$/, '');
+  const tab = (await chrome.tabs.query({})).find(t => t.url?.startsWith(base));
+  if (!tab) return chrome.tabs.create({ url: appUrl });
+  await chrome.tabs.update(tab.id, { active: true });
+  await chrome.windows.update(tab.windowId, { focused: true });
+}
+
+async function onSend() {
+  const profile = currentProfile();
+  if (!profile || !result) return;
+  const index = +$('#experience').value;
+  const entry = profile.cv?.experience?.[index] || {};
+  const bullets = checked('#bullets').map(i => result.bullets[+i]);
+  if (!bullets.length) return setStatus('Tick at least one bullet.');
+  await chrome.storage.local.set({
+    pendingTailoring: {
+      id: crypto.randomUUID(),
+      profileId: profile.id,
+      experienceIndex: index,
+      company: entry.company || '',
+      role: entry.role || '',
+      bullets,
+      skills: checked('#skills'),
+      jobText: $('#jobText').value,
+      job: job && { ...job, description: $('#jobText').value },
+      createdAt: Date.now()
+    }
+  });
+  setStatus(`Sent to “${profile.name}” — CV Foundry applies it when it opens.`);
+  await openApp();
+}
+
+/* -------------------- autofill -------------------- */
+const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+
+async function activeTab() {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  return tab;
+}
+
+// Map the form fields of every frame (application forms are often embedded) to the picked CV.
+async function onScanForm() {
+  const cv = currentProfile()?.cv;
+  if (!cv) return setStatus('Pick a CV first.');
+  const tab = await activeTab();
+  $('#autofillReport').textContent = '';
+  try {
+    await chrome.scripting.executeScript({ target: { tabId: tab.id, allFrames: true }, files: ['autofill.js'] });
+    const results = await chrome.scripting.executeScript({
+      target: { tabId: tab.id, allFrames: true },
+      func: (cv) => globalThis.cvFoundryAutofill.scan(cv),
+      args: [cv]
+    });
+    autofillPlans = results.filter(r => r.result && (r.result.fields.length || r.result.unmapped.length))
+      .map(r => ({ frameId: r.frameId, ...r.result }));
+  } catch (e) {
+    autofillPlans = [];
+    $('#autofillReport').textContent = `Cannot read this page's form: ${e?.message || e}`;
+  }
+  renderAutofill();
+}
+
+function renderAutofill() {
+  const fields = autofillPlans.flatMap(p => p.fields.map(f => ({ ...f, frameId: p.frameId })));
+  const unmapped = [...new Set(autofillPlans.flatMap(p => p.unmapped))];
+  $('#autofillPreview').hidden = !autofillPlans.length;
+  if (!autofillPlans.length) {
+    $('#autofillReport').textContent ||= 'No form fields found on this page.';
+    return;
+  }
+  const list = $('#autofillFields');
+  list.className = 'fieldmap';
+  list.replaceChildren(...fields.map(f => {
+    const row = checkbox(`${f.frameId}:${f.id}`, `${f.label} ← ${f.value.length > 60 ? `${f.value.slice(0, 60)}…` : f.value} `);
+    row.append(Object.assign(document.createElement('span'), { textContent: `(${f.target})` }));
+    return row;
+  }));
+  const groups = autofillPlans.map(p => p.groups).reduce((all, g) => {
+    for (const k of Object.keys(g)) all[k] = { forms: Math.max(all[k]?.forms || 0, g[k].forms), entries: g[k].entries, canAdd: all[k]?.canAdd || g[k].canAdd };
+    return all;
+  }, {});
+  $('#autofillGroups').textContent = Object.entries(groups)
+    .filter(([, g]) => g.forms && g.entries > g.forms)
+    .map(([kind, g]) => `The form shows ${plural(g.forms, `${kind} group`)} for ${g.entries} CV entries`
+      + (g.canAdd ? ' — “Add another” will be used for the rest.' : ' and has no “Add another” button; add the rest by hand.'))
+    .join(' ');
+  $('#autofillUnmapped').textContent = unmapped.length ? `Not mapped (fill these yourself): ${unmapped.join(', ')}` : '';
+}
+
+async function onFillForm() {
+  const cv = currentProfile()?.cv;
+  const tab = await activeTab();
+  if (!cv || !tab) return;
+  const picked = checked('#autofillFields');
+  const report = { filled: 0, failed: [], unmapped: new Set(), added: 0 };
+  for (const plan of autofillPlans) {
+    const ids = picked.filter(v => v.startsWith(`${plan.frameId}:`)).map(v => v.slice(v.indexOf(':') + 1));
+    try {
+      const [{ result: done }] = await chrome.scripting.executeScript({
+        target: { tabId: tab.id, frameIds: [plan.frameId] },
+        func: (cv, ids, opts) => globalThis.cvFoundryAutofill.fill(cv, ids, opts),
+        args: [cv, ids, { addGroups: $('#autofillAddGroups').checked }]
+      });
+      report.filled += done.filled.length;
+      report.failed.push(...done.failed);
+      done.unmapped.forEach(l => report.unmapped.add(l));
+      report.added += done.added;
+    } catch (e) { report.failed.push(`frame ${plan.frameId}: ${e?.message || e}`); }
+  }
+  $('#autofillPreview').hidden = true;
+  $('#autofillReport').textContent = [
+    `Filled ${plural(report.filled, 'field')}${report.added ? ` (used “Add another” ${report.added}×)` : ''}. The form was not submitted — check it and submit it yourself.`,
+    report.failed.length && `Could not fill: ${report.failed.join(', ')}.`,
+    report.unmapped.size && `Not mapped: ${[...report.unmapped].join(', ')}.`
+  ].filter(Boolean).join(' ');
+}
+
+$('#profile').addEventListener('change', renderExperience);
+$('#analyze').addEventListener('click', onAnalyze);
+$('#tailor').addEventListener('click', onTailor);
+$('#send').addEventListener('click', onSend);
+$('#openApp').addEventListener('click', openApp);
+$('#scanForm').addEventListener('click', onScanForm);
+$('#fillForm').addEventListener('click', onFillForm);
+availability();
+load();
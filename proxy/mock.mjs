@@ -0,0 +1,202 @@
+// proxy/mock.mjs — deterministic stand-in for a model (AI_PROVIDER=mock)
+// Each route gets a reply of the shape its real prompt asks for, built only from the request body,
+// so the same request always gets the same answer and the webapp can be exercised offline.
+import { readFileSync } from "node:fs";
+
+const PACKS = JSON.parse(readFileSync(new URL("../shared/country_packs.json", import.meta.url), "utf8"));
+const SPEC_KEYS = ["Summary", "Experience", "Education", "Skills", "Certifications", "Projects"];
+// Each spec key's label by pack language, as the webapp's defaults (webapp/js/lib/packs.js); a pack's own headings
+// are matched against these to find the key they stand for.
+const SPEC_LABELS = {
+  en: { Summary: "Summary", Experience: "Experience", Education: "Education", Skills: "Skills", Certifications: "Certifications", Projects: "Projects" },
+  de: { Summary: "Profil", Experience: "Berufserfahrung", Education: "Ausbildung", Skills: "Fähigkeiten", Certifications: "Zertifikate", Projects: "Projekte" },
+  fr: { Summary: "Profil", Experience: "Expérience", Education: "Éducation", Skills: "Compétences", Certifications: "Certifications", Projects: "Projets" }
+};
+const SPEC_KEY_BY_LABEL = new Map(Object.values(SPEC_LABELS).flatMap(labels => Object.entries(labels).map(([k, l]) => [l.toLowerCase(), k])));
+
+// Skills the mock knows, by category; everything else goes to "Other". Matching ignores case.
+const SKILL_CATEGORIES = {
+  Programming: ["JavaScript", "TypeScript", "Python", "Java", "Go", "Rust", "C#", "C++", "Ruby", "PHP", "Kotlin", "Swift"],
+  Frontend: ["React", "Vue", "Angular", "Svelte", "HTML", "CSS", "Next.js"],
+  Backend: ["Node.js", "Express", "Django", "Flask", "Spring", "GraphQL", "REST"],
+  "Data & ML": ["pandas", "NumPy", "PyTorch", "TensorFlow", "scikit-learn", "Spark", "Machine Learning"],
+  "Cloud & DevOps": ["AWS", "GCP", "Azure", "Docker", "Kubernetes", "Terraform", "CI/CD", "Linux"],
+  Databases: ["PostgreSQL", "MySQL", "MongoDB", "Redis", "SQL", "SQLite"],
+  Testing: ["Jest", "Cypress", "Playwright", "pytest", "JUnit"],
+  Tools: ["Git", "Jira", "Figma", "Webpack", "Vite"],
+  Languages: ["English", "German", "French", "Spanish", "Hindi"]
+};
+const KNOWN = new Map(Object.entries(SKILL_CATEGORIES).flatMap(([category, list]) => list.map(name => [name.toLowerCase(), { name, category }])));
+
+const FILLER_RE = /\b(very|really|successfully|basically|actually|just|in order)\s+/gi;
+
+const clean = (s) => String(s ?? "").replace(/\s+/g, " ").trim();
+const sentences = (s) => clean(s).split(/(?<=[.!?])\s+/).filter(Boolean);
+const escapeHtml = (s) => String(s ?? "").replace(/[&<>"]/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" }[c]));
+
+// Known skills named in `text`, in the order of the table above.
+function skillsIn(text) {
+  const t = ` ${String(text || "").toLowerCase()} `;
+  return [...KNOWN.keys()].filter(s => [" ", ",", ".", ";", ")"].some(end => t.includes(` ${s}${end}`))).map(s => KNOWN.get(s).name);
+}
+
+const JSON_REPLIES = {
+  categorizeSkills({ skills = [], categories = [] } = {}) {
+    const out = {};
+    const fallback = categories.includes("Other") ? "Other" : categories.at(-1);
+    for (const s of skills) {
+      const known = KNOWN.get(clean(s).toLowerCase());
+      const key = categories.includes(known?.category) ? known.category : fallback;
+      if (key) (out[key] ||= []).push(known?.name || clean(s));
+    }
+    return out;
+  },
+
+  bulletsFromJD({ cv = {}, jdText = "" } = {}) {
+    const last = cv.experience?.slice(-1)[0] || {};
+    const skills = skillsIn(jdText).slice(0, 6);
+    const lead = skills[0] || "the core stack";
+    return {
+      bullets: [
+        `Delivered ${lead} features as ${last.role || "engineer"}${last.company ? ` at ${last.company}` : ""}, meeting every release date.`,
+        `Reduced defects by 20% by adding automated tests to the ${lead} codebase.`,
+        `Cut delivery time by 15% by streamlining reviews and deployment.`,
+        `Mentored 2 colleagues on ${skills[1] || lead} practices and code quality.`
+      ],
+      skills
+    };
+  },
+
+  write({ prompt = "", tone = "neutral" } = {}) {
+    const first = sentences(prompt)[0] || "your request";
+    return { text: `Mock ${tone} draft for: ${first}` };
+  },
+
+  rewrite({ text = "", operation = "tighten" } = {}) {
+    let out = clean(text);
+    if (operation === "tighten") out = out.replace(FILLER_RE, "");
+    return { text: out };
+  },
+
+  proofread({ text = "" } = {}) {
+    const corrected = clean(text)
+      .replace(/\s+([,.;:!?])/g, "$1")
+      .replace(/\bi\b/g, "I")
+      .replace(/(^|[.!?]\s+)([a-z])/g, (_, p, c) => p + c.toUpperCase());
+    return { corrected };
+  },
+
+  cvSpec({ country = "UK", language = "" } = {}) {
+    const code = String(country).toUpperCase();
+    const pack = PACKS[code] || PACKS.UK;
+    // The pack's headings by the key they stand for, in its order; headings with no spec key ("Achievements") are left out.
+    const listed = new Map();
+    for (const label of pack.sections || []) {
+      const key = SPEC_KEY_BY_LABEL.get(String(label).trim().toLowerCase());
+      if (key && !listed.has(key)) listed.set(key, String(label).trim());
+    }
+    const defaults = SPEC_LABELS[String(pack.spelling || "").slice(0, 2).toLowerCase()] || SPEC_LABELS.en;
+    const labels = Object.fromEntries(SPEC_KEYS.map(k => [k, listed.get(k) || defaults[k]]));
+    return {
+      country: code,
+      language: language || pack.spelling,
+      page_limit: pack.page_limit,
+      photo_allowed: !!pack.photo_allowed,
+      date_format: pack.date_format,
+      spelling: language || pack.spelling,
+      section_order: listed.size ? [...listed.keys()] : SPEC_KEYS,
+      labels,
+      notes: (pack.notes || []).slice(0, 6),
+      bullets_guidelines: ["Start with an action verb.", "Quantify impact where possible.", "Keep bullets under 22 words."],
+      ats_rules: ["Single column, no tables or graphics.", "Standard section headings.", "Plain text contact details."]
+    };
+  },
+
+  // The heuristic draft is already the right shape; echoing it keeps the review step a no-op.
+  parseCV({ draft = {} } = {}) {
+    return { profile: {}, experience: [], ...draft };
+  },
+
+  // No way to answer an arbitrary prompt; an empty value of the requested shape lets callers fall back.
+  prompt({ schema = {} } = {}) {
+    return emptyOf(schema);
+  }
+};
+
+function emptyOf(schema) {
+  if (schema.enum) return schema.enum[0];
+  switch (schema.type) {
+    case "object": return Object.fromEntries((schema.required || []).map(k => [k, emptyOf(schema.properties?.[k] || {})]));
+    case "array": return [];
+    case "string": return "";
+    case "number": case "integer": return schema.minimum ?? 0;
+    case "boolean": return false;
+    default: return null;
+  }
+}
+
+const TEXT_REPLIES = {
+  summarizeJD({ text = "" } = {}) {
+    const lines = sentences(text).slice(0, 8).map(s => `- ${s}`);
+    return lines.length ? lines.join("\n") : "- (empty job description)";
+  },
+
+  renderCVHTML({ cv = {} } = {}) {
+    const p = cv.profile || {};
+    const contact = Object.values(p.contact || {}).filter(Boolean).map(escapeHtml).join(" · ");
+    const exp = (cv.experience || []).map(e => `
+<section><h3>${escapeHtml([e.role, e.company].filter(Boolean).join(" — "))}</h3>
+<p>${escapeHtml([e.start, e.end].filter(Boolean).join(" – "))}</p>
+<ul>${(e.bullets || []).map(b => `<li>${escapeHtml(b)}</li>`).join("")}</ul></section>`).join("");
+    return `<!doctype html>
+<html><head><meta charset="utf-8"><title>${escapeHtml(p.name || "CV")}</title>
+<style>body{font-family:Arial,Helvetica,sans-serif;font-size:10.5pt;max-width:720px;margin:24px auto}</style></head>
+<body><header><h1>${escapeHtml(p.name || "")}</h1><p>${escapeHtml(p.title || "")}</p><p>${contact}</p></header>
+${p.summary ? `<section><h2>Summary</h2><p>${escapeHtml(p.summary)}</p></section>` : ""}
+<section><h2>Experience</h2>${exp}</section>
+${cv.skills?.length ? `<section><h2>Skills</h2><p>${cv.skills.map(escapeHtml).join(", ")}</p></section>` : ""}
+</body></html>`;
+  }
+};
+
+export function mockJSON(task, input) {
+  const reply = JSON_REPLIES[task];
+  if (!reply) throw new Error(`Mock provider has no JSON reply for "${task}"`);
+  return reply(input || {});
+}
+
+export function mockText(task, input) {
+  const reply = TEXT_REPLIES[task];
+  if (!reply) throw new Error(`Mock provider has no text reply for "${task}"`);
+  return reply(input || {});
+}
+
+/* -------------------- streaming -------------------- */
+// The plain text each streamed route asks the model for (see the stream prompts in dev-proxy.mjs).
+const STREAM_TEXT = {
+  write: (input) => JSON_REPLIES.write(input).text,
+  rewrite: (input) => JSON_REPLIES.rewrite(input).text,
+  summarizeJD: (input) => TEXT_REPLIES.summarizeJD(input),
+  bulletsFromJD(input) {
+    const { bullets, skills } = JSON_REPLIES.bulletsFromJD(input);
+    return `${bullets.join("\n")}\nSkills: ${skills.join(", ")}`;
+  }
+};
+
+const STREAM_DELAY_MS = Math.max(0, Number(process.env.MOCK_STREAM_DELAY_MS ?? 25));
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+  const onAbort = () => { clearTimeout(t); reject(signal.reason); };
+  const t = setTimeout(() => { signal?.removeEventListener("abort", onAbort); resolve(); }, ms);
+  signal?.addEventListener("abort", onAbort, { once: true });
+});
+
+// The canned text a word at a time, so the webapp's progressive rendering and Stop button can be tried offline.
+export async function* mockStream(task, input, signal) {
+  const reply = STREAM_TEXT[task];
+  if (!reply) throw new Error(`Mock provider has no streamed reply for "${task}"`);
+  for (const piece of reply(input || {}).match(/\S+\s*/g) || []) {
+    if (STREAM_DELAY_MS) await wait(STREAM_DELAY_MS, signal);
+    signal?.throwIfAborted();
+    yield piece;
+  }
+}
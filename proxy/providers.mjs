@@ -0,0 +1,148 @@
+// proxy/providers.mjs — model backends for dev-proxy.mjs, picked from the environment
+//   AI_PROVIDER=gemini  GEMINI_API_KEY=... [GEMINI_MODEL=gemini-1.5-flash]
+//   AI_PROVIDER=openai  OPENAI_BASE_URL=http://127.0.0.1:8080/v1 [OPENAI_MODEL=...] [OPENAI_API_KEY=...]
+//                       (any chat-completions server: llama.cpp `llama-server`, Ollama at :11434/v1, vLLM, …)
+//   AI_PROVIDER=mock    canned, deterministic replies for every route; no network
+// Without AI_PROVIDER: gemini when GEMINI_API_KEY is set, otherwise mock.
+//
+// Every provider exposes the same three calls; `task` is the route name and `input` its request body,
+// which real models ignore (the prompt already carries it) and the mock answers from.
+//   json(prompt, { task, input }) → parsed object
+//   text(prompt, { task, input }) → string
+//   stream(prompt, { task, input, signal }) → async iterable of text deltas
+import { mockJSON, mockText, mockStream } from "./mock.mjs";
+
+// A model answered, but not with JSON; `raw` is kept so the proxy can ask the model to repair it.
+export class ModelReplyError extends Error {
+  constructor(message, raw) { super(message); this.raw = raw; }
+}
+
+// Models (local ones especially) like to wrap JSON in ``` fences or add a sentence around it.
+export function parseJSONReply(text) {
+  const s = String(text || "").trim();
+  if (!s) throw new ModelReplyError("Model reply is empty", s);
+  try { return JSON.parse(s); } catch {}
+  const fenced = s.match(/```(?:json)?\s*([\s\S]*?)```/i)?.[1];
+  if (fenced) { try { return JSON.parse(fenced.trim()); } catch {} }
+  const start = s.search(/[[{]/), end = Math.max(s.lastIndexOf("}"), s.lastIndexOf("]"));
+  if (start >= 0 && end > start) { try { return JSON.parse(s.slice(start, end + 1)); } catch {} }
+  throw new ModelReplyError("Model reply is not valid JSON", s);
+}
+
+// `data:` payloads of a server-sent-events response, as they arrive.
+async function* sseData(response) {
+  const decoder = new TextDecoder();
+  let buf = "";
+  for await (const chunk of response.body) {
+    buf += decoder.decode(chunk, { stream: true });
+    let cut;
+    while ((cut = buf.search(/\r?\n\r?\n/)) >= 0) {
+      const event = buf.slice(0, cut);
+      buf = buf.slice(cut).replace(/^\r?\n\r?\n/, "");
+      const data = event.split(/\r?\n/).filter(l => l.startsWith("data:")).map(l => l.slice(5).trimStart()).join("\n");
+      if (data) yield data;
+    }
+  }
+}
+
+/* -------------------- Gemini -------------------- */
+function geminiProvider(env) {
+  const key   = env.GEMINI_API_KEY || "";
+  const model = env.GEMINI_MODEL || "gemini-1.5-flash";
+
+  async function call(method, prompt, mime, signal) {
+    if (!key) throw new Error("Missing GEMINI_API_KEY");
+    const url = `https://generativelanguage.googleapis.com/v1beta/models/${model}:${method}key=${encodeURIComponent(key)}`;
+    const r = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        contents: [{ role: "user", parts: [{ text: prompt }]}],
+        generationConfig: { responseMimeType: mime }
+      }),
+      signal
+    });
+    if (!r.ok) throw new Error(`Gemini HTTP ${r.status}`);
+    return r;
+  }
+  const partsText = (data) => (data?.candidates?.[0]?.content?.parts || []).map(p => p.text || "").join("");
+
+  async function generate(prompt, mime) {
+    return partsText(await (await call("generateContent?", prompt, mime)).json());
+  }
+
+  return {
+    name: "gemini", model,
+    json: async (prompt) => parseJSONReply(await generate(prompt, "application/json")),
+    text: (prompt) => generate(prompt, "text/plain"),
+    async *stream(prompt, { signal } = {}) {
+      const r = await call("streamGenerateContent?alt=sse&", prompt, "text/plain", signal);
+      for await (const data of sseData(r)) {
+        const text = partsText(JSON.parse(data));
+        if (text) yield text;
+      }
+    }
+  };
+}
+
+/* -------------------- OpenAI-compatible chat completions -------------------- */
+function openAIProvider(env) {
+  const base  = String(env.OPENAI_BASE_URL || "http://127.0.0.1:8080/v1").replace(/\/+$/, "");
+  const key   = env.OPENAI_API_KEY || "";
+  const model = env.OPENAI_MODEL || "local";
+
+  async function call(prompt, { asJSON = false, stream = false, signal } = {}) {
+    const r = await fetch(`${base}/chat/completions`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...(key ? { Authorization: `Bearer ${key}` } : {}) },
+      body: JSON.stringify({
+        model,
+        messages: [{ role: "user", content: prompt }],
+        temperature: 0.2,
+        ...(asJSON ? { response_format: { type: "json_object" } } : {}),
+        ...(stream ? { stream: true } : {})
+      }),
+      signal
+    });
+    if (!r.ok) throw new Error(`${base} HTTP ${r.status}`);
+    return r;
+  }
+
+  async function complete(prompt, asJSON) {
+    const data = await (await call(prompt, { asJSON })).json();
+    return data?.choices?.[0]?.message?.content || "";
+  }
+
+  return {
+    name: "openai", model,
+    json: async (prompt) => parseJSONReply(await complete(prompt, true)),
+    text: (prompt) => complete(prompt, false),
+    async *stream(prompt, { signal } = {}) {
+      const r = await call(prompt, { stream: true, signal });
+      for await (const data of sseData(r)) {
+        if (data === "[DONE]") return;
+        const text = JSON.parse(data)?.choices?.[0]?.delta?.content;
+        if (text) yield text;
+      }
+    }
+  };
+}
+
+/* -------------------- mock -------------------- */
+function mockProvider() {
+  return {
+    name: "mock", model: "canned",
+    json: async (_prompt, { task, input } = {}) => mockJSON(task, input),
+    text: async (_prompt, { task, input } = {}) => mockText(task, input),
+    stream: (_prompt, { task, input, signal } = {}) => mockStream(task, input, signal)
+  };
+}
+
+const PROVIDERS = { gemini: geminiProvider, openai: openAIProvider, mock: mockProvider };
+
+export function createProvider(env = process.env) {
+  const name = String(env.AI_PROVIDER || (env.GEMINI_API_KEY ? "gemini" : "mock")).toLowerCase();
+  const make = PROVIDERS[name];
+  if (!make) throw new Error(`Unknown AI_PROVIDER "${name}" (use ${Object.keys(PROVIDERS).join(", ")})`);
+  return make(env);
+}
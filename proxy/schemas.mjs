@@ -0,0 +1,180 @@
+// proxy/schemas.mjs — request, model-reply and response shapes for every dev-proxy route
+// Schemas use the JSON Schema subset the webapp already passes to the Prompt API as `responseConstraint`
+// (type, properties, required, items, additionalProperties, enum, pattern, min/max lengths and items),
+// so the same object can be quoted back to a model when its reply needs repairing.
+
+/* -------------------- validator -------------------- */
+const typeOf = (v) => (v === null ? "null" : Array.isArray(v) ? "array" : Number.isInteger(v) ? "integer" : typeof v);
+const fits = (type, v) => type === typeOf(v) || (type === "number" && typeOf(v) === "integer");
+
+/**
+ * validate(schema, value) → [{ field, message }]   (empty when valid)
+ * `field` is a dotted path into the value ("experience.0.bullets"), "" for the value itself.
+ */
+export function validate(schema, value, field = "") {
+  if (!schema) return [];
+  const err = (message) => [{ field, message }];
+  if (schema.type && !fits(schema.type, value)) return err(`must be ${schema.type === "array" || schema.type === "object" ? "an" : "a"} ${schema.type}`);
+  if (schema.enum && !schema.enum.includes(value)) return err(`must be one of ${schema.enum.join(", ")}`);
+
+  if (typeof value === "string") {
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) return err(schema.patternMessage || `must match ${schema.pattern}`);
+    if (schema.maxLength != null && value.length > schema.maxLength) return err(`must be at most ${schema.maxLength} characters`);
+  }
+  if (typeof value === "number") {
+    if (schema.minimum != null && value < schema.minimum) return err(`must be at least ${schema.minimum}`);
+    if (schema.maximum != null && value > schema.maximum) return err(`must be at most ${schema.maximum}`);
+  }
+  const at = (k) => (field ? `${field}.${k}` : String(k));
+
+  if (Array.isArray(value)) {
+    if (schema.minItems != null && value.length < schema.minItems) return err(`must have at least ${schema.minItems} item${schema.minItems > 1 ? "s" : ""}`);
+    if (schema.maxItems != null && value.length > schema.maxItems) return err(`must have at most ${schema.maxItems} items`);
+    return value.flatMap((item, i) => validate(schema.items, item, at(i)));
+  }
+  if (typeOf(value) === "object") {
+    const errors = (schema.required || []).filter(k => value[k] === undefined).map(k => ({ field: at(k), message: "is required" }));
+    for (const [k, v] of Object.entries(value)) {
+      const sub = schema.properties?.[k] ?? (typeof schema.additionalProperties === "object" ? schema.additionalProperties : null);
+      if (v !== undefined) errors.push(...validate(sub, v, at(k)));
+    }
+    return errors;
+  }
+  return [];
+}
+
+/**
+ * withoutPatterns(schema) → a copy of `schema` with every `pattern` (and its `patternMessage`) dropped.
+ * For schemas sent by a client: their regexes are never compiled here, so a malformed or catastrophically slow one
+ * cannot fail or stall the proxy. Nested schemas under properties, items and additionalProperties are copied too.
+ */
+export function withoutPatterns(schema) {
+  if (!schema || typeof schema !== "object" || Array.isArray(schema)) return schema;
+  const { pattern, patternMessage, ...rest } = schema;
+  if (rest.properties && typeof rest.properties === "object") {
+    rest.properties = Object.fromEntries(Object.entries(rest.properties).map(([k, sub]) => [k, withoutPatterns(sub)]));
+  }
+  if (rest.items) rest.items = withoutPatterns(rest.items);
+  if (typeof rest.additionalProperties === "object") rest.additionalProperties = withoutPatterns(rest.additionalProperties);
+  return rest;
+}
+
+/* -------------------- building blocks -------------------- */
+const text      = (maxLength = 20000) => ({ type: "string", maxLength });
+const required  = (maxLength = 100000) => ({ type: "string", pattern: "\\S", patternMessage: "must not be empty", maxLength });
+const strings   = (maxItems = 100) => ({ type: "array", items: { type: "string", maxLength: 500 }, maxItems });
+const object    = { type: "object" };
+const textReply = { type: "object", properties: { text: required() }, required: ["text"] };
+
+const CV_SPEC = {
+  type: "object",
+  properties: {
+    country: { type: "string", maxLength: 8 },
+    language: { type: "string", maxLength: 16 },
+    page_limit: { type: "integer", minimum: 1, maximum: 3 },
+    photo_allowed: { type: "boolean" },
+    date_format: required(40),
+    spelling: { type: "string", maxLength: 16 },
+    section_order: { ...strings(12), minItems: 1 },
+    labels: { type: "object", additionalProperties: { type: "string", maxLength: 60 } },
+    notes: strings(6),
+    bullets_guidelines: strings(8),
+    ats_rules: strings(6)
+  },
+  required: ["page_limit", "date_format", "section_order", "labels"]
+};
+
+const entries = (properties) => ({ type: "array", items: { type: "object", properties } });
+const PARSED_CV = {
+  type: "object",
+  properties: {
+    profile: {
+      type: "object",
+      properties: {
+        name: text(200), title: text(200), location: text(200), summary: text(),
+        contact: { type: "object", additionalProperties: { type: "string", maxLength: 500 } }
+      }
+    },
+    experience: entries({ company: text(200), role: text(200), location: text(200), start: text(40), end: text(40), bullets: strings() }),
+    education: entries({ institution: text(200), degree: text(200), start: text(40), end: text(40) }),
+    skills: strings(200),
+    certifications: entries({ name: text(300), issuer: text(200), date: text(40), link: text(500) }),
+    projects: entries({ name: text(300), link: text(500), bullets: strings() }),
+    publications: entries({ title: text(500), authors: text(1000), venue: text(300), date: text(40), doi: text(200), link: text(500) }),
+    patents: entries({ title: text(500), office: text(200), number: text(100), date: text(40), status: text(100), link: text(500), inventors: text(1000) })
+  },
+  required: ["profile", "experience"]
+};
+
+/* -------------------- routes -------------------- */
+// input: request body · reply: what the model must return (retried/repaired until it does) · output: response body
+export const ROUTE_SCHEMAS = {
+  categorizeSkills: {
+    input: { type: "object", properties: { skills: strings(300), categories: strings(30) }, required: ["skills"] },
+    reply: { type: "object", additionalProperties: strings(300) },
+    output: { type: "object", additionalProperties: strings(300) }
+  },
+  summarizeJD: {
+    input: { type: "object", properties: { text: required() }, required: ["text"] },
+    reply: required(),
+    output: { type: "object", properties: { markdown: required() }, required: ["markdown"] }
+  },
+  bulletsFromJD: {
+    input: { type: "object", properties: { cv: object, jdText: required() }, required: ["cv", "jdText"] },
+    reply: { type: "object", properties: { bullets: { ...strings(12), minItems: 1 }, skills: strings(30) }, required: ["bullets"] },
+    output: { type: "object", properties: { bullets: { ...strings(6), minItems: 1 }, skills: strings(12) }, required: ["bullets", "skills"] }
+  },
+  write: {
+    input: {
+      type: "object",
+      properties: { prompt: required(), tone: text(40), length: text(40), format: text(40), context: text() },
+      required: ["prompt"]
+    },
+    reply: textReply,
+    output: textReply
+  },
+  rewrite: {
+    input: {
+      type: "object",
+      properties: {
+        text: required(), operation: { type: "string", enum: ["tighten", "expand", "formalize", "simplify", "active-voice"] },
+        tone: text(40), length: text(40), format: text(40), context: text()
+      },
+      required: ["text"]
+    },
+    reply: textReply,
+    output: textReply
+  },
+  proofread: {
+    input: { type: "object", properties: { text: required(), language: text(16) }, required: ["text"] },
+    reply: { type: "object", properties: { corrected: required() }, required: ["corrected"] },
+    output: { type: "object", properties: { corrected: required() }, required: ["corrected"] }
+  },
+  cvSpec: {
+    input: {
+      type: "object",
+      properties: {
+        country: { type: "string", pattern: "^[A-Za-z]{2}$", patternMessage: "must be a two-letter country code" },
+        language: text(16), seniority: { type: "string", enum: ["junior", "mid", "senior"] }
+      }
+    },
+    reply: CV_SPEC,
+    output: { ...CV_SPEC, required: [...CV_SPEC.required, "country"] }
+  },
+  renderCVHTML: {
+    input: { type: "object", properties: { cv: object, spec: object, theme: text(40) }, required: ["cv"] },
+    reply: { type: "string", pattern: "<[hH][tT][mM][lL][\\s>]", patternMessage: "must be a complete <html> document" },
+    output: { type: "object", properties: { html: required(500000) }, required: ["html"] }
+  },
+  parseCV: {
+    input: { type: "object", properties: { text: required(), draft: object }, required: ["text"] },
+    reply: PARSED_CV,
+    output: { type: "object", properties: { cv: PARSED_CV }, required: ["cv"] }
+  },
+  // Free-form structured prompt: the reply is checked against the schema sent with the request.
+  prompt: {
+    input: { type: "object", properties: { prompt: required(), schema: object }, required: ["prompt", "schema"] },
+    reply: object,
+    output: { type: "object", properties: { result: {} }, required: ["result"] }
+  }
+};
@@ -160,6 +160,51 @@ export async function ensureTranslator(sourceLanguage='en', targetLanguage='en-G
   return obj;
 }
 
+/* -------------------- streaming -------------------- */
+/**
+ * Read a *Streaming() result, calling onText(textSoFar) per chunk; resolves to the whole text.
+ * Early Chrome builds send everything so far in each chunk, current ones only the new part — both are handled.
+ */
+export async function readTextStream(stream, { signal, onText } = {}) {
+  const reader = stream.getReader();
+  const stop = () => reader.cancel().catch(() => {});
+  signal?.addEventListener('abort', stop, { once: true });
+  let text = '';
+  try {
+    for (;;) {
+      const { value, done } = await reader.read();
+      signal?.throwIfAborted();
+      if (done) break;
+      const chunk = String(value ?? '');
+      text = text && chunk.startsWith(text) ? chunk : text + chunk;
+      onText?.(text);
+    }
+  } finally { signal?.removeEventListener('abort', stop); }
+  return text;
+}
+
+// Stream with obj[streamMethod] when the build has it, else one-shot obj[method]; aborting also destroys the session.
+async function streamOrCall(obj, streamMethod, method, input, { signal, onText, ...options } = {}) {
+  signal?.throwIfAborted();
+  const destroy = () => { try { obj.destroy?.(); } catch {} };
+  signal?.addEventListener('abort', destroy, { once: true });
+  try {
+    if (typeof obj?.[streamMethod] === 'function') {
+      return await readTextStream(obj[streamMethod](input, { ...options, signal }), { signal, onText });
+    }
+    const text = String(await obj[method](input, { ...options, signal }) ?? '');
+    signal?.throwIfAborted();
+    onText?.(text);
+    return text;
+  } finally { signal?.removeEventListener('abort', destroy); }
+}
+
+// promptStreaming(session, input, { signal, onText, ...promptOptions }) → full reply text
+export const promptStreaming = (session, input, opts) => streamOrCall(session, 'promptStreaming', 'prompt', input, opts);
+export const writeStreaming = (writer, input, opts) => streamOrCall(writer, 'writeStreaming', 'write', input, opts);
+export const rewriteStreaming = (rewriter, input, opts) => streamOrCall(rewriter, 'rewriteStreaming', 'rewrite', input, opts);
+export const summarizeStreaming = (summarizer, input, opts) => streamOrCall(summarizer, 'summarizeStreaming', 'summarize', input, opts);
+
 /* -------------------- Language Detector -------------------- */
 export async function ensureLanguageDetector() {
   if (self.ai?.languageDetector && typeof self.ai.languageDetector.detect === 'function') {
@@ -0,0 +1,208 @@
+// webapp/js/lib/ai_router.js
+// One call per AI task (summarize, write, rewrite, proofread, translate, prompt). Each picks the on-device API
+// or the local proxy by the user's policy, gives every backend a time limit and reports which one answered.
+import {
+  ensureSummarizer,
+  ensureWriter,
+  ensureRewriter,
+  ensureProofreader,
+  ensureTranslator,
+  ensurePromptSession,
+  promptStreaming,
+  writeStreaming,
+  rewriteStreaming,
+  summarizeStreaming
+} from './ai.js';
+import {
+  summarizeJDStreamCloudLocal,
+  writeStreamCloudLocal,
+  rewriteStreamCloudLocal,
+  writeCloudLocal,
+  proofreadCloudLocal,
+  promptCloudLocal
+} from './cloud_local.js';
+import { describeSource } from './review.js';
+
+/* -------------------- policy -------------------- */
+export const AI_POLICIES = [
+  ['prefer-device', 'Prefer on-device'],
+  ['prefer-proxy', 'Prefer local proxy'],
+  ['device-only', 'On-device only']
+];
+// Backends in the order each policy tries them. 'writer' is the proxy's generic write route,
+// used for tasks the proxy has no route for, or when the dedicated route failed.
+const ORDER = {
+  'prefer-device': ['device', 'cloud', 'writer'],
+  'prefer-proxy': ['cloud', 'writer', 'device'],
+  'device-only': ['device']
+};
+export const DEFAULT_AI_POLICY = 'prefer-device';
+let policy = DEFAULT_AI_POLICY;
+
+export function getAIPolicy() { return policy; }
+export function setAIPolicy(value) { policy = ORDER[value] ? value : DEFAULT_AI_POLICY; return policy; }
+
+// Per-backend time limits; a backend that takes longer counts as failed and the next one is tried.
+const TIMEOUT_MS = { summarize: 60000, write: 60000, rewrite: 45000, proofread: 30000, translate: 60000, prompt: 90000 };
+const DEFAULT_TIMEOUT_MS = 60000;
+
+/* -------------------- errors & reporting -------------------- */
+/**
+ * No backend allowed by the policy produced an answer.
+ * failures: [{ backend, reason: 'error' | 'timeout' | 'rejected', message }] in the order they were tried;
+ * 'rejected' means the backend answered but `accept` turned the answer down (e.g. an unchanged proofread).
+ */
+export class AIRouteError extends Error {
+  constructor(task, failures) {
+    super(failures.length
+      ? failures.map(f => `${describeSource(f.backend)}: ${f.message}`).join('\n')
+      : `No backend for "${task}" is allowed by the "${AI_POLICIES.find(([k]) => k === policy)?.[1]}" setting.`);
+    this.name = 'AIRouteError';
+    this.task = task; this.failures = failures;
+  }
+  // Some backend did answer, so keeping the input unchanged is a valid outcome.
+  get answered() { return this.failures.some(f => f.reason === 'rejected'); }
+}
+
+const listeners = new Set();
+// onAIRoute(fn) → unsubscribe. fn({ task, backend, ms, failures, error }) runs after every routed call;
+// `backend` is null (and `error` set) when the call failed.
+export function onAIRoute(fn) { listeners.add(fn); return () => listeners.delete(fn); }
+function report(entry) {
+  for (const fn of listeners) { try { fn(entry); } catch (e) { console.error(e); } }
+}
+
+/* -------------------- routing -------------------- */
+// fn(signal) raced against the caller's signal (rethrown as is) and a timeout (TimeoutError):
+// several built-in and proxy calls ignore their signal, so waiting on it alone would not be enough.
+function withTimeout(fn, signal, ms) {
+  const ctl = new AbortController();
+  let timer, onAbort;
+  const stopped = new Promise((_, reject) => {
+    onAbort = () => { ctl.abort(signal.reason); reject(signal.reason); };
+    timer = setTimeout(() => {
+      const e = new DOMException(`timed out after ${ms < 1000 ? `${ms} ms` : `${Math.round(ms / 1000)} s`}`, 'TimeoutError');
+      ctl.abort(e); reject(e);
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+  return Promise.race([Promise.resolve().then(() => fn(ctl.signal)), stopped])
+    .finally(() => { clearTimeout(timer); signal?.removeEventListener('abort', onAbort); });
+}
+
+const hasContent = (v) => (typeof v === 'string' ? !!v.trim() : v != null);
+
+/**
+ * route(task, backends, { signal, timeoutMs, accept }) → { value, backend, ms }
+ * backends: { device?, cloud?, writer? }, each async (signal) => value, tried in the policy's order.
+ * An error, a timeout or a value `accept` turns down moves on to the next backend; aborting `signal`
+ * stops at once with its AbortError. When nothing answers, throws AIRouteError.
+ */
+export async function route(task, backends, { signal, timeoutMs = TIMEOUT_MS[task] || DEFAULT_TIMEOUT_MS, accept = hasContent } = {}) {
+  const started = Date.now();
+  const failures = [];
+  for (const backend of ORDER[policy].filter(b => backends[b])) {
+    signal?.throwIfAborted();
+    try {
+      const value = await withTimeout(s => backends[backend](s), signal, timeoutMs);
+      if (accept(value)) {
+        const ms = Date.now() - started;
+        report({ task, backend, ms, failures });
+        return { value, backend, ms };
+      }
+      failures.push({ backend, reason: 'rejected', message: 'no usable answer' });
+    } catch (e) {
+      if (signal?.aborted) throw signal.reason ?? e;
+      const timedOut = e?.name === 'TimeoutError';
+      failures.push({ backend, reason: timedOut ? 'timeout' : 'error', message: String(e?.message || e) });
+      console.warn(`${task} via ${backend} failed: ${e?.message || e}`);
+    }
+  }
+  const error = new AIRouteError(task, failures);
+  report({ task, backend: null, ms: Date.now() - started, failures, error });
+  throw error;
+}
+
+// Create a built-in AI object for one call and destroy it afterwards.
+async function once(create, use) {
+  const obj = await create();
+  try { return await use(obj); } finally { try { obj.destroy?.(); } catch {} }
+}
+
+/* -------------------- tasks -------------------- */
+// Text tasks resolve to { text, backend }; onText(textSoFar) is called as streaming backends write.
+
+// The proxy's summarizer is the job-description one (markdown key points).
+export async function summarize(text, { context = '', type = 'key-points', format = 'markdown', length = 'medium', signal, onText } = {}) {
+  const { value, backend } = await route('summarize', {
+    device: (s) => once(() => ensureSummarizer({ type, format, length }), obj => summarizeStreaming(obj, text, { context, signal: s, onText })),
+    cloud: (s) => summarizeJDStreamCloudLocal(text, { signal: s, onText })
+  }, { signal });
+  return { text: value, backend };
+}
+
+export async function write(prompt, { tone = 'neutral', length = 'short', format = 'plain-text', context = '', accept, signal, onText } = {}) {
+  const { value, backend } = await route('write', {
+    device: (s) => once(() => ensureWriter({ tone, format, length }), obj => writeStreaming(obj, prompt, { context, signal: s, onText })),
+    cloud: (s) => writeStreamCloudLocal({ prompt, tone, length, format, context, signal: s, onText })
+  }, { signal, accept });
+  return { text: value, backend };
+}
+
+/**
+ * rewrite(text, { operation, tone, length, format, context, deviceOptions, fallbackPrompt, ... })
+ * The built-in Rewriter has its own option values ('as-is', 'more-formal', 'shorter'…); pass them as
+ * `deviceOptions`. With `fallbackPrompt` the proxy's writer gets that prompt when its rewrite route fails.
+ */
+export async function rewrite(text, { operation = 'tighten', tone = 'neutral', length = 'short', format = 'plain-text', context = '',
+  deviceOptions, fallbackPrompt, accept, signal, onText } = {}) {
+  const { value, backend } = await route('rewrite', {
+    device: (s) => once(() => ensureRewriter(deviceOptions || { tone, format, length }), obj => rewriteStreaming(obj, text, { context, signal: s, onText })),
+    cloud: (s) => rewriteStreamCloudLocal({ text, operation, tone, length, format, context, signal: s, onText }),
+    writer: fallbackPrompt ? (s) => writeStreamCloudLocal({ prompt: fallbackPrompt, tone, length, format, context, signal: s, onText }) : null
+  }, { signal, accept });
+  return { text: value, backend };
+}
+
+export async function proofread(text, { language = 'en-GB', accept, signal } = {}) {
+  const expectedInputLanguages = [...new Set([language, language.split('-')[0]])];
+  const { value, backend } = await route('proofread', {
+    device: () => once(() => ensureProofreader({ expectedInputLanguages }), async obj => (await obj.proofread(text))?.corrected ?? text),
+    cloud: (s) => proofreadCloudLocal({ text, language, signal: s }),
+    writer: (s) => writeCloudLocal({
+      prompt: 'Correct grammar, spelling, and punctuation ONLY. Preserve line breaks. Return ONLY the corrected text (no explanations, headings, labels).\n' + text,
+      tone: 'neutral', length: 'short', format: 'plain-text', signal: s
+    })
+  }, { signal, accept });
+  return { text: value, backend };
+}
+
+// The proxy has no translation route; its writer is asked instead.
+export async function translate(text, { from = 'en', to = 'en-GB', signal } = {}) {
+  const { value, backend } = await route('translate', {
+    device: () => once(() => ensureTranslator(from, to), obj => obj.translate(text)),
+    writer: (s) => writeCloudLocal({
+      prompt: `Translate the text below from ${from} into ${to}. Keep names, company names, numbers, URLs and line breaks as they are. Return ONLY the translation.\n\n${text}`,
+      tone: 'neutral', length: 'long', format: 'plain-text', signal: s
+    })
+  }, { signal });
+  return { text: value, backend };
+}
+
+/**
+ * prompt(text, { schema, proxy, task, ... }) → { value, backend }
+ * With `schema` the answer is parsed JSON matching it (Prompt API responseConstraint on the device,
+ * /api/prompt on the proxy); without, it is the reply text. `proxy(signal)` replaces the generic proxy
+ * call with a dedicated route; `task` names the call in reports.
+ */
+export async function prompt(text, { schema, proxy, task = 'prompt', timeoutMs, accept, signal, onText } = {}) {
+  return await route(task, {
+    device: (s) => once(() => ensurePromptSession({}), async session => {
+      if (!schema) return await promptStreaming(session, text, { signal: s, onText });
+      return JSON.parse(await session.prompt(text, { responseConstraint: schema, signal: s }));
+    }),
+    cloud: proxy || (schema
+      ? (s) => promptCloudLocal({ prompt: text, schema, signal: s })
+      : (s) => writeStreamCloudLocal({ prompt: text, signal: s, onText }))
+  }, { signal, timeoutMs: timeoutMs ?? TIMEOUT_MS.prompt, accept });
+}
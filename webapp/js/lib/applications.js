@@ -0,0 +1,93 @@
+// webapp/js/lib/applications.js
+// Job application records and the diff/merge between a tailored CV variant and its base CV.
+import { diffPaths, describePath } from './history.js';
+import { cloneCV } from './storage.js';
+
+export const APPLICATION_STATUSES = ['saved', 'applied', 'interview', 'offer', 'rejected'];
+export const STATUS_LABELS = { saved: 'Saved', applied: 'Applied', interview: 'Interview', offer: 'Offer', rejected: 'Rejected' };
+
+const today = (now = new Date()) => now.toISOString().slice(0, 10);
+
+/**
+ * newApplication({ company, title, url, jd }) → record for storage.saveApplication
+ *   { company, title, url, jd, jdSummary, status, dates: { [status]: 'YYYY-MM-DD' }, notes,
+ *     baseId, variantId, forkedFrom }   — forkedFrom is the base CV as it was when the variant was made
+ */
+export function newApplication(fields = {}, now = new Date()) {
+  return {
+    company: '', title: '', url: '', jd: '', jdSummary: '', notes: '',
+    baseId: null, variantId: null, forkedFrom: null,
+    ...fields,
+    status: 'saved',
+    dates: { saved: today(now) }
+  };
+}
+
+// Move to `status`, stamping the first date it was reached (going back and forth keeps the earlier stamp).
+export function setApplicationStatus(app, status, now = new Date()) {
+  if (!APPLICATION_STATUSES.includes(status)) throw new Error(`Unknown application status: ${status}`);
+  app.status = status;
+  app.dates = { ...(app.dates || {}), [status]: app.dates?.[status] || today(now) };
+  return app;
+}
+
+export const applicationLabel = (app) => [app?.company, app?.title].filter(Boolean).join(' — ') || 'Untitled application';
+
+/* -------------------- variant ↔ base -------------------- */
+// Meta (theme, country, grouped skills), derived dates and the job's own cover letter stay with the variant.
+const IGNORED_PATH_RE = /^(meta|coverLetter)(\.|$)|\.(start|end)YM(\.|$)/;
+
+export function getPath(obj, path) {
+  return String(path).split('.').reduce((o, k) => (o == null ? undefined : o[k]), obj);
+}
+
+export function setPath(obj, path, value) {
+  const keys = String(path).split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((o, k) => (o[k] ??= {}), obj);
+  parent[last] = value;
+}
+
+const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// Readable text for a diffed value: bullet and skill lists one per line, whole entries as "role · company · …".
+export function valueText(v) {
+  if (v == null) return '';
+  if (Array.isArray(v)) return v.map(x => (x && typeof x === 'object' ? entryText(x) : String(x))).join('\n');
+  if (typeof v === 'object') return entryText(v);
+  return String(v);
+}
+function entryText(o) {
+  const head = Object.entries(o).filter(([k, x]) => typeof x === 'string' && x.trim() && !/YM$/.test(k)).map(([, x]) => x.trim());
+  const lists = Object.values(o).filter(Array.isArray).flat().map(x => `  • ${x}`);
+  return [head.join(' · '), ...lists].join('\n');
+}
+
+/**
+ * diffVariant(base, variant, forkedFrom) → [{ path, label, before, after, inVariant, inBase }]
+ * One entry per differing field. `inVariant` means the variant changed it since the fork (a merge candidate);
+ * `inBase` means the base moved on too. Without a fork snapshot every difference counts as the variant's.
+ */
+export function diffVariant(base, variant, forkedFrom = null) {
+  return diffPaths(base, variant)
+    .filter(path => path && !IGNORED_PATH_RE.test(path))
+    .map(path => {
+      const b = getPath(base, path), v = getPath(variant, path);
+      const origin = forkedFrom ? getPath(forkedFrom, path) : undefined;
+      return {
+        path, label: describePath(path),
+        before: valueText(b), after: valueText(v),
+        inVariant: !forkedFrom || !same(origin, v),
+        inBase: !!forkedFrom && !same(origin, b)
+      };
+    });
+}
+
+// Copy the variant's value at each path into `base` (mutates and returns it).
+export function mergeIntoBase(base, variant, paths) {
+  for (const path of paths) {
+    const v = getPath(variant, path);
+    setPath(base, path, v == null ? null : cloneCV(v));
+  }
+  return base;
+}
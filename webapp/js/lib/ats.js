@@ -1,37 +1,495 @@
-export const STANDARD_HEADINGS = new Set([
-  'Summary','Experience','Education','Skills','Projects','Certifications',
-  'Profil','Berufserfahrung','Ausbildung','Fähigkeiten','Expérience','Éducation','Compétences'
-]);
-export function lintCV(cv, countryPack, htmlPreview) {
-  const warnings = [];
-  const wordCount = textContentFromCV(cv).split(/\s+/).filter(Boolean).length;
-  const estPages = Math.max(1, Math.round(wordCount / 500));
-  if (estPages > (countryPack.page_limit||2)) warnings.push(`Estimated length ${estPages} pages exceeds ${countryPack.page_limit} page limit for ${cv.meta.countryPack}.`);
-  const headings = collectHeadings(cv);
-  for (const h of headings) if (!STANDARD_HEADINGS.has(h)) warnings.push(`Non‑standard section heading: ${h}`);
-  const dateRegex = /(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)\s\d{4}|\d{2}\/\d{4}/;
-  if (!JSON.stringify(cv).match(dateRegex)) warnings.push('No standardized dates detected (e.g., "MMM YYYY" or "MM/YYYY").');
-  if (htmlPreview) {
-    if (htmlPreview.querySelector('table')) warnings.push('Tables detected — remove for ATS.');
-    if (htmlPreview.querySelector('img')) warnings.push('Images detected — remove for ATS.');
-    if (htmlPreview.querySelectorAll('*').length > 2000) warnings.push('Document is overly complex; simplify DOM.');
-  }
-  return warnings;
-}
-function collectHeadings(cv) {
-  const arr = []; if (cv.profile?.summary) arr.push('Summary');
-  if (cv.experience?.length) arr.push('Experience');
-  if (cv.education?.length) arr.push('Education');
-  if (cv.skills?.length) arr.push('Skills');
-  if (cv.projects?.length) arr.push('Projects');
-  if (cv.certifications?.length) arr.push('Certifications');
-  return arr;
-}
-function textContentFromCV(cv) {
-  const parts = [];
-  parts.push(cv.profile?.name||'', cv.profile?.title||'', cv.profile?.summary||'');
-  for (const e of (cv.experience||[])) parts.push(e.company, e.role, ...(e.bullets||[]));
-  for (const ed of (cv.education||[])) parts.push(ed.institution, ed.degree);
-  parts.push(...(cv.skills||[]));
-  return parts.join(' ');
+import { normalizeSkill, skillId, skillName, skillCategory, localSkillVocabulary, relatedSkillIds, skillDetail } from './skills.js';
+import { parseCVDate, formatCVDate, packDateFormat, packLang, chronologyIssues, sortByRecency } from './dates.js';
+import { packSections } from './packs.js';
+
+export const MAX_BULLET_WORDS = 22;
+export const ACTION_VERB_RE = /\b(developed|implemented|improved|collaborated|built|designed|contributed|deployed|led|optimized|analysed|analyzed|managed|reduced|increased|resolved|created)\b/i;
+
+/* -------------------- lint rule engine -------------------- */
+// A rule is { id, severity, title, check(cv, ctx) → [{ message, path, fix? }] }.
+// `path` is a dotted CV path ("experience.0.bullets.2", "profile.contact.email") or null for whole-document
+// issues; `fix` is { label, apply(cv) } and mutates the CV in place, returning false if the CV no longer
+// looks like it did when the issue was raised.
+// Packs tune rules with `rules: { [id]: false | 'error' | 'warning' | 'info' }` (disable or change severity).
+export const SEVERITIES = ['error', 'warning', 'info'];
+const RULES = [];
+
+export function registerLintRule(rule) {
+  const i = RULES.findIndex(r => r.id === rule.id);
+  if (i >= 0) RULES[i] = rule; else RULES.push(rule);
 }
+export function lintRules() {
+  return RULES.map(({ id, severity, title }) => ({ id, severity, title }));
+}
+
+/**
+ * lintCV(cv, countryPack, htmlPreview) → [{ rule, severity, message, path, fix? }]
+ * Runs every rule the pack leaves enabled; results are ordered error → warning → info.
+ */
+export function lintCV(cv, countryPack = {}, htmlPreview = null) {
+  const ctx = { pack: countryPack || {}, htmlPreview, lang: packLang(countryPack) };
+  const issues = [];
+  for (const rule of RULES) {
+    const conf = ctx.pack.rules?.[rule.id];
+    if (conf === false) continue;
+    const severity = SEVERITIES.includes(conf) ? conf : rule.severity;
+    let found = [];
+    try { found = rule.check(cv, ctx) || []; } catch (e) { console.warn('lint rule failed:', rule.id, e); }
+    for (const f of found) issues.push({ path: null, ...f, rule: rule.id, severity });
+  }
+  return issues.sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity));
+}
+
+const SECTION_NAME = { experience: 'Experience', education: 'Education', projects: 'Project', certifications: 'Certification' };
+function where(sec, i, item) {
+  const name = item?.company || item?.institution || item?.name || '';
+  return `${SECTION_NAME[sec] || sec} #${i + 1}${name ? ` (${name})` : ''}`;
+}
+function* eachBullet(cv) {
+  for (const sec of ['experience', 'projects']) {
+    const items = cv[sec] || [];
+    for (let i = 0; i < items.length; i++) {
+      const bullets = items[i].bullets || [];
+      for (let j = 0; j < bullets.length; j++) {
+        yield { sec, i, j, item: items[i], text: String(bullets[j] || ''), path: `${sec}.${i}.bullets.${j}`, at: `${where(sec, i, items[i])}, bullet ${j + 1}` };
+      }
+    }
+  }
+}
+// Fix that rewrites one bullet, guarded against the bullet having changed since linting.
+function bulletFix(b, label, next) {
+  return {
+    label,
+    apply: (cv) => {
+      const bullets = cv[b.sec]?.[b.i]?.bullets;
+      if (!bullets || bullets[b.j] !== b.text) return false;
+      if (next == null) bullets.splice(b.j, 1); else bullets[b.j] = next;
+    }
+  };
+}
+const stripMark = (s) => s.replace(/^\s*[-–—•*]\s*/, '').trim();
+const wordCount = (s) => s.split(/\s+/).filter(Boolean).length;
+
+/* -------------------- dates -------------------- */
+function listDates(cv) {
+  const out = [];
+  for (const sec of ['experience', 'education']) {
+    (cv[sec] || []).forEach((item, i) => {
+      for (const k of ['start', 'end']) if (String(item[k] || '').trim()) out.push({ sec, i, item, k });
+    });
+  }
+  (cv.certifications || []).forEach((item, i) => { if (String(item.date || '').trim()) out.push({ sec: 'certifications', i, item, k: 'date' }); });
+  return out;
+}
+
+/* -------------------- built-in rules -------------------- */
+const CHARS_PER_LINE = 95;
+const LINES_PER_PAGE = 50;
+// Rough line count of the rendered single-column layout (headings, entry headers, wrapped bullets).
+function estimatePages(cv) {
+  const lines = (s) => Math.max(1, Math.ceil(String(s || '').length / CHARS_PER_LINE));
+  let n = 4;
+  if (cv.profile?.summary) n += 2 + lines(cv.profile.summary);
+  const section = (items, perItem) => { if (items?.length) n += 2 + items.reduce((sum, x) => sum + perItem(x), 0); };
+  section(cv.experience, (e) => 2 + (e.bullets || []).reduce((sum, b) => sum + lines(b), 0));
+  section(cv.education, () => 2);
+  section(cv.projects, (p) => 1 + (p.bullets || []).reduce((sum, b) => sum + lines(b), 0));
+  if (cv.skills?.length) n += 2 + lines(cv.skills.join(', '));
+  for (const k of ['certifications', 'publications', 'patents']) section(cv[k], (x) => lines(Object.values(x).join(' ')));
+  return Math.max(1, Math.ceil(n / LINES_PER_PAGE));
+}
+
+const METRIC_RE = /\d|%|\b(?:one|two|three|four|five|six|seven|eight|nine|ten|dozens?|hundreds?|thousands?|millions?|billions?|double[ds]?|tripled?|halved)\b/i;
+const PAST_TENSE_RE = /^[A-Za-z]{3,}ed$/;
+const PRONOUN_RE = {
+  en: /(?:^|[^\w'’/])(I|[Mm]e|[Mm]y|[Mm]ine|[Ww]e|[Oo]ur|[Oo]urs)(?![\w/])/,
+  de: /(?:^|[^\wäöüß])([Ii]ch|[Mm]ein(?:e[mnrs]?)?|[Mm]ir|[Mm]ich|[Ww]ir|[Uu]nser(?:e[mnrs]?)?)(?![\wäöüß])/,
+  fr: /(?:^|[^\wàâçéèêëîïôûùüÿ])([Jj]e|[Jj]['’]|[Mm]on|[Mm]a|[Mm]es|[Nn]ous|[Nn]otre|[Nn]os)(?![\wàâçéèêëîïôûùüÿ'’])/
+};
+const LEADING_SUBJECT_RE = /^(?:I|We)\s+(\S)/;
+const dupKey = (s) => stripMark(s).toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+
+registerLintRule({
+  id: 'length.pages', severity: 'warning', title: 'Page limit',
+  check: (cv, { pack }) => {
+    const pages = estimatePages(cv), limit = pack.page_limit || 2;
+    return pages > limit ? [{ message: `Estimated length ${pages} pages exceeds ${limit} page limit for ${cv.meta?.countryPack || 'this pack'}.` }] : [];
+  }
+});
+
+// Headings must be the pack's own labels (the renderer uses them, so this catches headings from elsewhere).
+registerLintRule({
+  id: 'headings.standard', severity: 'warning', title: 'Standard section headings',
+  check: (cv, { pack, htmlPreview }) => {
+    const labels = packSections(pack).map(s => s.label);
+    const known = new Set(labels.map(l => l.toLowerCase()));
+    const headings = htmlPreview
+      ? [...htmlPreview.querySelectorAll('h2')].map(h => h.textContent.replace(/\s*\(AI\)$/, '').trim())
+      : collectHeadings(cv, pack);
+    return headings.filter(h => h && !known.has(h.toLowerCase()))
+      .map(h => ({ message: `Non‑standard section heading: ${h} (expected one of ${labels.join(', ')})` }));
+  }
+});
+
+registerLintRule({
+  id: 'contact.email', severity: 'error', title: 'Email address',
+  check: (cv) => {
+    const email = String(cv.profile?.contact?.email || '').trim();
+    if (!email) return [{ message: 'No email address — recruiters and ATS need one.', path: 'profile.contact.email' }];
+    return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email) ? [] : [{ message: `Email "${email}" doesn't look valid.`, path: 'profile.contact.email' }];
+  }
+});
+
+registerLintRule({
+  id: 'contact.phone', severity: 'warning', title: 'Phone number',
+  check: (cv) => String(cv.profile?.contact?.phone || '').trim() ? [] : [{ message: 'No phone number.', path: 'profile.contact.phone' }]
+});
+
+registerLintRule({
+  id: 'dates.missing', severity: 'warning', title: 'Experience dates',
+  check: (cv) => (cv.experience || []).flatMap((e, i) =>
+    String(e.start || '').trim() ? [] : [{ message: `${where('experience', i, e)} has no start date.`, path: `experience.${i}.start` }])
+});
+
+registerLintRule({
+  id: 'dates.format', severity: 'warning', title: 'Date format matches the pack',
+  check: (cv, { pack }) => {
+    const fmt = packDateFormat(pack);
+    return listDates(cv).flatMap(({ sec, i, item, k }) => {
+      const raw = String(item[k]).trim();
+      const d = parseCVDate(raw);
+      if (d?.present) return [];
+      const want = formatCVDate(d, fmt, packLang(pack));
+      if (want === raw) return [];
+      const issue = { message: `${where(sec, i, item)} ${k} "${raw}" doesn't match ${fmt}.`, path: `${sec}.${i}.${k}` };
+      if (want) issue.fix = { label: `Use ${want}`, apply: (c) => { const it = c[sec]?.[i]; if (!it || String(it[k]).trim() !== raw) return false; it[k] = want; } };
+      return [issue];
+    });
+  }
+});
+
+// Chronology per section, from the parsed dates; gaps use meta.maxGapMonths, else the pack's max_gap_months.
+const maxGap = (cv, pack) => Number(cv.meta?.maxGapMonths ?? pack.max_gap_months ?? 6);
+const chronology = (cv, pack, sec) => chronologyIssues(cv[sec] || [], { maxGapMonths: maxGap(cv, pack) });
+
+registerLintRule({
+  id: 'dates.reversed', severity: 'error', title: 'End date before start date',
+  check: (cv, { pack }) => ['experience', 'education'].flatMap(sec => chronology(cv, pack, sec).filter(x => x.type === 'reversed').map(({ i }) => {
+    const item = cv[sec][i], start = item.start, end = item.end;
+    return {
+      message: `${where(sec, i, item)} ends (${end}) before it starts (${start}).`, path: `${sec}.${i}.end`,
+      fix: { label: 'Swap dates', apply: (c) => { const it = c[sec]?.[i]; if (!it || it.start !== start || it.end !== end) return false; it.start = end; it.end = start; } }
+    };
+  }))
+});
+
+registerLintRule({
+  id: 'dates.future', severity: 'warning', title: 'Dates in the future',
+  check: (cv, { pack }) => ['experience', 'education'].flatMap(sec => chronology(cv, pack, sec).filter(x => x.type === 'future').map(({ i, field }) => ({
+    message: `${where(sec, i, cv[sec][i])} ${field} (${cv[sec][i][field]}) is in the future${sec === 'education' ? ' — mark expected graduation as such' : ''}.`,
+    path: `${sec}.${i}.${field}`
+  })))
+});
+
+registerLintRule({
+  id: 'dates.overlap', severity: 'info', title: 'Overlapping roles',
+  check: (cv, { pack }) => chronology(cv, pack, 'experience').filter(x => x.type === 'overlap').map(({ i, j, months }) => ({
+    message: `${where('experience', j, cv.experience[j])} and ${where('experience', i, cv.experience[i])} overlap by ${months} month${months === 1 ? '' : 's'} — fine for concurrent roles, otherwise check the dates.`,
+    path: `experience.${i}.start`
+  }))
+});
+
+registerLintRule({
+  id: 'dates.gap', severity: 'info', title: 'Unexplained gaps',
+  check: (cv, { pack }) => chronology(cv, pack, 'experience').filter(x => x.type === 'gap').map(({ i, j, months }) => ({
+    message: `${months}-month gap between ${where('experience', j, cv.experience[j])} and ${where('experience', i, cv.experience[i])} — consider explaining it (study, travel, caring, sabbatical).`,
+    path: `experience.${i}.start`
+  }))
+});
+
+registerLintRule({
+  id: 'dates.order', severity: 'info', title: 'Reverse-chronological experience',
+  check: (cv) => {
+    const items = cv.experience || [];
+    const sorted = sortByRecency(items);
+    if (sorted.every((it, k) => it === items[k])) return [];
+    return [{
+      message: 'Experience is not in reverse-chronological order.', path: 'experience',
+      fix: { label: 'Sort by date', apply: (c) => { const list = c.experience || []; list.splice(0, list.length, ...sortByRecency(list)); } }
+    }];
+  }
+});
+
+registerLintRule({
+  id: 'bullet.length', severity: 'warning', title: 'Bullet length',
+  check: (cv) => [...eachBullet(cv)].filter(b => wordCount(b.text) > MAX_BULLET_WORDS)
+    .map(b => ({ message: `${b.at} has ${wordCount(b.text)} words (max ${MAX_BULLET_WORDS}).`, path: b.path }))
+});
+
+registerLintRule({
+  id: 'bullet.action-verb', severity: 'info', title: 'Bullets start with an action verb',
+  check: (cv) => [...eachBullet(cv)].filter(b => {
+    const first = stripMark(b.text).split(/\s+/)[0] || '';
+    return first && !ACTION_VERB_RE.test(first) && !PAST_TENSE_RE.test(first);
+  }).map(b => ({ message: `${b.at} doesn't start with an action verb.`, path: b.path }))
+});
+
+registerLintRule({
+  id: 'bullet.metric', severity: 'info', title: 'Bullets show measurable impact',
+  check: (cv) => [...eachBullet(cv)].filter(b => b.sec === 'experience' && !METRIC_RE.test(b.text))
+    .map(b => ({ message: `${b.at} has no number or metric.`, path: b.path }))
+});
+
+registerLintRule({
+  id: 'bullet.pronoun', severity: 'warning', title: 'No first-person pronouns',
+  check: (cv, { lang }) => {
+    const re = PRONOUN_RE[lang] || PRONOUN_RE.en;
+    const out = [];
+    const summary = String(cv.profile?.summary || '');
+    const hit = summary.match(re);
+    if (hit) out.push({ message: `Summary uses "${hit[1]}" — write CVs without first-person pronouns.`, path: 'profile.summary' });
+    for (const b of eachBullet(cv)) {
+      const m = b.text.match(re);
+      if (!m) continue;
+      const issue = { message: `${b.at} uses "${m[1]}".`, path: b.path };
+      const text = stripMark(b.text);
+      if (lang === 'en' && LEADING_SUBJECT_RE.test(text)) {
+        issue.fix = bulletFix(b, 'Drop pronoun', text.replace(LEADING_SUBJECT_RE, (_, c) => c.toUpperCase()));
+      }
+      out.push(issue);
+    }
+    return out;
+  }
+});
+
+registerLintRule({
+  id: 'bullet.duplicate', severity: 'warning', title: 'Duplicate bullets',
+  check: (cv) => {
+    const seen = new Map();
+    const out = [];
+    for (const b of eachBullet(cv)) {
+      const key = dupKey(b.text);
+      if (!key) continue;
+      if (seen.has(key)) out.push({ message: `${b.at} repeats ${seen.get(key).at}.`, path: b.path, fix: bulletFix(b, 'Remove duplicate', null) });
+      else seen.set(key, b);
+    }
+    return out;
+  }
+});
+
+registerLintRule({
+  id: 'layout.tables', severity: 'error', title: 'No tables',
+  check: (cv, { htmlPreview }) => htmlPreview?.querySelector('table') ? [{ message: 'Tables detected — remove for ATS.' }] : []
+});
+
+registerLintRule({
+  id: 'layout.images', severity: 'error', title: 'No images',
+  check: (cv, { htmlPreview }) => htmlPreview?.querySelector('img') ? [{ message: 'Images detected — remove for ATS.' }] : []
+});
+
+registerLintRule({
+  id: 'layout.complexity', severity: 'warning', title: 'Simple document structure',
+  check: (cv, { htmlPreview }) => htmlPreview && htmlPreview.querySelectorAll('*').length > 2000 ? [{ message: 'Document is overly complex; simplify DOM.' }] : []
+});
+
+// Headings the renderer would emit for the sections that have content.
+function collectHeadings(cv, pack) {
+  const filled = (key) => key === 'summary' ? !!cv.profile?.summary : !!cv[key]?.length;
+  return packSections(pack).filter(s => filled(s.key)).map(s => s.label);
+}
+
+
+/* -------------------- JD keyword match -------------------- */
+// Weighted coverage of the JD's hard skills, tools, certifications and seniority terms by the CV text.
+const KIND_WEIGHT = { skill: 1, tool: 1, certification: 2, seniority: 1.5 };
+// Everyday words that are also tech names: only counted when capitalised as a proper noun.
+const AMBIGUOUS = new Set(['go','r','c','word','excel','slack','notion','spring','express','less','chai','mocha','nest','shell','apache','swift']);
+const CERT_RE = /\b(?:AWS Certified [A-Z][\w-]*(?: [A-Z][\w-]*){0,3}|Azure [A-Z]\w+ (?:Associate|Expert|Fundamentals)|Google Cloud (?:Certified )?(?:Professional|Associate) [A-Z]\w+(?: [A-Z]\w+)?|Certified Kubernetes (?:Administrator|Application Developer)|CKA|CKAD|PMP|PRINCE2|ITIL|CISSP|CISM|CISA|CCNA|CCNP|OSCP|Security\+|CompTIA [A-Z]\w*\+?|Scrum Master|CSM|PSM I{0,3}|Six Sigma(?: \w+ Belt)?|CFA|CPA|ACCA)(?![\w+])/g;
+const SENIORITY_RE = /\b(?:junior|mid-level|senior|staff|principal|lead|head of|director|manager|intern|internship|graduate|entry-level|berufseinsteiger|werkstudent|confirmé|débutant)\b/gi;
+const REQUIRED_CUE = /\b(?:must|required|requirements?|essential|need|mandatory|you have|erforderlich|voraussetzung|requis|exigé)\b/i;
+const NICE_CUE = /\b(?:nice to have|a plus|bonus|preferred|desirable|ideally|wünschenswert|von vorteil|un plus|souhaité)\b/i;
+
+const escapeRe = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+function termPattern(term) {
+  const amb = AMBIGUOUS.has(term);
+  const body = amb ? escapeRe(term.length === 1 ? term.toUpperCase() : term[0].toUpperCase() + term.slice(1)) : escapeRe(term);
+  return { src: `(?<![\\w+#.])${body}(?![\\w+#&${amb ? '-' : ''}])`, caseSensitive: amb };
+}
+
+// One matcher per taxonomy id, so "node" and "node.js" (or "k8s" and "kubernetes") count once.
+function skillGroups(extraSkills = []) {
+  const groups = new Map();
+  const add = (key, term, category) => {
+    if (!key) return;
+    const g = groups.get(key) || { key, category, terms: new Set() };
+    g.terms.add(normalizeSkill(term)); groups.set(key, g);
+  };
+  for (const { id, term, category } of localSkillVocabulary()) add(id, term, category);
+  for (const s of extraSkills) { const n = normalizeSkill(s); if (n && n.length > 1) add(skillId(n), n, skillCategory(n)); }
+  return [...groups.values()].map(g => {
+    const terms = [...g.terms].sort((a, b) => b.length - a.length).map(termPattern);
+    const ci = terms.filter(t => !t.caseSensitive).map(t => t.src);
+    const cs = terms.filter(t => t.caseSensitive).map(t => t.src);
+    return {
+      key: g.key, kind: g.category === 'Tools' ? 'tool' : 'skill', category: g.category,
+      res: [ci.length && new RegExp(ci.join('|'), 'gi'), cs.length && new RegExp(cs.join('|'), 'g')].filter(Boolean)
+    };
+  });
+}
+
+function findAll(text, res) {
+  const hits = [];
+  for (const re of res) { re.lastIndex = 0; let m; while ((m = re.exec(text))) hits.push({ index: m.index, text: m[0] }); }
+  return hits;
+}
+
+// Line containing `index`, for required / nice-to-have cues.
+function lineAt(text, index) {
+  const start = text.lastIndexOf('\n', index) + 1;
+  const end = text.indexOf('\n', index);
+  return text.slice(start, end < 0 ? text.length : end);
+}
+
+// Years asked for in the sentence naming a skill: "5+ years of Python", "Python (3 yrs)".
+const YEARS_RE = /(\d{1,2})\s*\+?\s*(?:years|yrs|jahre|ans)\b/i;
+function yearsAt(text, index) {
+  const line = lineAt(text, index), at = index - (text.lastIndexOf('\n', index) + 1);
+  const end = line.indexOf('. ', at);
+  const m = YEARS_RE.exec(line.slice(line.lastIndexOf('. ', at) + 1, end < 0 ? line.length : end));
+  return m ? +m[1] : null;
+}
+
+export function extractJDKeywords(jdText, { skills = [] } = {}) {
+  const text = String(jdText || '');
+  const out = [];
+  const push = (kw, hits) => {
+    if (!hits.length) return;
+    const cue = hits.some(h => REQUIRED_CUE.test(lineAt(text, h.index))) ? 1.5
+      : hits.every(h => NICE_CUE.test(lineAt(text, h.index))) ? 0.6 : 1;
+    const weight = KIND_WEIGHT[kw.kind] * cue * (1 + Math.min(hits.length - 1, 2) * 0.5);
+    const years = Math.max(0, ...hits.map(h => yearsAt(text, h.index) || 0));
+    out.push({ ...kw, label: hits[0].text, jdCount: hits.length, weight: Math.round(weight * 100) / 100, required: cue > 1, optional: cue < 1, yearsRequired: years || null });
+  };
+  for (const g of skillGroups(skills)) push(g, findAll(text, g.res));
+
+  const byKey = (re, kind) => {
+    const seen = new Map();
+    for (const h of findAll(text, [re])) { const k = h.text.toLowerCase(); seen.set(k, [...(seen.get(k) || []), h]); }
+    for (const [key, hits] of seen) push({ key, kind, category: kind === 'certification' ? 'Certifications' : 'Seniority', res: [new RegExp(`(?<!\\w)${escapeRe(hits[0].text)}(?!\\w)`, 'gi')] }, hits);
+  };
+  byKey(CERT_RE, 'certification');
+  byKey(SENIORITY_RE, 'seniority');
+  return out;
+}
+
+/**
+ * scoreJDMatch(jdText, cvText, { skills, skillDetails }) → { score, matched, missing, short, overRepresented, yearsRequired }
+ * score is 0–100 (null when the JD has no recognisable keywords); keywords carry jdCount/cvCount/weight.
+ * `skills` (the CV's own skill list) extends the vocabulary so custom skills are matched too.
+ * `skillDetails` (cv.skillDetails) adds the CV's level/years to skill keywords; a matched skill with fewer years
+ * than the JD asks for only earns that share of its weight (at least half) and is listed in `short`.
+ * Missing skills list the CV skills the taxonomy relates to them in `related`.
+ */
+export function scoreJDMatch(jdText, cvText, { skills = [], skillDetails = null } = {}) {
+  const cv = String(cvText || '');
+  const own = { skills, skillDetails };
+  const cvIds = new Set(skills.map(skillId));
+  const keywords = extractJDKeywords(jdText, { skills }).map(k => {
+    const kw = { ...k, cvCount: findAll(cv, k.res).length };
+    if (k.kind !== 'skill' && k.kind !== 'tool') return kw;
+    const detail = skillDetail(own, k.key);
+    if (detail) Object.assign(kw, { level: detail.level || null, years: detail.years || null });
+    const related = relatedSkillIds(k.key).filter(id => cvIds.has(id));
+    if (related.length) kw.related = skills.filter(s => related.includes(skillId(s)));
+    return kw;
+  });
+  const total = keywords.reduce((s, k) => s + k.weight, 0);
+  const matched = keywords.filter(k => k.cvCount > 0);
+  const isShort = (k) => k.yearsRequired && k.years != null && k.years < k.yearsRequired;
+  const credit = (k) => isShort(k) ? k.weight * Math.max(0.5, k.years / k.yearsRequired) : k.weight;
+  const got = matched.reduce((s, k) => s + credit(k), 0);
+  const byWeight = (a, b) => b.weight - a.weight || a.label.localeCompare(b.label);
+
+  // Keyword stuffing: vocabulary terms repeated far more often than the JD uses them.
+  const jdKeys = new Map(keywords.map(k => [k.key, k.jdCount]));
+  const overRepresented = skillGroups(skills)
+    .map(g => { const hits = findAll(cv, g.res); return { key: g.key, label: hits[0]?.text || g.key, kind: g.kind, cvCount: hits.length, jdCount: jdKeys.get(g.key) || 0 }; })
+    .filter(k => k.cvCount >= 4 && k.cvCount >= 3 * Math.max(1, k.jdCount))
+    .sort((a, b) => b.cvCount - a.cvCount);
+
+  const years = YEARS_RE.exec(String(jdText || ''));
+  const strip = ({ res, ...k }) => k;
+  return {
+    score: total ? Math.round((got / total) * 100) : null,
+    matched: matched.sort(byWeight).map(strip),
+    missing: keywords.filter(k => !k.cvCount).sort(byWeight).map(strip),
+    short: matched.filter(isShort).sort(byWeight).map(strip),
+    overRepresented,
+    yearsRequired: years ? +years[1] : null
+  };
+}
+
+/* -------------------- skill evidence -------------------- */
+// Which skills the summary and the experience/project bullets actually mention, against the Skills list.
+let evidenceMemo = { key: null, value: null };
+
+/**
+ * skillEvidence(cv) → [{ key, name, category, listed, evidence: [{ path, at, text }] }]
+ * Every listed skill (evidence may be empty) plus every taxonomy skill the text mentions but Skills lacks.
+ * Listed skills come first; within each part, the best-backed first.
+ */
+export function skillEvidence(cv) {
+  const listed = (cv?.skills || []).filter(Boolean);
+  const summary = String(cv?.profile?.summary || '');
+  const sources = [...(summary.trim() ? [{ path: 'profile.summary', at: 'Summary', text: summary }] : []), ...eachBullet(cv || {})];
+  const memoKey = JSON.stringify([listed, sources.map(src => src.text)]);
+  if (evidenceMemo.key === memoKey) return evidenceMemo.value;
+
+  const names = new Map(listed.map(name => [skillId(name), name]));
+  const groups = skillGroups(listed);
+  // Hits of every skill in every source, tagged ambiguous when the term is also an everyday word or a letter.
+  const scanned = sources.map(src => {
+    const text = stripMark(src.text);
+    return { src, text, hits: groups.map(g => findAll(text, g.res).map(h => ({ ...h, end: h.index + h.text.length, ambiguous: isAmbiguousTerm(h.text) }))) };
+  });
+  const out = [];
+  groups.forEach((g, gi) => {
+    const name = names.get(g.key);
+    const counts = ({ text, hits }, h) => {
+      // "Series C", "Spring 2023 release", "Swift Delivery": an ambiguous term never suggests a skill on its own,
+      // and only backs a listed one next to tech wording ("in Go", "using C") or another known skill.
+      if (h.ambiguous) return !!name && (TECH_CUE_RE.test(text.slice(Math.max(0, h.index - 20), h.index))
+        || hits.some((other, oi) => oi !== gi && other.some(o => !o.ambiguous && Math.abs(o.index - h.index) <= 40)));
+      // A suggestion inside a longer skill of the same line ("AWS" in "AWS Lambda") is that skill's.
+      return !!name || !hits.some((other, oi) => oi !== gi && other.some(o => o.index <= h.index && o.end >= h.end && o.end - o.index > h.end - h.index));
+    };
+    const evidence = scanned.filter(sc => sc.hits[gi].some(h => counts(sc, h)))
+      .map(({ src, text }) => ({ path: src.path, at: src.at, text }));
+    if (name || evidence.length) out.push({ key: g.key, name: name || skillName(g.key), category: g.category, listed: !!name, evidence });
+  });
+  const value = out.sort((a, b) => b.listed - a.listed || b.evidence.length - a.evidence.length || a.name.localeCompare(b.name));
+  evidenceMemo = { key: memoKey, value };
+  return value;
+}
+
+const isAmbiguousTerm = (term) => term.length === 1 || AMBIGUOUS.has(term.toLowerCase());
+const TECH_CUE_RE = /\b(?:in|using|with|via|on|written in|built in)\s+$/i;
+
+const mentionedIn = (evidence) => evidence.length > 1 ? `${evidence[0].at} and ${evidence.length - 1} more` : evidence[0].at;
+
+registerLintRule({
+  id: 'skills.evidenced', severity: 'info', title: 'Skills shown in your experience but not listed',
+  check: (cv) => skillEvidence(cv).filter(s => !s.listed).map(s => ({
+    message: `${s.name} appears in ${mentionedIn(s.evidence)} but not in Skills.`, path: 'skills',
+    fix: { label: `Add ${s.name}`, apply: (c) => { if ((c.skills || []).some(x => skillId(x) === s.key)) return false; (c.skills ||= []).push(s.name); } }
+  }))
+});
+
+// Spoken languages are rarely named in bullets, so they are left out.
+registerLintRule({
+  id: 'skills.unsupported', severity: 'warning', title: 'Listed skills without evidence',
+  check: (cv) => skillEvidence(cv).filter(s => s.listed && !s.evidence.length && s.category !== 'Languages').map(s => ({
+    message: `${s.name} is listed in Skills, but no bullet or the summary shows it — back it up with a bullet or drop it.`, path: 'skills'
+  }))
+});
@@ -1,77 +1,148 @@
 // webapp/js/lib/cloud_local.js  (only the helpers below need changing)
+import { guard } from "./privacy.js";
 const BASE = "http://127.0.0.1:8787/api";
 
+/**
+ * Error answered by the proxy: { code, message, details } plus the HTTP status.
+ * code: invalid_request (details = [{ field, message }]), invalid_json, not_found, payload_too_large,
+ *       provider_error, model_invalid_output (details = { attempts, errors }), internal_error.
+ */
+export class ProxyError extends Error {
+  constructor({ code = "http_error", message = "", details = null } = {}, status = 0) {
+    const fields = Array.isArray(details) ? details : details?.errors;
+    const list = (fields || []).slice(0, 5).map(d => `${d.field || "reply"} ${d.message}`).join("; ");
+    super(`${message || `HTTP ${status}`}${list ? ` (${list})` : ""}`);
+    this.name = "ProxyError";
+    this.code = code; this.details = details; this.status = status;
+  }
+}
+
 async function jsonOrThrow(r) {
   const text = await r.text();
-  if (!r.ok) throw new Error(`HTTP ${r.status} ${r.statusText}: ${text}`);
+  if (!r.ok) {
+    let body = null;
+    try { body = JSON.parse(text); } catch {}
+    throw new ProxyError(body?.code ? body : { message: `HTTP ${r.status} ${r.statusText}`, details: text || null }, r.status);
+  }
   return text ? JSON.parse(text) : {};
 }
 
-export async function groupSkillsCloudLocal(skills, categories) {
-  const r = await fetch(`${BASE}/categorizeSkills`, {
+// POST a JSON body to /api/<route>. Every request passes the privacy guard (see privacy.js): personal data goes
+// out as placeholders, which are swapped back in the reply; strict mode may refuse the call before it is sent.
+async function post(route, body, { signal } = {}) {
+  const { body: safe, restore } = await guard(route, body);
+  const r = await fetch(`${BASE}/${route}`, {
     method: "POST", headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({ skills, categories })
+    body: JSON.stringify(safe), signal
   });
-  return await jsonOrThrow(r);
+  return restore(await jsonOrThrow(r));
+}
+
+export async function groupSkillsCloudLocal(skills, categories, { signal } = {}) {
+  return await post("categorizeSkills", { skills, categories }, { signal });
 }
 
 export async function summarizeJDCloudLocal(text) {
-  const r = await fetch(`${BASE}/summarizeJD`, {
-    method: "POST", headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({ text })
-  });
-  const data = await jsonOrThrow(r);
+  const data = await post("summarizeJD", { text });
   return data.markdown || "";
 }
 
 export async function bulletsFromJDCloudLocal(cv, jdText) {
-  const r = await fetch(`${BASE}/bulletsFromJD`, {
-    method: "POST", headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({ cv, jdText })
-  });
-  return await jsonOrThrow(r);
+  return await post("bulletsFromJD", { cv, jdText });
 }
 
-export async function writeCloudLocal({ prompt, tone="neutral", length="short", format="plain-text", context="" }) {
-  const r = await fetch(`${BASE}/write`, {
-    method: "POST", headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({ prompt, tone, length, format, context })
-  });
-  const data = await jsonOrThrow(r);
+export async function writeCloudLocal({ prompt, tone="neutral", length="short", format="plain-text", context="", signal }) {
+  const data = await post("write", { prompt, tone, length, format, context }, { signal });
   return data.text || "";
 }
 
 export async function rewriteCloudLocal({ text, operation="tighten", tone="neutral", length="short", format="plain-text", context="" }) {
-  const r = await fetch(`${BASE}/rewrite`, {
-    method: "POST", headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({ text, operation, tone, length, format, context })
-  });
-  const data = await jsonOrThrow(r);
+  const data = await post("rewrite", { text, operation, tone, length, format, context });
   return data.text || "";
 }
 
-export async function proofreadCloudLocal({ text, language="en" }) {
-  const r = await fetch(`${BASE}/proofread`, {
-    method: "POST", headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({ text, language })
-  });
-  const data = await jsonOrThrow(r);
+export async function proofreadCloudLocal({ text, language="en", signal }) {
+  const data = await post("proofread", { text, language }, { signal });
   return data.corrected || "";
 }
 
 export async function fetchCVSpecCloudLocal({ country, language="", seniority="mid" }) {
-  const r = await fetch(`${BASE}/cvSpec`, {
-    method: "POST", headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({ country, language, seniority })
-  });
-  return await jsonOrThrow(r);
+  return await post("cvSpec", { country, language, seniority });
 }
 
 export async function renderCVHTMLCloudLocal(cv, spec, theme="classic") {
-  const r = await fetch(`${BASE}/renderCVHTML`, {
-    method: "POST", headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({ cv, spec, theme })
-  });
-  const data = await jsonOrThrow(r);
+  const data = await post("renderCVHTML", { cv, spec, theme });
   return data.html || "";
-}
\ No newline at end of file
+}
+
+export async function parseCVCloudLocal(text, draft = {}, { signal } = {}) {
+  const data = await post("parseCV", { text, draft }, { signal });
+  return data.cv || {};
+}
+
+// Any prompt whose answer must match `schema` (the same JSON Schema subset as the Prompt API's responseConstraint).
+export async function promptCloudLocal({ prompt, schema, signal }) {
+  const data = await post("prompt", { prompt, schema }, { signal });
+  return data.result;
+}
+
+/* -------------------- streaming (server-sent events) -------------------- */
+/**
+ * POST to /api/<path>/stream (through the privacy guard, like post()) and read its events: `delta` pieces are
+ * joined and passed to onText(textSoFar), `done` resolves with the route's final JSON, `error` rejects with a
+ * ProxyError. Aborting `signal` closes the connection, which stops the model on the proxy side too.
+ */
+async function streamSSE(path, body, { signal, onText } = {}) {
+  const { body: safe, restore } = await guard(path, body);
+  const r = await fetch(`${BASE}/${path}/stream`, {
+    method: "POST", headers: { "Content-Type": "application/json", Accept: "text/event-stream" },
+    body: JSON.stringify(safe), signal
+  });
+  if (!r.ok || !r.body) return restore(await jsonOrThrow(r));
+
+  const reader = r.body.getReader();
+  const stop = () => reader.cancel().catch(() => {});
+  signal?.addEventListener("abort", stop, { once: true });
+  const decoder = new TextDecoder();
+  let buf = "", text = "";
+  try {
+    for (;;) {
+      const { value, done } = await reader.read();
+      signal?.throwIfAborted();
+      if (done) break;
+      buf += decoder.decode(value, { stream: true });
+      let cut;
+      while ((cut = buf.indexOf("\n\n")) >= 0) {
+        const block = buf.slice(0, cut); buf = buf.slice(cut + 2);
+        const event = block.match(/^event: *(.*)$/m)?.[1] || "message";
+        const data = block.split("\n").filter(l => l.startsWith("data:")).map(l => l.slice(5).trimStart()).join("\n");
+        if (!data) continue;
+        const payload = JSON.parse(data);
+        if (event === "delta") { text += payload.text || ""; onText?.(restore(text)); }
+        else if (event === "done") { reader.cancel().catch(() => {}); return restore(payload); }
+        else if (event === "error") throw new ProxyError(payload, 502);
+      }
+    }
+  } finally { signal?.removeEventListener("abort", stop); }
+  throw new ProxyError({ code: "stream_incomplete", message: "The proxy closed the stream before it finished." }, r.status);
+}
+
+export async function summarizeJDStreamCloudLocal(text, { signal, onText } = {}) {
+  const data = await streamSSE("summarizeJD", { text }, { signal, onText });
+  return data.markdown || "";
+}
+
+// Streams the raw lines (bullets, then "Skills: …"); resolves to { bullets, skills }.
+export async function bulletsFromJDStreamCloudLocal(cv, jdText, { signal, onText } = {}) {
+  return await streamSSE("bulletsFromJD", { cv, jdText }, { signal, onText });
+}
+
+export async function writeStreamCloudLocal({ prompt, tone="neutral", length="short", format="plain-text", context="", signal, onText }) {
+  const data = await streamSSE("write", { prompt, tone, length, format, context }, { signal, onText });
+  return data.text || "";
+}
+
+export async function rewriteStreamCloudLocal({ text, operation="tighten", tone="neutral", length="short", format="plain-text", context="", signal, onText }) {
+  const data = await streamSSE("rewrite", { text, operation, tone, length, format, context }, { signal, onText });
+  return data.text || "";
+}
@@ -0,0 +1,213 @@
+// webapp/js/lib/coverletter.js
+// Cover letters in the country pack's conventions, drafted only from CV facts and JD requirements.
+import { packLang } from './dates.js';
+import { getTheme, renderHeader } from './templates.js';
+import { scoreJDMatch } from './ats.js';
+
+/* -------------------- conventions -------------------- */
+// Language defaults; a pack's `cover_letter` overrides them. `{name}` is the recipient, `{place}`/`{date}` the date line.
+const LETTER_DEFAULTS = {
+  en: { salutation: 'Dear {name},', salutation_generic: 'Dear Hiring Manager,', sign_off: 'Kind regards,', sign_off_generic: '',
+    max_words: 350, paragraphs: 4, date_line: '{date}' },
+  de: { salutation: 'Guten Tag {name},', salutation_generic: 'Sehr geehrte Damen und Herren,', sign_off: 'Mit freundlichen Grüßen', sign_off_generic: '',
+    max_words: 400, paragraphs: 4, date_line: '{place}, {date}', lowercase_after_salutation: true },
+  fr: { salutation: 'Madame, Monsieur,', salutation_generic: 'Madame, Monsieur,',
+    sign_off: "Je vous prie d'agréer, Madame, Monsieur, l'expression de mes salutations distinguées.", sign_off_generic: '',
+    max_words: 350, paragraphs: 3, date_line: '{place}, le {date}' }
+};
+const LANGUAGE_NAMES = { en: 'English', de: 'German', fr: 'French' };
+
+export function letterConventions(pack = {}) {
+  return { ...LETTER_DEFAULTS[packLang(pack)], ...(pack.cover_letter || {}) };
+}
+
+export function salutationFor(conv, recipient = '') {
+  const name = String(recipient || '').trim();
+  return name ? conv.salutation.replace('{name}', name) : conv.salutation_generic;
+}
+
+// UK-style packs sign off differently when the reader is unnamed ("Yours faithfully").
+export function signOffFor(conv, recipient = '') {
+  return !String(recipient || '').trim() && conv.sign_off_generic ? conv.sign_off_generic : conv.sign_off;
+}
+
+// "19 October 2026" / "Berlin, 19. Oktober 2026" / "Paris, le 19 octobre 2026"
+export function letterDateLine(pack = {}, cv = {}, date = new Date()) {
+  const conv = letterConventions(pack);
+  let formatted;
+  try { formatted = new Intl.DateTimeFormat(pack.spelling || 'en-GB', { dateStyle: 'long' }).format(date); }
+  catch { formatted = date.toISOString().slice(0, 10); }
+  const place = String(cv.profile?.location || '').split(',')[0].trim();
+  return (place ? conv.date_line.replace('{place}', place) : '{date}').replace('{date}', formatted);
+}
+
+/* -------------------- facts and prompt -------------------- */
+const MAX_JD_CHARS = 4000;
+
+// Everything the letter may claim, as plain lines: profile, roles with their bullets, education, skills.
+export function letterFacts(cv = {}) {
+  const p = cv.profile || {};
+  const lines = [];
+  if (p.name || p.title) lines.push([p.name, p.title].filter(Boolean).join(', '));
+  if (p.summary) lines.push(`Summary: ${p.summary}`);
+  for (const e of (cv.experience || []).slice(0, 4)) {
+    const dates = [e.start, e.end].filter(Boolean).join(' – ');
+    lines.push(`${e.role || 'Role'} at ${e.company || 'employer'}${dates ? ` (${dates})` : ''}`);
+    (e.bullets || []).slice(0, 5).forEach(b => lines.push(`  - ${b}`));
+  }
+  for (const ed of cv.education || []) lines.push(`Education: ${[ed.degree, ed.institution, ed.end].filter(Boolean).join(', ')}`);
+  if (cv.skills?.length) lines.push(`Skills: ${cv.skills.join(', ')}`);
+  for (const c of cv.certifications || []) if (c.name) lines.push(`Certification: ${[c.name, c.issuer].filter(Boolean).join(', ')}`);
+  for (const pr of cv.projects || []) if (pr.name) lines.push(`Project: ${pr.name}${pr.bullets?.length ? ` — ${pr.bullets.slice(0, 2).join('; ')}` : ''}`);
+  return lines.join('\n');
+}
+
+/**
+ * coverLetterPrompt({ cv, pack, jd, jdSummary, company, role }) → prompt for a Writer / writeCloudLocal call.
+ * The model writes the body only; salutation, sign-off and signature come from the pack.
+ */
+export function coverLetterPrompt({ cv, pack = {}, jd = '', jdSummary = '', company = '', role = '' }) {
+  const conv = letterConventions(pack);
+  const lang = packLang(pack);
+  return `Write the body of a cover letter for the ${role ? `"${role}" ` : ''}position${company ? ` at ${company}` : ''}.
+Rules:
+- Use ONLY facts from CANDIDATE FACTS. Never invent employers, titles, dates, numbers, skills or achievements.
+- Connect those facts to requirements from the JOB. Leave out any requirement the facts do not support.
+- ${conv.paragraphs} paragraphs separated by a blank line, at most ${conv.max_words} words in total.
+- Write in ${LANGUAGE_NAMES[lang]} with ${pack.spelling || 'en-GB'} spelling.
+- No salutation, sign-off, signature, address, bullet points or placeholders such as [Company].${conv.lowercase_after_salutation ? '\n- Start the first paragraph with a lowercase letter: it follows the salutation comma.' : ''}
+
+CANDIDATE FACTS:
+${letterFacts(cv)}
+
+JOB${jdSummary ? ' (summary)' : ''}:
+${String(jdSummary || jd).slice(0, MAX_JD_CHARS)}`;
+}
+
+// Model output → paragraphs, dropping any salutation, sign-off or signature it added anyway.
+const SALUTATION_RE = /^(dear|hello|hi|to whom|sehr geehrte|guten tag|hallo|madame|monsieur|bonjour)\b.{0,60}[,:]?$/i;
+const SIGN_OFF_RE = /^(kind regards|best regards|regards|sincerely|yours (sincerely|faithfully|truly)|mit freundlichen grüßen|beste grüße|cordialement|je vous prie|veuillez agréer)\b/i;
+export function parseLetterBody(text) {
+  const paras = String(text || '')
+    .replace(/^```\w*\s*|```\s*$/g, '')
+    .split(/\n\s*\n/)
+    .map(p => p.split('\n').map(l => l.trim()).filter(l => !SALUTATION_RE.test(l)).join(' ').trim())
+    .filter(Boolean);
+  const cut = paras.findIndex(p => SIGN_OFF_RE.test(p));
+  return cut >= 0 ? paras.slice(0, cut) : paras;
+}
+
+/* -------------------- deterministic draft -------------------- */
+// Lower-cases a bullet's opening word to run it on mid-sentence, unless it is an acronym or a name ("AWS", "GraphQL", "A/B", "I").
+const lowerFirst = (s) => {
+  const word = s.match(/^\S*/)[0];
+  const plain = /^\p{Lu}/u.test(word) && !/\p{Lu}/u.test(word.slice(1)) && !/^I(?!\p{L})/u.test(word);
+  return plain ? s.charAt(0).toLowerCase() + s.slice(1) : s;
+};
+const LOCAL_PHRASES = {
+  en: {
+    open: (role, company) => `I am writing to apply for the ${role || 'advertised'} position${company ? ` at ${company}` : ''}.`,
+    current: (e, list) => `In my work as ${e.role} at ${e.company}, I ${list.map(lowerFirst).join('; ')}.`,
+    match: (list) => `The role asks for ${list}, which I use in my day-to-day work.`,
+    close: (company) => `I would welcome the opportunity to discuss how I can contribute to ${company || 'your team'}.`
+  },
+  de: {
+    open: (role, company) => `hiermit bewerbe ich mich um die Stelle als ${role || 'ausgeschriebene Position'}${company ? ` bei ${company}` : ''}.`,
+    current: (e, list) => `Als ${e.role} bei ${e.company} habe ich unter anderem Folgendes erreicht: ${list.join('; ')}.`,
+    match: (list) => `Die Stelle verlangt ${list} – Kenntnisse, die ich täglich einsetze.`,
+    close: () => 'Über die Einladung zu einem persönlichen Gespräch freue ich mich.'
+  },
+  fr: {
+    open: (role, company) => `Je souhaite vous proposer ma candidature au poste de ${role || 'la fonction proposée'}${company ? ` chez ${company}` : ''}.`,
+    current: (e, list) => `Mes réalisations en tant que ${e.role} chez ${e.company} : ${list.join(' ; ')}.`,
+    match: (list) => `Le poste requiert ${list}, des compétences que je mets en œuvre au quotidien.`,
+    close: () => 'Je me tiens à votre disposition pour un entretien.'
+  }
+};
+
+/**
+ * draftLetterLocal({ cv, pack, jd, company, role }) → paragraphs
+ * Offline fallback: opening, the bullets that best cover the JD's keywords, matched keywords, closing.
+ */
+export function draftLetterLocal({ cv = {}, pack = {}, jd = '', company = '', role = '' }) {
+  const t = LOCAL_PHRASES[packLang(pack)];
+  const { matched = [] } = jd ? scoreJDMatch(jd, letterFacts(cv), { skills: cv.skills || [] }) : {};
+  const terms = matched.filter(k => k.kind === 'skill' || k.kind === 'tool').map(k => k.label);
+  const paragraphs = [[t.open(role, company), cv.profile?.summary].filter(Boolean).join(' ')];
+
+  const e = (cv.experience || []).find(x => x.role && x.company && x.bullets?.length);
+  if (e) {
+    const hits = (b) => terms.filter(term => b.toLowerCase().includes(term.toLowerCase())).length;
+    const best = [...e.bullets].sort((a, b) => hits(b) - hits(a)).slice(0, 3).map(b => b.replace(/[.;]\s*$/, ''));
+    paragraphs.push(t.current(e, best));
+  }
+  if (terms.length) paragraphs.push(t.match(terms.slice(0, 6).join(', ')));
+  paragraphs.push(t.close(company));
+  return paragraphs;
+}
+
+/* -------------------- checks -------------------- */
+const NUMBER_RE = /\d+(?:[.,]\d+)?\s*(?:%|k\b|m\b|\+)?/gi;
+const PLACEHOLDER_RE = /\[[^\]]{2,40}\]|\{[^}]{2,40}\}|<[A-Z][^>]{1,40}>/;
+
+/**
+ * letterIssues(letter, cv, jd, pack) → [{ message }]
+ * Flags claims the CV can't back (numbers, skills), leftover placeholders and letters over the pack's length.
+ */
+export function letterIssues(letter, cv = {}, jd = '', pack = {}) {
+  const conv = letterConventions(pack);
+  const body = (letter?.paragraphs || []).join('\n\n');
+  const facts = letterFacts(cv);
+  const issues = [];
+
+  const words = body.split(/\s+/).filter(Boolean).length;
+  if (words > conv.max_words) issues.push({ message: `The letter has ${words} words; keep it under ${conv.max_words} for this country.` });
+
+  const known = `${facts}\n${jd}`.replace(/\s+/g, '');
+  const numbers = new Set((body.match(NUMBER_RE) || []).map(n => n.replace(/\s+/g, '')).filter(n => /\d{2,}|%/.test(n)));
+  for (const n of numbers) if (!known.includes(n)) issues.push({ message: `“${n}” is not in your CV or the job description — check it is a real figure.` });
+
+  // Skills named in the letter but absent from the CV, even if the JD asks for them.
+  const { missing = [] } = scoreJDMatch(body, facts, { skills: cv.skills || [] });
+  for (const k of missing.filter(k => k.kind === 'skill' || k.kind === 'tool')) {
+    issues.push({ message: `The letter mentions ${k.label}, which your CV does not show.` });
+  }
+
+  const ph = PLACEHOLDER_RE.exec(body);
+  if (ph) issues.push({ message: `Replace the placeholder ${ph[0]}.` });
+  return issues;
+}
+
+/* -------------------- rendering -------------------- */
+export const LETTER_CSS = `.cover-letter .letter-meta{margin:18px 0 14px}
+.cover-letter .item p{margin:0 0 10px}
+.cover-letter .letter-sign{margin-top:14px}`;
+
+/**
+ * renderCoverLetter(letter, cv, pack, { theme, date }) → DOM node styled by the CV theme.
+ * letter: { recipient, company, role, salutation, paragraphs, signOff }
+ */
+export function renderCoverLetter(letter = {}, cv = {}, pack = {}, opts = {}) {
+  const theme = getTheme(opts.theme || cv.meta?.theme);
+  const conv = letterConventions(pack);
+  const el = document.createElement('div');
+  el.className = `cv-page-wrap cv-theme-${theme.id} cover-letter`;
+  el.dataset.theme = theme.id;
+  const to = [letter.recipient, letter.company].filter(Boolean).map(escapeHtml);
+  const para = (t) => `<div class="item"><p>${escapeHtml(t)}</p></div>`;
+  el.innerHTML = `
+    <div class="cv">
+      ${renderHeader(cv)}
+      <div class="item letter-meta"><div>${escapeHtml(letterDateLine(pack, cv, opts.date))}</div>${to.length ? `<div>${to.map(x => `<div>${x}</div>`).join('')}</div>` : ''}</div>
+      ${para(letter.salutation || salutationFor(conv, letter.recipient))}
+      ${(letter.paragraphs || []).filter(p => p.trim()).map(para).join('')}
+      <div class="item letter-sign"><p>${escapeHtml(letter.signOff || signOffFor(conv, letter.recipient))}</p><p>${escapeHtml(cv.profile?.name || '')}</p></div>
+    </div>`;
+  return el;
+}
+
+function escapeHtml(s) {
+  return String(s).replace(/[&<>"']/g, c => ({
+    '&':'&amp;', '<':'&lt;', '>':'&gt;', '"':'&quot;', "'":'&#39;'
+  }[c]));
+}
@@ -0,0 +1,393 @@
+// webapp/js/lib/cvimport.js
+// Import an existing CV (PDF text layer, DOCX or plain text) into the CV shape.
+// Deterministic heuristics only — AI refinement, if any, happens in main.js on top of this draft.
+import { tokenizeSkills } from './skills.js';
+import { readZip } from './zip.js';
+import { extractPDFText } from './pdftext.js';
+import { sectionKey } from './packs.js';
+import { MONTH_NAMES, PRESENT_WORDS } from './dates.js';
+
+/* -------------------- headings -------------------- */
+function headingKey(line, styled) {
+  let clean = line.trim().replace(/[:：]\s*$/, '').replace(/\s+/g, ' ');
+  if (/^(\S ){3,}\S$/.test(clean)) clean = clean.replace(/ /g, ''); // "E X P E R I E N C E"
+  const key = sectionKey(clean);
+  if (key) return key;
+  if (styled?.has(line.trim())) return 'other';
+  return null;
+}
+
+/* -------------------- dates -------------------- */
+const MONTHS = [...MONTH_NAMES].sort((a, b) => b.length - a.length);
+
+const DATE_SRC = `(?:(?:${MONTHS.join('|')})\\.?\\s*\\d{4}|\\d{1,2}[/.]\\d{4}|\\d{4}[-/]\\d{1,2}(?![\\d/])|(?:19|20)\\d{2})`;
+const PRESENT_SRC = `(?:${PRESENT_WORDS.join('|')})`;
+const RANGE_RE = new RegExp(
+  `(?:(?:since|seit|depuis)\\s+(${DATE_SRC}))|(${DATE_SRC})\\s*(?:[-–—]+|to|bis|à|au|until|through)\\s*(${DATE_SRC}|${PRESENT_SRC})`, 'iu');
+const DATE_RE = new RegExp(DATE_SRC, 'iu');
+
+// → { start, end, rest } or null; `rest` is the line without the range (and its brackets/separators)
+function takeRange(line) {
+  const m = RANGE_RE.exec(line);
+  if (!m) return null;
+  const start = (m[1] || m[2]).trim();
+  const end = m[1] ? 'Present' : m[3].trim();
+  const rest = (line.slice(0, m.index) + ' ' + line.slice(m.index + m[0].length))
+    .replace(/[([]\s*[)\]]/g, ' ').replace(/\s{2,}/g, '  ').trim().replace(/^[|•·,–—-]\s*|\s*[|•·,–—-]$/g, '').trim();
+  return { start, end, rest };
+}
+
+function takeDate(line) {
+  const m = DATE_RE.exec(line);
+  if (!m) return null;
+  return { date: m[0].trim(), rest: (line.slice(0, m.index) + ' ' + line.slice(m.index + m[0].length)).replace(/[([]\s*[)\]]/g, ' ').trim() };
+}
+
+/* -------------------- contact -------------------- */
+const EMAIL_RE = /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/;
+const LINKEDIN_RE = /(?:https?:\/\/)?(?:[\w-]+\.)?linkedin\.com\/[^\s|,•·]+/i;
+const GITHUB_RE = /(?:https?:\/\/)?(?:www\.)?github\.com\/[^\s|,•·]+/i;
+const URL_RE = /(?:https?:\/\/|www\.)[^\s|,•·]+|\b[\w-]+(?:\.[\w-]+)*\.(?:com|dev|io|me|net|org|app|de|fr|uk|eu|ch|at)(?:\/[^\s|,•·]*)?\b/i;
+const PHONE_RE = /(?:\+|00)?\(?\d[\d ().\/-]{6,}\d/;
+const LABEL_RE = /\b(?:tel|phone|mobile|mobil|handy|téléphone|e-?mail|courriel|web|website|site|address|adresse|anschrift|linkedin|github)\s*:\s*|\btel\.\s*/gi;
+
+function take(re, s) {
+  const m = re.exec(s);
+  return m ? { value: m[0], rest: s.replace(m[0], ' ') } : { value: '', rest: s };
+}
+
+function splitParts(s) {
+  return s.split(/\s*[|•·]\s*|\s{2,}|\t/).map(p => p.trim().replace(/^[,;–—-]+|[,;–—-]+$/g, '').trim()).filter(Boolean);
+}
+
+const words = (s) => String(s).split(/\s+/).filter(Boolean).length;
+const titleCase = (s) => s.toLowerCase().replace(/(^|[\s'’-])(\p{L})/gu, (_, a, b) => a + b.toUpperCase());
+
+function parseHeader(lines, cv, warnings) {
+  const c = cv.profile.contact;
+  const loose = [];
+  for (const raw of lines) {
+    let line = raw.replace(LABEL_RE, ' ');
+    let hadContact = false;
+    for (const [key, re] of [['email', EMAIL_RE], ['linkedin', LINKEDIN_RE], ['github', GITHUB_RE]]) {
+      const r = take(re, line);
+      if (r.value) { hadContact = true; line = r.rest; if (!c[key]) c[key] = r.value; }
+    }
+    const url = take(URL_RE, line);
+    if (url.value) { hadContact = true; line = url.rest; if (!c.website) c.website = url.value; }
+    const phone = PHONE_RE.exec(line);
+    if (phone && phone[0].replace(/\D/g, '').length >= 7 && !RANGE_RE.test(phone[0])) {
+      hadContact = true; line = line.replace(phone[0], ' '); if (!c.phone) c.phone = phone[0].trim();
+    }
+    const parts = splitParts(line);
+    if (hadContact) { if (parts.length && !cv.profile.location) cv.profile.location = parts.join(', '); }
+    else if (line.trim()) loose.push(line.trim());
+  }
+
+  for (const line of loose) {
+    if (!cv.profile.name && words(line) <= 6 && !/\d/.test(line)) cv.profile.name = line === line.toUpperCase() ? titleCase(line) : line;
+    else if (!cv.profile.location && words(line) <= 5 && /^[^,]{2,40},\s*[^,]{2,40}$/.test(line) && !ROLE_RE.test(line)) cv.profile.location = line;
+    else if (!cv.profile.title && words(line) <= 10) cv.profile.title = splitParts(line).join(' · ');
+    else if (words(line) > 8) cv.profile.summary = [cv.profile.summary, line].filter(Boolean).join(' ');
+    else warnings.push(`Unplaced header line: "${line}"`);
+  }
+}
+
+/* -------------------- entries -------------------- */
+const BULLET_RE = /^\s*(?:[•\-*–—▪■●◦‣∙►▸✓]|\d{1,2}[.)])\s*/;
+const isBullet = (l) => BULLET_RE.test(l) && !/^\s*\d{1,2}[.)]\d/.test(l) && !RANGE_RE.test(l.replace(BULLET_RE, '').slice(0, 30));
+const stripBullet = (l) => l.replace(BULLET_RE, '').trim();
+const isContinuation = (prev, line) => /^\s*[a-zà-ÿ(]/.test(line) || /[,;:–-]$/.test(prev) || /\b(?:and|or|of|the|to|with|für|und|et|de)$/i.test(prev);
+
+const ROLE_RE = /\b(?:engineer|developer|manager|lead|analyst|consultant|designer|scientist|architect|intern|director|head|officer|specialist|administrator|assistant|researcher|associate|owner|founder|cto|ceo|vp|entwickler\w*|berater\w*|leiter\w*|ingenieur\w*|werkstudent\w*|praktikant\w*|referent\w*|développeu\w*|ingénieur\w*|chef|responsable|stagiaire|chargée?|consultante?)\b/i;
+const SCHOOL_RE = /universit|college|school|institut|academy|akademie|hochschule|\bTU\b|\bETH\b|école|ecole|lycée|gymnasium|polytechn/i;
+
+const indentOf = (l) => /^\s*/.exec(l)[0].length;
+
+// Group section lines into { header:[], bullets:[] } entries. In `dated` sections (experience) every entry has a
+// date range, so a lone short line between bullets is taken as the wrapped end of the bullet above, not a new entry.
+function groupEntries(lines, { dated = false } = {}) {
+  const out = [];
+  let cur = null;
+  let bulletIndent = 0;
+  const fresh = () => { cur = { header: [], bullets: [], hasRange: false }; out.push(cur); };
+  lines.forEach((line, i) => {
+    if (isBullet(line)) {
+      if (!cur) fresh();
+      cur.bullets.push(stripBullet(line));
+      bulletIndent = indentOf(line);
+      return;
+    }
+    const last = cur?.bullets[cur.bullets.length - 1];
+    const range = RANGE_RE.test(line);
+    const next = lines[i + 1];
+    const loneLine = dated && !range && words(line) <= 6 && (next == null || isBullet(next));
+    if (last != null && !range && (indentOf(line) > bulletIndent || loneLine || isContinuation(last, line))) {
+      cur.bullets[cur.bullets.length - 1] = `${last} ${line.trim()}`;
+      return;
+    }
+    if (cur && !cur.bullets.length && cur.header.length && words(line) > 12 && !range) {
+      cur.bullets.push(line.trim()); // paragraph-style description
+      return;
+    }
+    if (!cur || cur.bullets.length || (range && cur.hasRange) || cur.header.length >= 3) fresh();
+    cur.header.push(line.trim());
+    if (range) cur.hasRange = true;
+  });
+  return out;
+}
+
+// "Role — Company • Location" / "Role at Company" / "Company | Role" / two lines.
+function splitTitleLine(line) {
+  const at = /^(.+?)\s+(?:at|@|bei|chez)\s+(.+)$/i.exec(line);
+  if (at) return [at[1], ...splitParts(at[2].replace(/\s+[—–-]\s+/g, ' | '))];
+  const parts = splitParts(line.replace(/\s+[—–-]\s+/g, ' | '));
+  if (parts.length === 1 && /,/.test(line)) return line.split(/\s*,\s*/).filter(Boolean);
+  return parts;
+}
+
+function headerFields(header) {
+  let start = '', end = '';
+  const rest = [];
+  for (const h of header) {
+    const r = !start ? takeRange(h) : null;
+    if (r) { start = r.start; end = r.end; if (r.rest) rest.push(r.rest); }
+    else rest.push(h);
+  }
+  return { start, end, lines: rest };
+}
+
+function toExperience(entry) {
+  const { start, end, lines } = headerFields(entry.header);
+  const first = splitTitleLine(lines[0] || '');
+  let [role = '', company = '', location = ''] = first;
+  if (first.length > 3) location = first.slice(2).join(', ');
+  if (lines[1]) {
+    const second = splitTitleLine(lines[1]);
+    if (!company) { company = second[0] || ''; location = location || second.slice(1).join(', '); }
+    else if (!location) location = second.join(', ');
+  }
+  if (company && ROLE_RE.test(company) && !ROLE_RE.test(role)) [role, company] = [company, role];
+  return { company, role, location, start, end, bullets: entry.bullets };
+}
+
+function toEducation(entry) {
+  const { start, end, lines } = headerFields(entry.header);
+  let s = start, e = end;
+  const parts = lines.flatMap(splitTitleLine);
+  if (!s) {
+    const i = parts.findIndex(p => DATE_RE.test(p));
+    if (i >= 0) { const d = takeDate(parts[i]); e = d.date; parts[i] = d.rest; }
+  }
+  const kept = parts.filter(Boolean);
+  let [degree = '', institution = ''] = kept;
+  if (SCHOOL_RE.test(degree) && !SCHOOL_RE.test(institution)) [degree, institution] = [institution, degree];
+  return { institution, degree, start: s, end: e };
+}
+
+function toProject(entry) {
+  const head = entry.header.join('  ');
+  const link = (URL_RE.exec(head) || [''])[0];
+  const name = splitParts(link ? head.replace(link, ' ') : head)[0] || '';
+  return { name, link, bullets: entry.bullets };
+}
+
+function toCertification(line) {
+  const link = (URL_RE.exec(line) || [''])[0];
+  let text = link ? line.replace(link, ' ') : line;
+  let date = '';
+  const d = takeDate(text);
+  if (d) { date = d.date; text = d.rest; }
+  const [name = '', issuer = ''] = splitTitleLine(text);
+  return { name, issuer, date, link };
+}
+
+function toPublication(line) {
+  const link = (/https?:\/\/\S+/.exec(line) || [''])[0];
+  let text = (link ? line.replace(link, ' ') : line).replace(/\s+[—–-]\s*$/, '').trim();
+  const doiM = /(?:doi:\s*|https?:\/\/doi\.org\/)(\S+)|(10\.\d{4,}\/\S+)/i.exec(text);
+  const doi = doiM ? (doiM[1] || doiM[2]).replace(/[.,]$/, '') : '';
+  if (doiM) text = text.replace(doiM[0], ' ');
+  const q = /[“"«]\s*([^”"»]+?)\s*[”"»]/.exec(text);
+  if (!q) return { title: text.replace(/[\s,]+$/, ''), authors: '', venue: '', date: '', doi, link };
+  const authors = text.slice(0, q.index).replace(/[\s,.:]+$/, '');
+  const after = text.slice(q.index + q[0].length).split(/\s*,\s*/).map(s => s.trim()).filter(Boolean);
+  const di = after.findIndex(p => DATE_RE.test(p));
+  const date = di >= 0 ? after.splice(di, 1)[0] : '';
+  return { title: q[1], authors, venue: after.join(', '), date, doi, link };
+}
+
+function toPatent(line) {
+  const link = (/https?:\/\/\S+/.exec(line) || [''])[0];
+  let text = link ? line.replace(link, ' ') : line;
+  const num = /\b(US|EP|DE|WO|GB|FR|CN|JP|KR|IN)\s?(\d[\d,./]*(?:\s?[A-Z]\d?)?)\b/.exec(text);
+  if (num) text = text.replace(num[0], ' ');
+  const parts = text.split(/\s*[·|—–]\s*|\s*,\s*/).map(s => s.trim()).filter(Boolean);
+  const di = parts.findIndex(p => DATE_RE.test(p));
+  const date = di >= 0 ? parts.splice(di, 1)[0] : '';
+  return { title: parts[0] || '', office: num ? num[1] : '', number: num ? num[2].trim() : '', date, status: '', link, inventors: parts.slice(1).join(', ') };
+}
+
+/* -------------------- public API -------------------- */
+/**
+ * parseCVText(text, { headings, base }) → { cv, warnings, sections }
+ * `headings` is an optional Set of lines known to be headings (e.g. DOCX Heading styles);
+ * `base` is an empty CV to fill (defaults to a fresh shape). Dates are kept as written.
+ */
+export function parseCVText(text, { headings, base } = {}) {
+  const cv = base ? structuredClone(base) : {
+    profile: { name: '', title: '', location: '', contact: { email: '', phone: '', website: '', linkedin: '', github: '' }, summary: '' },
+    experience: [], education: [], skills: [], certifications: [], projects: [], publications: [], patents: [], meta: {}
+  };
+  cv.profile.contact ||= {};
+  const warnings = [];
+  const lines = String(text || '').replace(/\r\n?/g, '\n').replace(/[\u00A0\u2007\u2009\u202F]/g, ' ')
+    .split('\n').map(l => l.replace(/\s+$/, '')).filter(l => l.trim());
+
+  const header = [];
+  const sections = [];
+  let cur = null;
+  for (const line of lines) {
+    const key = headingKey(line, headings);
+    if (key) { cur = { key, title: line.trim().replace(/[:：]\s*$/, ''), lines: [] }; sections.push(cur); }
+    else if (cur) cur.lines.push(line);
+    else header.push(line);
+  }
+  if (!sections.length) warnings.push('No section headings recognised — only contact details were extracted.');
+
+  parseHeader(header, cv, warnings);
+
+  for (const sec of sections) {
+    const body = sec.lines;
+    switch (sec.key) {
+      case 'summary':
+        cv.profile.summary = [cv.profile.summary, body.map(l => (isBullet(l) ? stripBullet(l) : l.trim())).join(' ')].filter(Boolean).join(' ');
+        break;
+      case 'experience':
+        cv.experience.push(...groupEntries(body, { dated: true }).map(toExperience).filter(e => e.role || e.company || e.bullets.length));
+        break;
+      case 'education':
+        cv.education.push(...groupEntries(body).map(toEducation).filter(e => e.degree || e.institution));
+        break;
+      case 'projects':
+        cv.projects.push(...groupEntries(body).map(toProject).filter(p => p.name || p.bullets.length));
+        break;
+      case 'skills': {
+        const flat = body.map(l => stripBullet(l).replace(/^[^:]{1,40}:\s*/, '').replace(/\s*[|•·]\s*/g, ', ')).join('\n');
+        cv.skills.push(...tokenizeSkills(flat).filter(s => !cv.skills.includes(s)));
+        break;
+      }
+      case 'certifications':
+        cv.certifications.push(...body.map(stripBullet).filter(Boolean).map(toCertification));
+        break;
+      case 'publications':
+        cv.publications.push(...joinWrapped(body).map(toPublication));
+        break;
+      case 'patents':
+        cv.patents.push(...joinWrapped(body).map(toPatent));
+        break;
+      default:
+        warnings.push(`Skipped section "${sec.title}" — the CV has no field for it.`);
+    }
+  }
+
+  cv.experience.forEach((e, i) => {
+    if (!e.start) warnings.push(`Experience #${i + 1} (${e.role || e.company || 'untitled'}): no dates found.`);
+    if (!e.company) warnings.push(`Experience #${i + 1} (${e.role || 'untitled'}): company not recognised.`);
+  });
+  if (!cv.profile.name) warnings.push('Name not found.');
+  if (!cv.profile.contact.email) warnings.push('Email not found.');
+
+  return { cv, warnings, sections: sections.map(s => ({ key: s.key, title: s.title, lines: s.lines.length })) };
+}
+
+// One item per bullet; non-bullet lines continue the previous item (wrapped citations).
+function joinWrapped(lines) {
+  const out = [];
+  for (const l of lines) {
+    if (isBullet(l) || !out.length || !isContinuation(out[out.length - 1], l.trim())) out.push(stripBullet(l));
+    else out[out.length - 1] += ` ${l.trim()}`;
+  }
+  return out.filter(Boolean);
+}
+
+/**
+ * extractCVText(file) → Promise<{ text, headings, kind }>
+ * kind: 'pdf' | 'docx' | 'text'. Throws for unsupported files (old .doc, images).
+ */
+export async function extractCVText(file) {
+  const name = String(file?.name || '').toLowerCase();
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  const magic = String.fromCharCode(...bytes.subarray(0, 5));
+  if (magic === '%PDF-' || name.endsWith('.pdf')) {
+    const text = await extractPDFText(bytes);
+    if (!text.trim()) throw new Error('This PDF has no text layer (scanned?). Paste the text instead.');
+    return { text, headings: new Set(), kind: 'pdf' };
+  }
+  if (magic.startsWith('PK') || name.endsWith('.docx')) return { ...(await docxText(bytes)), kind: 'docx' };
+  if (name.endsWith('.doc')) throw new Error('Old .doc files are not supported — save as .docx or PDF first.');
+  return { text: new TextDecoder().decode(bytes), headings: new Set(), kind: 'text' };
+}
+
+// Paragraph text from word/document.xml; list paragraphs get a bullet, Heading/Title styles are reported.
+async function docxText(bytes) {
+  const files = await readZip(bytes);
+  const xml = files.get('word/document.xml');
+  if (!xml) throw new Error('Not a Word document (word/document.xml missing).');
+  const doc = new DOMParser().parseFromString(new TextDecoder().decode(xml), 'application/xml');
+  const W = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+  const headings = new Set();
+  const out = [];
+  for (const p of doc.getElementsByTagNameNS(W, 'p')) {
+    let text = '';
+    const walk = (node) => {
+      for (const n of node.childNodes) {
+        if (n.namespaceURI !== W) continue;
+        if (n.localName === 't') text += n.textContent;
+        else if (n.localName === 'tab') text += '\t';
+        else if (n.localName === 'br' || n.localName === 'cr') text += '\n';
+        else if (n.localName !== 'pPr' && n.localName !== 'rPr' && n.localName !== 'p') walk(n);
+      }
+    };
+    walk(p);
+    if (!text.trim()) continue;
+    const style = p.getElementsByTagNameNS(W, 'pStyle')[0]?.getAttributeNS(W, 'val') || '';
+    const list = p.getElementsByTagNameNS(W, 'numPr').length > 0 || /List/i.test(style);
+    if (/^(Heading|berschrift|Titre)1?$/i.test(style)) headings.add(text.trim());
+    out.push(list && !BULLET_RE.test(text) ? `• ${text}` : text);
+  }
+  return { text: out.join('\n'), headings };
+}
+
+/**
+ * Coerce model output (AI refinement) back into the CV shape: known keys only, strings trimmed,
+ * bullets as string arrays. Unknown or malformed values fall back to `fallback`.
+ */
+export function sanitizeImportedCV(obj, fallback) {
+  const str = (v) => (typeof v === 'string' ? v.trim() : typeof v === 'number' ? String(v) : '');
+  const list = (v) => (Array.isArray(v) ? v.map(str).filter(Boolean) : []);
+  const objs = (v, keys, lists = []) => (Array.isArray(v) ? v.filter(x => x && typeof x === 'object').map(x => {
+    const o = {};
+    keys.forEach(k => { o[k] = str(x[k]); });
+    lists.forEach(k => { o[k] = list(x[k]); });
+    return o;
+  }) : null);
+  const p = obj?.profile || {};
+  const c = p.contact || {};
+  const fb = fallback || {};
+  return {
+    ...fb,
+    profile: {
+      name: str(p.name) || fb.profile?.name || '', title: str(p.title) || fb.profile?.title || '',
+      location: str(p.location) || fb.profile?.location || '', summary: str(p.summary) || fb.profile?.summary || '',
+      contact: Object.fromEntries(['email', 'phone', 'website', 'linkedin', 'github'].map(k => [k, str(c[k]) || fb.profile?.contact?.[k] || '']))
+    },
+    experience: objs(obj?.experience, ['company', 'role', 'location', 'start', 'end'], ['bullets']) || fb.experience || [],
+    education: objs(obj?.education, ['institution', 'degree', 'start', 'end']) || fb.education || [],
+    skills: Array.isArray(obj?.skills) ? [...new Set(list(obj.skills))] : fb.skills || [],
+    certifications: objs(obj?.certifications, ['name', 'issuer', 'date', 'link']) || fb.certifications || [],
+    projects: objs(obj?.projects, ['name', 'link'], ['bullets']) || fb.projects || [],
+    publications: objs(obj?.publications, ['title', 'authors', 'venue', 'date', 'doi', 'link']) || fb.publications || [],
+    patents: objs(obj?.patents, ['title', 'office', 'number', 'date', 'status', 'link', 'inventors']) || fb.patents || []
+  };
+}
@@ -0,0 +1,157 @@
+// webapp/js/lib/dates.js
+// CV date parsing and pack-aware formatting ("MMM YYYY" / "MM/YYYY", localised month names and "Present"),
+// plus the chronology checks built on the parsed values (reverse-chronological order, overlaps, gaps).
+
+const MONTH_WORDS = [
+  ['jan', 'january', 'januar', 'janvier', 'janv', 'jän', 'jänner'],
+  ['feb', 'february', 'februar', 'fév', 'fev', 'févr', 'fevr', 'février', 'fevrier'],
+  ['mar', 'march', 'märz', 'maerz', 'mär', 'mrz', 'mars'],
+  ['apr', 'april', 'avr', 'avril'],
+  ['may', 'mai'],
+  ['jun', 'june', 'juni', 'juin'],
+  ['jul', 'july', 'juli', 'juil', 'juillet'],
+  ['aug', 'august', 'août', 'aout'],
+  ['sep', 'sept', 'september', 'septembre'],
+  ['oct', 'october', 'okt', 'oktober', 'octobre'],
+  ['nov', 'november', 'novembre'],
+  ['dec', 'december', 'dez', 'dezember', 'déc', 'décembre', 'decembre']
+];
+const MONTH_INDEX = new Map(MONTH_WORDS.flatMap((words, m) => words.map(w => [w, m + 1])));
+const MONTH_ABBR = {
+  en: ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'],
+  de: ['Jan', 'Feb', 'Mär', 'Apr', 'Mai', 'Jun', 'Jul', 'Aug', 'Sep', 'Okt', 'Nov', 'Dez'],
+  fr: ['janv.', 'févr.', 'mars', 'avr.', 'mai', 'juin', 'juil.', 'août', 'sept.', 'oct.', 'nov.', 'déc.']
+};
+export const PRESENT_LABEL = { en: 'Present', de: 'heute', fr: 'présent' };
+// Every month spelling and "present" word parseCVDate understands, for callers that need to find dates inside text.
+export const MONTH_NAMES = MONTH_WORDS.flat();
+export const PRESENT_WORDS = ['present', 'current', 'now', 'today', 'ongoing', 'heute', 'bis heute', 'aktuell', 'derzeit',
+  'présent', 'aujourd’hui', "aujourd'hui", 'actuel', 'en cours'];
+const PRESENT_RE = new RegExp(`^(${PRESENT_WORDS.join('|')})$`, 'i');
+
+// Two-letter language of a pack ("de-DE" → "de"); unknown languages format like English.
+export const packLang = (pack) => {
+  const lang = String(pack?.spelling || 'en').slice(0, 2).toLowerCase();
+  return MONTH_ABBR[lang] ? lang : 'en';
+};
+
+/**
+ * parseCVDate("Mar 2021" | "März 2021" | "03/2021" | "2021-03" | "2021-03-15" | "2021" | "Present")
+ * → { year, month } (month is null for a bare year) | { present: true } | null
+ */
+export function parseCVDate(s) {
+  const t = String(s || '').trim();
+  if (!t) return null;
+  if (PRESENT_RE.test(t)) return { present: true };
+  const ym = (year, month) => (month >= 1 && month <= 12 ? { year: +year, month: +month } : null);
+  let m;
+  if ((m = t.match(/^(\d{1,2})[/.](\d{4})$/))) return ym(m[2], m[1]);
+  if ((m = t.match(/^(\d{4})[-/](\d{1,2})(?:-\d{1,2})?$/))) return ym(m[1], m[2]);
+  if ((m = t.match(/^([A-Za-zÀ-ÿ]+)\.?,?\s+(\d{4})$/)) && MONTH_INDEX.has(m[1].toLowerCase())) return ym(m[2], MONTH_INDEX.get(m[1].toLowerCase()));
+  if ((m = t.match(/^(\d{4})$/))) return { year: +m[1], month: null };
+  return null;
+}
+
+// { year, month } → "2021-03" / "2021"; null for "Present" or nothing.
+export const toISOMonth = (d) => (d?.year ? (d.month ? `${d.year}-${String(d.month).padStart(2, '0')}` : String(d.year)) : null);
+
+// Single-date half of a pack date_format such as "MMM YYYY–MMM YYYY", and the separator between the halves.
+export const packDateFormat = (pack) => String(pack?.date_format || 'MMM YYYY').split(/\s*[–-]\s*(?=M)/)[0].trim();
+const packRangeSeparator = (pack) => String(pack?.date_format || '').match(/Y(\s*[–-]\s*)M/)?.[1] || ' – ';
+
+// { year, month } in the given single-date format; null without a month (a bare year can't be reformatted).
+export function formatCVDate(d, fmt, lang = 'en') {
+  if (!d?.month) return null;
+  const months = MONTH_ABBR[lang] || MONTH_ABBR.en;
+  return fmt.startsWith('MM/') ? `${String(d.month).padStart(2, '0')}/${d.year}` : `${months[d.month - 1]} ${d.year}`;
+}
+
+// One date as the pack writes it; unparseable input is kept as typed.
+export function formatPackDate(raw, pack = {}) {
+  const d = parseCVDate(raw);
+  if (!d) return String(raw || '').trim();
+  if (d.present) return PRESENT_LABEL[packLang(pack)];
+  return formatCVDate(d, packDateFormat(pack), packLang(pack)) || String(d.year);
+}
+
+// "start–end" per the pack's date_format; either side may be missing.
+export function formatDateRange(start, end, pack = {}) {
+  const a = formatPackDate(start, pack), b = formatPackDate(end, pack);
+  return a && b ? `${a}${packRangeSeparator(pack)}${b}` : a || b;
+}
+
+// Months since year 0, for ordering and overlap checks ("Present" is the current month). A bare year is its
+// January, or its December with { end: true }, so "2015–2019" runs to the end of 2019.
+export const monthNumber = (d, now = new Date(), { end = false } = {}) =>
+  d.present ? now.getFullYear() * 12 + now.getMonth() + 1 : d.year * 12 + (d.month || (end ? 12 : 1));
+
+/* -------------------- structured dates on CV items -------------------- */
+/**
+ * Keep `startYM` / `endYM` ({ year, month } | { present: true } | null) next to the typed `start` / `end`
+ * of every experience and education item. Returns true if anything changed.
+ */
+export function syncStructuredDates(cv) {
+  let changed = false;
+  for (const sec of ['experience', 'education']) {
+    for (const item of cv?.[sec] || []) {
+      for (const k of ['start', 'end']) {
+        const next = parseCVDate(item[k]);
+        if (JSON.stringify(item[`${k}YM`] ?? null) !== JSON.stringify(next)) { item[`${k}YM`] = next; changed = true; }
+      }
+    }
+  }
+  return changed;
+}
+
+// Sort key: most recent end first ("Present" > any date; a missing end counts as the start), then latest start.
+function recency(item, now) {
+  const s = parseCVDate(item?.start), e = parseCVDate(item?.end);
+  const from = s?.year ? monthNumber(s, now) : null;
+  const to = e?.present ? Infinity : e?.year ? monthNumber(e, now, { end: true }) : from;
+  return { to: to ?? -Infinity, from: from ?? -Infinity };
+}
+
+// Reverse-chronological order of `items` (stable; undated items sink to the end).
+export function sortByRecency(items, now = new Date()) {
+  const keyed = items.map((item, i) => ({ item, i, ...recency(item, now) }));
+  keyed.sort((a, b) => (b.to - a.to) || (b.from - a.from) || (a.i - b.i));
+  return keyed.map(k => k.item);
+}
+
+/**
+ * chronologyIssues(items, { now, maxGapMonths }) → [{ type, i, j?, field?, months? }]
+ * type: 'reversed' (end before start), 'future' (a date after this month), 'overlap' (items i and j share months)
+ * or 'gap' (more than maxGapMonths between item j ending and the next item i starting).
+ */
+export function chronologyIssues(items = [], { now = new Date(), maxGapMonths = 6 } = {}) {
+  const out = [];
+  const current = monthNumber({ present: true }, now);
+  const spans = [];
+  items.forEach((item, i) => {
+    const s = parseCVDate(item?.start), e = parseCVDate(item?.end);
+    for (const [field, d] of [['start', s], ['end', e]]) {
+      if (d?.year && monthNumber(d) > current) out.push({ type: 'future', i, field });
+    }
+    if (!s?.year) return;
+    const from = monthNumber(s);
+    // A role that starts in the future and runs to "Present" is only flagged as future, not as reversed.
+    // A year-only end is read both ways: as December for gaps and order, as January for overlaps, so
+    // neither "2015–2019, 2020–" nor "2015–2019, 2019–" is flagged.
+    const to = e?.present ? Math.max(current, from) : e?.year ? monthNumber(e, now, { end: true }) : null;
+    const toEarliest = e?.present ? to : e?.year ? monthNumber(e) : null;
+    if (to != null && to < from) out.push({ type: 'reversed', i });
+    else if (to != null) spans.push({ i, from, to, toEarliest });
+  });
+  for (let a = 0; a < spans.length; a++) for (let b = a + 1; b < spans.length; b++) {
+    const months = Math.min(spans[a].toEarliest, spans[b].toEarliest) - Math.max(spans[a].from, spans[b].from);
+    if (months > 0) out.push({ type: 'overlap', i: spans[b].i, j: spans[a].i, months });
+  }
+  // Gaps: walk the spans in time order, tracking the latest end seen so far so nested roles don't count.
+  const ordered = [...spans].sort((a, b) => a.from - b.from);
+  let reach = null;
+  for (const sp of ordered) {
+    if (reach && sp.from - reach.to - 1 > maxGapMonths) out.push({ type: 'gap', i: sp.i, j: reach.i, months: sp.from - reach.to - 1 });
+    if (!reach || sp.to > reach.to) reach = sp;
+  }
+  return out;
+}
@@ -0,0 +1,58 @@
+// webapp/js/lib/diff.js
+// Word-level diff (LCS over word/whitespace tokens) for reviewing AI suggestions.
+
+const MAX_CELLS = 400000; // beyond this, report a whole-text replacement instead of a fine diff
+
+function tokenize(s) {
+  return String(s ?? '').split(/(\s+)/).filter(t => t !== '');
+}
+
+/**
+ * diffWords("led the team", "led a team") →
+ *   [{op:'eq',text:'led '}, {op:'del',text:'the'}, {op:'ins',text:'a'}, {op:'eq',text:' team'}]
+ * Consecutive tokens with the same op are merged.
+ */
+export function diffWords(before, after) {
+  const a = tokenize(before), b = tokenize(after);
+  const n = a.length, m = b.length;
+  if (n * m > MAX_CELLS) return merge([{ op: 'del', text: a.join('') }, { op: 'ins', text: b.join('') }]);
+
+  // LCS lengths, suffix-based so we can walk forwards
+  const dp = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      dp[i][j] = a[i] === b[j] ? dp[i + 1][j + 1] + 1 : Math.max(dp[i + 1][j], dp[i][j + 1]);
+    }
+  }
+  const ops = [];
+  let i = 0, j = 0;
+  while (i < n && j < m) {
+    if (a[i] === b[j]) { ops.push({ op: 'eq', text: a[i] }); i++; j++; }
+    else if (dp[i + 1][j] >= dp[i][j + 1]) ops.push({ op: 'del', text: a[i++] });
+    else ops.push({ op: 'ins', text: b[j++] });
+  }
+  while (i < n) ops.push({ op: 'del', text: a[i++] });
+  while (j < m) ops.push({ op: 'ins', text: b[j++] });
+  return merge(ops);
+}
+
+function merge(ops) {
+  const out = [];
+  for (const o of ops) {
+    if (!o.text) continue;
+    const last = out[out.length - 1];
+    if (last && last.op === o.op) last.text += o.text;
+    else out.push({ ...o });
+  }
+  return out;
+}
+
+// Counts of changed words, handy for labels ("+3 −1").
+export function diffStats(ops) {
+  const words = (t) => t.split(/\s+/).filter(Boolean).length;
+  return ops.reduce((acc, o) => {
+    if (o.op === 'ins') acc.added += words(o.text);
+    if (o.op === 'del') acc.removed += words(o.text);
+    return acc;
+  }, { added: 0, removed: 0 });
+}
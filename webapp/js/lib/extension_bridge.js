@@ -0,0 +1,42 @@
+// webapp/js/lib/extension_bridge.js
+// Page side of the link to the browser extension. Its content script (extension/bridge.js) relays between this
+// page and chrome.storage.local over window.postMessage:
+//   page → extension   { source: 'cvfoundry-app', type: 'ready' | 'profiles' | 'applied', … }
+//   extension → page   { source: 'cvfoundry-extension', type: 'hello' | 'connected' | 'tailoring', … }
+const APP = 'cvfoundry-app';
+const EXTENSION = 'cvfoundry-extension';
+
+let connected = false;
+const handled = new Set();   // tailoring ids already applied (the extension may hand one over twice)
+
+export function isExtensionConnected() { return connected; }
+
+function post(type, data = {}) { window.postMessage({ source: APP, type, ...data }, location.origin); }
+
+/**
+ * connectExtension({ onConnect, onTailoring }) — listen to the extension and announce the page.
+ * onConnect() runs when the extension first answers; onTailoring(tailoring) runs once per pushed result:
+ *   { id, profileId, experienceIndex, company, role, bullets, skills, jobText, job, createdAt }
+ * where `job` is the structured posting the extension extracted ({ title, company, location, url, … }) or null.
+ * The extension drops the result once it is acknowledged, whether or not it could be applied.
+ */
+export function connectExtension({ onConnect, onTailoring } = {}) {
+  window.addEventListener('message', async (e) => {
+    if (e.source !== window || e.data?.source !== EXTENSION) return;
+    const msg = e.data;
+    if (msg.type === 'hello') post('ready');
+    else if (msg.type === 'connected' && !connected) { connected = true; onConnect?.(); }
+    else if (msg.type === 'tailoring' && msg.tailoring?.id && !handled.has(msg.tailoring.id)) {
+      handled.add(msg.tailoring.id);
+      try { await onTailoring?.(msg.tailoring); }
+      catch (err) { console.error(err); }
+      finally { post('applied', { id: msg.tailoring.id }); }
+    }
+  });
+  post('ready');
+}
+
+// Give the extension the saved CVs its popup offers: [{ id, name, updatedAt, cv }] plus the open one's id.
+export function publishProfiles(profiles, activeId = null) {
+  if (connected) post('profiles', { profiles, activeId, url: location.href });
+}
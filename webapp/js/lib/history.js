@@ -0,0 +1,98 @@
+// webapp/js/lib/history.js
+// Undo/redo stack of CV snapshots. Each entry stores the state *before* a labelled change,
+// so undo restores it and hands the current state to the redo side.
+
+const SECTION_LABELS = {
+  experience: 'Experience', education: 'Education', projects: 'Project', certifications: 'Certification',
+  publications: 'Publication', patents: 'Patent', skills: 'Skills', skillDetails: 'Skill levels', coverLetter: 'Cover letter'
+};
+
+/**
+ * createHistory({ limit, coalesceMs }) → history
+ *   push(label, stateBefore, { key })  record a change; same `key` within `coalesceMs` folds into the last entry
+ *   undo(current) / redo(current)      return the entry whose `state` should be applied, or null
+ *   toJSON() / load(json)              persistence alongside the CV
+ *   subscribe(fn)                      called with { undo, redo } labels after every change
+ */
+export function createHistory({ limit = 50, coalesceMs = 1500 } = {}) {
+  let past = [];
+  let future = [];
+  const listeners = new Set();
+  const top = (arr) => arr[arr.length - 1];
+  const emit = () => {
+    const info = { undo: top(past)?.label || null, redo: top(future)?.label || null };
+    listeners.forEach(fn => { try { fn(info); } catch {} });
+  };
+
+  return {
+    push(label, state, { key } = {}) {
+      const now = Date.now();
+      const last = top(past);
+      if (key && last?.key === key && !future.length && now - last.at < coalesceMs) {
+        last.at = now;
+        return;
+      }
+      past.push({ label, key: key || null, at: now, state });
+      if (past.length > limit) past.splice(0, past.length - limit);
+      future = [];
+      emit();
+    },
+    undo(current) {
+      const e = past.pop(); if (!e) return null;
+      future.push({ label: e.label, key: null, at: Date.now(), state: current });
+      emit();
+      return e;
+    },
+    redo(current) {
+      const e = future.pop(); if (!e) return null;
+      past.push({ label: e.label, key: null, at: Date.now(), state: current });
+      emit();
+      return e;
+    },
+    canUndo: () => past.length > 0,
+    canRedo: () => future.length > 0,
+    clear() { past = []; future = []; emit(); },
+    toJSON: () => ({ past, future }),
+    load(json) {
+      past = Array.isArray(json?.past) ? json.past.slice(-limit) : [];
+      future = Array.isArray(json?.future) ? json.future.slice(-limit) : [];
+      past.forEach(e => { e.key = null; }); // never coalesce into entries from a previous session
+      emit();
+    },
+    subscribe(fn) { listeners.add(fn); return () => listeners.delete(fn); }
+  };
+}
+
+/* -------------------- diff helpers -------------------- */
+const isObj = (v) => v && typeof v === 'object';
+
+// Paths whose values differ, e.g. ['profile.summary', 'experience.0.bullets'].
+// Arrays of primitives (bullets, skills) and arrays that changed length are reported as a whole.
+export function diffPaths(a, b, prefix = '') {
+  if (a === b) return [];
+  if (!isObj(a) || !isObj(b) || Array.isArray(a) !== Array.isArray(b)) return [prefix];
+  if (Array.isArray(a) && (a.length !== b.length || !a.every(isObj) || !b.every(isObj))) {
+    return JSON.stringify(a) === JSON.stringify(b) ? [] : [prefix];
+  }
+  const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+  const out = [];
+  for (const k of keys) out.push(...diffPaths(a[k], b[k], prefix ? `${prefix}.${k}` : k));
+  return out;
+}
+
+// 'experience.0.bullets' → 'Experience #1 bullets'; 'profile.contact.email' → 'email'
+export function describePath(path) {
+  const [root, i, ...rest] = String(path || '').split('.');
+  if (root === 'profile') return [i, ...rest].filter(k => k !== 'contact').join(' ') || 'profile';
+  if (root === 'meta') return 'settings';
+  const label = SECTION_LABELS[root] || root;
+  if (i === undefined) return root === 'skills' || root === 'coverLetter' ? label : `${label} entries`;
+  if (!/^\d+$/.test(i)) return [label, i, ...rest].join(' ');
+  return [`${label} #${+i + 1}`, ...rest].join(' ');
+}
+
+export function describeChange(paths) {
+  if (!paths.length) return 'Edit';
+  const more = paths.length > 1 ? ` (+${paths.length - 1} more)` : '';
+  return `Edit ${describePath(paths[0])}${more}`;
+}
@@ -0,0 +1,327 @@
+// webapp/js/lib/jsonresume.js
+// Bidirectional converter between the CV model and the JSON Resume schema (jsonresume.org, v1.0.0).
+// Anything without a schema equivalent is kept in resume.meta["x-cvfoundry"] so a round trip is lossless.
+import { parseCVDate, toISOMonth, formatCVDate, packDateFormat } from './dates.js';
+import { skillId, skillDetail, skillLevelLabel, normalizeSkillLevel, SKILL_LEVELS } from './skills.js';
+
+export const EXTENSION_KEY = 'x-cvfoundry';
+const EXTENSION_VERSION = 1;
+
+// JSON Resume sections the CV model has no editor for; carried through untouched.
+const PASSTHROUGH_SECTIONS = ['volunteer', 'awards', 'languages', 'interests', 'references'];
+
+const ISO_DATE_RE = /^([1-2][0-9]{3}-[0-1][0-9]-[0-3][0-9]|[1-2][0-9]{3}-[0-1][0-9]|[1-2][0-9]{3})$/;
+
+/* -------------------- dates -------------------- */
+// Any date parseCVDate understands → "2022-01" / "2022" (full ISO days pass through); null when not parseable.
+const toIsoDate = (raw) => {
+  const s = String(raw || '').trim();
+  return ISO_DATE_RE.test(s) ? s : toISOMonth(parseCVDate(s));
+};
+
+// "2022-01[-15]" → "Jan 2022" or "01/2022" depending on the pack's date_format.
+function fromIsoDate(iso, dateFormat = '') {
+  const d = parseCVDate(String(iso || '').trim().slice(0, 7));
+  if (!d?.year) return String(iso || '');
+  return formatCVDate(d, packDateFormat({ date_format: dateFormat })) || String(d.year);
+}
+
+/* -------------------- helpers -------------------- */
+function compact(obj) {
+  const out = {};
+  for (const [k, v] of Object.entries(obj)) {
+    if (v === undefined || v === null || v === '') continue;
+    if (Array.isArray(v) && !v.length) continue;
+    if (v && typeof v === 'object' && !Array.isArray(v) && !Object.keys(v).length) continue;
+    out[k] = v;
+  }
+  return out;
+}
+
+function asUrl(v) {
+  const s = String(v || '').trim();
+  if (!s) return '';
+  return /^[a-z][a-z0-9+.-]*:/i.test(s) ? s : `https://${s}`;
+}
+
+function usernameFromUrl(url) {
+  try { return new URL(url).pathname.split('/').filter(Boolean).pop() || ''; } catch { return ''; }
+}
+
+function setPath(obj, path, value) {
+  const keys = path.split('.');
+  let cur = obj;
+  for (let i = 0; i < keys.length - 1; i++) {
+    if (cur[keys[i]] == null) return false;
+    cur = cur[keys[i]];
+  }
+  cur[keys[keys.length - 1]] = value;
+  return true;
+}
+
+/* -------------------- CV → JSON Resume -------------------- */
+/**
+ * Export the CV as a JSON Resume document.
+ * Returns { resume, warnings } — warnings are human-readable strings.
+ */
+export function toJSONResume(cv, { appVersion = '' } = {}) {
+  const warnings = [];
+  const ext = { version: EXTENSION_VERSION, fields: {} };
+  const p = cv?.profile || {};
+  const c = p.contact || {};
+
+  const isoOrKeep = (raw, cvPath, label) => {
+    if (!String(raw || '').trim() || parseCVDate(raw)?.present) return undefined;
+    const iso = toIsoDate(raw);
+    if (!iso) {
+      ext.fields[cvPath] = raw;
+      warnings.push(`${label} "${raw}" is not a recognised date; kept in the ${EXTENSION_KEY} block.`);
+    }
+    return iso || undefined;
+  };
+
+  // JSON Resume reads a start without an end as "Present" (work only). Where that reading would be wrong — "Present"
+  // with no exportable start, an education "Present", an open end left blank — the end is kept as typed.
+  const endOrKeep = (raw, startDate, cvPath, label, { openEnded = false } = {}) => {
+    const endDate = isoOrKeep(raw, cvPath, label);
+    const present = !!parseCVDate(raw)?.present;
+    const readAsPresent = openEnded && !!startDate && !endDate;
+    if (present !== readAsPresent && !(cvPath in ext.fields)) ext.fields[cvPath] = String(raw || '');
+    return endDate;
+  };
+
+  const urlOrKeep = (raw, cvPath, label) => {
+    const s = String(raw || '').trim();
+    if (!s) return undefined;
+    const url = asUrl(s);
+    if (url !== s) { ext.fields[cvPath] = s; warnings.push(`${label} "${s}" has no scheme; exported as ${url}.`); }
+    return url;
+  };
+
+  // basics
+  const [city, ...rest] = String(p.location || '').split(',').map(s => s.trim()).filter(Boolean);
+  const profiles = [
+    c.linkedin && { network: 'LinkedIn', url: urlOrKeep(c.linkedin, 'profile.contact.linkedin', 'LinkedIn URL') },
+    c.github && { network: 'GitHub', url: urlOrKeep(c.github, 'profile.contact.github', 'GitHub URL') },
+  ].filter(Boolean).map(x => compact({ ...x, username: usernameFromUrl(x.url) }));
+  const saved = cv?.meta?.jsonResume || {};
+  const basics = compact({
+    ...(saved.basics || {}),
+    name: p.name,
+    label: p.title,
+    email: c.email,
+    phone: c.phone,
+    url: urlOrKeep(c.website, 'profile.contact.website', 'Website'),
+    summary: p.summary,
+    location: city ? compact({ ...(saved.basics?.location || {}), city, region: rest.join(', ') }) : undefined,
+    profiles: [...profiles, ...(saved.basics?.profiles || [])]
+  });
+  if (c.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(c.email)) warnings.push(`Email "${c.email}" does not look like a valid address.`);
+
+  const work = (cv?.experience || []).map((e, i) => {
+    const startDate = isoOrKeep(e.start, `experience.${i}.start`, `Experience #${i + 1} start`);
+    return compact({
+      name: e.company,
+      position: e.role,
+      location: e.location,
+      startDate,
+      endDate: endOrKeep(e.end, startDate, `experience.${i}.end`, `Experience #${i + 1} end`, { openEnded: true }),
+      highlights: (e.bullets || []).filter(Boolean)
+    });
+  });
+
+  const education = (cv?.education || []).map((ed, i) => {
+    const startDate = isoOrKeep(ed.start, `education.${i}.start`, `Education #${i + 1} start`);
+    return compact({
+      institution: ed.institution,
+      studyType: ed.degree,
+      startDate,
+      endDate: endOrKeep(ed.end, startDate, `education.${i}.end`, `Education #${i + 1} end`)
+    });
+  });
+
+  // Levels have a schema field; years only live in the extension block.
+  const skills = (cv?.skills || []).filter(Boolean).map(name => compact({ name: String(name), level: skillLevelLabel(skillDetail(cv, name)?.level) }));
+  const details = Object.fromEntries((cv?.skills || []).map(name => [skillId(name), skillDetail(cv, name)]).filter(([, d]) => d));
+  if (Object.keys(details).length) ext.skillDetails = details;
+
+  const projects = (cv?.projects || []).map((pr, i) => typeof pr === 'string' ? { name: pr } : compact({
+    name: pr.name,
+    url: urlOrKeep(pr.link, `projects.${i}.link`, `Project #${i + 1} link`),
+    highlights: (pr.bullets || []).filter(Boolean)
+  }));
+
+  const certificates = (cv?.certifications || []).map((ce, i) => typeof ce === 'string' ? { name: ce } : compact({
+    name: ce.name,
+    issuer: ce.issuer,
+    date: isoOrKeep(ce.date, `certifications.${i}.date`, `Certification #${i + 1} date`),
+    url: urlOrKeep(ce.link, `certifications.${i}.link`, `Certification #${i + 1} link`)
+  }));
+
+  const publications = (cv?.publications || []).map((pu, i) => {
+    if (typeof pu === 'string') return { name: pu };
+    // authors and doi have no schema field
+    if (pu.authors) ext.fields[`publications.${i}.authors`] = pu.authors;
+    if (pu.doi) ext.fields[`publications.${i}.doi`] = pu.doi;
+    return compact({
+      name: pu.title,
+      publisher: pu.venue,
+      releaseDate: isoOrKeep(pu.date, `publications.${i}.date`, `Publication #${i + 1} date`),
+      url: urlOrKeep(pu.link, `publications.${i}.link`, `Publication #${i + 1} link`)
+    });
+  });
+  if ((cv?.publications || []).some(pu => pu?.authors || pu?.doi)) {
+    warnings.push(`Publication authors/DOI have no JSON Resume field; kept in the ${EXTENSION_KEY} block.`);
+  }
+
+  if (cv?.patents?.length) {
+    ext.patents = cv.patents;
+    warnings.push(`${cv.patents.length} patent${cv.patents.length > 1 ? 's' : ''} kept in the ${EXTENSION_KEY} block (no JSON Resume section).`);
+  }
+  if (cv?.meta?.skillsGrouped) {
+    ext.skillsGrouped = cv.meta.skillsGrouped;
+    ext.skillsGroupedSource = cv.meta.skillsGroupedSource;
+  }
+  ext.settings = compact({ countryPack: cv?.meta?.countryPack, atsStrict: cv?.meta?.atsStrict, locale: cv?.meta?.locale });
+  if (!Object.keys(ext.fields).length) delete ext.fields;
+
+  const resume = compact({
+    $schema: 'https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json',
+    basics,
+    work,
+    education,
+    skills,
+    projects,
+    certificates,
+    publications,
+    ...Object.fromEntries(PASSTHROUGH_SECTIONS.map(k => [k, saved[k]])),
+    meta: compact({
+      ...(saved.meta || {}),
+      version: appVersion || saved.meta?.version,
+      lastModified: new Date().toISOString().replace(/\.\d{3}Z$/, ''),
+      [EXTENSION_KEY]: ext
+    })
+  });
+  return { resume, warnings };
+}
+
+/* -------------------- JSON Resume → CV -------------------- */
+/**
+ * Import a JSON Resume document into the CV shape.
+ * `base` supplies defaults (e.g. an empty CV); `dateFormat` picks "Jan 2022" vs "01/2022".
+ * Returns { cv, warnings }.
+ */
+export function fromJSONResume(resume, { base = {}, dateFormat = '' } = {}) {
+  if (!resume || typeof resume !== 'object' || Array.isArray(resume)) throw new Error('Not a JSON Resume document (expected an object).');
+  const warnings = [];
+  const ext = resume.meta?.[EXTENSION_KEY] || resume[EXTENSION_KEY] || {};
+  const b = resume.basics || {};
+  const date = (v) => (v ? fromIsoDate(v, dateFormat) : '');
+  const list = (v) => (Array.isArray(v) ? v : []);
+
+  const profiles = list(b.profiles);
+  const findProfile = (re) => profiles.find(x => re.test(String(x?.network || '')) || re.test(String(x?.url || '')));
+  const linkedin = findProfile(/linkedin/i);
+  const github = findProfile(/github/i);
+  const otherProfiles = profiles.filter(x => x !== linkedin && x !== github);
+  if (otherProfiles.length) warnings.push(`Profiles without a CV field kept for export: ${otherProfiles.map(x => x.network || x.url).join(', ')}.`);
+
+  const loc = b.location || {};
+  const location = [loc.city, loc.region].filter(Boolean).join(', ') || loc.countryCode || '';
+
+  const cv = {
+    ...base,
+    profile: {
+      ...(base.profile || {}),
+      name: b.name || '',
+      title: b.label || '',
+      location,
+      summary: b.summary || '',
+      contact: {
+        ...(base.profile?.contact || {}),
+        email: b.email || '',
+        phone: b.phone || '',
+        website: b.url || '',
+        linkedin: linkedin?.url || (linkedin?.username ? `https://linkedin.com/in/${linkedin.username}` : ''),
+        github: github?.url || (github?.username ? `https://github.com/${github.username}` : '')
+      }
+    },
+    experience: list(resume.work).map(w => ({
+      company: w.name || w.company || '',
+      role: w.position || '',
+      location: w.location || '',
+      start: date(w.startDate),
+      end: w.startDate && !w.endDate ? 'Present' : date(w.endDate),
+      bullets: [...(w.summary ? [w.summary] : []), ...list(w.highlights)].map(String).filter(Boolean)
+    })),
+    education: list(resume.education).map(ed => ({
+      institution: ed.institution || '',
+      degree: [ed.studyType, ed.area].filter(Boolean).join(' in '),
+      start: date(ed.startDate),
+      end: date(ed.endDate)
+    })),
+    skills: [],
+    certifications: list(resume.certificates).map(ce => ({ name: ce.name || '', issuer: ce.issuer || '', date: date(ce.date), link: ce.url || '' })),
+    projects: list(resume.projects).map(pr => ({
+      name: pr.name || '',
+      link: pr.url || '',
+      bullets: [...(pr.description ? [pr.description] : []), ...list(pr.highlights)].map(String).filter(Boolean)
+    })),
+    publications: list(resume.publications).map(pu => ({
+      title: pu.name || '', authors: '', venue: pu.publisher || '', date: date(pu.releaseDate), doi: '', link: pu.url || ''
+    })),
+    patents: list(ext.patents),
+    meta: { ...(base.meta || {}), ...(ext.settings || {}) }
+  };
+
+  // Skills: flat names, plus keywords; named groups become the grouping when we have no saved one.
+  // A group's level applies to each of its keywords.
+  const grouped = {};
+  cv.skillDetails = {};
+  for (const s of list(resume.skills)) {
+    const keywords = list(s?.keywords).map(String).filter(Boolean);
+    const names = keywords.length ? keywords : s?.name ? [String(s.name)] : [];
+    cv.skills.push(...names);
+    if (keywords.length && s.name) grouped[s.name] = [...new Set([...(grouped[s.name] || []), ...keywords])];
+    if (!s?.level) continue;
+    const level = normalizeSkillLevel(s.level);
+    if (level) names.forEach(n => { cv.skillDetails[skillId(n)] = { level }; });
+    else warnings.push(`Skill level "${s.level}" for ${s.name || 'a skill'} is not one of ${SKILL_LEVELS.map(skillLevelLabel).join(', ')}; not kept.`);
+  }
+  if (ext.skillDetails) cv.skillDetails = { ...ext.skillDetails };
+  cv.skills = [...new Set(cv.skills.map(x => x.trim()).filter(Boolean))];
+  if (ext.skillsGrouped) {
+    cv.meta.skillsGrouped = ext.skillsGrouped;
+    cv.meta.skillsGroupedSource = ext.skillsGroupedSource;
+  } else if (Object.keys(grouped).length) {
+    cv.meta.skillsGrouped = grouped;
+    cv.meta.skillsGroupedSource = 'json-resume';
+  } else {
+    delete cv.meta.skillsGrouped;
+    delete cv.meta.skillsGroupedSource;
+  }
+
+  // Restore raw values that could not be expressed in the schema (non-ISO dates, authors, DOI…)
+  for (const [path, value] of Object.entries(ext.fields || {})) {
+    if (!setPath(cv, path, value)) warnings.push(`Could not restore ${path} from the ${EXTENSION_KEY} block.`);
+  }
+
+  // Keep schema sections we do not edit, so re-export does not drop them
+  const jsonResume = compact({
+    basics: compact({
+      image: b.image,
+      profiles: otherProfiles,
+      location: compact({ address: loc.address, postalCode: loc.postalCode, countryCode: loc.countryCode })
+    }),
+    ...Object.fromEntries(PASSTHROUGH_SECTIONS.map(k => [k, resume[k]])),
+    meta: compact({ canonical: resume.meta?.canonical })
+  });
+  if (Object.keys(jsonResume).length) cv.meta.jsonResume = jsonResume;
+  else delete cv.meta.jsonResume;
+
+  const carried = PASSTHROUGH_SECTIONS.filter(k => list(resume[k]).length);
+  if (carried.length) warnings.push(`Sections without a CV editor kept for export: ${carried.join(', ')}.`);
+  if (!list(resume.work).length && !b.name) warnings.push('The file has no basics.name and no work entries — is it really a JSON Resume?');
+
+  return { cv, warnings };
+}
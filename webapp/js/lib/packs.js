@@ -0,0 +1,64 @@
+// webapp/js/lib/packs.js
+// Country-pack section conventions: which CV section a heading means, and each pack's order and labels.
+import { packLang } from './dates.js';
+
+export const SECTION_KEYS = ['summary', 'experience', 'education', 'projects', 'skills', 'certifications', 'publications', 'patents'];
+
+// Headings seen in the wild (en/de/fr), including every pack label, keyed by CV section.
+const SECTION_ALIASES = {
+  summary: ['summary', 'profile', 'profil', 'professional summary', 'about me', 'objective', 'career objective',
+    'kurzprofil', 'zusammenfassung', 'über mich', 'résumé', 'à propos', 'a propos', 'objectif'],
+  experience: ['experience', 'work experience', 'professional experience', 'employment', 'employment history',
+    'work history', 'career history', 'berufserfahrung', 'berufliche erfahrung', 'berufspraxis', 'beruflicher werdegang',
+    'expérience', 'expériences', 'expérience professionnelle', 'expériences professionnelles', 'parcours professionnel'],
+  education: ['education', 'academic background', 'qualifications', 'ausbildung', 'bildungsweg', 'studium',
+    'schulbildung', 'éducation', 'formation', 'formations', 'études', 'diplômes'],
+  skills: ['skills', 'technical skills', 'core skills', 'key skills', 'core competencies', 'competencies', 'technologies',
+    'fähigkeiten', 'kenntnisse', 'it-kenntnisse', 'fachkenntnisse', 'kompetenzen', 'compétences',
+    'compétences techniques', 'savoir-faire'],
+  projects: ['projects', 'personal projects', 'selected projects', 'projekte', 'projets'],
+  certifications: ['certifications', 'certificates', 'licenses & certifications', 'licences & certifications',
+    'zertifikate', 'zertifizierungen', 'weiterbildung', 'certificats'],
+  publications: ['publications', 'selected publications', 'publikationen', 'veröffentlichungen'],
+  patents: ['patents', 'patente', 'brevets'],
+  // Real CV headings the model has no field for.
+  other: ['languages', 'sprachen', 'sprachkenntnisse', 'langues', 'interests', 'hobbies', 'interessen',
+    "centres d'intérêt", "centres d’intérêt", 'loisirs', 'references', 'referenzen', 'références', 'volunteering',
+    'volunteer experience', 'ehrenamt', 'bénévolat', 'awards', 'honors & awards', 'auszeichnungen', 'distinctions',
+    'personal details', 'persönliche daten', 'informations personnelles', 'contact', 'kontakt']
+};
+const SECTION_BY_ALIAS = new Map();
+for (const [key, labels] of Object.entries(SECTION_ALIASES)) labels.forEach(l => SECTION_BY_ALIAS.set(l, key));
+
+// Default labels for sections a pack doesn't list.
+const SECTION_LABELS = {
+  en: { summary: 'Summary', experience: 'Experience', education: 'Education', projects: 'Projects', skills: 'Skills',
+    certifications: 'Certifications', publications: 'Publications', patents: 'Patents' },
+  de: { summary: 'Profil', experience: 'Berufserfahrung', education: 'Ausbildung', projects: 'Projekte', skills: 'Fähigkeiten',
+    certifications: 'Zertifikate', publications: 'Publikationen', patents: 'Patente' },
+  fr: { summary: 'Profil', experience: 'Expérience', education: 'Éducation', projects: 'Projets', skills: 'Compétences',
+    certifications: 'Certifications', publications: 'Publications', patents: 'Brevets' }
+};
+
+// "Berufserfahrung" → "experience", "Languages" → "other", unknown → null.
+export function sectionKey(label) {
+  return SECTION_BY_ALIAS.get(String(label || '').trim().toLowerCase().replace(/\s+/g, ' ')) || null;
+}
+
+/**
+ * packSections(pack) → [{ key, label }] for every CV section: the pack's own order and wording first,
+ * then any section it leaves out, with the default label for the pack's language.
+ */
+export function packSections(pack = {}) {
+  const labels = SECTION_LABELS[packLang(pack)];
+  const out = [];
+  const seen = new Set();
+  for (const label of Array.isArray(pack.sections) ? pack.sections : []) {
+    const key = sectionKey(label);
+    if (!SECTION_KEYS.includes(key) || seen.has(key)) continue;
+    seen.add(key);
+    out.push({ key, label: String(label).trim() });
+  }
+  for (const key of SECTION_KEYS) if (!seen.has(key)) out.push({ key, label: labels[key] });
+  return out;
+}
@@ -0,0 +1,382 @@
+// webapp/js/lib/pdf.js
+// Minimal, deterministic PDF writer for the rendered CV (no print dialog, no dependencies).
+// Uses the standard Type1 fonts (Helvetica or Times family, WinAnsiEncoding) with bundled metrics, emits
+// real text in reading order, and keeps each experience/education item together across pages.
+
+export const PAGE_SIZES = { A4: [595.28, 841.89], Letter: [612, 792] };
+
+// Packs without an explicit page_size: these countries use Letter, everyone else A4.
+const LETTER_COUNTRIES = new Set(['US', 'CA', 'MX', 'PH']);
+
+export function pageSizeForPack(pack = {}, country = '') {
+  const explicit = String(pack.page_size || '').trim();
+  if (PAGE_SIZES[explicit]) return explicit;
+  return LETTER_COUNTRIES.has(String(country).toUpperCase()) ? 'Letter' : 'A4';
+}
+
+/* -------------------- font metrics (AFM widths, 1/1000 em) -------------------- */
+// ASCII 32..126
+const HELV = [
+  278,278,355,556,556,889,667,191,333,333,389,584,278,333,278,278,556,556,556,556,556,556,556,556,556,556,278,278,584,584,584,556,
+  1015,667,667,722,722,667,611,778,722,278,500,667,556,833,722,778,667,778,722,667,611,722,667,944,667,667,611,278,278,278,469,556,
+  333,556,556,500,556,556,278,556,556,222,222,500,222,833,556,556,556,556,333,500,278,556,500,722,500,500,500,334,260,334,584
+];
+const HELV_BOLD = [
+  278,333,474,556,556,889,722,238,333,333,389,584,278,333,278,278,556,556,556,556,556,556,556,556,556,556,333,333,584,584,584,611,
+  975,722,722,722,722,667,611,778,722,278,556,722,611,833,722,778,667,778,722,667,611,722,667,944,667,667,611,333,278,333,584,556,
+  333,556,611,556,611,556,333,611,611,278,278,556,278,889,611,611,611,611,389,556,333,611,556,778,556,556,500,389,280,389,584
+];
+const TIMES = [
+  250,333,408,500,500,833,778,180,333,333,500,564,250,333,250,278,500,500,500,500,500,500,500,500,500,500,278,278,564,564,564,444,
+  921,722,667,667,722,611,556,722,722,333,389,722,611,889,722,722,556,722,667,556,611,722,722,944,722,722,611,333,278,333,469,500,
+  333,444,500,444,500,444,333,500,500,278,278,500,278,778,500,500,500,500,333,389,278,500,500,722,500,500,444,480,200,480,541
+];
+const TIMES_BOLD = [
+  250,333,555,500,500,1000,833,278,333,333,500,570,250,333,250,278,500,500,500,500,500,500,500,500,500,500,333,333,570,570,570,500,
+  930,722,667,722,722,667,611,778,778,389,500,778,667,944,722,778,611,778,722,556,667,722,722,1000,722,722,667,333,278,333,581,500,
+  333,500,556,444,556,444,333,500,556,278,333,556,278,833,556,500,556,556,444,389,333,556,500,722,500,500,444,394,220,394,520
+];
+// WinAnsi 0x80..0x9F that we use (punctuation the CV renderer emits)
+const WIN_ANSI_EXTRA = {
+  '€':0x80, '‚':0x82, '„':0x84, '…':0x85, '‘':0x91, '’':0x92, '“':0x93, '”':0x94, '•':0x95, '–':0x96, '—':0x97, '™':0x99
+};
+const EXTRA_WIDTHS = { 0x80:556, 0x82:222, 0x84:333, 0x85:1000, 0x91:222, 0x92:222, 0x93:333, 0x94:333, 0x95:350, 0x96:556, 0x97:1000, 0x99:1000 };
+const LATIN1_WIDTHS = { 0xA0:278, 0xA9:737, 0xAB:556, 0xB0:400, 0xB7:278, 0xBB:556, 0xDF:611, 0xC6:1000, 0xE6:889, 0xD8:778, 0xF8:611 };
+
+// style.font picks the family; italics reuse the upright widths (close enough for line breaking).
+const FONT_FAMILIES = {
+  helvetica: {
+    regular: { key: 'F1', base: 'Helvetica', widths: HELV },
+    bold: { key: 'F2', base: 'Helvetica-Bold', widths: HELV_BOLD },
+    italic: { key: 'F3', base: 'Helvetica-Oblique', widths: HELV },
+    boldItalic: { key: 'F4', base: 'Helvetica-BoldOblique', widths: HELV_BOLD },
+  },
+  times: {
+    regular: { key: 'F1', base: 'Times-Roman', widths: TIMES },
+    bold: { key: 'F2', base: 'Times-Bold', widths: TIMES_BOLD },
+    italic: { key: 'F3', base: 'Times-Italic', widths: TIMES },
+    boldItalic: { key: 'F4', base: 'Times-BoldItalic', widths: TIMES_BOLD },
+  },
+};
+const FONTS = FONT_FAMILIES.helvetica;
+
+// Unicode → WinAnsi byte (0..255); characters outside the encoding lose diacritics or become '?'.
+function winAnsiCode(ch) {
+  const c = ch.codePointAt(0);
+  if (c >= 32 && c <= 126) return c;
+  if (WIN_ANSI_EXTRA[ch]) return WIN_ANSI_EXTRA[ch];
+  if (c >= 0xA0 && c <= 0xFF) return c;
+  if (ch === '\u2011' || ch === '\u2010') return 45;  // (non-breaking) hyphen
+  if (ch === '\u2009' || ch === '\u202F') return 32;  // thin / narrow no-break space
+  const base = ch.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+  if (base && base !== ch && base.length === 1) return winAnsiCode(base);
+  return 63; // '?'
+}
+
+function encodeWinAnsi(text) {
+  let out = '';
+  for (const ch of String(text)) out += String.fromCharCode(winAnsiCode(ch));
+  return out;
+}
+
+function charWidth(code, widths) {
+  if (code >= 32 && code <= 126) return widths[code - 32];
+  if (EXTRA_WIDTHS[code]) return EXTRA_WIDTHS[code];
+  if (LATIN1_WIDTHS[code]) return LATIN1_WIDTHS[code];
+  if (code >= 0xC0) {
+    // accented letters: width of the unaccented base letter
+    const base = String.fromCharCode(code).normalize('NFD')[0];
+    const b = base.charCodeAt(0);
+    if (b >= 32 && b <= 126) return widths[b - 32];
+  }
+  return 556;
+}
+
+function textWidth(encoded, font, size) {
+  let w = 0;
+  for (let i = 0; i < encoded.length; i++) w += charWidth(encoded.charCodeAt(i), font.widths);
+  return (w / 1000) * size;
+}
+
+const fontFor = ({ bold, italic }, fonts = FONTS) => (bold && italic ? fonts.boldItalic : bold ? fonts.bold : italic ? fonts.italic : fonts.regular);
+
+/* -------------------- DOM → blocks -------------------- */
+const DEFAULT_STYLE = {
+  margin: 40,           // ≈ 14 mm, same as the old @page rule
+  fontSize: 10,
+  lineHeight: 1.3,
+  nameSize: 18,
+  headingSize: 12,
+  headingRule: true,
+  headingUppercase: false,
+  headingSpaceBefore: 10,
+  itemSpaceBefore: 5,
+  bulletIndent: 12,
+  bullet: '•',
+  font: 'helvetica',    // 'helvetica' | 'times'
+  headerAlign: 'left',  // alignment of the header (everything above the first heading or item)
+  headingColor: null,   // [r, g, b] in 0..1, e.g. an accent colour for section headings
+};
+
+// Inline runs of an element: [{ text, bold, italic }], whitespace collapsed.
+function collectRuns(el, style = { bold: false, italic: false }, runs = []) {
+  for (const n of el.childNodes) {
+    if (n.nodeType === 3) {
+      const t = n.nodeValue.replace(/\s+/g, ' ');
+      if (t) runs.push({ text: t, ...style });
+    } else if (n.nodeType === 1) {
+      const tag = n.tagName.toLowerCase();
+      if (tag === 'ul' || tag === 'ol') continue;
+      if (tag === 'br') { runs.push({ text: '\n', ...style }); continue; }
+      collectRuns(n, {
+        bold: style.bold || tag === 'strong' || tag === 'b' || /^h[1-6]$/.test(tag),
+        italic: style.italic || tag === 'em' || tag === 'i'
+      }, runs);
+    }
+  }
+  return runs;
+}
+
+function trimRuns(runs) {
+  const out = runs.map(r => ({ ...r }));
+  while (out.length && !out[0].text.trim()) out.shift();
+  while (out.length && !out[out.length - 1].text.trim()) out.pop();
+  if (out.length) {
+    out[0].text = out[0].text.replace(/^\s+/, '');
+    out[out.length - 1].text = out[out.length - 1].text.replace(/\s+$/, '');
+  }
+  return out;
+}
+
+const BLOCK_TAGS = new Set(['div', 'section', 'header', 'article', 'p', 'h1', 'h2', 'h3', 'h4', 'ul', 'ol', 'li']);
+const hasBlockChildren = (el) => [...el.children].some(c => BLOCK_TAGS.has(c.tagName.toLowerCase()));
+
+/**
+ * Flatten the rendered CV into layout blocks, in document (reading) order.
+ * block: { kind: 'name'|'heading'|'para'|'bullet', runs, group, keepWithNext }
+ */
+export function blocksFromNode(root) {
+  const blocks = [];
+  let groupSeq = 0;
+  const walk = (el, group) => {
+    for (const child of el.children) {
+      const tag = child.tagName.toLowerCase();
+      const cls = child.classList || { contains: () => false };
+      if (tag === 'style' || tag === 'script') continue;
+      if (tag === 'h1') blocks.push({ kind: 'name', runs: trimRuns(collectRuns(child)), group });
+      else if (/^h[2-4]$/.test(tag)) blocks.push({ kind: 'heading', runs: trimRuns(collectRuns(child)), group, keepWithNext: true });
+      else if (tag === 'ul' || tag === 'ol') {
+        for (const li of child.querySelectorAll(':scope > li')) blocks.push({ kind: 'bullet', runs: trimRuns(collectRuns(li)), group });
+      } else if (cls.contains('item')) walk(child, ++groupSeq);
+      else if (hasBlockChildren(child)) walk(child, group);
+      else {
+        const runs = trimRuns(collectRuns(child));
+        if (runs.length) blocks.push({ kind: 'para', runs, group });
+      }
+    }
+  };
+  walk(root, 0);
+  return blocks.filter(b => b.runs.length);
+}
+
+/* -------------------- line breaking -------------------- */
+function wrapRuns(runs, maxWidth, size, fonts = FONTS) {
+  // words keep their style; spaces attach to the preceding word
+  const words = [];
+  for (const r of runs) {
+    for (const part of r.text.split(/(\s+|\n)/)) {
+      if (!part) continue;
+      if (part === '\n') { words.push({ newline: true }); continue; }
+      if (/^\s+$/.test(part)) { if (words.length && !words[words.length - 1].newline) words[words.length - 1].space = true; continue; }
+      words.push({ text: part, bold: r.bold, italic: r.italic });
+    }
+  }
+  const lines = [];
+  let line = [], width = 0;
+  const spaceW = (w) => textWidth(' ', fontFor(w, fonts), size);
+  for (const w of words) {
+    if (w.newline) { lines.push(line); line = []; width = 0; continue; }
+    const enc = encodeWinAnsi(w.text);
+    const ww = textWidth(enc, fontFor(w, fonts), size);
+    const prev = line[line.length - 1];
+    const gap = prev?.space ? spaceW(prev) : 0;
+    if (line.length && width + gap + ww > maxWidth) { lines.push(line); line = []; width = 0; }
+    line.push({ ...w, enc, width: ww });
+    width += (line.length > 1 && line[line.length - 2].space ? spaceW(line[line.length - 2]) : 0) + ww;
+  }
+  if (line.length) lines.push(line);
+  // merge adjacent words of the same style into segments
+  return lines.map(ws => {
+    const segs = [];
+    ws.forEach((w, i) => {
+      const txt = w.enc + (w.space && i < ws.length - 1 ? ' ' : '');
+      const last = segs[segs.length - 1];
+      if (last && last.bold === w.bold && last.italic === w.italic) last.enc += txt;
+      else segs.push({ enc: txt, bold: w.bold, italic: w.italic });
+    });
+    return segs;
+  });
+}
+
+/* -------------------- PDF serialisation helpers -------------------- */
+function pdfString(encoded) {
+  let s = '(';
+  for (let i = 0; i < encoded.length; i++) {
+    const c = encoded.charCodeAt(i);
+    if (c === 40 || c === 41 || c === 92) s += '\\' + encoded[i];
+    else if (c < 32 || c > 126) s += '\\' + c.toString(8).padStart(3, '0');
+    else s += encoded[i];
+  }
+  return s + ')';
+}
+
+// Document-info strings: UTF-16BE with BOM so names with accents survive.
+function pdfTextString(text) {
+  let hex = 'FEFF';
+  for (let i = 0; i < text.length; i++) hex += text.charCodeAt(i).toString(16).padStart(4, '0').toUpperCase();
+  return `<${hex}>`;
+}
+
+function pdfDate(d) {
+  const p = (n) => String(n).padStart(2, '0');
+  return `(D:${d.getUTCFullYear()}${p(d.getUTCMonth() + 1)}${p(d.getUTCDate())}${p(d.getUTCHours())}${p(d.getUTCMinutes())}${p(d.getUTCSeconds())}Z)`;
+}
+
+const num = (n) => (Math.round(n * 100) / 100).toString();
+
+/* -------------------- layout + writer -------------------- */
+/**
+ * Build the PDF bytes for a rendered CV node.
+ * opts: { pageSize:'A4'|'Letter', title, author, subject, keywords, creationDate:Date, style:{…DEFAULT_STYLE} }
+ */
+export function buildPDF(root, opts = {}) {
+  const style = { ...DEFAULT_STYLE, ...(opts.style || {}) };
+  const fonts = FONT_FAMILIES[style.font] || FONTS;
+  const [pw, ph] = PAGE_SIZES[opts.pageSize] || PAGE_SIZES.A4;
+  const left = style.margin, right = pw - style.margin, top = ph - style.margin, bottom = style.margin;
+  const blocks = blocksFromNode(root);
+
+  const sizeOf = (b) => (b.kind === 'name' ? style.nameSize : b.kind === 'heading' ? style.headingSize : style.fontSize);
+  const spaceBefore = (b, prev) => {
+    if (!prev) return 0;
+    if (b.kind === 'heading') return style.headingSpaceBefore;
+    if (b.group && b.group !== prev.group) return style.itemSpaceBefore;
+    return b.kind === 'name' ? 0 : 1;
+  };
+  const layoutBlock = (b) => {
+    const size = sizeOf(b);
+    const indent = b.kind === 'bullet' ? style.bulletIndent : 0;
+    const runs = b.kind === 'heading' && style.headingUppercase ? b.runs.map(r => ({ ...r, text: r.text.toUpperCase() })) : b.runs;
+    const lines = wrapRuns(runs, right - left - indent, size, fonts);
+    const lh = size * style.lineHeight;
+    const extra = b.kind === 'heading' && style.headingRule ? 4 : 0;
+    return { ...b, size, indent, lines, lh, height: lines.length * lh + extra };
+  };
+  const laid = blocks.map(layoutBlock);
+  // The header (name, title, contact) is everything before the first section heading or item.
+  const firstBody = laid.findIndex(b => b.kind === 'heading' || b.group);
+  const headerEnd = firstBody < 0 ? laid.length : firstBody;
+
+  // Height of a keep-together unit starting at i (an item group, or a heading plus what follows it)
+  const unitEnd = (i) => {
+    let j = i;
+    while (laid[j]?.keepWithNext && j + 1 < laid.length) j++;
+    const g = laid[j].group;
+    if (g) while (j + 1 < laid.length && laid[j + 1].group === g) j++;
+    return j;
+  };
+
+  const pages = [];
+  let ops = [];
+  let y = top;
+  const newPage = () => { pages.push(ops); ops = []; y = top; };
+
+  for (let i = 0; i < laid.length; i++) {
+    const b = laid[i];
+    const gap = spaceBefore(b, laid[i - 1]);
+    const startsUnit = i === 0 || b.keepWithNext || (b.group && b.group !== laid[i - 1].group);
+    if (startsUnit) {
+      const end = unitEnd(i);
+      let h = gap;
+      for (let k = i; k <= end; k++) h += laid[k].height + (k > i ? spaceBefore(laid[k], laid[k - 1]) : 0);
+      // move the whole unit if it does not fit here but would fit on a fresh page
+      if (y - h < bottom && h <= top - bottom && y < top) newPage();
+    }
+    if (y < top) y -= gap;
+
+    for (let li = 0; li < b.lines.length; li++) {
+      if (y - b.lh < bottom) newPage();
+      y -= b.lh;
+      const baseline = y + (b.lh - b.size) / 2 + b.size * 0.22;
+      if (b.kind === 'bullet' && li === 0) {
+        ops.push(`BT 1 0 0 1 ${num(left + 2)} ${num(baseline)} Tm /${fonts.regular.key} ${b.size} Tf ${pdfString(encodeWinAnsi(style.bullet))} Tj ET`);
+      }
+      const segFont = (seg) => fontFor({ bold: seg.bold || b.kind === 'name' || b.kind === 'heading', italic: seg.italic }, fonts);
+      let x = left + b.indent;
+      if (style.headerAlign === 'center' && i < headerEnd) {
+        const w = b.lines[li].reduce((n, seg) => n + textWidth(seg.enc, segFont(seg), b.size), 0);
+        x = left + Math.max(0, (right - left - w) / 2);
+      }
+      let cmd = `BT 1 0 0 1 ${num(x)} ${num(baseline)} Tm`;
+      for (const seg of b.lines[li]) cmd += ` /${segFont(seg).key} ${b.size} Tf ${pdfString(seg.enc)} Tj`;
+      cmd += ' ET';
+      if (b.kind === 'heading' && style.headingColor) cmd = `q ${style.headingColor.map(num).join(' ')} rg ${cmd} Q`;
+      ops.push(cmd);
+    }
+    if (b.kind === 'heading' && style.headingRule) {
+      y -= 2;
+      ops.push(`q 0.5 w 0.6 G ${num(left)} ${num(y)} m ${num(right)} ${num(y)} l S Q`);
+      y -= 2;
+    }
+  }
+  pages.push(ops);
+
+  // ---- serialise ----
+  const objects = []; // index → body string (1-based object numbers)
+  const add = (body) => { objects.push(body); return objects.length; };
+  const catalogId = add(null);
+  const pagesId = add(null);
+  const fontIds = {};
+  for (const f of Object.values(fonts)) {
+    fontIds[f.key] = add(`<< /Type /Font /Subtype /Type1 /BaseFont /${f.base} /Encoding /WinAnsiEncoding >>`);
+  }
+  const fontRes = Object.entries(fontIds).map(([k, id]) => `/${k} ${id} 0 R`).join(' ');
+  const pageIds = pages.map(pageOps => {
+    const stream = pageOps.join('\n');
+    const contentId = add(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+    return add(`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${num(pw)} ${num(ph)}] /Resources << /Font << ${fontRes} >> >> /Contents ${contentId} 0 R >>`);
+  });
+  objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+  const lang = opts.lang ? ` /Lang ${pdfTextString(opts.lang)}` : '';
+  objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R${lang} >>`;
+
+  const created = opts.creationDate instanceof Date ? opts.creationDate : new Date();
+  const info = [
+    opts.title && `/Title ${pdfTextString(opts.title)}`,
+    opts.author && `/Author ${pdfTextString(opts.author)}`,
+    opts.subject && `/Subject ${pdfTextString(opts.subject)}`,
+    opts.keywords && `/Keywords ${pdfTextString(opts.keywords)}`,
+    `/Creator ${pdfTextString('CV Foundry')}`,
+    `/Producer ${pdfTextString('CV Foundry PDF writer')}`,
+    `/CreationDate ${pdfDate(created)}`,
+  ].filter(Boolean).join(' ');
+  const infoId = add(`<< ${info} >>`);
+
+  let out = '%PDF-1.4\n%\xE2\xE3\xCF\xD3\n';
+  const offsets = [];
+  objects.forEach((body, i) => { offsets.push(out.length); out += `${i + 1} 0 obj\n${body}\nendobj\n`; });
+  const xref = out.length;
+  out += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  out += offsets.map(o => `${String(o).padStart(10, '0')} 00000 n \n`).join('');
+  out += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+  const bytes = new Uint8Array(out.length);
+  for (let i = 0; i < out.length; i++) bytes[i] = out.charCodeAt(i) & 0xFF;
+  return bytes;
+}
+
+// Convenience: Blob ready for download. `pack` selects the page size; `country` helps when the pack has none.
+export function renderPDF(root, pack = {}, opts = {}) {
+  const pageSize = opts.pageSize || pageSizeForPack(pack, opts.country);
+  return new Blob([buildPDF(root, { ...opts, pageSize })], { type: 'application/pdf' });
+}
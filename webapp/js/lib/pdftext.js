@@ -0,0 +1,448 @@
+// webapp/js/lib/pdftext.js
+// Text-layer extraction for CV import: enough of a PDF reader to get lines of text out of
+// Word / Chrome / LaTeX / our own pdf.js output. No rendering, no OCR — scanned PDFs yield nothing.
+import { inflate } from './zip.js';
+
+/* -------------------- lexer / parser -------------------- */
+const WS = new Set([0x00, 0x09, 0x0A, 0x0C, 0x0D, 0x20]);
+const DELIM = new Set(['(', ')', '<', '>', '[', ']', '{', '}', '/', '%']);
+
+class Lexer {
+  constructor(s, pos = 0) { this.s = s; this.pos = pos; }
+
+  skip() {
+    const s = this.s;
+    for (;;) {
+      while (this.pos < s.length && WS.has(s.charCodeAt(this.pos))) this.pos++;
+      if (s[this.pos] !== '%') return;
+      while (this.pos < s.length && s[this.pos] !== '\n' && s[this.pos] !== '\r') this.pos++;
+    }
+  }
+
+  // → { t: 'num'|'name'|'str'|'kw'|'[' | ']' | '<<' | '>>' | 'eof', v }
+  next() {
+    this.skip();
+    const s = this.s;
+    const c = s[this.pos];
+    if (c === undefined) return { t: 'eof' };
+    if (c === '<' && s[this.pos + 1] === '<') { this.pos += 2; return { t: '<<' }; }
+    if (c === '>' && s[this.pos + 1] === '>') { this.pos += 2; return { t: '>>' }; }
+    if (c === '[' || c === ']') { this.pos++; return { t: c }; }
+    if (c === '{' || c === '}') { this.pos++; return this.next(); }
+    if (c === '(') return { t: 'str', v: this.literal() };
+    if (c === '<') {
+      const end = s.indexOf('>', this.pos);
+      const hex = s.slice(this.pos + 1, end < 0 ? s.length : end).replace(/[^0-9a-fA-F]/g, '');
+      this.pos = end < 0 ? s.length : end + 1;
+      let v = '';
+      for (let i = 0; i < hex.length; i += 2) v += String.fromCharCode(parseInt(hex.slice(i, i + 2).padEnd(2, '0'), 16));
+      return { t: 'str', v };
+    }
+    if (c === '/') {
+      let j = this.pos + 1;
+      while (j < s.length && !WS.has(s.charCodeAt(j)) && !DELIM.has(s[j])) j++;
+      const v = s.slice(this.pos + 1, j).replace(/#([0-9a-fA-F]{2})/g, (_, h) => String.fromCharCode(parseInt(h, 16)));
+      this.pos = j;
+      return { t: 'name', v };
+    }
+    let j = this.pos;
+    while (j < s.length && !WS.has(s.charCodeAt(j)) && !DELIM.has(s[j])) j++;
+    if (j === this.pos) { this.pos++; return this.next(); } // stray ')' or '>'
+    const word = s.slice(this.pos, j);
+    this.pos = j;
+    if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(word)) return { t: 'num', v: parseFloat(word) };
+    return { t: 'kw', v: word };
+  }
+
+  literal() {
+    const s = this.s;
+    let depth = 0, out = '';
+    this.pos++; // '('
+    while (this.pos < s.length) {
+      const c = s[this.pos++];
+      if (c === '\\') {
+        const e = s[this.pos++];
+        const map = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' };
+        if (map[e]) out += map[e];
+        else if (e === '\r') { if (s[this.pos] === '\n') this.pos++; }
+        else if (e === '\n') { /* line continuation */ }
+        else if (/[0-7]/.test(e)) {
+          let oct = e;
+          while (oct.length < 3 && /[0-7]/.test(s[this.pos])) oct += s[this.pos++];
+          out += String.fromCharCode(parseInt(oct, 8) & 0xFF);
+        } else out += e;
+      } else if (c === '(') { depth++; out += c; }
+      else if (c === ')') { if (depth-- === 0) break; out += c; }
+      else out += c;
+    }
+    return out;
+  }
+}
+
+// Parse one value; `tok` is an already-read token. Refs (`n g R`) become { ref: n }.
+function parseValue(lx, tok = lx.next()) {
+  switch (tok.t) {
+    case '<<': {
+      const dict = {};
+      for (;;) {
+        const k = lx.next();
+        if (k.t === '>>' || k.t === 'eof') return dict;
+        if (k.t !== 'name') continue;
+        dict[k.v] = parseValue(lx);
+      }
+    }
+    case '[': {
+      const arr = [];
+      for (;;) {
+        const t = lx.next();
+        if (t.t === ']' || t.t === 'eof') return arr;
+        arr.push(parseValue(lx, t));
+      }
+    }
+    case 'num': {
+      // lookahead for "n g R"
+      const save = lx.pos;
+      const g = lx.next();
+      if (g.t === 'num') {
+        const r = lx.next();
+        if (r.t === 'kw' && r.v === 'R') return { ref: tok.v };
+      }
+      lx.pos = save;
+      return tok.v;
+    }
+    case 'name': return { name: tok.v };
+    case 'str': return tok.v;
+    case 'kw': return tok.v === 'true' ? true : tok.v === 'false' ? false : null;
+    default: return null;
+  }
+}
+
+/* -------------------- document -------------------- */
+function latin1(bytes) {
+  let s = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) s += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  return s;
+}
+
+const nameOf = (v) => (v && typeof v === 'object' && 'name' in v ? v.name : v);
+
+class PDFDoc {
+  constructor(bytes) {
+    this.bytes = bytes;
+    this.s = latin1(bytes);
+    this.objects = new Map(); // num → { value, streamStart, streamEnd } | { value } (from object streams)
+    this.scan();
+  }
+
+  scan() {
+    const re = /(\d+)\s+(\d+)\s+obj\b/g;
+    let m;
+    while ((m = re.exec(this.s))) {
+      const lx = new Lexer(this.s, re.lastIndex);
+      const value = parseValue(lx);
+      const entry = { value };
+      lx.skip();
+      if (this.s.startsWith('stream', lx.pos)) {
+        let start = lx.pos + 6;
+        if (this.s[start] === '\r') start++;
+        if (this.s[start] === '\n') start++;
+        const len = value?.Length;
+        let end = typeof len === 'number' && this.s.startsWith('endstream', this.skipWs(start + len)) ? start + len : -1;
+        if (end < 0) {
+          end = this.s.indexOf('endstream', start);
+          if (end < 0) end = this.s.length;
+          while (end > start && (this.s[end - 1] === '\n' || this.s[end - 1] === '\r')) end--;
+        }
+        entry.streamStart = start;
+        entry.streamEnd = end;
+        re.lastIndex = end;
+      } else re.lastIndex = lx.pos;
+      this.objects.set(+m[1], entry); // later definitions (incremental updates) win
+    }
+  }
+
+  skipWs(i) { while (i < this.s.length && WS.has(this.s.charCodeAt(i))) i++; return i; }
+
+  async loadObjectStreams() {
+    for (const [, entry] of [...this.objects]) {
+      if (nameOf(entry.value?.Type) !== 'ObjStm') continue;
+      try {
+        const data = latin1(await this.streamData(entry));
+        const n = this.resolve(entry.value.N) | 0;
+        const first = this.resolve(entry.value.First) | 0;
+        const head = new Lexer(data);
+        const pairs = [];
+        for (let i = 0; i < n; i++) pairs.push([head.next().v, head.next().v]);
+        for (const [num, off] of pairs) {
+          if (this.objects.has(num)) continue;
+          this.objects.set(num, { value: parseValue(new Lexer(data, first + off)) });
+        }
+      } catch {}
+    }
+  }
+
+  resolve(v, depth = 0) {
+    while (v && typeof v === 'object' && 'ref' in v && depth++ < 32) v = this.objects.get(v.ref)?.value ?? null;
+    return v;
+  }
+
+  entryOf(v) { return v && typeof v === 'object' && 'ref' in v ? this.objects.get(v.ref) : null; }
+
+  async streamData(entry) {
+    if (!entry || entry.streamStart == null) return new Uint8Array(0);
+    let data = this.bytes.subarray(entry.streamStart, entry.streamEnd);
+    const f = this.resolve(entry.value?.Filter);
+    const filters = (Array.isArray(f) ? f : f ? [f] : []).map(x => nameOf(this.resolve(x)));
+    for (const name of filters) {
+      if (name === 'FlateDecode' || name === 'Fl') data = await inflate(data, 'deflate');
+      else if (name === 'ASCIIHexDecode' || name === 'AHx') {
+        const hex = latin1(data).replace(/[^0-9a-fA-F]/g, '');
+        data = Uint8Array.from(hex.match(/../g) || [], h => parseInt(h, 16));
+      } else if (name === 'ASCII85Decode' || name === 'A85') data = ascii85(latin1(data));
+      else throw new Error(`Unsupported filter ${name}`);
+    }
+    return data;
+  }
+
+  pages() {
+    const out = [];
+    const walk = (node, inherited, seen) => {
+      const d = this.resolve(node);
+      if (!d || seen.has(d)) return;
+      seen.add(d);
+      const res = d.Resources ? this.resolve(d.Resources) : inherited;
+      if (nameOf(d.Type) === 'Pages' || Array.isArray(this.resolve(d.Kids))) {
+        for (const k of this.resolve(d.Kids) || []) walk(k, res, seen);
+      } else out.push({ dict: d, resources: res });
+    };
+    const catalog = [...this.objects.values()].find(e => nameOf(e.value?.Type) === 'Catalog');
+    if (catalog) walk(catalog.value.Pages, null, new Set());
+    if (!out.length) {
+      for (const e of this.objects.values()) {
+        if (nameOf(e.value?.Type) === 'Page') out.push({ dict: e.value, resources: this.resolve(e.value.Resources) });
+      }
+    }
+    return out;
+  }
+}
+
+function ascii85(text) {
+  const src = text.replace(/\s/g, '').replace(/^<~/, '').replace(/~>.*$/, '');
+  const out = [];
+  let group = [];
+  const flush = (n) => {
+    while (group.length < 5) group.push(84);
+    const v = group.reduce((acc, d) => acc * 85 + d, 0);
+    for (let k = 0; k < n; k++) out.push((v >>> (24 - 8 * k)) & 0xFF);
+    group = [];
+  };
+  for (const c of src) {
+    if (c === 'z' && !group.length) { out.push(0, 0, 0, 0); continue; }
+    const d = c.charCodeAt(0) - 33;
+    if (d < 0 || d > 84) continue;
+    group.push(d);
+    if (group.length === 5) flush(4);
+  }
+  if (group.length > 1) flush(group.length - 1);
+  return Uint8Array.from(out);
+}
+
+/* -------------------- fonts -------------------- */
+// cp1252 0x80–0x9F; everything else in WinAnsi matches Latin-1
+const WIN_ANSI_HIGH = {
+  0x80: '€', 0x82: '‚', 0x83: 'ƒ', 0x84: '„', 0x85: '…', 0x86: '†', 0x87: '‡', 0x88: 'ˆ', 0x89: '‰', 0x8A: 'Š',
+  0x8B: '‹', 0x8C: 'Œ', 0x8E: 'Ž', 0x91: '‘', 0x92: '’', 0x93: '“', 0x94: '”', 0x95: '•', 0x96: '–', 0x97: '—',
+  0x98: '˜', 0x99: '™', 0x9A: 'š', 0x9B: '›', 0x9C: 'œ', 0x9E: 'ž', 0x9F: 'Ÿ'
+};
+
+function utf16be(s) {
+  let out = '';
+  for (let i = 0; i + 1 < s.length; i += 2) out += String.fromCharCode((s.charCodeAt(i) << 8) | s.charCodeAt(i + 1));
+  return out;
+}
+
+function parseCMap(text) {
+  const map = new Map();
+  let codeLen = 1;
+  const hexes = (block) => [...block.matchAll(/<([0-9a-fA-F\s]*)>|\[([^\]]*)\]/g)];
+  const hexStr = (h) => String.fromCharCode(...(h.replace(/\s/g, '').match(/../g) || []).map(x => parseInt(x, 16)));
+
+  const cs = /begincodespacerange([\s\S]*?)endcodespacerange/.exec(text);
+  if (cs) { const h = /<([0-9a-fA-F]+)>/.exec(cs[1]); if (h) codeLen = Math.max(1, h[1].length >> 1); }
+
+  for (const [, block] of text.matchAll(/beginbfchar([\s\S]*?)endbfchar/g)) {
+    const t = hexes(block);
+    for (let i = 0; i + 1 < t.length; i += 2) map.set(hexStr(t[i][1]), utf16be(hexStr(t[i + 1][1])));
+  }
+  for (const [, block] of text.matchAll(/beginbfrange([\s\S]*?)endbfrange/g)) {
+    const t = hexes(block);
+    for (let i = 0; i + 2 < t.length; i += 3) {
+      const lo = parseInt(t[i][1].replace(/\s/g, ''), 16), hi = parseInt(t[i + 1][1].replace(/\s/g, ''), 16);
+      const len = t[i][1].replace(/\s/g, '').length >> 1;
+      const key = (c) => hexStr(c.toString(16).padStart(len * 2, '0'));
+      if (t[i + 2][2] != null) {
+        const dsts = [...t[i + 2][2].matchAll(/<([0-9a-fA-F\s]*)>/g)];
+        for (let c = lo; c <= hi && c - lo < dsts.length; c++) map.set(key(c), utf16be(hexStr(dsts[c - lo][1])));
+      } else {
+        const base = utf16be(hexStr(t[i + 2][1]));
+        const last = base.charCodeAt(base.length - 1);
+        for (let c = lo; c <= hi && c - lo < 0x10000; c++) map.set(key(c), base.slice(0, -1) + String.fromCharCode(last + c - lo));
+      }
+    }
+  }
+  return { map, codeLen };
+}
+
+async function loadFont(doc, ref) {
+  const d = doc.resolve(ref) || {};
+  const type0 = nameOf(d.Subtype) === 'Type0';
+  const font = { type0, codeLen: type0 ? 2 : 1, map: null, widths: null, firstChar: 0, dw: type0 ? 1000 : 500, cidWidths: null };
+
+  const tu = doc.entryOf(d.ToUnicode);
+  if (tu) {
+    try {
+      const { map, codeLen } = parseCMap(latin1(await doc.streamData(tu)));
+      if (map.size) { font.map = map; font.codeLen = type0 ? Math.max(2, codeLen) : codeLen; }
+    } catch {}
+  }
+
+  if (type0) {
+    const desc = doc.resolve((doc.resolve(d.DescendantFonts) || [])[0]) || {};
+    if (typeof desc.DW === 'number') font.dw = desc.DW;
+    const w = doc.resolve(desc.W);
+    if (Array.isArray(w)) {
+      font.cidWidths = new Map();
+      for (let i = 0; i < w.length;) {
+        const a = w[i], b = doc.resolve(w[i + 1]);
+        if (Array.isArray(b)) { b.forEach((x, k) => font.cidWidths.set(a + k, doc.resolve(x))); i += 2; }
+        else { for (let c = a; c <= b; c++) font.cidWidths.set(c, doc.resolve(w[i + 2])); i += 3; }
+      }
+    }
+  } else {
+    const widths = doc.resolve(d.Widths);
+    if (Array.isArray(widths)) { font.widths = widths.map(x => doc.resolve(x)); font.firstChar = doc.resolve(d.FirstChar) || 0; }
+    else if (/Courier/.test(nameOf(doc.resolve(d.BaseFont)) || '')) font.dw = 600;
+  }
+  return font;
+}
+
+// Split a shown string into codes and decode them → [{ text, width (1/1000 em), space }]
+function decodeShow(font, raw) {
+  const out = [];
+  const step = font.codeLen;
+  for (let i = 0; i < raw.length; i += step) {
+    const code = raw.slice(i, i + step);
+    const num = step === 1 ? code.charCodeAt(0) : (code.charCodeAt(0) << 8) | (code.charCodeAt(1) || 0);
+    let text = font.map?.get(code);
+    if (text == null) text = font.type0 ? '' : (WIN_ANSI_HIGH[num] || String.fromCharCode(num));
+    let width = font.dw;
+    if (font.cidWidths?.has(num)) width = font.cidWidths.get(num);
+    else if (font.widths && num >= font.firstChar && num - font.firstChar < font.widths.length) width = font.widths[num - font.firstChar];
+    out.push({ text, width, space: step === 1 && num === 32 });
+  }
+  return out;
+}
+
+/* -------------------- content streams -------------------- */
+const mul = (a, b) => [
+  a[0] * b[0] + a[1] * b[2], a[0] * b[1] + a[1] * b[3],
+  a[2] * b[0] + a[3] * b[2], a[2] * b[1] + a[3] * b[3],
+  a[4] * b[0] + a[5] * b[2] + b[4], a[4] * b[1] + a[5] * b[3] + b[5]
+];
+const ID = [1, 0, 0, 1, 0, 0];
+
+async function pageText(doc, page) {
+  const res = page.resources || {};
+  const fontDict = doc.resolve(res.Font) || {};
+  const fonts = {};
+  for (const [name, ref] of Object.entries(fontDict)) fonts[name] = await loadFont(doc, ref);
+
+  const contents = doc.resolve(page.dict.Contents);
+  const parts = Array.isArray(contents) ? contents : [page.dict.Contents];
+  let src = '';
+  for (const c of parts) {
+    try { src += latin1(await doc.streamData(doc.entryOf(c))) + '\n'; } catch {}
+  }
+
+  const lines = [];
+  let line = null;        // { y, text, endX }
+  let ctm = ID, stack = [];
+  let tm = ID, lm = ID;
+  let font = null, size = 10, leading = 0, tc = 0, tw = 0, th = 1, rise = 0;
+  const ops = [];
+
+  const show = (raw, kerns) => {
+    if (!font) return;
+    const items = Array.isArray(kerns) ? kerns : [raw];
+    for (const it of items) {
+      if (typeof it === 'number') { tm = mul([1, 0, 0, 1, -it / 1000 * size * th, 0], tm); continue; }
+      if (typeof it !== 'string') continue;
+      for (const g of decodeShow(font, it)) {
+        const m = mul(mul([size * th, 0, 0, size, 0, rise], tm), ctm);
+        const x = m[4], y = m[5], em = Math.hypot(m[2], m[3]) || size;
+        if (!line || Math.abs(y - line.y) > em * 0.5) {
+          line = { y, text: '', endX: x };
+          lines.push(line);
+        } else if (x - line.endX > em * 0.15 && !/\s$/.test(line.text) && !/^\s/.test(g.text)) {
+          line.text += ' ';
+        }
+        line.text += g.text;
+        const adv = (g.width / 1000 * size + tc + (g.space ? tw : 0)) * th;
+        tm = mul([1, 0, 0, 1, adv, 0], tm);
+        line.endX = mul(mul([size * th, 0, 0, size, 0, rise], tm), ctm)[4];
+      }
+    }
+  };
+
+  const lx = new Lexer(src);
+  for (;;) {
+    const tok = lx.next();
+    if (tok.t === 'eof') break;
+    if (tok.t !== 'kw') { ops.push(parseValue(lx, tok)); continue; }
+    const op = tok.v;
+    const n = (i) => +ops[ops.length - i] || 0;
+    switch (op) {
+      case 'q': stack.push(ctm); break;
+      case 'Q': ctm = stack.pop() || ID; break;
+      case 'cm': ctm = mul([n(6), n(5), n(4), n(3), n(2), n(1)], ctm); break;
+      case 'BT': tm = lm = ID; break;
+      case 'Tf': font = fonts[nameOf(ops[ops.length - 2])] || null; size = n(1) || size; break;
+      case 'TL': leading = n(1); break;
+      case 'Tc': tc = n(1); break;
+      case 'Tw': tw = n(1); break;
+      case 'Tz': th = n(1) / 100; break;
+      case 'Ts': rise = n(1); break;
+      case 'Td': tm = lm = mul([1, 0, 0, 1, n(2), n(1)], lm); break;
+      case 'TD': leading = -n(1); tm = lm = mul([1, 0, 0, 1, n(2), n(1)], lm); break;
+      case 'Tm': tm = lm = [n(6), n(5), n(4), n(3), n(2), n(1)]; break;
+      case 'T*': tm = lm = mul([1, 0, 0, 1, 0, -leading], lm); break;
+      case 'Tj': show(ops[ops.length - 1]); break;
+      case 'TJ': show(null, ops[ops.length - 1]); break;
+      case "'": tm = lm = mul([1, 0, 0, 1, 0, -leading], lm); show(ops[ops.length - 1]); break;
+      case '"': tw = n(3); tc = n(2); tm = lm = mul([1, 0, 0, 1, 0, -leading], lm); show(ops[ops.length - 1]); break;
+      case 'BI': { // skip inline image data
+        const ei = src.indexOf('EI', lx.pos);
+        lx.pos = ei < 0 ? src.length : ei + 2;
+        break;
+      }
+    }
+    ops.length = 0;
+  }
+  return lines.map(l => l.text.replace(/\s+$/, '')).join('\n');
+}
+
+/**
+ * extractPDFText(bytes) → Promise<string>
+ * Lines in content-stream order, pages separated by a blank line.
+ */
+export async function extractPDFText(bytes) {
+  const head = latin1(bytes.subarray(0, 1024));
+  if (!head.includes('%PDF-')) throw new Error('Not a PDF file');
+  const doc = new PDFDoc(bytes);
+  await doc.loadObjectStreams();
+  const out = [];
+  for (const page of doc.pages()) {
+    try { out.push(await pageText(doc, page)); } catch (e) { console.warn('PDF page skipped:', e?.message || e); }
+  }
+  return out.join('\n\n').replace(/\u0000/g, '');
+}
@@ -0,0 +1,162 @@
+// webapp/js/lib/privacy.js
+// Privacy mode for local-proxy calls: personal data becomes placeholders on the way out and is put back in the reply.
+
+/* -------------------- settings -------------------- */
+export const PRIVACY_MODES = [
+  ['redact', 'Redact personal data'],
+  ['strict', 'Strict: redact and ask before proxy calls'],
+  ['off', 'Off']
+];
+export const DEFAULT_PRIVACY_MODE = 'redact';
+let mode = DEFAULT_PRIVACY_MODE;
+let getCV = () => null;
+let approver = null;
+
+export function getPrivacyMode() { return mode; }
+export function setPrivacyMode(value) { mode = PRIVACY_MODES.some(([k]) => k === value) ? value : DEFAULT_PRIVACY_MODE; return mode; }
+// The CV whose profile supplies the known personal values (read at every call, so edits count at once).
+export function setPIISource(fn) { getCV = typeof fn === 'function' ? fn : () => null; }
+// Strict mode: approve({ route, categories }) → boolean | Promise<boolean>. Without one, every call is refused.
+export function setProxyApprover(fn) { approver = typeof fn === 'function' ? fn : null; }
+
+export class PrivacyBlockedError extends Error {
+  constructor(route) {
+    super(`Not sent: strict privacy mode did not approve "${route}".`);
+    this.name = 'PrivacyBlockedError';
+    this.route = route;
+  }
+}
+
+/* -------------------- placeholders -------------------- */
+// value → placeholder for the whole session, so the model sees the same token for the same value on every call.
+const vault = new Map();
+const byToken = new Map();
+const counters = {};
+const TOKEN_RE = /\[\[([A-Z]+_\d+)\]\]/g;
+
+function placeholder(category, value) {
+  const key = `${category}\u0000${category === 'email' ? value.toLowerCase() : value}`;
+  let token = vault.get(key);
+  if (!token) {
+    counters[category] = (counters[category] || 0) + 1;
+    token = `[[${category.toUpperCase()}_${counters[category]}]]`;
+    vault.set(key, token);
+    byToken.set(token.slice(2, -2), value);
+  }
+  return token;
+}
+
+/* -------------------- detection -------------------- */
+const EMAIL_RE = /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g;
+const PROFILE_URL_RE = /(?:https?:\/\/)?(?:[\w-]+\.)?(linkedin|github)\.com\/[^\s"'<>),;]+/gi;
+// Digit runs that may be phone numbers; isPhone decides, so date ranges ("2015 - 2018 - 2020") are left alone.
+const PHONE_RE = /\+?\(?\d[\d\s().-]{7,}\d/g;
+const digitsOf = (s) => String(s).replace(/\D/g, '');
+
+// The CV's own phone in any formatting, or a phone shape (leading +, or 3–4 digit groups) without year-like groups.
+function isPhone(match, ownPhones) {
+  const digits = digitsOf(match);
+  if (digits.length < 9) return false;
+  if (ownPhones.some(p => p.length >= 9 && p.slice(-9) === digits.slice(-9))) return true;   // "+44 7700…" written as "07700…"
+  const groups = match.replace(/^\+/, '').split(/[\s().-]+/).filter(Boolean);
+  if (groups.some(g => /^(19|20)\d\d$/.test(g))) return false;
+  if (!match.startsWith('+') && groups.slice(1).every(g => g.length === 3)) return false;   // thousands: "120 000 000"
+  return match.startsWith('+') || (groups.length >= 3 && groups.length <= 4);
+}
+const escapeRe = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Personal values known from a CV-like object: [category, value] pairs.
+function profileValues(cv) {
+  const p = cv?.profile || {}, c = p.contact || {};
+  const out = [];
+  const name = String(p.name || '').trim();
+  if (name) {
+    out.push(['name', name]);
+    // Single name parts too ("Dear Jane", "Doe's team"); very short parts would match ordinary words.
+    for (const part of name.split(/\s+/)) if (part.length >= 3 && part !== name) out.push(['name', part]);
+  }
+  for (const [k, category] of [['email', 'email'], ['phone', 'phone'], ['website', 'website'], ['linkedin', 'linkedin'], ['github', 'github']]) {
+    const v = String(c[k] ?? p[k] ?? '').trim();
+    if (v) out.push([category, v]);
+  }
+  if (String(p.location || '').trim()) out.push(['location', String(p.location).trim()]);
+  if (String(cv?.coverLetter?.recipient || '').trim()) out.push(['name', String(cv.coverLetter.recipient).trim()]);
+  return out;
+}
+
+// Every CV-like object in the payload (a `cv`, an import `draft`…) plus the open CV.
+function knownValues(payload) {
+  const found = [...profileValues(getCV())];
+  const walk = (v) => {
+    if (!v || typeof v !== 'object') return;
+    if (Array.isArray(v)) return v.forEach(walk);
+    if (v.profile && typeof v.profile === 'object') found.push(...profileValues(v));
+    Object.values(v).forEach(walk);
+  };
+  walk(payload);
+  // Longest first, so "Jane Doe" is replaced before "Jane".
+  const seen = new Set();
+  return found.filter(([, v]) => !seen.has(v) && seen.add(v)).sort((a, b) => b[1].length - a[1].length);
+}
+
+function redactText(text, known, counts) {
+  let s = String(text);
+  const swap = (category) => (match) => { counts[category] = (counts[category] || 0) + 1; return placeholder(category, match); };
+  for (const [category, value] of known) {
+    s = s.replace(new RegExp(`(?<![\\w@.])${escapeRe(value)}(?![\\w@])`, category === 'email' ? 'gi' : 'g'), swap(category));
+  }
+  s = s.replace(EMAIL_RE, swap('email'));
+  s = s.replace(PROFILE_URL_RE, (m, site) => swap(site.toLowerCase())(m));
+  const ownPhones = known.filter(([category]) => category === 'phone').map(([, value]) => digitsOf(value));
+  s = s.replace(PHONE_RE, (m) => (isPhone(m, ownPhones) ? swap('phone')(m) : m));
+  return s;
+}
+
+function mapStrings(value, fn) {
+  if (typeof value === 'string') return fn(value);
+  if (Array.isArray(value)) return value.map(v => mapStrings(v, fn));
+  if (value && typeof value === 'object') return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, mapStrings(v, fn)]));
+  return value;
+}
+
+/**
+ * redact(payload) → { payload, counts } — a copy with personal data in every string swapped for placeholders;
+ * counts is { category: occurrences } (name, email, phone, website, linkedin, github, location).
+ */
+export function redact(payload) {
+  const known = knownValues(payload);
+  const counts = {};
+  return { payload: mapStrings(payload, s => redactText(s, known, counts)), counts };
+}
+
+// Put the personal values back wherever the reply repeats a placeholder; unknown tokens are left as they are.
+export function restore(value) {
+  return mapStrings(value, s => s.replace(TOKEN_RE, (m, id) => byToken.get(id) ?? m));
+}
+
+/* -------------------- log -------------------- */
+const log = [];
+const listeners = new Set();
+// Recent redactions, newest last: [{ route, counts, at }]. Only categories are kept, never the values.
+export function privacyLog() { return log.slice(); }
+export function onPrivacyLog(fn) { listeners.add(fn); return () => listeners.delete(fn); }
+
+function record(route, counts) {
+  const entry = { route, counts, at: new Date().toISOString() };
+  log.push(entry); if (log.length > 50) log.shift();
+  for (const fn of listeners) { try { fn(entry); } catch (e) { console.error(e); } }
+}
+
+/* -------------------- guard -------------------- */
+/**
+ * guard(route, body) → { body, restore } — run on every request to the local proxy.
+ * 'off' passes the body through; 'redact' swaps personal data for placeholders and logs the categories;
+ * 'strict' also needs the approver's OK and throws PrivacyBlockedError without it.
+ */
+export async function guard(route, body) {
+  if (mode === 'off') return { body, restore: (v) => v };
+  const { payload, counts } = redact(body);
+  record(route, counts);
+  if (mode === 'strict' && !(await approver?.({ route, categories: Object.keys(counts) }))) throw new PrivacyBlockedError(route);
+  return { body: payload, restore };
+}
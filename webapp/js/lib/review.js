@@ -0,0 +1,120 @@
+// webapp/js/lib/review.js
+// Side-by-side review panel for AI suggestions: word diff, per-change accept/reject, accept/reject all.
+import { diffWords, diffStats } from './diff.js';
+
+const SOURCE_LABELS = { device: 'on-device', cloud: 'local proxy', writer: 'proxy writer', original: 'unchanged', variant: 'tailored CV', template: 'offline template' };
+
+let queue = Promise.resolve();
+
+/**
+ * Show suggestions and resolve with the accepted ones (possibly empty).
+ * suggestion: { label, before, after, source, apply(value) } — `apply` is called by the caller, not here.
+ * Reviews are queued, so two AI actions never share the panel.
+ */
+export function reviewSuggestions(suggestions, { title = 'Review AI suggestions' } = {}) {
+  const run = () => openPanel(suggestions, title);
+  const p = queue.then(run, run);
+  queue = p.catch(() => {});
+  return p;
+}
+
+function openPanel(suggestions, title) {
+  const panel = document.querySelector('#reviewPanel');
+  const list = document.querySelector('#reviewList');
+  if (!panel || !list) return Promise.resolve(suggestions); // no panel in this page → behave as before (apply all)
+
+  return new Promise(resolve => {
+    const decisions = new Map(); // index → true (accept) | false (reject)
+    const titleEl = document.querySelector('#reviewTitle');
+    if (titleEl) titleEl.textContent = `${title} — ${suggestions.length} change${suggestions.length === 1 ? '' : 's'}`;
+
+    list.innerHTML = '';
+    suggestions.forEach((s, i) => list.appendChild(renderItem(s, i, decide)));
+    panel.hidden = false;
+    panel.scrollIntoView?.({ behavior: 'smooth', block: 'start' });
+
+    const acceptAll = panel.querySelector('#reviewAcceptAll');
+    const rejectAll = panel.querySelector('#reviewRejectAll');
+    const onAcceptAll = () => suggestions.forEach((_, i) => { if (!decisions.has(i)) decide(i, true); });
+    const onRejectAll = () => suggestions.forEach((_, i) => { if (!decisions.has(i)) decide(i, false); });
+    acceptAll?.addEventListener('click', onAcceptAll);
+    rejectAll?.addEventListener('click', onRejectAll);
+
+    function decide(i, accepted) {
+      decisions.set(i, accepted);
+      const row = list.querySelector(`[data-review-index="${i}"]`);
+      if (row) {
+        row.classList.add(accepted ? 'accepted' : 'rejected');
+        row.querySelectorAll('button').forEach(b => { b.disabled = true; });
+        const state = row.querySelector('.review-state'); if (state) state.textContent = accepted ? 'Accepted' : 'Rejected';
+      }
+      if (decisions.size === suggestions.length) finish();
+    }
+
+    function finish() {
+      acceptAll?.removeEventListener('click', onAcceptAll);
+      rejectAll?.removeEventListener('click', onRejectAll);
+      panel.hidden = true;
+      list.innerHTML = '';
+      resolve(suggestions.filter((_, i) => decisions.get(i)));
+    }
+  });
+}
+
+function renderItem(s, i, decide) {
+  const ops = diffWords(s.before, s.after);
+  const { added, removed } = diffStats(ops);
+  const row = document.createElement('div');
+  row.className = 'review-item';
+  row.dataset.reviewIndex = String(i);
+  row.innerHTML = `
+    <div class="review-head">
+      <strong>${escapeHtml(s.label)}</strong>
+      <span class="badge" title="Backend that produced this suggestion">${escapeHtml(describeSource(s.source))}</span>
+      <span class="notes">+${added} −${removed} words</span>
+      <span class="review-state notes"></span>
+    </div>
+    ${diffColumnsHTML(ops)}
+    <div class="controls">
+      <button class="btn" data-review="accept">Accept</button>
+      <button class="btn" data-review="reject">Reject</button>
+    </div>`;
+  row.querySelector('[data-review="accept"]').addEventListener('click', () => decide(i, true));
+  row.querySelector('[data-review="reject"]').addEventListener('click', () => decide(i, false));
+  return row;
+}
+
+// Original / Suggestion columns for a diffWords() result; also used for read-only comparisons.
+export function diffColumnsHTML(ops, { left = 'Original', right = 'Suggestion' } = {}) {
+  return `<div class="diff-cols">
+      <div class="diff-side"><div class="notes">${escapeHtml(left)}</div>${renderSide(ops, 'del')}</div>
+      <div class="diff-side"><div class="notes">${escapeHtml(right)}</div>${renderSide(ops, 'ins')}</div>
+    </div>`;
+}
+
+// One side of the diff: equal text plus this side's changes ('del' on the left, 'ins' on the right).
+function renderSide(ops, kind) {
+  const tag = kind === 'del' ? 'del' : 'ins';
+  return `<div class="diff-text">${ops
+    .filter(o => o.op === 'eq' || o.op === kind)
+    .map(o => (o.op === 'eq' ? escapeHtml(o.text) : `<${tag}>${escapeHtml(o.text)}</${tag}>`))
+    .join('')}</div>`;
+}
+
+// 'device' | 'cloud' | 'writer', optionally chained like 'device + dialect:cloud'
+export function describeSource(source) {
+  return String(source || 'unknown')
+    .split(/\s*\+\s*/)
+    .map(part => {
+      const [step, backend] = part.includes(':') ? part.split(':') : ['', part];
+      const name = SOURCE_LABELS[backend] || backend;
+      return step ? `${step}: ${name}` : name;
+    })
+    .join(' · ');
+}
+
+function escapeHtml(s) {
+  return String(s).replace(/[&<>"']/g, c => ({
+    '&':'&amp;', '<':'&lt;', '>':'&gt;', '"':'&quot;', "'":'&#39;'
+  }[c]));
+}
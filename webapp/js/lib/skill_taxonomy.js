@@ -0,0 +1,187 @@
+// webapp/js/lib/skill_taxonomy.js
+// Bundled offline skill taxonomy. Per category: [id, display name, aliases, related ids].
+// Aliases are written forms as they appear in CVs and job ads (lower-case), besides the name; ids are only keys.
+
+export const SKILL_CATEGORIES = [
+  "Programming","Frontend","Backend","Data & ML","Cloud & DevOps",
+  "Databases","Testing","Tools","Languages","Other",
+];
+
+const BY_CATEGORY = {
+  "Programming": [
+    ["javascript", "JavaScript", ["js", "ecmascript", "es6"], ["typescript", "nodejs"]],
+    ["typescript", "TypeScript", ["ts"], ["javascript"]],
+    ["python", "Python", ["python3", "py"], ["django", "pandas"]],
+    ["java", "Java", ["java se", "java ee"], ["kotlin", "spring"]],
+    ["kotlin", "Kotlin", [], ["java", "android"]],
+    ["csharp", "C#", ["c sharp", "csharp"], ["dotnet"]],
+    ["c", "C", [], ["cpp"]],
+    ["cpp", "C++", ["cpp", "c plus plus"], ["c"]],
+    ["go", "Go", ["golang"], []],
+    ["rust", "Rust", [], ["cpp"]],
+    ["swift", "Swift", [], ["ios"]],
+    ["ruby", "Ruby", [], ["rails"]],
+    ["php", "PHP", [], ["laravel"]],
+    ["r", "R", ["r language"], ["statistics"]],
+    ["matlab", "MATLAB", [], []],
+    ["scala", "Scala", [], ["spark"]],
+    ["perl", "Perl", [], []],
+    ["bash", "Bash", ["shell", "shell scripting", "unix shell"], ["linux"]],
+    ["powershell", "PowerShell", [], []],
+    ["solidity", "Solidity", [], []],
+  ],
+  "Frontend": [
+    ["html", "HTML", ["html5"], ["css"]],
+    ["css", "CSS", ["css3"], ["html", "sass"]],
+    ["sass", "Sass", ["scss"], ["css"]],
+    ["less", "Less", [], ["css"]],
+    ["tailwind", "Tailwind CSS", ["tailwindcss", "tailwind"], ["css"]],
+    ["bootstrap", "Bootstrap", [], ["css"]],
+    ["react", "React", ["react.js", "reactjs", "react js"], ["nextjs", "redux", "vue", "angular"]],
+    ["redux", "Redux", [], ["react"]],
+    ["nextjs", "Next.js", ["nextjs", "next js"], ["react"]],
+    ["angular", "Angular", ["angular 2+"], ["typescript", "react", "vue"]],
+    ["vue", "Vue.js", ["vue", "vuejs", "vue js"], ["nuxt", "react"]],
+    ["nuxt", "Nuxt", ["nuxt.js", "nuxtjs"], ["vue"]],
+    ["svelte", "Svelte", ["sveltekit"], ["react", "vue"]],
+    ["jquery", "jQuery", [], ["javascript"]],
+    ["android", "Android", [], ["kotlin"]],
+    ["ios", "iOS", [], ["swift"]],
+  ],
+  "Backend": [
+    ["nodejs", "Node.js", ["node", "nodejs", "node js"], ["javascript", "express"]],
+    ["express", "Express", ["express.js", "expressjs"], ["nodejs"]],
+    ["fastify", "Fastify", [], ["nodejs"]],
+    ["nestjs", "NestJS", ["nest", "nest.js"], ["nodejs", "typescript"]],
+    ["django", "Django", [], ["python", "flask"]],
+    ["flask", "Flask", [], ["python", "django"]],
+    ["fastapi", "FastAPI", [], ["python"]],
+    ["spring", "Spring", ["spring framework"], ["java", "spring-boot"]],
+    ["spring-boot", "Spring Boot", ["springboot"], ["spring", "java"]],
+    ["dotnet", ".NET", ["dotnet", ".net core", ".net framework"], ["csharp", "aspnet"]],
+    ["aspnet", "ASP.NET", ["asp.net core"], ["dotnet"]],
+    ["rails", "Ruby on Rails", ["rails", "ror"], ["ruby"]],
+    ["laravel", "Laravel", [], ["php"]],
+    ["graphql", "GraphQL", [], ["rest-api"]],
+    ["rest-api", "REST APIs", ["rest api", "rest apis", "restful", "restful apis"], ["graphql"]],
+    ["grpc", "gRPC", [], ["microservices"]],
+    ["microservices", "Microservices", ["microservice architecture"], ["docker", "kubernetes"]],
+    ["kafka", "Kafka", ["apache kafka"], ["rabbitmq"]],
+    ["rabbitmq", "RabbitMQ", [], ["kafka"]],
+  ],
+  "Data & ML": [
+    ["pandas", "pandas", [], ["numpy", "python"]],
+    ["numpy", "NumPy", [], ["pandas"]],
+    ["scikit-learn", "scikit-learn", ["sklearn", "scikit learn"], ["machine-learning", "python"]],
+    ["tensorflow", "TensorFlow", [], ["keras", "pytorch", "deep-learning"]],
+    ["pytorch", "PyTorch", [], ["tensorflow", "deep-learning"]],
+    ["keras", "Keras", [], ["tensorflow"]],
+    ["xgboost", "XGBoost", [], ["lightgbm"]],
+    ["lightgbm", "LightGBM", [], ["xgboost"]],
+    ["spark", "Apache Spark", ["spark", "pyspark"], ["hadoop", "scala"]],
+    ["hadoop", "Hadoop", ["apache hadoop"], ["spark"]],
+    ["airflow", "Airflow", ["apache airflow"], ["dbt", "etl"]],
+    ["dbt", "dbt", [], ["sql", "airflow"]],
+    ["etl", "ETL", ["elt", "data pipelines"], ["airflow"]],
+    ["machine-learning", "Machine Learning", ["ml"], ["deep-learning", "scikit-learn"]],
+    ["deep-learning", "Deep Learning", ["dl"], ["machine-learning", "pytorch", "tensorflow"]],
+    ["nlp", "Natural Language Processing", ["nlp"], ["llm", "transformers"]],
+    ["computer-vision", "Computer Vision", [], ["deep-learning"]],
+    ["reinforcement-learning", "Reinforcement Learning", [], ["machine-learning"]],
+    ["llm", "LLMs", ["llm", "large language models", "large language model"], ["generative-ai", "nlp"]],
+    ["transformers", "Transformers", ["transformer", "hugging face transformers"], ["nlp", "pytorch"]],
+    ["generative-ai", "Generative AI", ["genai", "gen ai"], ["llm"]],
+    ["recommender-systems", "Recommender Systems", ["recommender", "recommendation", "recommendation systems"], ["machine-learning"]],
+    ["data-science", "Data Science", [], ["machine-learning", "statistics"]],
+    ["artificial-intelligence", "Artificial Intelligence", [], ["machine-learning"]],
+    ["statistics", "Statistics", [], ["r", "data-science"]],
+    ["tableau", "Tableau", [], ["power-bi"]],
+    ["power-bi", "Power BI", ["powerbi", "microsoft power bi"], ["tableau", "excel"]],
+  ],
+  "Cloud & DevOps": [
+    ["aws", "AWS", ["amazon web services"], ["azure", "gcp", "terraform"]],
+    ["azure", "Azure", ["microsoft azure"], ["aws", "gcp"]],
+    ["gcp", "GCP", ["google cloud", "google cloud platform"], ["aws", "azure"]],
+    ["aws-lambda", "AWS Lambda", [], ["aws", "serverless"]],
+    ["serverless", "Serverless", [], ["aws-lambda"]],
+    ["cloud-computing", "Cloud Computing", [], ["aws", "azure", "gcp"]],
+    ["docker", "Docker", [], ["kubernetes"]],
+    ["kubernetes", "Kubernetes", ["k8s"], ["docker", "helm"]],
+    ["helm", "Helm", [], ["kubernetes"]],
+    ["terraform", "Terraform", [], ["ansible", "aws"]],
+    ["ansible", "Ansible", [], ["terraform"]],
+    ["jenkins", "Jenkins", [], ["ci-cd"]],
+    ["github-actions", "GitHub Actions", [], ["ci-cd", "git"]],
+    ["gitlab-ci", "GitLab CI", ["gitlab ci/cd"], ["ci-cd", "git"]],
+    ["circleci", "CircleCI", [], ["ci-cd"]],
+    ["ci-cd", "CI/CD", ["cicd", "ci / cd", "continuous integration", "continuous delivery"], ["jenkins", "github-actions"]],
+    ["linux", "Linux", [], ["bash"]],
+    ["nginx", "NGINX", [], ["apache"]],
+    ["apache", "Apache", ["apache http server", "httpd"], ["nginx"]],
+    ["grafana", "Grafana", [], ["prometheus"]],
+    ["prometheus", "Prometheus", [], ["grafana"]],
+  ],
+  "Databases": [
+    ["sql", "SQL", [], ["postgresql", "mysql"]],
+    ["postgresql", "PostgreSQL", ["postgres", "psql"], ["sql", "mysql"]],
+    ["mysql", "MySQL", [], ["sql", "postgresql"]],
+    ["sqlite", "SQLite", [], ["sql"]],
+    ["sql-server", "SQL Server", ["mssql", "ms sql", "microsoft sql server"], ["sql"]],
+    ["oracle", "Oracle", ["oracle database", "oracle db"], ["sql"]],
+    ["nosql", "NoSQL", [], ["mongodb", "dynamodb"]],
+    ["mongodb", "MongoDB", ["mongo"], ["nosql"]],
+    ["redis", "Redis", [], ["nosql"]],
+    ["elasticsearch", "Elasticsearch", ["elastic search", "elk"], ["nosql"]],
+    ["dynamodb", "DynamoDB", ["amazon dynamodb"], ["aws", "nosql"]],
+    ["cassandra", "Cassandra", ["apache cassandra"], ["nosql"]],
+    ["neo4j", "Neo4j", [], ["nosql"]],
+    ["snowflake", "Snowflake", [], ["bigquery", "redshift"]],
+    ["redshift", "Redshift", ["amazon redshift"], ["snowflake", "aws"]],
+    ["bigquery", "BigQuery", ["google bigquery"], ["snowflake", "gcp"]],
+  ],
+  "Testing": [
+    ["jest", "Jest", [], ["vitest", "javascript"]],
+    ["vitest", "Vitest", [], ["jest"]],
+    ["mocha", "Mocha", [], ["chai", "jest"]],
+    ["chai", "Chai", [], ["mocha"]],
+    ["cypress", "Cypress", [], ["playwright"]],
+    ["playwright", "Playwright", [], ["cypress", "selenium"]],
+    ["selenium", "Selenium", ["selenium webdriver"], ["playwright"]],
+    ["junit", "JUnit", [], ["java"]],
+    ["pytest", "pytest", [], ["python"]],
+    ["tdd", "Test-Driven Development", ["tdd", "test driven development"], ["jest", "pytest"]],
+  ],
+  "Tools": [
+    ["git", "Git", [], ["github"]],
+    ["github", "GitHub", [], ["git"]],
+    ["figma", "Figma", [], []],
+    ["jira", "Jira", [], ["confluence"]],
+    ["confluence", "Confluence", [], ["jira"]],
+    ["notion", "Notion", [], []],
+    ["slack", "Slack", [], []],
+    ["excel", "Excel", ["microsoft excel", "ms excel"], ["power-bi"]],
+    ["word", "Word", ["microsoft word", "ms word"], []],
+    ["powerpoint", "PowerPoint", ["microsoft powerpoint", "ms powerpoint"], []],
+    ["webpack", "webpack", [], ["vite"]],
+    ["vite", "Vite", [], ["webpack"]],
+    ["postman", "Postman", [], ["rest-api"]],
+  ],
+  "Languages": [
+    ["english", "English", [], []],
+    ["german", "German", ["deutsch"], []],
+    ["french", "French", ["français", "francais"], []],
+    ["spanish", "Spanish", ["español", "espanol"], []],
+    ["hindi", "Hindi", [], []],
+    ["mandarin", "Mandarin", ["mandarin chinese"], []],
+  ],
+  "Other": [
+    ["agile", "Agile", [], ["scrum"]],
+    ["scrum", "Scrum", [], ["agile"]],
+    ["project-management", "Project Management", [], ["agile"]],
+    ["stakeholder-management", "Stakeholder Management", [], []],
+  ],
+};
+
+// [{ id, name, category, aliases, related }]
+export const SKILL_TAXONOMY = Object.entries(BY_CATEGORY).flatMap(([category, rows]) =>
+  rows.map(([id, name, aliases, related]) => ({ id, name, category, aliases, related })));
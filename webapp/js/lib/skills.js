@@ -1,81 +1,120 @@
 // webapp/js/lib/skills.js
 // Tokenize + (optionally) AI-categorize skills into ATS-friendly headlines.
-// Falls back to local heuristic until LanguageModel is available.
+// Skills resolve through the bundled taxonomy (skill_taxonomy.js); AI grouping takes over when available.
+import { SKILL_CATEGORIES, SKILL_TAXONOMY } from "./skill_taxonomy.js";
+
+export { SKILL_CATEGORIES };
+const ORDER = SKILL_CATEGORIES;
+
+  // ---------- Taxonomy lookup ----------
+  const norm = s => String(s ?? "").trim().toLowerCase().replace(/\s+/g," ");
+  // Lookup key where case, spaces, dots, dashes and underscores don't count: "React.js" = "ReactJS" = "react js".
+  const compact = s => norm(s).replace(/[\s._-]+/g,"");
+
+  const BY_ID = new Map(SKILL_TAXONOMY.map(e => [e.id, e]));
+  const BY_KEY = new Map();
+  for (const e of SKILL_TAXONOMY) {
+    for (const form of [e.id, e.name, ...e.aliases]) if (!BY_KEY.has(compact(form))) BY_KEY.set(compact(form), e);
+  }
+
+  // Taxonomy entry { id, name, category, aliases, related } for any written form, or null for unknown skills.
+  export function resolveSkill(s) {
+    const key = compact(s);
+    if (!key) return null;
+    return BY_KEY.get(key) || (key.length > 4 && key.endsWith("js") && BY_KEY.get(key.slice(0, -2))) || null;
+  }
+
+  // Canonical id: the taxonomy id, else the normalised text (so unknown skills still dedupe).
+  export const skillId = s => resolveSkill(s)?.id || norm(s);
+  export const relatedSkillIds = s => resolveSkill(s)?.related || [];
+  export const skillName = id => BY_ID.get(id)?.name || id;
+
+  function detectLocalCategory(s) {
+    const hit = resolveSkill(s);
+    if (hit) return hit.category;
+    const n = norm(s);
+    if (/\b(sql|nosql)\b/.test(n)) return "Databases";
+    if (/\bci\/cd\b/.test(n)) return "Cloud & DevOps";
+    return "Other";
+  }
+
+  // Shared with the JD matcher in ats.js so both sides normalise skills the same way.
+  export const normalizeSkill = norm;
+  export const prettySkill = s => resolveSkill(s)?.name || String(s).trim().replace(/\b\w/g,c=>c.toUpperCase());
+  export const skillCategory = s => detectLocalCategory(s);
+  // Every written form the taxonomy knows: [{ id, term, category }].
+  export function localSkillVocabulary() {
+    return SKILL_TAXONOMY.flatMap(e => [...new Set([e.name, ...e.aliases].map(norm))].map(term => ({ id: e.id, term, category: e.category })));
+  }
+
+  // Known skills under their canonical name, unknown ones as typed; one per id.
+  export function canonicalSkills(list = []) {
+    const seen = new Set();
+    const out = [];
+    for (const raw of list) {
+      const s = String(raw ?? "").trim();
+      const id = s && skillId(s);
+      if (!id || seen.has(id)) continue;
+      seen.add(id);
+      out.push(resolveSkill(s)?.name || s);
+    }
+    return out;
+  }
 
-const ORDER = [
-    "Programming","Frontend","Backend","Data & ML","Cloud & DevOps",
-    "Databases","Testing","Tools","Languages","Other",
-  ];
-  
   // ---------- Tokenizer (works without AI) ----------
-  // lib/skills.js
 export function tokenizeSkills(text) {
     if (!text) return [];
-  
-    // Split roughly on commas or newlines
-    const raw = text
-      .split(/[\n,;]+/)
-      .map(s => s.trim())
-      .filter(Boolean);
-  
-    const merged = [];
-    for (let s of raw) {
-      // Join known multi-word patterns automatically
-      s = s
-        .replace(/\b(Machine)\s+(Learning)\b/gi, 'Machine Learning')
-        .replace(/\b(Deep)\s+(Learning)\b/gi, 'Deep Learning')
-        .replace(/\b(Natural)\s+(Language)\s+(Processing)\b/gi, 'Natural Language Processing')
-        .replace(/\b(Computer)\s+(Vision)\b/gi, 'Computer Vision')
-        .replace(/\b(Reinforcement)\s+(Learning)\b/gi, 'Reinforcement Learning')
-        .replace(/\b(Data)\s+(Science)\b/gi, 'Data Science')
-        .replace(/\b(Artificial)\s+(Intelligence)\b/gi, 'Artificial Intelligence')
-        .replace(/\b(Cloud)\s+(Computing)\b/gi, 'Cloud Computing');
-      merged.push(s);
-    }
-  
-    // Remove duplicates and normalize casing
-    return [...new Set(merged.map(s => s.trim()))];
+    // Split roughly on commas, semicolons or newlines; the taxonomy merges spellings ("ReactJS", "react").
+    return canonicalSkills(String(text).split(/[\n,;]+/));
   }
-  
-  // ---------- Local heuristic (fallback) ----------
-  const PRETTY = {
-    // (minimal prettifier; AI will do the heavy lifting once available)
-    "js":"JavaScript","ts":"TypeScript","node":"Node.js","node.js":"Node.js",
-    "postgres":"PostgreSQL","postgresql":"PostgreSQL","gcp":"GCP"
-  };
-  const norm = s => String(s).trim().toLowerCase().replace(/\s+/g," ").replace(/^nodejs$/,"node.js");
-  const pretty = s => PRETTY[norm(s)] || s.trim().replace(/\b\w/g,c=>c.toUpperCase());
-  
-  const CATS_LOCAL = {
-    "Programming": ["c","c++","cpp","c#","java","python","javascript","js","typescript","ts","go","golang","rust","kotlin","swift","ruby","php","r","matlab","scala","perl","bash","shell","powershell","solidity"],
-    "Frontend": ["html","css","sass","less","tailwind","bootstrap","react","next.js","nextjs","angular","vue","nuxt","svelte"],
-    "Backend": ["node","node.js","express","fastify","nestjs","nest","django","flask","spring","spring boot",".net",".net core","asp.net","rails","laravel","fastapi"],
-    "Data & ML": [
-      "pandas","numpy","scikit-learn","sklearn","tensorflow","pytorch","keras","xgboost","lightgbm","spark","hadoop","airflow","dbt","sql",
-      "machine learning","ml","deep learning","dl","nlp","natural language processing","computer vision",
-      "llm","large language models","transformer","transformers","generative ai","genai","recommender","recommendation"
-    ],
-    "Cloud & DevOps": ["aws","azure","gcp","google cloud","docker","kubernetes","k8s","terraform","ansible","jenkins","github actions","gitlab ci","circleci","linux","nginx","apache","grafana","prometheus"],
-    "Databases": ["postgres","postgresql","mysql","sqlite","mongodb","redis","elasticsearch","dynamodb","oracle","snowflake","redshift","bigquery","cassandra","neo4j"],
-    "Testing": ["jest","mocha","chai","cypress","playwright","selenium","junit","pytest","vitest"],
-    "Tools": ["git","figma","jira","confluence","notion","slack","excel","word","powerpoint"]
+
+  // ---------- Proficiency & years ----------
+  // cv.skillDetails: { [skillId]: { level?, years? } } — keyed by id, so "ReactJS" and "React" share one entry.
+  export const SKILL_LEVELS = ["beginner","intermediate","advanced","expert"];
+  const LEVEL_WORDS = {
+    basic:"beginner", novice:"beginner", elementary:"beginner", junior:"beginner",
+    intermediate:"intermediate", working:"intermediate", good:"intermediate", conversational:"intermediate",
+    advanced:"advanced", proficient:"advanced", strong:"advanced", senior:"advanced", fluent:"advanced",
+    expert:"expert", master:"expert", native:"expert", bilingual:"expert"
   };
-  
-  function detectLocalCategory(n) {
-    for (const [cat, list] of Object.entries(CATS_LOCAL)) if (list.includes(n)) return cat;
-    if (/\b(sql|nosql)\b/.test(n)) return "Databases";
-    if (/\bci\/cd\b/.test(n)) return "Cloud & DevOps";
-    return "Other";
+  export const skillLevelLabel = level => level ? level[0].toUpperCase() + level.slice(1) : "";
+
+  // One of SKILL_LEVELS for a free-text level ("Master", "Proficient", "B2"…), or null.
+  export function normalizeSkillLevel(s) {
+    const n = norm(s);
+    if (SKILL_LEVELS.includes(n)) return n;
+    const word = n.split(/[^a-z]+/).find(w => LEVEL_WORDS[w]);
+    if (word) return LEVEL_WORDS[word];
+    const cefr = /^([abc])([12])$/.exec(n);   // language levels
+    return cefr ? { a: "beginner", b: "intermediate", c: cefr[2] === "2" ? "expert" : "advanced" }[cefr[1]] : null;
   }
-  
+
+  // { level?, years? } recorded for `skill` in the CV, or null.
+  export function skillDetail(cv, skill) {
+    const d = cv?.skillDetails?.[skillId(skill)];
+    if (!d) return null;
+    const out = {};
+    if (SKILL_LEVELS.includes(d.level)) out.level = d.level;
+    if (Number.isFinite(d.years) && d.years > 0) out.years = d.years;
+    return Object.keys(out).length ? out : null;
+  }
+
+  // "Expert, 5 yrs"; short: "5y" (or the level when no years are set).
+  export function skillDetailText(d, { short = false } = {}) {
+    if (!d) return "";
+    if (short) return d.years ? `${d.years}y` : skillLevelLabel(d.level);
+    return [skillLevelLabel(d.level), d.years && `${d.years} yr${d.years === 1 ? "" : "s"}`].filter(Boolean).join(", ");
+  }
+
+  // ---------- Local heuristic (fallback) ----------
   export function groupSkillsLocal(rawSkills = []) {
     const buckets = Object.fromEntries(ORDER.map(c => [c, []]));
     const seen = new Set();
     for (const raw of rawSkills) {
-      const n = norm(raw);
-      if (!n || seen.has(n)) continue;
-      seen.add(n);
-      buckets[detectLocalCategory(n)].push(pretty(raw));
+      const id = String(raw ?? "").trim() && skillId(raw);
+      if (!id || seen.has(id)) continue;
+      seen.add(id);
+      buckets[detectLocalCategory(raw)].push(prettySkill(raw));
     }
     const pruned = {};
     for (const cat of ORDER) if (buckets[cat].length) {
@@ -0,0 +1,174 @@
+// webapp/js/lib/storage.js
+// IndexedDB persistence for named CV profiles (autosave, switch, duplicate, rename) and tracked job applications.
+
+const DB_NAME = 'cvfoundry';
+const DB_VERSION = 2;
+const PROFILES = 'profiles';   // { id, name, cv, createdAt, updatedAt, baseId?, applicationId?, translation? } — baseId marks a tailored
+                               // variant, translation ({ sourceId, to, … }, see translation.js) a language variant
+const SETTINGS = 'settings';   // { key, value }
+const APPLICATIONS = 'applications'; // see applications.js
+
+let dbPromise = null;
+
+/* -------------------- low-level -------------------- */
+function openDB() {
+  if (dbPromise) return dbPromise;
+  if (!('indexedDB' in self)) return Promise.reject(new Error('IndexedDB unsupported'));
+  dbPromise = new Promise((resolve, reject) => {
+    const req = self.indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains(PROFILES)) {
+        const s = db.createObjectStore(PROFILES, { keyPath: 'id' });
+        s.createIndex('updatedAt', 'updatedAt');
+      }
+      if (!db.objectStoreNames.contains(SETTINGS)) db.createObjectStore(SETTINGS, { keyPath: 'key' });
+      if (!db.objectStoreNames.contains(APPLICATIONS)) {
+        const s = db.createObjectStore(APPLICATIONS, { keyPath: 'id' });
+        s.createIndex('updatedAt', 'updatedAt');
+      }
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => { dbPromise = null; reject(req.error || new Error('IndexedDB open failed')); };
+    req.onblocked = () => console.warn('[CV Foundry] IndexedDB upgrade blocked by another tab.');
+  });
+  return dbPromise;
+}
+
+async function run(store, mode, fn) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const t = db.transaction(store, mode);
+    let result;
+    const req = fn(t.objectStore(store));
+    if (req) req.onsuccess = () => { result = req.result; };
+    t.oncomplete = () => resolve(result);
+    t.onerror = () => reject(t.error || new Error('IndexedDB transaction failed'));
+    t.onabort = () => reject(t.error || new Error('IndexedDB transaction aborted'));
+  });
+}
+
+function newId() {
+  return self.crypto?.randomUUID?.() || `cv-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// Structured-clone safe deep copy of the CV (drops functions/DOM refs if any slipped in).
+export function cloneCV(cv) {
+  return JSON.parse(JSON.stringify(cv ?? {}));
+}
+
+/* -------------------- profiles -------------------- */
+export async function listProfiles() {
+  const all = await run(PROFILES, 'readonly', s => s.getAll()) || [];
+  return all
+    .map(({ id, name, createdAt, updatedAt, baseId, applicationId, translation }) => ({
+      id, name, createdAt, updatedAt, baseId, applicationId, translationOf: translation?.sourceId, lang: translation?.to
+    }))
+    .sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0));
+}
+
+export async function getProfile(id) {
+  if (!id) return null;
+  return (await run(PROFILES, 'readonly', s => s.get(id))) || null;
+}
+
+export async function saveProfile(id, cv, extra = {}) {
+  const prev = await getProfile(id);
+  if (!prev) throw new Error(`Profile not found: ${id}`);
+  const rec = { ...prev, ...extra, cv: cloneCV(cv), updatedAt: Date.now() };
+  await run(PROFILES, 'readwrite', s => s.put(rec));
+  return rec;
+}
+
+export async function createProfile(name, cv, extra = {}) {
+  const now = Date.now();
+  const rec = { ...extra, id: newId(), name: String(name || 'Untitled CV').trim() || 'Untitled CV', cv: cloneCV(cv), createdAt: now, updatedAt: now };
+  await run(PROFILES, 'readwrite', s => s.put(rec));
+  return rec;
+}
+
+export async function duplicateProfile(id, name) {
+  const src = await getProfile(id);
+  if (!src) throw new Error(`Profile not found: ${id}`);
+  return createProfile(name || `${src.name} (copy)`, src.cv);
+}
+
+// Tailored copy of a profile for one application; `extra` carries { applicationId }.
+export async function forkProfile(id, name, extra = {}) {
+  const src = await getProfile(id);
+  if (!src) throw new Error(`Profile not found: ${id}`);
+  return createProfile(name || `${src.name} (tailored)`, src.cv, { ...extra, baseId: src.baseId || src.id });
+}
+
+export async function renameProfile(id, name) {
+  const rec = await getProfile(id);
+  if (!rec) throw new Error(`Profile not found: ${id}`);
+  rec.name = String(name || '').trim() || rec.name;
+  rec.updatedAt = Date.now();
+  await run(PROFILES, 'readwrite', s => s.put(rec));
+  return rec;
+}
+
+export async function deleteProfile(id) {
+  await run(PROFILES, 'readwrite', s => s.delete(id));
+}
+
+/* -------------------- applications -------------------- */
+export async function listApplications() {
+  const all = await run(APPLICATIONS, 'readonly', s => s.getAll()) || [];
+  return all.sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0));
+}
+
+export async function getApplication(id) {
+  if (!id) return null;
+  return (await run(APPLICATIONS, 'readonly', s => s.get(id))) || null;
+}
+
+// Insert or update; a record without an id gets one.
+export async function saveApplication(app) {
+  const now = Date.now();
+  const rec = { ...cloneCV(app), id: app.id || newId(), createdAt: app.createdAt || now, updatedAt: now };
+  await run(APPLICATIONS, 'readwrite', s => s.put(rec));
+  return rec;
+}
+
+export async function deleteApplication(id) {
+  await run(APPLICATIONS, 'readwrite', s => s.delete(id));
+}
+
+/* -------------------- settings -------------------- */
+export async function getSetting(key, fallback = null) {
+  const rec = await run(SETTINGS, 'readonly', s => s.get(key));
+  return rec ? rec.value : fallback;
+}
+
+export async function setSetting(key, value) {
+  await run(SETTINGS, 'readwrite', s => s.put({ key, value }));
+}
+
+export const getActiveProfileId = () => getSetting('activeProfileId');
+export const setActiveProfileId = (id) => setSetting('activeProfileId', id);
+
+/* -------------------- autosave -------------------- */
+/**
+ * Debounced saver. `getTarget()` returns { id, cv } (or null to skip).
+ * Returns { schedule(), flush() } — flush() writes immediately (e.g. before switching profile).
+ */
+export function createAutosaver(getTarget, { delay = 600, onSaved, onError } = {}) {
+  let timer = null;
+  let pending = Promise.resolve();
+  const write = () => {
+    timer = null;
+    const target = getTarget();
+    if (!target?.id) return pending;
+    pending = pending
+      .then(() => saveProfile(target.id, target.cv, target.extra))
+      .then(rec => { onSaved?.(rec); return rec; })
+      .catch(e => { onError ? onError(e) : console.warn('[CV Foundry] Autosave failed:', e?.message || e); });
+    return pending;
+  };
+  return {
+    schedule() { clearTimeout(timer); timer = setTimeout(write, delay); },
+    flush() { if (timer) { clearTimeout(timer); return write(); } return pending; }
+  };
+}
@@ -1,14 +1,127 @@
 // webapp/js/lib/templates.js
-import { groupSkillsLocal } from "./skills.js";
+import { groupSkillsLocal, skillDetail, skillDetailText } from "./skills.js";
+import { packSections } from "./packs.js";
+import { formatDateRange } from "./dates.js";
+
+/* -------------------- Themes -------------------- */
+// Every theme is single column with real headings and lists, so ATS parsing is the same for all of them;
+// they differ in typography, spacing, header style, section separators and which sections lead.
+// theme: { id, label, lead:[section keys moved up after the summary], css(scope) → CSS for that scope, pdf:{ pdf.js style overrides },
+//          skillDetail(detail) → text shown after a skill when the CV opts into levels/years (meta.showSkillDetails) }
+const THEMES = new Map();
+
+export function registerTheme(theme) {
+  THEMES.set(theme.id, { lead: [], pdf: {}, skillDetail: (d) => skillDetailText(d), ...theme });
+}
+export function getTheme(id) {
+  return THEMES.get(id) || THEMES.get('classic');
+}
+export function listThemes() {
+  return [...THEMES.values()].map(({ id, label }) => ({ id, label }));
+}
+
+// CSS for one theme (or all of them), scoped so several can live on the same page.
+export function themeCSS(id) {
+  const themes = id ? [getTheme(id)] : [...THEMES.values()];
+  return themes.map(t => t.css(`.cv-page-wrap.cv-theme-${t.id}`)).join('\n');
+}
+
+// Stylesheet for a standalone HTML/print document of the CV.
+export function themeDocumentCSS(id, pageSize = 'A4') {
+  return `body{margin:0;background:#fff;color:#111}
+.cv-page-wrap{max-width:820px;margin:24px auto;padding:0 24px}
+.cv-page-wrap ul{padding-left:1.1rem}
+@page{size:${pageSize};margin:14mm}
+@media print{.cv-page-wrap{margin:0;padding:0;max-width:none}}
+${themeCSS(id)}`;
+}
+
+registerTheme({
+  id: 'classic', label: 'Classic',
+  css: (s) => `${s}{font-family:Arial,Helvetica,sans-serif;font-size:10.5pt;line-height:1.35}
+${s} h1{font-size:20pt;margin:0 0 2px}
+${s} h2{font-size:13pt;margin:14px 0 6px;padding-bottom:2px;border-bottom:1px solid #999}
+${s} .item{margin-top:6px} ${s} ul{margin:2px 0 0 18px}`,
+  pdf: {}
+});
+
+registerTheme({
+  id: 'modern', label: 'Modern',
+  css: (s) => `${s}{font-family:"Segoe UI",Roboto,Helvetica,Arial,sans-serif;font-size:10.5pt;line-height:1.45}
+${s} h1{font-size:24pt;font-weight:700;letter-spacing:-.01em;margin:0}
+${s} .cv-title{color:#1f6f5c;font-size:12pt}
+${s} .cv-contact{color:#555;margin-top:4px}
+${s} h2{font-size:10.5pt;text-transform:uppercase;letter-spacing:.12em;color:#1f6f5c;margin:18px 0 6px;border:none}
+${s} .item{margin-top:8px} ${s} .item-dates{color:#555} ${s} ul{margin:3px 0 0 18px}`,
+  pdf: { nameSize: 22, headingSize: 11, headingUppercase: true, headingRule: false, headingColor: [0.12, 0.435, 0.36], headingSpaceBefore: 14, itemSpaceBefore: 6, lineHeight: 1.35 }
+});
+
+registerTheme({
+  id: 'compact', label: 'Compact',
+  css: (s) => `${s}{font-family:Arial,Helvetica,sans-serif;font-size:9pt;line-height:1.25}
+${s} h1{font-size:15pt;margin:0}
+${s} h2{font-size:9.5pt;text-transform:uppercase;letter-spacing:.05em;margin:8px 0 3px;padding-bottom:1px;border-bottom:1px solid #bbb}
+${s} .item{margin-top:3px} ${s} ul{margin:1px 0 0 14px} ${s} li{margin:0}`,
+  pdf: { fontSize: 9, lineHeight: 1.2, nameSize: 15, headingSize: 10, headingUppercase: true, headingSpaceBefore: 7, itemSpaceBefore: 3, bulletIndent: 10, margin: 32 },
+  skillDetail: (d) => skillDetailText(d, { short: true })
+});
+
+registerTheme({
+  id: 'academic', label: 'Academic',
+  // Research output first: publications and patents lead, straight after the summary.
+  lead: ['publications', 'patents'],
+  css: (s) => `${s}{font-family:Georgia,"Times New Roman",Times,serif;font-size:11pt;line-height:1.4}
+${s} .cv-header{text-align:center}
+${s} h1{font-size:19pt;font-weight:400;letter-spacing:.04em;margin:0 0 2px}
+${s} h2{font-size:12pt;font-variant:small-caps;letter-spacing:.05em;margin:16px 0 6px;padding-bottom:2px;border-bottom:3px double #444}
+${s} .item{margin-top:6px} ${s} ul{margin:2px 0 0 20px}`,
+  pdf: { font: 'times', fontSize: 10.5, nameSize: 18, headingSize: 12, headerAlign: 'center', headingSpaceBefore: 12 },
+  // Years only: levels read as self-assessment in academic CVs.
+  skillDetail: (d) => d.years ? skillDetailText({ years: d.years }) : ''
+});
+
+// Pack section order with the theme's lead sections moved up behind the summary.
+function sectionOrder(pack, theme) {
+  const all = packSections(pack);
+  const lead = theme.lead.map(k => all.find(s => s.key === k)).filter(Boolean);
+  const rest = all.filter(s => !theme.lead.includes(s.key));
+  const at = rest[0]?.key === 'summary' ? 1 : 0;
+  return [...rest.slice(0, at), ...lead, ...rest.slice(at)];
+}
 
 /**
  * Render the CV into a DOM node.
- * Accepts optional 'pack' for future locale/date formatting needs.
+ * 'pack' decides section order, headings and date format; the theme comes from opts.theme or cv.meta.theme.
  */
-export function renderCV(cv, pack = {}) {
+export function renderCV(cv, pack = {}, opts = {}) {
+  const theme = getTheme(opts.theme || cv?.meta?.theme);
   const el = document.createElement('div');
-  el.className = 'cv-page-wrap';
+  el.className = `cv-page-wrap cv-theme-${theme.id}`;
+  el.dataset.theme = theme.id;
+
+  const renderers = {
+    summary: (label) => renderSummary(cv?.profile?.summary, label),
+    experience: (label) => renderExperience(cv?.experience, label, pack),
+    education: (label) => renderEducation(cv?.education, label, pack),
+    projects: (label) => renderProjects(cv?.projects, label),
+    skills: (label) => renderSkills(cv, label, theme),
+    certifications: (label) => renderCertifications(cv?.certifications, label),
+    publications: (label) => renderPublications(cv?.publications, label),
+    patents: (label) => renderPatents(cv?.patents, label)
+  };
 
+  el.innerHTML = `
+    <div class="cv">
+      ${renderHeader(cv)}
+
+      ${sectionOrder(pack, theme).map(({ key, label }) => renderers[key](escapeHtml(label))).join('')}
+    </div>
+  `;
+  return el;
+}
+
+// Name, title and contact line; shared with the cover letter so both documents carry the same letterhead.
+export function renderHeader(cv) {
   const name = escapeHtml(cv?.profile?.name || '');
   const title = escapeHtml(cv?.profile?.title || '');
   const location = escapeHtml(cv?.profile?.location || '');
@@ -21,69 +134,60 @@ export function renderCV(cv, pack = {}) {
     safeContact(cv?.profile?.contact?.github),
   ].filter(Boolean).join(' • ');
 
-  const summaryHtml = (cv?.profile?.summary || '').trim()
-    ? `<div class="section"><h2>Summary</h2><p>${escapeHtml(cv.profile.summary)}</p></div>`
-    : '';
-
-  el.innerHTML = `
-    <div class="cv">
-      ${name ? `<h1>${name}</h1>` : ''}
-      ${title ? `<div><strong>${title}</strong></div>` : ''}
-      <div>${location}${contactBits ? (location ? ' • ' : '') + contactBits : ''}</div>
-
-      ${summaryHtml}
-      ${renderExperience(cv?.experience)}
-      ${renderEducation(cv?.education)}
-      ${renderProjects(cv?.projects)}
-      ${renderSkills(cv?.skills, cv?.meta)}
-      ${renderCertifications(cv?.certifications)}
-      ${renderPublications(cv?.publications)}
-      ${renderPatents(cv?.patents)}
-    </div>
-  `;
-  return el;
+  return `<div class="cv-header">
+        ${name ? `<h1>${name}</h1>` : ''}
+        ${title ? `<div class="cv-title"><strong>${title}</strong></div>` : ''}
+        <div class="cv-contact">${location}${contactBits ? (location ? ' • ' : '') + contactBits : ''}</div>
+      </div>`;
 }
 
 /* -------------------- Sections -------------------- */
+// Each renderer takes its (already escaped) heading label and returns '' when there is nothing to show.
+const section = (key, label, body) => `<div class="section" data-section="${key}"><h2>${label}</h2>${body}</div>`;
+
+function renderSummary(summary, label) {
+  const text = String(summary || '').trim();
+  return text ? section('summary', label, `<p>${escapeHtml(text)}</p>`) : '';
+}
 
-function renderExperience(items = []) {
+function renderExperience(items = [], label, pack) {
   if (!Array.isArray(items) || !items.length) return '';
   const rows = items.map(it => {
     const role = escapeHtml(it?.role || '');
     const company = escapeHtml(it?.company || '');
     const loc = it?.location ? ` • ${escapeHtml(it.location)}` : '';
-    const dates = `${escapeHtml(it?.start || '')} – ${escapeHtml(it?.end || '')}`;
+    const dates = escapeHtml(formatDateRange(it?.start, it?.end, pack));
     const bullets = Array.isArray(it?.bullets) && it.bullets.length
       ? `<ul>${it.bullets.map(b => `<li>${escapeHtml(b)}</li>`).join('')}</ul>`
       : '';
     return `
       <div class="item">
-        <div><strong>${role}</strong>${company ? ` — ${company}` : ''}${loc}</div>
-        <div>${dates}</div>
+        <div class="item-head"><strong>${role}</strong>${company ? ` — ${company}` : ''}${loc}</div>
+        ${dates ? `<div class="item-dates">${dates}</div>` : ''}
         ${bullets}
       </div>
     `;
   }).join('');
-  return `<div class="section"><h2>Experience</h2>${rows}</div>`;
+  return section('experience', label, rows);
 }
 
-function renderEducation(items = []) {
+function renderEducation(items = [], label, pack) {
   if (!Array.isArray(items) || !items.length) return '';
   const rows = items.map(it => {
     const degree = escapeHtml(it?.degree || '');
     const inst = escapeHtml(it?.institution || '');
-    const dates = `${escapeHtml(it?.start || '')} – ${escapeHtml(it?.end || '')}`;
+    const dates = escapeHtml(formatDateRange(it?.start, it?.end, pack));
     return `
       <div class="item">
-        <div><strong>${degree}</strong>${inst ? ` — ${inst}` : ''}</div>
-        <div>${dates}</div>
+        <div class="item-head"><strong>${degree}</strong>${inst ? ` — ${inst}` : ''}</div>
+        ${dates ? `<div class="item-dates">${dates}</div>` : ''}
       </div>
     `;
   }).join('');
-  return `<div class="section"><h2>Education</h2>${rows}</div>`;
+  return section('education', label, rows);
 }
 
-function renderProjects(items = []) {
+function renderProjects(items = [], label) {
   if (!Array.isArray(items) || !items.length) return '';
   const rows = items.map(p => {
     // Support both {name,link,bullets[]} and simple strings
@@ -102,27 +206,33 @@ function renderProjects(items = []) {
       </div>
     `;
   }).join('');
-  return `<div class="section"><h2>Projects</h2>${rows}</div>`;
+  return section('projects', label, rows);
 }
 
-function renderSkills(items = [], cvMeta) {
+function renderSkills(cv, label, theme) {
+  const cvMeta = cv?.meta;
   // If we already have grouped skills in meta, use them; else fall back to local grouping.
   const grouped = (cvMeta && cvMeta.skillsGrouped)
     ? cvMeta.skillsGrouped
-    : groupSkillsLocal(items);
+    : groupSkillsLocal(cv?.skills || []);
 
   if (!grouped || !Object.keys(grouped).length) return '';
 
+  const withDetail = (name) => {
+    const d = cvMeta?.showSkillDetails && skillDetail(cv, name);
+    const text = d ? theme.skillDetail(d) : '';
+    return text ? `${name} (${text})` : name;
+  };
   const lines = Object.entries(grouped).map(([cat, list]) => {
-    const flat = (Array.isArray(list) ? list : []).map(escapeHtml).join(', ');
+    const flat = (Array.isArray(list) ? list : []).map(s => escapeHtml(withDetail(s))).join(', ');
     return `<li><strong>${escapeHtml(cat)}:</strong> ${flat}</li>`;
   }).join('');
 
   const aiBadge = cvMeta?.skillsGroupedSource === 'ai' ? ' (AI)' : '';
-  return `<div class="section"><h2>Skills${aiBadge}</h2><ul>${lines}</ul></div>`;
+  return section('skills', `${label}${aiBadge}`, `<ul>${lines}</ul>`);
 }
 
-function renderCertifications(items = []) {
+function renderCertifications(items = [], label) {
   if (!Array.isArray(items) || !items.length) return '';
   const rows = items.map(c => {
     if (typeof c === 'string') return `<li>${escapeHtml(c)}</li>`;
@@ -134,10 +244,10 @@ function renderCertifications(items = []) {
     const line = c?.link ? `${bits} — ${escapeHtml(c.link)}` : bits;
     return `<li>${line}</li>`;
   }).join('');
-  return `<div class="section"><h2>Certifications</h2><ul>${rows}</ul></div>`;
+  return section('certifications', label, `<ul>${rows}</ul>`);
 }
 
-function renderPublications(items = []) {
+function renderPublications(items = [], label) {
   if (!Array.isArray(items) || !items.length) return '';
   const rows = items.map(p => {
     if (typeof p === 'string') return `<li>${escapeHtml(p)}</li>`;
@@ -150,10 +260,10 @@ function renderPublications(items = []) {
     const line = p?.link ? `${main} — ${escapeHtml(p.link)}` : main;
     return `<li>${line}</li>`;
   }).join('');
-  return `<div class="section"><h2>Publications</h2><ul>${rows}</ul></div>`;
+  return section('publications', label, `<ul>${rows}</ul>`);
 }
 
-function renderPatents(items = []) {
+function renderPatents(items = [], label) {
   if (!Array.isArray(items) || !items.length) return '';
   const rows = items.map(p => {
     if (typeof p === 'string') return `<li>${escapeHtml(p)}</li>`;
@@ -166,7 +276,7 @@ function renderPatents(items = []) {
     const line = p?.link ? `${main} — ${escapeHtml(p.link)}` : main;
     return `<li>${line}</li>`;
   }).join('');
-  return `<div class="section"><h2>Patents</h2><ul>${rows}</ul></div>`;
+  return section('patents', label, `<ul>${rows}</ul>`);
 }
 
 /* -------------------- Helpers -------------------- */
@@ -0,0 +1,124 @@
+// webapp/js/lib/translation.js
+// Field-by-field CV translation into a linked language variant, and which source edits make that variant stale.
+import { getPath, setPath, valueText } from './applications.js';
+import { diffPaths, describePath } from './history.js';
+import { cloneCV } from './storage.js';
+
+/* -------------------- fields -------------------- */
+// Prose that gets translated. Everything else — names, companies, institutions, skills, locations, dates,
+// links, certification and publication titles — is copied as it is.
+export function translatableFields(cv) {
+  const out = [];
+  const add = (path, text) => { if (typeof text === 'string' && text.trim()) out.push({ path, text }); };
+  const bullets = (arr, key) => (arr || []).forEach((item, i) => (item?.bullets || []).forEach((b, j) => add(`${key}.${i}.bullets.${j}`, b)));
+  add('profile.title', cv?.profile?.title);
+  add('profile.summary', cv?.profile?.summary);
+  (cv?.experience || []).forEach((e, i) => add(`experience.${i}.role`, e?.role));
+  bullets(cv?.experience, 'experience');
+  (cv?.education || []).forEach((e, i) => add(`education.${i}.degree`, e?.degree));
+  bullets(cv?.projects, 'projects');
+  const letter = cv?.coverLetter;
+  if (letter) {
+    add('coverLetter.salutation', letter.salutation);
+    (letter.paragraphs || []).forEach((p, i) => add(`coverLetter.paragraphs.${i}`, p));
+    add('coverLetter.signOff', letter.signOff);
+  }
+  return out;
+}
+
+/* -------------------- protected terms -------------------- */
+// Kept verbatim inside translated prose: links, e-mail addresses and tech-looking tokens
+// (camelCase, dotted or with digits/+/#: "Node.js", "PostgreSQL", "C++", "S3", "AWS").
+const URL_RE = /\b(?:https?:\/\/|www\.)[^\s<>"')]+|[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g;
+const TECH_RE = /(?<![\w.])(?:[A-Za-z]+[+#]+|[A-Za-z]*[a-z][A-Z][\w]*|[A-Za-z]+\.(?:js|ts|net|io|py)|[A-Z]{2,}\d*s?|[A-Za-z]+\d+[A-Za-z\d]*)(?![\w])/g;
+const TOKEN_RE = /\{\{\s*(\d+)\s*\}\}/g;
+const escapeRe = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// The CV's own proper nouns: its name, skills, employers, schools, projects, certifications and places.
+export function protectedTerms(cv) {
+  const terms = [
+    cv?.profile?.name, cv?.profile?.location, ...(cv?.skills || []),
+    ...(cv?.experience || []).flatMap(e => [e?.company, e?.location]),
+    ...(cv?.education || []).map(e => e?.institution),
+    ...(cv?.projects || []).map(p => p?.name),
+    ...(cv?.certifications || []).flatMap(c => [c?.name, c?.issuer]),
+    cv?.coverLetter?.company, cv?.coverLetter?.recipient
+  ].map(t => String(t ?? '').trim()).filter(t => t.length > 1);
+  return [...new Set(terms)].sort((a, b) => b.length - a.length);
+}
+
+// Swap protected terms for {{n}} tokens, which translators pass through untouched.
+export function maskTerms(text, terms = []) {
+  const kept = [];
+  const swap = (m) => { let i = kept.indexOf(m); if (i < 0) i = kept.push(m) - 1; return `{{${i}}}`; };
+  let s = String(text).replace(URL_RE, swap);
+  for (const term of terms) s = s.replace(new RegExp(`(?<![\\w{])${escapeRe(term)}(?![\\w}])`, 'g'), swap);
+  s = s.replace(TECH_RE, swap);
+  return { text: s, kept };
+}
+
+// Put the terms back; `missing` lists the ones the translation dropped.
+export function unmaskTerms(text, kept = []) {
+  const seen = new Set();
+  const out = String(text).replace(TOKEN_RE, (m, i) => (kept[i] === undefined ? m : (seen.add(+i), kept[i])));
+  return { text: out, missing: kept.filter((_, i) => !seen.has(i)) };
+}
+
+/* -------------------- translate -------------------- */
+/**
+ * translateCV(cv, translateText, { only, signal, onProgress }) → { cv, warnings }
+ * A copy of `cv` with each translatable field passed through translateText(text, { signal }), one field at a
+ * time so the structure is kept. `only` limits it to fields at or under those paths (the rest stays as in `cv`).
+ * warnings: [{ path, label, missing }] — fields whose translation lost a protected term.
+ */
+export async function translateCV(cv, translateText, { only = null, signal, onProgress } = {}) {
+  const out = cloneCV(cv);
+  const terms = protectedTerms(cv);
+  const fields = translatableFields(cv).filter(f => !only || only.some(p => f.path === p || f.path.startsWith(`${p}.`)));
+  const warnings = [];
+  for (const [n, { path, text }] of fields.entries()) {
+    signal?.throwIfAborted();
+    onProgress?.(n, fields.length);
+    const masked = maskTerms(text, terms);
+    // Nothing left to translate (a field that is only a name or a tech term).
+    if (!/\p{L}/u.test(masked.text.replace(TOKEN_RE, ''))) continue;
+    const { text: translated, missing } = unmaskTerms(await translateText(masked.text, { signal }), masked.kept);
+    setPath(out, path, translated.trim() || text);
+    if (missing.length) warnings.push({ path, label: describePath(path), missing });
+  }
+  onProgress?.(fields.length, fields.length);
+  return { cv: out, warnings };
+}
+
+/* -------------------- staleness -------------------- */
+// Settings and derived fields belong to each language version.
+const IGNORED_PATH_RE = /^meta(\.|$)|\.(start|end)YM(\.|$)/;
+
+/**
+ * newTranslationLink(source, { from, to, pack }) → stored on the variant as `translation`
+ *   { sourceId, from, to, pack, translatedAt, sourceSnapshot } — sourceSnapshot is the source CV as translated.
+ */
+export function newTranslationLink(source, { from, to, pack }) {
+  return { sourceId: source.id, from, to, pack, translatedAt: Date.now(), sourceSnapshot: cloneCV(source.cv) };
+}
+
+/**
+ * staleFields(link, sourceCV) → [{ path, label, before, after }] — source fields edited since they were
+ * translated; before/after are the source's old and current text.
+ */
+export function staleFields(link, sourceCV) {
+  if (!link?.sourceSnapshot || !sourceCV) return [];
+  return diffPaths(link.sourceSnapshot, sourceCV)
+    .filter(path => path && !IGNORED_PATH_RE.test(path))
+    .map(path => ({ path, label: describePath(path), before: valueText(getPath(link.sourceSnapshot, path)), after: valueText(getPath(sourceCV, path)) }));
+}
+
+// The link after `paths` were brought up to date with `sourceCV`.
+export function markTranslated(link, sourceCV, paths) {
+  const sourceSnapshot = cloneCV(link.sourceSnapshot);
+  for (const path of paths) {
+    const v = getPath(sourceCV, path);
+    setPath(sourceSnapshot, path, v === undefined ? undefined : cloneCV(v));
+  }
+  return { ...link, sourceSnapshot };
+}
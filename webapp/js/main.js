@@ -5,60 +5,135 @@ import {
   ensureWriter,
   ensureRewriter,
   ensureProofreader,
-  ensureTranslator,
   ensureLanguageDetector,
-  ensurePromptSession
+  ensureTranslator,
+  ensurePromptSession,
+  promptStreaming
 } from './lib/ai.js';
-import { lintCV } from './lib/ats.js';
-import { renderCV } from './lib/templates.js';
-import { tokenizeSkills, groupSkillsLocal, groupSkillsAI } from './lib/skills.js';
-
-// Cloud (local proxy → Gemini)
+// AI tasks go through the router: on-device API or local proxy, by the user's policy
+import * as ai from './lib/ai_router.js';
+import {
+  PRIVACY_MODES,
+  DEFAULT_PRIVACY_MODE,
+  getPrivacyMode,
+  setPrivacyMode,
+  setPIISource,
+  setProxyApprover,
+  onPrivacyLog
+} from './lib/privacy.js';
+import { lintCV, scoreJDMatch, skillEvidence, SEVERITIES, MAX_BULLET_WORDS, ACTION_VERB_RE } from './lib/ats.js';
+import { renderCV, listThemes, getTheme, themeCSS, themeDocumentCSS } from './lib/templates.js';
+import { packSections } from './lib/packs.js';
+import { syncStructuredDates, sortByRecency } from './lib/dates.js';
+import {
+  tokenizeSkills,
+  canonicalSkills,
+  groupSkillsLocal,
+  groupSkillsAI,
+  resolveSkill,
+  skillId,
+  skillName,
+  SKILL_CATEGORIES,
+  SKILL_LEVELS,
+  skillLevelLabel,
+  skillDetailText
+} from './lib/skills.js';
+
+// Cloud (local proxy → Gemini, an OpenAI-compatible server or the mock)
 import {
   fetchCVSpecCloudLocal,
-  renderCVHTMLCloudLocal,
   groupSkillsCloudLocal,
-  summarizeJDCloudLocal,
-  bulletsFromJDCloudLocal,
-  writeCloudLocal,
-  rewriteCloudLocal,
-  proofreadCloudLocal
+  parseCVCloudLocal,
+  bulletsFromJDStreamCloudLocal
 } from './lib/cloud_local.js';
 
+// Persistence (IndexedDB, named profiles)
+import {
+  cloneCV,
+  listProfiles,
+  getProfile,
+  saveProfile,
+  createProfile,
+  duplicateProfile,
+  forkProfile,
+  renameProfile,
+  deleteProfile,
+  getActiveProfileId,
+  setActiveProfileId,
+  listApplications,
+  saveApplication,
+  deleteApplication,
+  getSetting,
+  setSetting,
+  createAutosaver
+} from './lib/storage.js';
+import {
+  APPLICATION_STATUSES,
+  STATUS_LABELS,
+  newApplication,
+  setApplicationStatus,
+  applicationLabel,
+  diffVariant,
+  mergeIntoBase,
+  getPath,
+  valueText
+} from './lib/applications.js';
+import { translateCV, newTranslationLink, staleFields, markTranslated } from './lib/translation.js';
+import { connectExtension, publishProfiles, isExtensionConnected } from './lib/extension_bridge.js';
+import { toJSONResume, fromJSONResume } from './lib/jsonresume.js';
+import { createHistory, diffPaths, describeChange } from './lib/history.js';
+import { reviewSuggestions, describeSource, diffColumnsHTML } from './lib/review.js';
+import { diffWords } from './lib/diff.js';
+import { renderPDF, pageSizeForPack } from './lib/pdf.js';
+import { renderDOCX } from './lib/docx.js';
+import {
+  letterConventions,
+  salutationFor,
+  signOffFor,
+  coverLetterPrompt,
+  parseLetterBody,
+  draftLetterLocal,
+  letterIssues,
+  renderCoverLetter,
+  LETTER_CSS
+} from './lib/coverletter.js';
+import { extractCVText, parseCVText, sanitizeImportedCV } from './lib/cvimport.js';
+
 const DEFAULT_PACKS = {
   // Added Projects, Publications, Patents to common orders
-  "UK": { "page_limit": 2, "photo_allowed": false, "date_format": "MMM YYYY–MMM YYYY", "spelling": "en-GB",
+  "UK": { "page_size": "A4", "page_limit": 2, "photo_allowed": false, "date_format": "MMM YYYY–MMM YYYY", "spelling": "en-GB", "max_gap_months": 6,
     "sections": ["Summary","Experience","Education","Projects","Skills","Certifications","Publications","Patents"],
-    "notes": ["Avoid photos to reduce bias risk.","Single column layout. No tables.","Reverse chronological experience."]},
-  "US": { "page_limit": 1, "photo_allowed": false, "date_format": "MMM YYYY–MMM YYYY", "spelling": "en-US",
+    "notes": ["Avoid photos to reduce bias risk.","Single column layout. No tables.","Reverse chronological experience."],
+    "cover_letter": {"salutation": "Dear {name},", "salutation_generic": "Dear Sir or Madam,", "sign_off": "Yours sincerely,", "sign_off_generic": "Yours faithfully,", "max_words": 400, "paragraphs": 4}},
+  "US": { "page_size": "Letter", "page_limit": 1, "photo_allowed": false, "date_format": "MMM YYYY–MMM YYYY", "spelling": "en-US", "max_gap_months": 6,
     "sections": ["Summary","Experience","Education","Projects","Skills","Certifications","Publications","Patents"],
-    "notes": ["Early-career resumes typically 1 page.","Avoid headers/footers for key info.","Single column. No graphics."]},
-  "DE": { "page_limit": 2, "photo_allowed": false, "date_format": "MM/YYYY–MM/YYYY", "spelling": "de-DE",
+    "notes": ["Early-career resumes typically 1 page.","Avoid headers/footers for key info.","Single column. No graphics."],
+    "cover_letter": {"salutation": "Dear {name},", "salutation_generic": "Dear Hiring Manager,", "sign_off": "Sincerely,", "max_words": 300, "paragraphs": 3}},
+  "DE": { "page_size": "A4", "page_limit": 2, "photo_allowed": false, "date_format": "MM/YYYY–MM/YYYY", "spelling": "de-DE", "max_gap_months": 3,
     "sections": ["Profil","Berufserfahrung","Ausbildung","Projekte","Fähigkeiten","Zertifikate","Publikationen","Patente"],
-    "notes": ["Photo is culturally common but optional. Keep off for ATS fairness.","List languages with CEFR levels (e.g., B2)."]},
-  "FR": { "page_limit": 2, "photo_allowed": false, "date_format": "MM/YYYY–MM/YYYY", "spelling": "fr-FR",
+    "notes": ["Photo is culturally common but optional. Keep off for ATS fairness.","List languages with CEFR levels (e.g., B2)."],
+    "cover_letter": {"salutation": "Guten Tag {name},", "salutation_generic": "Sehr geehrte Damen und Herren,", "sign_off": "Mit freundlichen Grüßen", "max_words": 400, "paragraphs": 4},
+    "rules": { "bullet.action-verb": false }},
+  "FR": { "page_size": "A4", "page_limit": 2, "photo_allowed": false, "date_format": "MM/YYYY–MM/YYYY", "spelling": "fr-FR", "max_gap_months": 6,
     "sections": ["Profil","Expérience","Éducation","Projets","Compétences","Certifications","Publications","Brevets"],
-    "notes": ["Photo sometimes used; for ATS mode, keep off.","Use accents correctly (é, ç)."]},
-  "IN": { "page_limit": 2, "photo_allowed": false, "date_format": "MMM YYYY–MMM YYYY", "spelling": "en-IN",
+    "notes": ["Photo sometimes used; for ATS mode, keep off.","Use accents correctly (é, ç)."],
+    "cover_letter": {"salutation": "Madame, Monsieur,", "salutation_generic": "Madame, Monsieur,", "sign_off": "Je vous prie d'agréer, Madame, Monsieur, l'expression de mes salutations distinguées.", "max_words": 350, "paragraphs": 3},
+    "rules": { "bullet.action-verb": false }},
+  "IN": { "page_size": "A4", "page_limit": 2, "photo_allowed": false, "date_format": "MMM YYYY–MMM YYYY", "spelling": "en-IN", "max_gap_months": 6,
     "sections": ["Summary","Experience","Education","Projects","Skills","Certifications","Publications","Patents"],
-    "notes": ["Keep format ATS-simple; avoid images and tables.","Quantify impact (%, ₹, time saved)."]}
+    "notes": ["Keep format ATS-simple; avoid images and tables.","Quantify impact (%, ₹, time saved)."],
+    "cover_letter": {"salutation": "Dear {name},", "salutation_generic": "Dear Hiring Manager,", "sign_off": "Yours sincerely,", "max_words": 350, "paragraphs": 4},
+    "rules": { "bullet.metric": "warning" }}
 };
 
-const SKILL_ORDER = [
-  "Programming","Frontend","Backend","Data & ML","Cloud & DevOps",
-  "Databases","Testing","Tools","Languages","Other"
-];
-
 const debounce = (fn, ms=300) => { let t; return (...args) => { clearTimeout(t); t = setTimeout(() => fn(...args), ms); }; };
 
 /* ================== GUARDS & SANITIZERS ================== */
 const MAX_ROLE_WORDS = 10;
 const MAX_TITLE_WORDS = 12;
-const MAX_BULLET_WORDS = 22;
 
 const SENTENCE_PUNCT_RE = /[.?!:;]/;
 const BULLET_MARK_RE = /^\s*[-–—•]\s*/;
-const ACTION_VERB_RE = /\b(developed|implemented|improved|collaborated|built|designed|contributed|deployed|led|optimized|analysed|analyzed|managed|reduced|increased|resolved|created)\b/i;
 const META_LINE_RE = /^\s*(here('?s)? (the )?(correct(ed)?|fixed) text|original (résumé|resume) text|corrected (résumé|resume) text|as an ai|note:)/i;
 const CODE_FENCE_RE = /^`{3,}|`{3,}$/g;
 
@@ -118,6 +193,16 @@ function sanitizeBulletLine(s) {
   out = out.replace(/^[`"'“”]+|[`"'“”]+$/g, '');
   return out;
 }
+// Streamed bullet replies: one bullet per line, then an optional "Skills: a, b" line.
+function parseBulletReply(text) {
+  const lines = String(text || '').split('\n').map(s => s.trim()).filter(Boolean);
+  const skillsLine = lines.find(l => /^skills\s*:/i.test(l));
+  return {
+    bullets: lines.filter(l => l !== skillsLine),
+    skills: skillsLine ? skillsLine.replace(/^skills\s*:/i, '').split(/[,;]/).map(s => s.trim()).filter(Boolean) : []
+  };
+}
+
 function sanitizeBulletList(lines) {
   const seen = new Set();
   const clean = [];
@@ -131,17 +216,22 @@ function sanitizeBulletList(lines) {
 }
 
 /* ================== DATA MODEL (extended) ================== */
-let CV = {
-  profile: { name: '', title: '', location: '', contact: { email: '', phone: '', website: '', linkedin: '', github: '' }, summary: '' },
-  experience: [],
-  education: [],
-  skills: [],
-  certifications: [],   // [{ name, issuer, date, link }]
-  projects: [],         // [{ name, link, bullets:[] }]
-  publications: [],     // [{ title, authors, venue, date, doi, link }]
-  patents: [],          // [{ title, office, number, date, status, link, inventors }]
-  meta: { countryPack: 'UK', atsStrict: true, locale: 'auto' }
-};
+function emptyCV() {
+  return {
+    profile: { name: '', title: '', location: '', contact: { email: '', phone: '', website: '', linkedin: '', github: '' }, summary: '' },
+    experience: [],
+    education: [],
+    skills: [],
+    skillDetails: {},     // { [skill id]: { level, years } } — see lib/skills.js
+    certifications: [],   // [{ name, issuer, date, link }]
+    projects: [],         // [{ name, link, bullets:[] }]
+    publications: [],     // [{ title, authors, venue, date, doi, link }]
+    patents: [],          // [{ title, office, number, date, status, link, inventors }]
+    coverLetter: null,    // { recipient, company, role, salutation, paragraphs:[], signOff } — empty salutation/sign-off follow the pack
+    meta: { countryPack: 'UK', atsStrict: true, locale: 'auto', theme: 'classic' }
+  };
+}
+let CV = emptyCV();
 
 let countryPacks = DEFAULT_PACKS;
 
@@ -192,6 +282,8 @@ function showProgress(name, p, err) {
   if (typeof p === 'number') el.textContent = p <= 0 ? `${name}: starting…` : `${name}: ${Math.round(p*100)}%`;
 }
 const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+// Alert for a failed AI call: what failed, then why (one line per backend tried). Silent when the user pressed Stop.
+function alertAIError(what, e) { if (!isAbort(e)) alert(`${what}\n${e?.message || e}`); }
 async function waitAvailability(name, fnAvailability, maxMs = 5 * 60 * 1000) {
   const el = document.getElementById('preloadProgress');
   const started = Date.now();
@@ -236,107 +328,67 @@ async function renderAvailabilityBanner() {
   }
 }
 
-/* ================== EXPORT (PDF/HTML) — with extra sections augmentation ================== */
-function sectionHeadingExists(root, label){
-  const hs = root.querySelectorAll('h2, h3, .section-title');
-  for (const h of hs) { if ((h.textContent||'').trim().toLowerCase() === String(label).trim().toLowerCase()) return true; }
-  return false;
+/* ================== EXPORT (PDF/HTML) ================== */
+// Deterministic PDF straight from the rendered CV (no print dialog); falls back to printing on error.
+function onExportPDF() {
+  try {
+    const pack = countryPacks[CV.meta.countryPack] || DEFAULT_PACKS['UK'];
+    const root = renderCV(CV, pack);
+    const name = CV.profile?.name || '';
+    const blob = renderPDF(root, pack, {
+      country: CV.meta.countryPack,
+      title: name ? `${name} - CV` : 'CV',
+      author: name,
+      subject: CV.profile?.title || '',
+      keywords: (CV.skills || []).join(', '),
+      lang: pack.spelling,
+      style: getTheme(CV.meta.theme).pdf
+    });
+    downloadBlob(blob, exportFileName('pdf'));
+  } catch (e) {
+    console.warn('PDF writer failed, falling back to print:', e?.message || e);
+    onPrintCV();
+  }
 }
-function mk(tag, className){ const el=document.createElement(tag); if (className) el.className=className; return el; }
-function formatPublication(p){
-  const bits = [];
-  if (p.authors) bits.push(p.authors);
-  if (p.title) bits.push(`“${p.title}”`);
-  if (p.venue) bits.push(p.venue);
-  if (p.date) bits.push(p.date);
-  if (p.doi) bits.push(`doi:${p.doi}`);
-  return bits.join(', ');
-}
-function formatPatent(p){
-  const bits = [];
-  if (p.title) bits.push(p.title);
-  const det = [p.office, p.number].filter(Boolean).join(' ');
-  if (det) bits.push(det);
-  if (p.status) bits.push(p.status);
-  if (p.date) bits.push(p.date);
-  return bits.join(' · ');
-}
-function addListSection(root, title, items){
-  if (!items?.length) return;
-  root.querySelectorAll(`[data-autoinserted="${title}"]`).forEach(n => n.remove());
-  if (sectionHeadingExists(root, title)) return;
-
-  const sec = mk('section','cv-section'); sec.setAttribute('data-autoinserted', title);
-  const h = mk('h2'); h.textContent = title; sec.appendChild(h);
-  const ul = mk('ul'); ul.style.paddingLeft = '1.1rem';
-  items.forEach(txt => { const li=mk('li'); li.textContent = txt; ul.appendChild(li); });
-  sec.appendChild(ul);
-  root.appendChild(sec);
-}
-function augmentExtraSections(root){
-  const pubs = (CV.publications||[]).map(p => {
-    let line = formatPublication(p);
-    if (p.link) line += ` — ${p.link}`;
-    return line;
-  });
-  addListSection(root, 'Publications', pubs);
 
-  const pats = (CV.patents||[]).map(p => {
-    let line = formatPatent(p);
-    if (p.link) line += ` — ${p.link}`;
-    return line;
-  });
-  addListSection(root, 'Patents', pats);
-
-  const certs = (CV.certifications||[]).map(c => {
-    const bits=[c.name, c.issuer, c.date].filter(Boolean).join(' — ');
-    return c.link ? `${bits} — ${c.link}` : bits;
-  });
-  addListSection(root, 'Certifications', certs);
-
-  const projs = (CV.projects||[]).map(p => p.link ? `${p.name} — ${p.link}` : p.name).filter(Boolean);
-  addListSection(root, 'Projects', projs);
+// Word export from the CV model itself: headings + bullet lists, single column, no tables.
+function onExportDOCX() {
+  try {
+    const pack = countryPacks[CV.meta.countryPack] || DEFAULT_PACKS['UK'];
+    const name = CV.profile?.name || '';
+    const blob = renderDOCX(CV, pack, {
+      country: CV.meta.countryPack,
+      title: name ? `${name} - CV` : 'CV',
+      author: name,
+      subject: CV.profile?.title || '',
+      keywords: (CV.skills || []).join(', '),
+      lang: pack.spelling
+    });
+    downloadBlob(blob, exportFileName('docx'));
+  } catch (e) { alert('DOCX export failed. See console.'); console.error(e); }
 }
 
-async function onExportPDF() {
-  let htmlDoc = '';
-  try {
-    const spec = await fetchCVSpecCloudLocal({ country: CV.meta.countryPack, seniority: 'mid' });
-    const htmlGem = await renderCVHTMLCloudLocal(CV, spec, 'classic');
-    if (htmlGem && (/<html[\s>]/i.test(htmlGem) || /^<!doctype html>/i.test(htmlGem))) {
-      htmlDoc = htmlGem;
-    }
-  } catch (_) {}
+function exportFileName(ext, doc = 'CV') {
+  const name = CV.profile?.name || '';
+  const slug = doc.replace(/\s+/g, '_');
+  return name ? `${name.replace(/[^\p{L}\p{N}]+/gu, '_')}_${slug}.${ext}` : `${slug.toLowerCase()}.${ext}`;
+}
 
-  if (!htmlDoc) {
-    const pack = (countryPacks[CV.meta.countryPack] || DEFAULT_PACKS['UK']);
-    const root = renderCV(CV, pack);
-    augmentExtraSections(root);
-
-    let css = '';
-    try { const r = await fetch('./css/cv.css', { cache:'no-cache' }); css = r.ok ? await r.text() : ''; } catch {}
-    const printCss = `
-      ${css}
-      @page { size: A4; margin: 14mm; }
-      @media print {
-        body { background: #fff !important; }
-        .cv-page { box-shadow: none !important; margin: 0 !important; width: auto !important; }
-      }
-    `;
-    htmlDoc = `<!doctype html>
-<html>
-<head>
-  <meta charset="utf-8">
-  <title>${CV.profile?.name ? (CV.profile.name + ' - CV') : 'CV'}</title>
-  <style>${printCss}</style>
-</head>
-<body>
-  ${root.outerHTML}
-</body>
-</html>`;
-  }
+// The CV as a standalone HTML document in the picked theme — what print and HTML export both use.
+function cvDocumentHTML() {
+  const pack = countryPacks[CV.meta.countryPack] || DEFAULT_PACKS['UK'];
+  const root = renderCV(CV, pack);
+  const css = themeDocumentCSS(CV.meta.theme, pageSizeForPack(pack, CV.meta.countryPack));
+  const title = CV.profile?.name ? `${CV.profile.name} - CV` : 'CV';
+  return `<!doctype html>
+<meta charset="utf-8">
+<title>${title.replace(/</g, '&lt;')}</title>
+<style>${css}</style>
+<body>${root.outerHTML}</body>`;
+}
 
-  const blob = new Blob([htmlDoc], { type: 'text/html' });
+function onPrintCV() {
+  const blob = new Blob([cvDocumentHTML()], { type: 'text/html' });
   const url = URL.createObjectURL(blob);
   const frame = document.createElement('iframe');
   frame.style.position = 'fixed'; frame.style.right = '0'; frame.style.bottom = '0';
@@ -349,36 +401,178 @@ async function onExportPDF() {
   frame.src = url;
 }
 
-async function onExportHTML() {
+function onExportHTML() {
   try {
-    const spec = await fetchCVSpecCloudLocal({ country: CV.meta.countryPack, seniority: 'mid' });
-    const htmlGem = await renderCVHTMLCloudLocal(CV, spec, 'classic');
-    if (htmlGem && /^<!doctype html>/i.test(htmlGem) || /<html[\s>]/i.test(htmlGem)) {
-      const blobG = new Blob([htmlGem], { type:'text/html' });
-      const urlG = URL.createObjectURL(blobG);
-      const aG=document.createElement('a'); aG.href=urlG; aG.download='cv.html'; aG.click();
-      setTimeout(()=>URL.revokeObjectURL(urlG),1000);
-      return;
-    }
-  } catch(e) { console.warn('Gemini render failed, falling back to local export:', e?.message||e); }
+    downloadBlob(new Blob([cvDocumentHTML()], { type: 'text/html' }), exportFileName('html'));
+  } catch (e) { alert('Export failed. See console.'); console.error(e); }
+}
+
+/* ================== JSON RESUME (import/export) ================== */
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a'); a.href = url; a.download = filename; a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function onExportJSONResume() {
+  const { resume, warnings } = toJSONResume(CV);
+  downloadBlob(new Blob([JSON.stringify(resume, null, 2)], { type: 'application/json' }), 'resume.json');
+  if (warnings.length) alert(`Exported resume.json with ${warnings.length} note${warnings.length>1?'s':''}:\n• ${warnings.join('\n• ')}`);
+}
 
+async function onImportJSONResume(e) {
+  const file = e.target.files?.[0]; e.target.value = '';
+  if (!file) return;
   try {
     const pack = countryPacks[CV.meta.countryPack] || DEFAULT_PACKS['UK'];
-    const root = renderCV(CV, pack);
-    augmentExtraSections(root);
-    const htmlBody = root.outerHTML;
-    let css = '';
-    try { const r = await fetch('./css/cv.css', { cache:'no-cache' }); css = r.ok ? await r.text() : ''; } catch {}
-    const html = `<!doctype html>
-<meta charset="utf-8">
-<title>${CV.profile?.name ? (CV.profile.name + ' - CV') : 'CV'}</title>
-<style>${css || 'body{font-family:Arial,sans-serif}'}</style>
-<body>${htmlBody}</body>`;
-    const blob = new Blob([html], { type:'text/html' });
-    const url = URL.createObjectURL(blob);
-    const a=document.createElement('a'); a.href=url; a.download='cv.html'; a.click();
-    setTimeout(()=>URL.revokeObjectURL(url), 1000);
-  } catch (e) { alert('Export failed. See console.'); console.error(e); }
+    const { cv, warnings } = fromJSONResume(JSON.parse(await file.text()), { base: emptyCV(), dateFormat: pack.date_format });
+    // Import into a new profile so the current CV is never overwritten
+    await autosave.flush();
+    const rec = await createProfile(cv.profile.name ? `${cv.profile.name} (JSON Resume)` : file.name, cv);
+    await switchProfile(rec.id);
+    alert(warnings.length ? `Imported ${file.name} with ${warnings.length} warning${warnings.length>1?'s':''}:\n• ${warnings.join('\n• ')}` : `Imported ${file.name}.`);
+  } catch (err) {
+    console.error(err);
+    alert(`Import failed: ${err?.message || err}`);
+  }
+}
+
+/* ================== IMPORT CV (PDF / DOCX / text) ================== */
+// Heuristic parse first; optional AI refinement; nothing replaces the CV until the user confirms.
+let importDraft = null;        // { cv, warnings, source }
+let importHeadings = new Set(); // heading-styled lines from a DOCX
+
+function openImportPanel(note) {
+  const panel = qs('#importPanel'); if (!panel) return;
+  panel.hidden = false;
+  const src = qs('#importSource'); if (src) src.textContent = note || '';
+  panel.scrollIntoView?.({ behavior: 'smooth', block: 'start' });
+}
+
+function closeImportPanel() {
+  const panel = qs('#importPanel'); if (panel) panel.hidden = true;
+  importDraft = null; importHeadings = new Set();
+  ['#importSummary', '#importWarnings', '#importPreview'].forEach(sel => { const el = qs(sel); if (el) el.innerHTML = ''; });
+}
+
+async function onImportCVFile(e) {
+  const file = e.target.files?.[0]; e.target.value = '';
+  if (!file) return;
+  try {
+    const { text, headings, kind } = await extractCVText(file);
+    const ta = qs('#importText'); if (ta) ta.value = text;
+    importHeadings = headings;
+    openImportPanel(`${file.name} — ${kind.toUpperCase()}, ${text.split('\n').filter(l => l.trim()).length} lines of text`);
+    parseImportText();
+  } catch (err) {
+    console.error(err);
+    alert(`Could not read ${file.name}: ${err?.message || err}`);
+  }
+}
+
+function onPasteCV() {
+  importHeadings = new Set();
+  openImportPanel('Paste the text of an existing CV, then press “Parse text”.');
+  qs('#importText')?.focus();
+}
+
+function parseImportText() {
+  const text = qs('#importText')?.value || '';
+  if (!text.trim()) return alert('Nothing to parse — choose a file or paste CV text first.');
+  const { cv, warnings } = parseCVText(text, { headings: importHeadings, base: emptyCV() });
+  importDraft = { cv, warnings, source: 'heuristic' };
+  renderImportDraft();
+}
+
+function renderImportDraft() {
+  if (!importDraft) return;
+  const { cv, warnings, source } = importDraft;
+  const n = (arr) => (arr || []).length;
+  const contact = Object.entries(cv.profile.contact || {}).filter(([, v]) => v).map(([k]) => k);
+  const found = [
+    cv.profile.name ? `name “${cv.profile.name}”` : '',
+    contact.length ? contact.join(', ') : '',
+    n(cv.experience) ? `${n(cv.experience)} experience entr${n(cv.experience) === 1 ? 'y' : 'ies'} (${cv.experience.reduce((s, e) => s + n(e.bullets), 0)} bullets)` : '',
+    n(cv.education) ? `${n(cv.education)} education` : '',
+    n(cv.skills) ? `${n(cv.skills)} skills` : '',
+    n(cv.projects) ? `${n(cv.projects)} projects` : '',
+    n(cv.certifications) ? `${n(cv.certifications)} certifications` : '',
+    n(cv.publications) ? `${n(cv.publications)} publications` : '',
+    n(cv.patents) ? `${n(cv.patents)} patents` : ''
+  ].filter(Boolean);
+  const summary = qs('#importSummary');
+  if (summary) summary.textContent = `Found ${found.join(' · ') || 'nothing usable'} — parsed by ${source === 'heuristic' ? 'local heuristics' : describeSource(source)}.`;
+  const warnEl = qs('#importWarnings');
+  if (warnEl) {
+    warnEl.innerHTML = ''; // warnings quote CV text, so no innerHTML
+    warnings.forEach(w => { const d = document.createElement('div'); d.textContent = `⚠️ ${w}`; warnEl.appendChild(d); });
+  }
+  const preview = qs('#importPreview');
+  if (preview) {
+    preview.innerHTML = '';
+    preview.appendChild(renderCV(cv, countryPacks[CV.meta.countryPack] || DEFAULT_PACKS['UK']));
+  }
+}
+
+async function onRefineImport() {
+  const text = qs('#importText')?.value || '';
+  if (!importDraft || !text.trim()) return alert('Parse a CV first.');
+  const btn = qs('#importRefine'); if (btn) btn.disabled = true;
+  const prompt = `Correct this heuristic parse of a CV. Fix swapped role/company, merged or split entries and missed bullets.
+Use ONLY facts present in the raw text; never invent employers, dates, metrics or skills. Keep dates as written.
+DRAFT:
+${JSON.stringify({ ...importDraft.cv, meta: undefined })}
+RAW TEXT:
+${text}`;
+  const str = { type: 'string' }, strs = { type: 'array', items: str };
+  const schema = {
+    type: 'object',
+    properties: {
+      profile: { type: 'object', properties: { name: str, title: str, location: str, summary: str,
+        contact: { type: 'object', properties: { email: str, phone: str, website: str, linkedin: str, github: str } } } },
+      experience: { type: 'array', items: { type: 'object', properties: { company: str, role: str, location: str, start: str, end: str, bullets: strs } } },
+      education: { type: 'array', items: { type: 'object', properties: { institution: str, degree: str, start: str, end: str } } },
+      skills: strs,
+      projects: { type: 'array', items: { type: 'object', properties: { name: str, link: str, bullets: strs } } }
+    },
+    required: ['profile', 'experience', 'education', 'skills']
+  };
+  try {
+    const { value, backend } = await ai.prompt(prompt, {
+      schema, task: 'refine import', timeoutMs: 120000,
+      proxy: (signal) => parseCVCloudLocal(text, { ...importDraft.cv, meta: undefined }, { signal })
+    });
+    importDraft = { cv: sanitizeImportedCV(value, importDraft.cv), warnings: [], source: backend };
+    renderImportDraft();
+  } catch (e) {
+    alertAIError('Could not refine the import. The heuristic result is unchanged.', e);
+  } finally { if (btn) btn.disabled = false; }
+}
+
+// Keep the current country/locale settings; skills grouping is recomputed from the new skills.
+function importedCV() {
+  const { skillsGrouped, skillsGroupedSource, ...meta } = CV.meta || {};
+  return { ...importDraft.cv, experience: sortByRecency(importDraft.cv.experience || []), meta };
+}
+
+async function onImportReplace() {
+  if (!importDraft) return;
+  await withHistory('Import CV', () => applyCV(importedCV()));
+  closeImportPanel();
+}
+
+async function onImportAsNew() {
+  if (!importDraft) return;
+  const cv = importedCV();
+  try {
+    await autosave.flush();
+    const rec = await createProfile(cv.profile.name ? `${cv.profile.name} (imported)` : 'Imported CV', cv);
+    await switchProfile(rec.id);
+    closeImportPanel();
+  } catch (err) {
+    console.error(err);
+    alert(`Import failed: ${err?.message || err}`);
+  }
 }
 
 /* ================== PRELOAD MODELS (now calls renderAvailabilityBanner) ================== */
@@ -442,6 +636,703 @@ async function loadCountryPacks() {
   return DEFAULT_PACKS;
 }
 
+/* ================== HISTORY (undo/redo) ================== */
+const cvHistory = createHistory({ limit: 50 });
+let historySnapshot = cloneCV(CV);  // CV as of the last recorded change
+let historyBatch = 0;               // > 0 while a grouped action (or a restore) is running
+// Derived data recomputed in the background; folded into whatever edit caused it.
+const UNTRACKED_PATH_RE = /^meta\.skillsGrouped|\.(start|end)YM(\.|$)/;
+
+// Record the difference since the last snapshot. Unlabelled edits to the same fields coalesce (typing).
+function trackHistory(label) {
+  if (historyBatch) return;
+  const paths = diffPaths(historySnapshot, CV).filter(p => !UNTRACKED_PATH_RE.test(p));
+  if (paths.length) {
+    cvHistory.push(label || describeChange(paths), historySnapshot, { key: label ? null : paths.join('|') });
+    autosave.schedule();
+  }
+  historySnapshot = cloneCV(CV);
+}
+
+// Run an AI operation (or any multi-field change) as ONE history entry.
+// `label` may be a function of the operation's result, e.g. n => `Proofread all (${n} fields)`.
+async function withHistory(label, fn) {
+  trackHistory();
+  historyBatch++;
+  let result;
+  try { result = await fn(); return result; }
+  finally {
+    historyBatch--;
+    trackHistory(typeof label === 'function' ? label(result) : label);
+  }
+}
+
+function withoutHistory(fn) {
+  historyBatch++;
+  try { return fn(); } finally { historyBatch--; }
+}
+
+function restoreFromHistory(entry, verb) {
+  if (!entry) return;
+  withoutHistory(() => applyCV(entry.state));
+  historySnapshot = cloneCV(CV);
+  autosave.schedule();
+  setSaveStatus(`${verb}: ${entry.label}`);
+}
+function onUndo() { trackHistory(); restoreFromHistory(cvHistory.undo(cloneCV(CV)), 'Undone'); }
+function onRedo() { restoreFromHistory(cvHistory.redo(cloneCV(CV)), 'Redone'); }
+
+function renderHistoryButtons({ undo, redo }) {
+  const u = qs('#undoBtn'), r = qs('#redoBtn');
+  if (u) { u.disabled = !undo; u.title = undo ? `Undo: ${undo}` : 'Nothing to undo'; }
+  if (r) { r.disabled = !redo; r.title = redo ? `Redo: ${redo}` : 'Nothing to redo'; }
+}
+
+// Text fields whose edits the CV history records. Anywhere else that takes typing (the job text, application
+// notes…) Ctrl/Cmd+Z is left to the browser's own undo.
+function isHistoryField(el) {
+  if (el.closest('.exp-card, .skill-detail, #letterParagraphs') || el.matches('[data-letter], #skills')) return true;
+  return Object.values(BOUND).some(els => els.includes(el));
+}
+const isEditable = (el) => !!el && (el.isContentEditable || el.matches?.('input, textarea'));
+
+function initHistory() {
+  cvHistory.subscribe(renderHistoryButtons);
+  renderHistoryButtons({ undo: null, redo: null });
+  qs('#undoBtn')?.addEventListener('click', onUndo);
+  qs('#redoBtn')?.addEventListener('click', onRedo);
+  window.addEventListener('keydown', (e) => {
+    if (!(e.metaKey || e.ctrlKey) || e.altKey) return;
+    if (isEditable(e.target) && !isHistoryField(e.target)) return;
+    const k = e.key.toLowerCase();
+    if (k === 'z' && !e.shiftKey) { e.preventDefault(); onUndo(); }
+    else if ((k === 'z' && e.shiftKey) || k === 'y') { e.preventDefault(); onRedo(); }
+  });
+}
+
+/* ================== PROFILES (IndexedDB autosave) ================== */
+let activeProfileId = null;
+const autosave = createAutosaver(() => (activeProfileId ? { id: activeProfileId, cv: CV, extra: { history: cvHistory.toJSON() } } : null), {
+  onSaved: (rec) => { setSaveStatus(`Saved ${new Date(rec.updatedAt).toLocaleTimeString()}`); schedulePublishProfiles(); },
+  onError: (e) => setSaveStatus(`Autosave failed: ${e?.message || e}`)
+});
+
+function setSaveStatus(msg) { const el = qs('#saveStatus'); if (el) el.textContent = msg; }
+
+// Merge saved data over a fresh model so older records gain new fields.
+function normalizeCV(data) {
+  const base = emptyCV();
+  const src = cloneCV(data);
+  return {
+    ...base, ...src,
+    profile: { ...base.profile, ...(src.profile || {}), contact: { ...base.profile.contact, ...(src.profile?.contact || {}) } },
+    meta: { ...base.meta, ...(src.meta || {}) }
+  };
+}
+
+// Replace CV and rebuild every form field and card from it.
+function applyCV(data) {
+  const next = normalizeCV(data);
+  const lists = {
+    experience: next.experience, education: next.education, certifications: next.certifications,
+    projects: next.projects, publications: next.publications, patents: next.patents
+  };
+  CV = { ...next, experience: [], education: [], certifications: [], projects: [], publications: [], patents: [] };
+
+  [['#experienceList', expList], ['#educationList', eduList], ['#certificationList', certList],
+   ['#projectList', projList], ['#publicationList', pubList], ['#patentList', patList]]
+    .forEach(([sel, fallback]) => { (qs(sel) || fallback).innerHTML = ''; });
+  (lists.experience || []).forEach(e => addExperience(e));
+  (lists.education || []).forEach(e => addEducation(e));
+  (lists.certifications || []).forEach(c => addCertification(c));
+  (lists.projects || []).forEach(p => addProject(p));
+  (lists.publications || []).forEach(p => addPublication(p));
+  (lists.patents || []).forEach(p => addPatent(p));
+
+  for (const field of ['name','title','summary','location']) setElsValue(getBoundEls(field), CV.profile[field] || '');
+  for (const field of ['email','phone','website','linkedin','github']) setElsValue(getBoundEls(field), CV.profile.contact[field] || '');
+  document.querySelectorAll('#skills, textarea[name="skills"], #skillsInput').forEach(el => { el.value = (CV.skills || []).join(', '); });
+  renderSkillDetails();
+
+  const countrySel = qs('#countryPack'); if (countrySel && countryPacks[CV.meta.countryPack]) countrySel.value = CV.meta.countryPack;
+  const atsStrict = qs('#atsStrict'); if (atsStrict) atsStrict.checked = CV.meta.atsStrict !== false;
+  const locale = qs('#locale'); if (locale) locale.value = CV.meta.locale || 'auto';
+  const maxGap = qs('#maxGapMonths'); if (maxGap) maxGap.value = CV.meta.maxGapMonths ?? '';
+  const showDetails = qs('#showSkillDetails'); if (showDetails) showDetails.checked = !!CV.meta.showSkillDetails;
+  const themeSel = qs('#themeSelect'); if (themeSel) themeSel.value = getTheme(CV.meta.theme).id;
+
+  updateCountryNotes();
+  renderLetterEditor();
+  refreshPreview();
+}
+
+// Show a stored profile together with its undo/redo history.
+function openProfileRecord(rec) {
+  activeProfileId = rec.id;
+  cvHistory.load(rec.history);
+  withoutHistory(() => applyCV(rec.cv));
+  historySnapshot = cloneCV(CV);
+  syncActiveApplication(rec).catch(e => console.warn('[CV Foundry] Applications unavailable:', e?.message || e));
+  syncTranslationStatus(rec).catch(e => console.warn('[CV Foundry] Translation link unavailable:', e?.message || e));
+}
+
+async function renderProfileSelect() {
+  const sel = qs('#profileSelect'); if (!sel) return;
+  const profiles = await listProfiles();
+  sel.innerHTML = '';
+  profiles.forEach(p => { const o = document.createElement('option'); o.value = p.id; o.textContent = p.baseId || p.translationOf ? `↳ ${p.name}` : p.name; sel.append(o); });
+  if (activeProfileId) sel.value = activeProfileId;
+  schedulePublishProfiles();
+}
+
+async function switchProfile(id) {
+  await autosave.flush();
+  const rec = await getProfile(id);
+  if (!rec) return;
+  openProfileRecord(rec);
+  await setActiveProfileId(rec.id);
+  await renderProfileSelect();
+  setSaveStatus(`Loaded “${rec.name}”`);
+}
+
+async function onNewProfile() {
+  const name = prompt('Name for the new CV:', 'Untitled CV'); if (name === null) return;
+  await autosave.flush();
+  const rec = await createProfile(name, emptyCV());
+  await switchProfile(rec.id);
+}
+async function onDuplicateProfile() {
+  if (!activeProfileId) return;
+  await autosave.flush();
+  const current = await getProfile(activeProfileId);
+  const name = prompt('Name for the copy:', `${current?.name || 'CV'} (copy)`); if (name === null) return;
+  const rec = await duplicateProfile(activeProfileId, name);
+  await switchProfile(rec.id);
+}
+async function onRenameProfile() {
+  if (!activeProfileId) return;
+  const current = await getProfile(activeProfileId);
+  const name = prompt('Rename CV:', current?.name || ''); if (!name) return;
+  await renameProfile(activeProfileId, name);
+  await renderProfileSelect();
+}
+async function onDeleteProfile() {
+  if (!activeProfileId) return;
+  const profiles = await listProfiles();
+  if (profiles.length < 2) return alert('This is your only CV — create another one before deleting it.');
+  const current = profiles.find(p => p.id === activeProfileId);
+  if (!confirm(`Delete “${current?.name || 'this CV'}”? This cannot be undone.`)) return;
+  await deleteProfile(activeProfileId);
+  activeProfileId = null;
+  await switchProfile(profiles.find(p => p.id !== current?.id).id);
+}
+
+// Open the last active profile (or create the first one) and render it.
+async function initProfiles() {
+  try {
+    let id = await getActiveProfileId();
+    let rec = await getProfile(id);
+    if (!rec) {
+      const [latest] = await listProfiles();
+      rec = latest ? await getProfile(latest.id) : await createProfile('My CV', CV);
+    }
+    openProfileRecord(rec);
+    await setActiveProfileId(rec.id);
+    await renderProfileSelect();
+  } catch (e) {
+    console.warn('[CV Foundry] Persistence unavailable, working in memory only:', e?.message || e);
+    setSaveStatus('Storage unavailable — changes will not survive a reload.');
+    withoutHistory(() => applyCV(CV));
+    historySnapshot = cloneCV(CV);
+  }
+  qs('#profileSelect')?.addEventListener('change', e => switchProfile(e.target.value));
+  qs('#newProfile')?.addEventListener('click', onNewProfile);
+  qs('#duplicateProfile')?.addEventListener('click', onDuplicateProfile);
+  qs('#renameProfile')?.addEventListener('click', onRenameProfile);
+  qs('#deleteProfile')?.addEventListener('click', onDeleteProfile);
+  window.addEventListener('beforeunload', () => { autosave.flush(); flushApplicationSaves(); });
+}
+
+/* ================== APPLICATIONS (job tracker, one tailored CV per job) ================== */
+let applications = [];          // cached records, newest first
+let activeApplication = null;   // application whose tailored CV is open
+let selectedApplicationId = null;
+let applicationsView = 'list';  // 'list' | 'board'
+const applicationSaveTimers = new Map();
+
+const findApplication = (id) => applications.find(a => a.id === id) || null;
+const selectedApplication = () => findApplication(selectedApplicationId);
+
+function writeApplication(app) {
+  clearTimeout(applicationSaveTimers.get(app.id));
+  applicationSaveTimers.delete(app.id);
+  return saveApplication(app)
+    .then(rec => { app.updatedAt = rec.updatedAt; })
+    .catch(e => setSaveStatus(`Saving application failed: ${e?.message || e}`));
+}
+function scheduleApplicationSave(app) {
+  clearTimeout(applicationSaveTimers.get(app.id));
+  applicationSaveTimers.set(app.id, setTimeout(() => writeApplication(app), 400));
+}
+// Write pending edits now (before the cache is reloaded from storage).
+function flushApplicationSaves() {
+  const pending = applications.filter(a => applicationSaveTimers.has(a.id));
+  return Promise.all(pending.map(writeApplication));
+}
+
+// Called whenever a profile is opened: a tailored CV brings its job description and summary along.
+async function syncActiveApplication(rec) {
+  await flushApplicationSaves();
+  applications = await listApplications();
+  const app = rec?.applicationId ? findApplication(rec.applicationId) : null;
+  const jobText = qs('#jobText'), jdOut = qs('#jdOut');
+  if (app) {
+    if (jobText) jobText.value = app.jd || '';
+    if (jdOut) jdOut.textContent = app.jdSummary || '';
+    selectedApplicationId = app.id;
+  } else if (activeApplication) {
+    if (jobText) jobText.value = '';
+    if (jdOut) jdOut.textContent = '';
+  }
+  activeApplication = app;
+  renderApplications();
+  scheduleJDMatch();
+}
+
+function statusSelect(app) {
+  const sel = document.createElement('select');
+  APPLICATION_STATUSES.forEach(st => { const o = document.createElement('option'); o.value = st; o.textContent = STATUS_LABELS[st]; sel.append(o); });
+  sel.value = app.status;
+  sel.addEventListener('change', () => { setApplicationStatus(app, sel.value); scheduleApplicationSave(app); renderApplications(); });
+  return sel;
+}
+
+const applicationDates = (app) => APPLICATION_STATUSES.filter(st => app.dates?.[st]).map(st => `${STATUS_LABELS[st]} ${app.dates[st]}`).join(' · ');
+
+function applicationEntry(app, className) {
+  const el = document.createElement('div');
+  el.className = className + (app.id === selectedApplicationId ? ' selected' : '') + (app === activeApplication ? ' active' : '');
+  el.dataset.id = app.id;
+  const name = document.createElement('button');
+  name.className = 'lint-msg';
+  name.textContent = applicationLabel(app) + (app === activeApplication ? ' (open)' : '');
+  name.addEventListener('click', () => { selectedApplicationId = app.id; renderApplications(); });
+  const when = document.createElement('span');
+  when.className = 'notes';
+  when.textContent = applicationDates(app);
+  el.append(name, statusSelect(app), when);
+  return el;
+}
+
+function renderApplications() {
+  const box = qs('#applicationsList'); if (!box) return;
+  box.innerHTML = '';
+  box.className = `applications applications-${applicationsView}`;
+  if (!applications.length) box.innerHTML = '<div class="notes">No applications yet — paste a job into Job Snap and press “Track this job”.</div>';
+  else if (applicationsView === 'board') {
+    for (const st of APPLICATION_STATUSES) {
+      const col = document.createElement('div');
+      col.className = 'app-col';
+      col.dataset.status = st;
+      const group = applications.filter(a => a.status === st);
+      const head = document.createElement('div'); head.className = 'lint-head'; head.textContent = `${STATUS_LABELS[st]} (${group.length})`;
+      col.appendChild(head);
+      group.forEach(app => {
+        const card = applicationEntry(app, 'app-card');
+        card.draggable = true;
+        card.addEventListener('dragstart', e => e.dataTransfer?.setData('text/plain', app.id));
+        col.appendChild(card);
+      });
+      col.addEventListener('dragover', e => e.preventDefault());
+      col.addEventListener('drop', e => {
+        e.preventDefault();
+        const app = findApplication(e.dataTransfer?.getData('text/plain'));
+        if (!app || app.status === st) return;
+        setApplicationStatus(app, st); scheduleApplicationSave(app); renderApplications();
+      });
+      box.appendChild(col);
+    }
+  } else applications.forEach(app => box.appendChild(applicationEntry(app, 'app-row')));
+
+  const ctx = qs('#applicationContext');
+  if (ctx) ctx.textContent = activeApplication ? `Tailoring for ${applicationLabel(activeApplication)} (${STATUS_LABELS[activeApplication.status]}) — the JD below is saved with it.` : '';
+  renderApplicationDetail();
+}
+
+function renderApplicationDetail() {
+  const panel = qs('#applicationDetail'); if (!panel) return;
+  const app = selectedApplication();
+  panel.hidden = !app;
+  if (!app) return;
+  if (panel.dataset.id !== app.id) { const diff = qs('#applicationDiff'); if (diff) diff.innerHTML = ''; }
+  panel.dataset.id = app.id;
+  panel.querySelectorAll('[data-app]').forEach(el => {
+    const k = el.dataset.app;
+    if (k === 'status' && !el.options.length) APPLICATION_STATUSES.forEach(st => { const o = document.createElement('option'); o.value = st; o.textContent = STATUS_LABELS[st]; el.append(o); });
+    if (document.activeElement !== el) el.value = app[k] || '';
+  });
+  const dates = qs('#applicationDates'); if (dates) dates.textContent = applicationDates(app);
+  const summary = qs('#applicationSummary'); if (summary) summary.textContent = app.jdSummary || 'Not analysed yet — open the tailored CV and press “Analyze Job”.';
+}
+
+function onApplicationField(e) {
+  const app = selectedApplication(); const k = e.target.dataset.app;
+  if (!app || !k) return;
+  if (k === 'status') setApplicationStatus(app, e.target.value);
+  else app[k] = e.target.value;
+  scheduleApplicationSave(app);
+  if (k !== 'notes') renderApplications();
+}
+
+// Save the job in Job Snap and fork the base CV for it; the tailored copy is opened straight away.
+async function onNewApplication() {
+  // A job the extension extracted fills in the details, as long as Job Snap still holds its description.
+  const job = extensionJob && extensionJob.description === (qs('#jobText')?.value || '') ? extensionJob : null;
+  const company = prompt('Company:', job?.company || ''); if (company === null) return;
+  const title = prompt('Job title:', job?.title || ''); if (title === null) return;
+  try {
+    await autosave.flush();
+    const current = await getProfile(activeProfileId);
+    const base = current?.baseId ? await getProfile(current.baseId) || current : current;
+    if (!base) return alert('Open a saved CV first.');
+    let app = newApplication({ company: company.trim(), title: title.trim(), url: job?.url || '', jd: qs('#jobText')?.value || '', baseId: base.id, forkedFrom: cloneCV(base.cv) });
+    app = await saveApplication(app);
+    const variant = await forkProfile(base.id, `${base.name} — ${applicationLabel(app)}`, { applicationId: app.id });
+    app.variantId = variant.id;
+    app = await saveApplication(app);
+    selectedApplicationId = app.id;
+    await switchProfile(variant.id);
+  } catch (e) {
+    console.error(e);
+    alert(`Could not save the application: ${e?.message || e}`);
+  }
+}
+
+async function onOpenApplicationCV(which) {
+  const app = selectedApplication(); if (!app) return;
+  const id = which === 'base' ? app.baseId : app.variantId;
+  if (await getProfile(id)) return switchProfile(id);
+  if (which === 'base') return alert('The base CV of this application was deleted.');
+  if (!confirm('The tailored CV of this application was deleted. Fork a new one from the base CV?')) return;
+  const base = await getProfile(app.baseId);
+  if (!base) return alert('The base CV of this application was deleted too.');
+  await autosave.flush();
+  const variant = await forkProfile(base.id, `${base.name} — ${applicationLabel(app)}`, { applicationId: app.id });
+  Object.assign(app, { variantId: variant.id, forkedFrom: cloneCV(base.cv) });
+  await saveApplication(app);
+  await switchProfile(variant.id);
+}
+
+// Base and tailored CV of the selected application, freshly saved; null (after telling the user) if one is gone.
+async function applicationPair(app) {
+  await autosave.flush();
+  const [base, variant] = await Promise.all([getProfile(app.baseId), getProfile(app.variantId)]);
+  if (!base || !variant) { alert(`The ${base ? 'tailored' : 'base'} CV of this application was deleted.`); return null; }
+  return { base, variant };
+}
+
+const changeBadge = (e) => (e.inVariant && e.inBase ? 'changed in both' : e.inVariant ? 'tailored' : 'base changed since fork');
+
+async function onApplicationDiff() {
+  const app = selectedApplication(); const box = qs('#applicationDiff');
+  if (!app || !box) return;
+  const pair = await applicationPair(app); if (!pair) return;
+  const entries = diffVariant(pair.base.cv, pair.variant.cv, app.forkedFrom).filter(e => e.before !== e.after);
+  box.innerHTML = entries.length ? '' : '<div class="notes">The tailored CV matches the base CV.</div>';
+  for (const e of entries) {
+    const row = document.createElement('div');
+    row.className = 'review-item';
+    row.innerHTML = `<div class="review-head"><strong></strong><span class="badge"></span></div>`
+      + diffColumnsHTML(diffWords(e.before, e.after), { left: pair.base.name, right: pair.variant.name });
+    row.querySelector('strong').textContent = e.label;
+    row.querySelector('.badge').textContent = changeBadge(e);
+    box.appendChild(row);
+  }
+}
+
+// Review the tailored CV's own changes and copy the accepted ones into the base CV (one undo step there).
+async function onApplicationMerge() {
+  const app = selectedApplication(); if (!app) return;
+  const pair = await applicationPair(app); if (!pair) return;
+  const entries = diffVariant(pair.base.cv, pair.variant.cv, app.forkedFrom).filter(e => e.inVariant && e.before !== e.after);
+  if (!entries.length) return alert('Nothing to merge — the base CV already has every change made in the tailored CV.');
+  if (activeProfileId !== pair.base.id) await switchProfile(pair.base.id);
+  const accepted = await reviewSuggestions(
+    entries.map(e => ({ ...e, label: e.inBase ? `${e.label} (base changed too)` : e.label, source: 'variant' })),
+    { title: `Merge “${applicationLabel(app)}” into ${pair.base.name}` });
+  if (!accepted.length) return;
+  await withHistory(`Merge from ${applicationLabel(app)} (${accepted.length} field${accepted.length === 1 ? '' : 's'})`,
+    () => applyCV(mergeIntoBase(cloneCV(CV), pair.variant.cv, accepted.map(s => s.path))));
+}
+
+async function onDeleteApplication() {
+  const app = selectedApplication(); if (!app) return;
+  if (!confirm(`Delete the application “${applicationLabel(app)}”?`)) return;
+  const variant = await getProfile(app.variantId);
+  if (variant && confirm(`Also delete its tailored CV “${variant.name}”?`)) {
+    if (activeProfileId === variant.id) await switchProfile(app.baseId);
+    await deleteProfile(variant.id);
+    await renderProfileSelect();
+  }
+  await deleteApplication(app.id);
+  applications = applications.filter(a => a !== app);
+  if (activeApplication === app) activeApplication = null;
+  selectedApplicationId = null;
+  renderApplications();
+}
+
+async function initApplications() {
+  try { applicationsView = await getSetting('applicationsView', 'list'); } catch {}
+  const view = qs('#applicationsView');
+  if (view) {
+    view.value = applicationsView;
+    view.addEventListener('change', e => { applicationsView = e.target.value; setSetting('applicationsView', applicationsView).catch(() => {}); renderApplications(); });
+  }
+  qs('#newApplication')?.addEventListener('click', onNewApplication);
+  qs('#applicationDetail')?.addEventListener('input', onApplicationField);
+  qs('#appOpenVariant')?.addEventListener('click', () => onOpenApplicationCV('variant'));
+  qs('#appOpenBase')?.addEventListener('click', () => onOpenApplicationCV('base'));
+  qs('#appDiff')?.addEventListener('click', onApplicationDiff);
+  qs('#appMerge')?.addEventListener('click', onApplicationMerge);
+  qs('#appDelete')?.addEventListener('click', onDeleteApplication);
+  qs('#jobText')?.addEventListener('input', e => {
+    if (!activeApplication) return;
+    activeApplication.jd = e.target.value;
+    scheduleApplicationSave(activeApplication);
+  });
+}
+
+/* ================== TRANSLATION (linked language variants) ================== */
+// The open CV's link to the CV it was translated from: { id, link, source, stale } (source null if deleted).
+let activeTranslation = null;
+
+async function syncTranslationStatus(rec) {
+  const link = rec?.translation;
+  const source = link ? await getProfile(link.sourceId) : null;
+  if (rec?.id !== activeProfileId) return;
+  activeTranslation = link ? { id: rec.id, link, source, stale: source ? staleFields(link, source.cv) : [] } : null;
+  renderTranslationStatus();
+}
+
+function renderTranslationStatus() {
+  const box = qs('#translationStatus'); if (!box) return;
+  const t = activeTranslation;
+  box.hidden = !t;
+  if (!t) return;
+  const info = qs('#translationInfo'), update = qs('#translationUpdate'), open = qs('#translationSource');
+  const n = t.stale.length;
+  if (info) info.textContent = !t.source
+    ? `Translation into ${t.link.to}; its source CV was deleted.`
+    : `Translation of “${t.source.name}” into ${t.link.to}. ` + (n
+      ? `Stale: ${n} field${n === 1 ? '' : 's'} changed in the source since (${t.stale.slice(0, 3).map(s => s.label).join(', ')}${n > 3 ? ', …' : ''}).`
+      : 'Up to date with the source.');
+  if (update) update.hidden = !n;
+  if (open) open.hidden = !t.source;
+  box.classList.toggle('stale', n > 0);
+}
+
+// Translate text field by field: the on-device Translator when it has the language pair, else the AI router.
+async function fieldTranslator(from, to) {
+  try {
+    const translator = await ensureTranslator(from, to);
+    return { source: 'device', translate: (text) => translator.translate(text), close: () => translator.destroy?.() };
+  } catch (e) {
+    console.warn(`[CV Foundry] On-device translator ${from} → ${to} unavailable: ${e?.message || e}`);
+    return { source: 'writer', translate: async (text, { signal } = {}) => (await ai.translate(text, { from, to, signal })).text, close() {} };
+  }
+}
+
+async function translateFields(cv, { from, to, only }) {
+  const t = await fieldTranslator(from, to);
+  try {
+    const result = await streamInto([qs('#jdOut')], ({ signal, onText }) => translateCV(cv, t.translate, {
+      only, signal, onProgress: (n, total) => onText(`Translating ${from} → ${to}: ${n}/${total} fields…`)
+    }));
+    return { ...result, source: t.source };
+  } finally { t.close(); }
+}
+
+function reportTranslationWarnings(warnings) {
+  if (!warnings.length) return;
+  alert(`Please check these fields — their translation dropped names or terms that should stay as they are:\n`
+    + warnings.map(w => `• ${w.label}: ${w.missing.join(', ')}`).join('\n'));
+}
+
+// Packs in another language than the CV, offered as translation targets.
+function translationTargets(from) {
+  const lang = (tag) => String(tag || 'en').split('-')[0].toLowerCase();
+  return Object.keys(countryPacks).filter(k => lang(countryPacks[k]?.spelling) !== lang(from));
+}
+
+// Translate the open CV into a new (or the existing) linked variant for another country pack, and open it.
+async function onTranslate() {
+  await autosave.flush();
+  if (activeTranslation) {
+    if (activeTranslation.source && confirm(`This CV is a translation of “${activeTranslation.source.name}”. Open that CV to translate it?`)) {
+      await switchProfile(activeTranslation.source.id);
+    }
+    return;
+  }
+  const source = await getProfile(activeProfileId);
+  if (!source) return alert('Translations are saved as separate CVs, which needs storage — it is unavailable.');
+  let from = String((countryPacks[CV.meta.countryPack] || DEFAULT_PACKS['UK']).spelling || 'en').split('-')[0];
+  try { const det = await ensureLanguageDetector(); const best = (await det.detect(collectAllText()))?.[0]; if (best?.detectedLanguage && best.detectedLanguage !== 'und') from = best.detectedLanguage; } catch {}
+
+  const choices = translationTargets(from);
+  if (!choices.length) return alert(`No country pack uses another language than this CV (${from}).`);
+  const byLocale = choices.find(k => countryPacks[k].spelling === CV.meta.locale);
+  const suggested = byLocale || (choices.includes(CV.meta.countryPack) ? CV.meta.countryPack : choices[0]);
+  const answer = prompt(`Translate “${source.name}” (${from}) for which country pack?\n`
+    + choices.map(k => `${k} — ${countryPacks[k].spelling}`).join('\n'), suggested);
+  if (answer === null) return;
+  const packKey = choices.find(k => k.toLowerCase() === answer.trim().toLowerCase());
+  if (!packKey) return alert(`“${answer}” is not one of: ${choices.join(', ')}.`);
+  const to = countryPacks[packKey].spelling;
+
+  const existing = (await listProfiles()).find(p => p.translationOf === source.id && p.lang === to);
+  if (existing && !confirm(`“${existing.name}” already translates this CV into ${to}. Translate everything again and replace it?\n`
+    + 'Cancel opens it instead, where “Update stale fields” keeps your edits to the translation.')) return switchProfile(existing.id);
+  try {
+    const { cv, warnings } = await translateFields(source.cv, { from, to });
+    cv.meta = { ...cv.meta, countryPack: packKey, locale: 'auto' };
+    const translation = newTranslationLink(source, { from, to, pack: packKey });
+    const rec = existing
+      ? await saveProfile(existing.id, cv, { translation })
+      : await createProfile(`${source.name} (${to})`, cv, { translation });
+    await switchProfile(rec.id);
+    reportTranslationWarnings(warnings);
+  } catch (e) { alertAIError(`Could not translate to ${to}.`, e); }
+}
+
+// Re-translate the source fields edited since the translation, review them, and mark the accepted ones current.
+async function onUpdateTranslation() {
+  const t = activeTranslation; if (!t?.source) return;
+  await autosave.flush();
+  const source = await getProfile(t.link.sourceId);
+  if (!source) return syncTranslationStatus(await getProfile(t.id));
+  const stale = staleFields(t.link, source.cv);
+  if (!stale.length) return syncTranslationStatus(await getProfile(t.id));
+  try {
+    const { cv: fresh, warnings, source: backend } = await translateFields(source.cv, { from: t.link.from, to: t.link.to, only: stale.map(s => s.path) });
+    const entries = stale.map(s => ({ path: s.path, label: s.label, before: valueText(getPath(CV, s.path)), after: valueText(getPath(fresh, s.path)), source: backend }));
+    const same = entries.filter(e => e.before === e.after);
+    const accepted = await reviewSuggestions(entries.filter(e => e.before !== e.after), { title: `Update translation from “${source.name}”` });
+    if (accepted.length) {
+      await withHistory(`Update translation (${accepted.length} field${accepted.length === 1 ? '' : 's'})`,
+        () => applyCV(mergeIntoBase(cloneCV(CV), fresh, accepted.map(s => s.path))));
+    }
+    await autosave.flush();
+    const link = markTranslated(t.link, source.cv, [...same, ...accepted].map(e => e.path));
+    await syncTranslationStatus(await saveProfile(t.id, CV, { translation: link }));
+    reportTranslationWarnings(warnings.filter(w => accepted.some(a => w.path === a.path || w.path.startsWith(`${a.path}.`))));
+  } catch (e) { alertAIError('Could not update the translation.', e); }
+}
+
+function initTranslations() {
+  qs('#translationUpdate')?.addEventListener('click', onUpdateTranslation);
+  qs('#translationSource')?.addEventListener('click', () => activeTranslation?.source && switchProfile(activeTranslation.source.id));
+}
+
+/* ================== EXTENSION BRIDGE ================== */
+// The extension's popup offers the saved CVs (republished after every save) and pushes tailored bullets back.
+async function publishProfilesToExtension() {
+  if (!isExtensionConnected()) return;
+  try {
+    const recs = await Promise.all((await listProfiles()).map(p => getProfile(p.id)));
+    publishProfiles(recs.filter(Boolean).map(({ id, name, updatedAt, cv }) => ({ id, name, updatedAt, cv })), activeProfileId);
+  } catch (e) { console.warn('[CV Foundry] Could not share CVs with the extension:', e?.message || e); }
+}
+const schedulePublishProfiles = debounce(publishProfilesToExtension, 1000);
+let extensionJob = null;   // structured job record sent with the last tailoring (title, company, url…)
+
+// Open the CV picked in the popup with the job description, the chosen entry's new bullets and the new skills
+// (one undo step).
+async function applyExtensionTailoring(t) {
+  await autosave.flush();
+  if (t.profileId && t.profileId !== activeProfileId) {
+    if (!(await getProfile(t.profileId))) return alert('The CV picked in the extension no longer exists — nothing was applied.');
+    await switchProfile(t.profileId);
+  }
+  if (t.job) extensionJob = t.job;
+  const jobText = qs('#jobText');
+  if (jobText && t.jobText) { jobText.value = t.jobText; jobText.dispatchEvent(new Event('input', { bubbles: true })); }
+
+  const next = cloneCV(CV);
+  const bullets = sanitizeBulletList(Array.isArray(t.bullets) ? t.bullets : []);
+  // The CV may have changed since the popup read it: find the entry by role and company if its index moved.
+  const sameEntry = (e) => !!e && norm(e.company) === norm(t.company) && norm(e.role) === norm(t.role);
+  let i = Number.isInteger(t.experienceIndex) ? t.experienceIndex : -1;
+  if (i >= 0 && !sameEntry(next.experience[i])) i = next.experience.findIndex(sameEntry);
+  if (i < 0 && bullets.length) i = next.experience.push({ company: t.company || '', role: t.role || '', location: '', start: '', end: '', bullets: [] }) - 1;
+  if (i >= 0 && bullets.length) next.experience[i].bullets = bullets;
+  const have = new Set((next.skills || []).map(skillId));
+  const added = canonicalSkills(Array.isArray(t.skills) ? t.skills : []).filter(s => !have.has(skillId(s)));
+  next.skills = [...(next.skills || []), ...added];
+
+  await withHistory('Tailor from extension', () => applyCV(next));
+  const done = [bullets.length && `${bullets.length} bullet${bullets.length === 1 ? '' : 's'} for Experience #${i + 1}`,
+    added.length && `added ${added.join(', ')}`].filter(Boolean);
+  setSaveStatus(`From the extension: ${done.join(', ') || 'job description only'}.`);
+}
+
+function initExtensionBridge() {
+  connectExtension({ onConnect: publishProfilesToExtension, onTailoring: applyExtensionTailoring });
+}
+
+/* ================== AI ROUTING ================== */
+// The backend policy is an app setting (not per CV); the status line names the backend behind the last AI call.
+async function initAIRouting() {
+  try { ai.setAIPolicy(await getSetting('aiPolicy', ai.DEFAULT_AI_POLICY)); } catch {}
+  const sel = qs('#aiPolicy');
+  if (sel) {
+    sel.innerHTML = ai.AI_POLICIES.map(([value, label]) => `<option value="${value}">${label}</option>`).join('');
+    sel.value = ai.getAIPolicy();
+    sel.addEventListener('change', e => { setSetting('aiPolicy', ai.setAIPolicy(e.target.value)).catch(() => {}); });
+  }
+  ai.onAIRoute(showAIRoute);
+}
+
+function showAIRoute({ task, backend, ms, failures }) {
+  const el = qs('#aiRoute'); if (!el) return;
+  const tried = failures.map(f => `${describeSource(f.backend)}: ${f.message}`).join('; ');
+  el.textContent = backend
+    ? `Last AI call: ${task} via ${describeSource(backend)} (${(ms / 1000).toFixed(1)} s)${tried ? ` — skipped ${tried}` : ''}`
+    : `Last AI call: ${task} failed — ${tried || 'no backend allowed by the AI backend setting'}`;
+  el.classList.toggle('ai-failed', !backend);
+}
+
+/* ================== PRIVACY ================== */
+// Every local-proxy call is redacted (or, in strict mode, also approved) in cloud_local.js; this wires up the setting,
+// the approval prompt and the status line listing what was redacted.
+async function initPrivacy() {
+  try { setPrivacyMode(await getSetting('privacyMode', DEFAULT_PRIVACY_MODE)); } catch {}
+  setPIISource(() => CV);
+  setProxyApprover(approveProxyCall);
+  const sel = qs('#privacyMode');
+  if (sel) {
+    sel.innerHTML = PRIVACY_MODES.map(([value, label]) => `<option value="${value}">${label}</option>`).join('');
+    sel.value = getPrivacyMode();
+    sel.addEventListener('change', e => { approvedRoutes.clear(); setSetting('privacyMode', setPrivacyMode(e.target.value)).catch(() => {}); });
+  }
+  onPrivacyLog(({ route, counts }) => {
+    const el = qs('#privacyStatus'); if (!el) return;
+    const list = Object.entries(counts).map(([k, n]) => `${k} ×${n}`).join(', ');
+    el.textContent = `Privacy: ${route} sent ${list ? `with ${list} redacted` : '(no personal data found)'}`;
+  });
+}
+
+// Strict mode: the user's answer for a proxy route holds until the mode changes or the page reloads.
+// Calls the user didn't start (skills grouping while typing, the country spec at start-up) are refused without asking.
+const approvedRoutes = new Map();
+function approveProxyCall({ route, categories }) {
+  if (approvedRoutes.has(route)) return approvedRoutes.get(route);
+  if (navigator.userActivation && !navigator.userActivation.isActive) return false;
+  const ok = confirm(`Strict privacy mode: send “${route}” to the local proxy${categories.length ? ` (${categories.join(', ')} replaced by placeholders)` : ''}?
+Your answer applies to “${route}” until you reload or change the privacy setting.`);
+  approvedRoutes.set(route, ok);
+  return ok;
+}
+
 /* ================== INIT ================== */
 (async function init(){
   try {
@@ -467,45 +1358,77 @@ async function loadCountryPacks() {
       updateCountryNotes();
       refreshPreview();
     });
-    await updateCountryPackFromGemini(CV.meta.countryPack).catch(()=>{});
   }
 
   const atsStrict = qs('#atsStrict');
   if (atsStrict) { atsStrict.checked = true; atsStrict.addEventListener('change', e => { CV.meta.atsStrict = e.target.checked; refreshPreview(); }); }
-  qs('#locale')?.addEventListener('change', e => { CV.meta.locale = e.target.value; });
+  qs('#locale')?.addEventListener('change', e => { CV.meta.locale = e.target.value; autosave.schedule(); });
+  // Empty falls back to the pack's max_gap_months
+  qs('#maxGapMonths')?.addEventListener('input', e => {
+    const n = parseInt(e.target.value, 10);
+    if (Number.isFinite(n) && n >= 0) CV.meta.maxGapMonths = n; else delete CV.meta.maxGapMonths;
+    refreshPreview();
+  });
 
   updateCountryNotes();
 
+  // Template picker: the same theme drives the preview, HTML and PDF export
+  const themeStyle = document.createElement('style'); themeStyle.id = 'cvThemes'; themeStyle.textContent = `${themeCSS()}\n${LETTER_CSS}`;
+  document.head.appendChild(themeStyle);
+  const themeSel = qs('#themeSelect');
+  if (themeSel) {
+    themeSel.innerHTML = '';
+    listThemes().forEach(t => { const o=document.createElement('option'); o.value=t.id; o.textContent=t.label; themeSel.append(o); });
+    themeSel.value = getTheme(CV.meta.theme).id;
+    themeSel.addEventListener('change', e => { CV.meta.theme = e.target.value; refreshPreview(); });
+  }
+  qs('#showSkillDetails')?.addEventListener('change', e => { CV.meta.showSkillDetails = e.target.checked; refreshPreview(); });
+
   // Buttons
-  qs('#addExperience')?.addEventListener('click', () => addExperience());
-  qs('#addEducation')?.addEventListener('click', () => addEducation());
-  qs('#addCertification')?.addEventListener('click', () => addCertification());
-  qs('#addProject')?.addEventListener('click', () => addProject());
-  qs('#addPublication')?.addEventListener('click', () => addPublication());
-  qs('#addPatent')?.addEventListener('click', () => addPatent());
+  qs('#addExperience')?.addEventListener('click', () => { addExperience(); refreshPreview(); });
+  qs('#addEducation')?.addEventListener('click', () => { addEducation(); refreshPreview(); });
+  qs('#addCertification')?.addEventListener('click', () => { addCertification(); refreshPreview(); });
+  qs('#addProject')?.addEventListener('click', () => { addProject(); refreshPreview(); });
+  qs('#addPublication')?.addEventListener('click', () => { addPublication(); refreshPreview(); });
+  qs('#addPatent')?.addEventListener('click', () => { addPatent(); refreshPreview(); });
   qs('#analyzeJD')?.addEventListener('click', onAnalyzeJD);
+  qs('#jobText')?.addEventListener('input', scheduleJDMatch);
   qs('#genBullets')?.addEventListener('click', onGenBullets);
   qs('#rewriteTone')?.addEventListener('click', onRewriteTone);
+  qs('#cancelAI')?.addEventListener('click', cancelStream);
   qs('#proofread')?.addEventListener('click', onProofreadAll);
   qs('#translate')?.addEventListener('click', onTranslate);
   qs('#exportHTML')?.addEventListener('click', onExportHTML);
   qs('#exportPDF')?.addEventListener('click', onExportPDF);
-
-  /* ---------- Skills normalize (Gemini) + group ---------- */
+  qs('#exportDOCX')?.addEventListener('click', onExportDOCX);
+  qs('#exportJSONResume')?.addEventListener('click', onExportJSONResume);
+  qs('#coverLetterCard')?.addEventListener('input', onLetterField);
+  qs('#draftLetter')?.addEventListener('click', onDraftLetter);
+  qs('#addLetterParagraph')?.addEventListener('click', () => { ensureLetter().paragraphs.push(''); renderLetterEditor(); letterChanged(); });
+  qs('#exportLetterHTML')?.addEventListener('click', onExportLetterHTML);
+  qs('#exportLetterPDF')?.addEventListener('click', onExportLetterPDF);
+  qs('#importJSONResume')?.addEventListener('click', () => qs('#importJSONResumeFile')?.click());
+  qs('#importJSONResumeFile')?.addEventListener('change', onImportJSONResume);
+  qs('#importCV')?.addEventListener('click', () => qs('#importCVFile')?.click());
+  qs('#importCVFile')?.addEventListener('change', onImportCVFile);
+  qs('#pasteCV')?.addEventListener('click', onPasteCV);
+  qs('#importParse')?.addEventListener('click', parseImportText);
+  qs('#importRefine')?.addEventListener('click', onRefineImport);
+  qs('#importReplace')?.addEventListener('click', onImportReplace);
+  qs('#importAsNew')?.addEventListener('click', onImportAsNew);
+  qs('#importCancel')?.addEventListener('click', closeImportPanel);
+
+  /* ---------- Skills normalize (AI router) + group ---------- */
+  // Runs while typing, so failures are reported in the AI status line rather than alerted; the heuristics take over.
   const normalizeSkillsAI = async (rawText) => {
     const input = String(rawText || '').trim();
     if (!input) return [];
-
-    try {
-      const avail = await self.LanguageModel?.availability?.();
-      if (avail === 'available') {
-        const session = await ensurePromptSession({});
-        const schema = {
-          type: 'object',
-          properties: { skills: { type: 'array', items: { type: 'string', minLength: 1 }, maxItems: 200 } },
-          required: ['skills']
-        };
-        const prompt =
+    const schema = {
+      type: 'object',
+      properties: { skills: { type: 'array', items: { type: 'string', minLength: 1 }, maxItems: 200 } },
+      required: ['skills']
+    };
+    const prompt =
 `Extract distinct professional/technical skills and tools from the text below.
 Rules:
 - Keep multi-word terms as ONE item (e.g., "Machine Learning", "Natural Language Processing").
@@ -515,45 +1438,26 @@ Return ONLY JSON: {"skills": string[]}
 
 TEXT:
 ${input}`;
-        const res = await session.prompt(prompt, { responseConstraint: schema });
-        try { const parsed = JSON.parse(res); if (Array.isArray(parsed.skills)) return [...new Set(parsed.skills.map(s => String(s).trim()).filter(Boolean))]; } catch {}
-      }
-    } catch (e) { console.warn('Prompt skills normalize failed:', e); }
-
     try {
-      const json = await writeCloudLocal({
-        prompt:
-`Extract distinct professional/technical skills and tools from the text.
-- Keep multi-word terms intact (e.g., "Machine Learning", "Deep Learning").
-- Normalize casing; remove duplicates.
-Reply ONLY with a minified JSON array of strings, no prose.
-
-TEXT:
-${input}`,
-        tone: 'neutral', length: 'short', format: 'plain-text'
-      });
-      let arr = [];
-      try { const parsed = JSON.parse(json); if (Array.isArray(parsed)) arr = parsed; else if (Array.isArray(parsed.skills)) arr = parsed.skills; }
-      catch { arr = String(json || '').split(/[\n,]+/).map(s => s.trim().replace(/^[-•]\s*/, '')).filter(Boolean); }
-      return [...new Set(arr.map(s => String(s).trim()).filter(Boolean))];
-    } catch (e) { console.warn('Cloud skills normalize failed:', e); }
-
+      const { value } = await ai.prompt(prompt, { schema, task: 'normalize skills', accept: v => Array.isArray(v?.skills) && v.skills.length > 0 });
+      return canonicalSkills(value.skills);
+    } catch (e) {
+      if (!(e instanceof ai.AIRouteError)) console.warn('Skills normalize failed:', e);
+    }
     return tokenizeSkills(input);
   };
 
   const recomputeSkillsGrouped = async () => {
     try {
-      const avail = await self.LanguageModel?.availability?.();
-      if (avail === 'available') {
-        CV.meta.skillsGrouped = await groupSkillsAI(CV.skills);
-        CV.meta.skillsGroupedSource = 'ai';
-      } else {
-        try { CV.meta.skillsGrouped = await groupSkillsCloudLocal(CV.skills, SKILL_ORDER); CV.meta.skillsGroupedSource = 'cloud-local'; }
-        catch { CV.meta.skillsGrouped = groupSkillsLocal(CV.skills); CV.meta.skillsGroupedSource = 'heuristic'; }
-      }
-    } catch {
-      try { CV.meta.skillsGrouped = await groupSkillsCloudLocal(CV.skills, SKILL_ORDER); CV.meta.skillsGroupedSource = 'cloud-local'; }
-      catch { CV.meta.skillsGrouped = groupSkillsLocal(CV.skills); CV.meta.skillsGroupedSource = 'heuristic'; }
+      const { value, backend } = await ai.route('group skills', {
+        device: () => groupSkillsAI(CV.skills),
+        cloud: (signal) => groupSkillsCloudLocal(CV.skills, SKILL_CATEGORIES, { signal })
+      });
+      CV.meta.skillsGrouped = value;
+      CV.meta.skillsGroupedSource = backend === 'device' ? 'ai' : 'cloud-local';
+    } catch (e) {
+      if (!(e instanceof ai.AIRouteError)) console.warn('Skills grouping failed:', e);
+      CV.meta.skillsGrouped = groupSkillsLocal(CV.skills); CV.meta.skillsGroupedSource = 'heuristic';
     }
     refreshPreview();
   };
@@ -565,6 +1469,7 @@ ${input}`,
     const normalized = await normalizeSkillsAI(raw);
     if (myId !== skillsTaskId) return;
     CV.skills = normalized;
+    renderSkillDetails();
     await recomputeSkillsGrouped();
   };
   const normalizeAndGroupSkillsDebounced = debounce(normalizeAndGroupSkills, 450);
@@ -572,8 +1477,16 @@ ${input}`,
     el.addEventListener('input', (e) => normalizeAndGroupSkillsDebounced(e.target.value));
   });
 
-  // Seed example experience
-  addExperience({ company:'Acme Corp', role:'Frontend Engineer', location:'London, UK', start:'Jan 2022', end:'Present', bullets:['Shipped performance improvements that reduced LCP by 22%.'] });
+  // Restore the saved CV (replaces the old hard-coded example seed)
+  initHistory();
+  await initAIRouting();
+  await initPrivacy();
+  await initApplications();
+  initTranslations();
+  await initProfiles();
+  initExtensionBridge();
+  await updateCountryPackFromGemini(CV.meta.countryPack).catch(()=>{});
+  updateCountryNotes();
 
   await recomputeSkillsGrouped();
   refreshPreview();
@@ -617,19 +1530,19 @@ async function updateCountryPackFromGemini(country) {
     const spec = await fetchCVSpecCloudLocal({ country, seniority: 'mid' });
     const baseSections = (DEFAULT_PACKS[country]?.sections ?? DEFAULT_PACKS['UK'].sections);
     const specSections = Array.isArray(spec.section_order) && spec.section_order.length ? spec.section_order : baseSections;
-    const ensureExtras = (arr) => {
-      const need = ['Projects','Certifications','Publications','Patents'];
-      const out = [...arr];
-      need.forEach(s => { if (!out.some(x => String(x).toLowerCase()===s.toLowerCase())) out.push(s); });
-      return out;
-    };
+    const spelling = spec.spelling || (DEFAULT_PACKS[country]?.spelling ?? 'en-GB');
     countryPacks[country] = {
+      page_size: DEFAULT_PACKS[country]?.page_size ?? countryPacks[country]?.page_size,
       page_limit: spec.page_limit ?? (DEFAULT_PACKS[country]?.page_limit ?? 2),
       photo_allowed: !!spec.photo_allowed,
       date_format: spec.date_format || (DEFAULT_PACKS[country]?.date_format ?? 'MMM YYYY–MMM YYYY'),
-      spelling: spec.spelling || (DEFAULT_PACKS[country]?.spelling ?? 'en-GB'),
-      sections: ensureExtras(specSections),
-      notes: Array.isArray(spec.notes) ? spec.notes : (DEFAULT_PACKS[country]?.notes ?? [])
+      spelling,
+      // every CV section, in the spec's order, with labels in the pack's language for any it left out
+      sections: packSections({ sections: specSections, spelling }).map(s => s.label),
+      notes: Array.isArray(spec.notes) ? spec.notes : (DEFAULT_PACKS[country]?.notes ?? []),
+      max_gap_months: countryPacks[country]?.max_gap_months ?? DEFAULT_PACKS[country]?.max_gap_months ?? 6,
+      cover_letter: countryPacks[country]?.cover_letter ?? DEFAULT_PACKS[country]?.cover_letter,
+      rules: countryPacks[country]?.rules ?? DEFAULT_PACKS[country]?.rules ?? {}
     };
   } catch (e) { console.warn('cvSpec fallback to built-in for', country, e?.message||e); }
 }
@@ -640,9 +1553,30 @@ function updateCountryNotes() {
 }
 
 /* ================== EXPERIENCE/EDU UI ================== */
+const fieldText = (v) => Array.isArray(v) ? v.join('\n') : (v ?? '');
+// Card element per experience/education item, so re-sorting the data can move the cards with it.
+const cardOf = new WeakMap();
+
+// Put the cards of `root` back in the order of CV[root].
+function syncCardOrder(root) {
+  const list = qs(CARD_LISTS[root]); if (!list) return;
+  CV[root].forEach(it => { const card = cardOf.get(it); if (card) list.appendChild(card); });
+}
+
+// Keep experience reverse-chronological once a start/end date is committed.
+async function sortExperienceByDate() {
+  const sorted = sortByRecency(CV.experience);
+  if (sorted.every((it, i) => it === CV.experience[i])) return;
+  await withHistory('Sort experience by date', () => {
+    CV.experience.splice(0, CV.experience.length, ...sorted);
+    syncCardOrder('experience');
+  });
+  refreshPreview();
+}
+
 const expList = document.querySelector('#experienceList') || document.createElement('div');
 function addExperience(initial={}) {
-  const idx = CV.experience.push({ company:'', role:'', location:'', start:'', end:'', bullets:[], ...initial }) - 1;
+  const item = { company:'', role:'', location:'', start:'', end:'', bullets:[], ...initial }; CV.experience.push(item);
   const wrap = document.createElement('div');
   wrap.className = 'exp-card';
   wrap.innerHTML = `
@@ -660,66 +1594,46 @@ function addExperience(initial={}) {
       <button class="btn" data-act="delete">Delete</button>
     </div>`;
   wrap.querySelectorAll('input, textarea').forEach(inp => {
-    if (inp.dataset.k in initial) inp.value = initial[inp.dataset.k];
+    if (inp.dataset.k in initial) inp.value = fieldText(initial[inp.dataset.k]);
     inp.addEventListener('input', () => {
       const k = inp.dataset.k;
-      if (k === 'bullets') CV.experience[idx].bullets = inp.value.split('\n').map(s=>s.trim()).filter(Boolean);
-      else CV.experience[idx][k] = inp.value;
+      if (k === 'bullets') item.bullets = inp.value.split('\n').map(s=>s.trim()).filter(Boolean);
+      else item[k] = inp.value;
       refreshPreview();
     });
+    if (inp.dataset.k === 'start' || inp.dataset.k === 'end') inp.addEventListener('change', sortExperienceByDate);
   });
-  wrap.querySelector('[data-act="delete"]')?.addEventListener('click', () => { CV.experience.splice(idx,1); expList.removeChild(wrap); refreshPreview(); });
+  cardOf.set(item, wrap);
+  wrap.querySelector('[data-act="delete"]')?.addEventListener('click', () => { CV.experience.splice(CV.experience.indexOf(item),1); expList.removeChild(wrap); refreshPreview(); });
 
-  // REWRITE bullets
+  // REWRITE bullets (reviewed before applying)
+  const expLabel = () => `Experience #${CV.experience.indexOf(item) + 1}`;
+  const proposeBullets = (out, source) => reviewAndApply(`Rewrite ${expLabel()}`,
+    [bulletsSuggestion('#experienceList', CV.experience, item, `${expLabel()} bullets`, out, source)], `Rewrite ${expLabel()} bullets`);
   wrap.querySelector('[data-act="rewrite"]')?.addEventListener('click', async () => {
-    const original = CV.experience[idx].bullets.join('\n');
+    const original = item.bullets.join('\n');
+    const target = wrap.querySelector('[data-k="bullets"]');
+    const toBullets = (text) => sanitizeBulletList(String(text || original).split('\n').map(s=>s.trim()).filter(Boolean));
+    if (!original.trim()) return alert('Add some bullets to rewrite first.');
     try {
-      const rewriter = await ensureRewriter({ tone:'neutral', format:'plain-text', length:'short' });
-      const improved = await rewriter.rewrite(original, { operation:'tighten' }).catch(()=>original);
-      let out = String(improved || original).split('\n').map(s=>s.trim()).filter(Boolean);
-      out = sanitizeBulletList(out);
-      if (out.length) {
-        CV.experience[idx].bullets = out;
-        wrap.querySelector('textarea[data-k="bullets"]').value = out.join('\n');
-        refreshPreview(); return;
-      }
-    } catch (eDevice) {
-      try {
-        const improved = await rewriteCloudLocal({ text: original, operation:'tighten', tone:'neutral', length:'short', format:'plain-text' });
-        let out = String(improved || original).split('\n').map(s=>s.trim()).filter(Boolean);
-        out = sanitizeBulletList(out);
-        if (out.length) {
-          CV.experience[idx].bullets = out;
-          wrap.querySelector('textarea[data-k="bullets"]').value = out.join('\n');
-          refreshPreview(); return;
-        }
-      } catch (eCloud) {
-        try {
-          const viaWriter = await writeCloudLocal({
-            prompt: 'Rewrite each resume bullet into a concise, quantified, ATS-friendly bullet. Keep one bullet per line, ≤22 words.\n' + original,
-            tone:'neutral', length:'short', format:'plain-text'
-          });
-          let out = String(viaWriter || original).split('\n').map(s=>s.trim()).filter(Boolean);
-          out = sanitizeBulletList(out);
-          if (out.length) {
-            CV.experience[idx].bullets = out;
-            wrap.querySelector('textarea[data-k="bullets"]').value = out.join('\n');
-            refreshPreview(); return;
-          }
-        } catch (eWriter) {
-          alert(`Rewriter failed.`);
-        }
-      }
+      const { text, backend } = await streamInto([target], ({ signal, onText }) => ai.rewrite(original, {
+        operation: 'tighten', signal, onText,
+        fallbackPrompt: 'Rewrite each resume bullet into a concise, quantified, ATS-friendly bullet. Keep one bullet per line, ≤22 words.\n' + original
+      }));
+      const out = toBullets(text);
+      if (out.length) return proposeBullets(out, backend);
+    } catch (e) {
+      alertAIError(`Could not rewrite ${expLabel()}.`, e);
     }
   });
 
-  wrap.querySelector('[data-act="generate"]')?.addEventListener('click', onGenerateFromJD(idx, wrap));
+  wrap.querySelector('[data-act="generate"]')?.addEventListener('click', onGenerateFromJD(item, wrap));
   (document.querySelector('#experienceList')||expList).appendChild(wrap);
 }
 
 const eduList = document.querySelector('#educationList') || document.createElement('div');
 function addEducation(initial={}) {
-  const idx = CV.education.push({ institution:'', degree:'', start:'', end:'' , ...initial}) - 1;
+  const item = { institution:'', degree:'', start:'', end:'' , ...initial}; CV.education.push(item);
   const wrap = document.createElement('div');
   wrap.className = 'exp-card';
   wrap.innerHTML = `
@@ -730,16 +1644,17 @@ function addEducation(initial={}) {
       <label>End<input data-k="end" /></label>
     </div>`;
   wrap.querySelectorAll('input').forEach(inp => {
-    if (inp.dataset.k in initial) inp.value = initial[inp.dataset.k];
-    inp.addEventListener('input', () => { CV.education[idx][inp.dataset.k] = inp.value; refreshPreview(); });
+    if (inp.dataset.k in initial) inp.value = fieldText(initial[inp.dataset.k]);
+    inp.addEventListener('input', () => { item[inp.dataset.k] = inp.value; refreshPreview(); });
   });
+  cardOf.set(item, wrap);
   (document.querySelector('#educationList')||eduList).appendChild(wrap);
 }
 
 /* ================== NEW SECTION UI BUILDERS ================== */
 const certList = document.querySelector('#certificationList') || document.createElement('div');
 function addCertification(initial={}) {
-  const idx = CV.certifications.push({ name:'', issuer:'', date:'', link:'', ...initial }) - 1;
+  const item = { name:'', issuer:'', date:'', link:'', ...initial }; CV.certifications.push(item);
   const wrap = document.createElement('div'); wrap.className = 'exp-card';
   wrap.innerHTML = `
     <div class="grid">
@@ -750,16 +1665,16 @@ function addCertification(initial={}) {
     </div>
     <div class="controls"><button class="btn" data-act="delete">Delete</button></div>`;
   wrap.querySelectorAll('input').forEach(inp => {
-    if (inp.dataset.k in initial) inp.value = initial[inp.dataset.k];
-    inp.addEventListener('input', () => { CV.certifications[idx][inp.dataset.k] = inp.value; refreshPreview(); });
+    if (inp.dataset.k in initial) inp.value = fieldText(initial[inp.dataset.k]);
+    inp.addEventListener('input', () => { item[inp.dataset.k] = inp.value; refreshPreview(); });
   });
-  wrap.querySelector('[data-act="delete"]')?.addEventListener('click', () => { CV.certifications.splice(idx,1); certList.removeChild(wrap); refreshPreview(); });
+  wrap.querySelector('[data-act="delete"]')?.addEventListener('click', () => { CV.certifications.splice(CV.certifications.indexOf(item),1); certList.removeChild(wrap); refreshPreview(); });
   (document.querySelector('#certificationList')||certList).appendChild(wrap);
 }
 
 const projList = document.querySelector('#projectList') || document.createElement('div');
 function addProject(initial={}) {
-  const idx = CV.projects.push({ name:'', link:'', bullets:[], ...initial }) - 1;
+  const item = { name:'', link:'', bullets:[], ...initial }; CV.projects.push(item);
   const wrap = document.createElement('div'); wrap.className = 'exp-card';
   wrap.innerHTML = `
     <div class="grid">
@@ -772,32 +1687,31 @@ function addProject(initial={}) {
       <button class="btn" data-act="delete">Delete</button>
     </div>`;
   wrap.querySelectorAll('input, textarea').forEach(inp => {
-    if (inp.dataset.k in initial) inp.value = initial[inp.dataset.k];
+    if (inp.dataset.k in initial) inp.value = fieldText(initial[inp.dataset.k]);
     inp.addEventListener('input', () => {
       const k = inp.dataset.k;
-      if (k === 'bullets') CV.projects[idx].bullets = inp.value.split('\n').map(s=>s.trim()).filter(Boolean);
-      else CV.projects[idx][k] = inp.value;
+      if (k === 'bullets') item.bullets = inp.value.split('\n').map(s=>s.trim()).filter(Boolean);
+      else item[k] = inp.value;
       refreshPreview();
     });
   });
-  wrap.querySelector('[data-act="delete"]')?.addEventListener('click', () => { CV.projects.splice(idx,1); projList.removeChild(wrap); refreshPreview(); });
+  wrap.querySelector('[data-act="delete"]')?.addEventListener('click', () => { CV.projects.splice(CV.projects.indexOf(item),1); projList.removeChild(wrap); refreshPreview(); });
   wrap.querySelector('[data-act="rewrite"]')?.addEventListener('click', async () => {
-    const original = CV.projects[idx].bullets.join('\n');
+    const original = item.bullets.join('\n');
+    const label = `Project #${CV.projects.indexOf(item) + 1}`;
+    if (!original.trim()) return alert('Add some bullets to rewrite first.');
     try {
-      const rewriter = await ensureRewriter({ tone:'neutral', format:'plain-text', length:'short' });
-      let out = await rewriter.rewrite(original, { operation:'tighten' }).catch(()=>original);
-      out = sanitizeBulletList(String(out||original).split('\n'));
-      CV.projects[idx].bullets = out;
-      wrap.querySelector('textarea[data-k="bullets"]').value = out.join('\n');
-      refreshPreview();
-    } catch { /* ignore */ }
+      const { text, backend } = await ai.rewrite(original, { operation:'tighten' });
+      const out = sanitizeBulletList(String(text||original).split('\n'));
+      await reviewAndApply(`Rewrite ${label}`, [bulletsSuggestion('#projectList', CV.projects, item, `${label} bullets`, out, backend)], `Rewrite ${label} bullets`);
+    } catch (e) { alertAIError(`Could not rewrite ${label}.`, e); }
   });
   (document.querySelector('#projectList')||projList).appendChild(wrap);
 }
 
 const pubList = document.querySelector('#publicationList') || document.createElement('div');
 function addPublication(initial={}) {
-  const idx = CV.publications.push({ title:'', authors:'', venue:'', date:'', doi:'', link:'', ...initial }) - 1;
+  const item = { title:'', authors:'', venue:'', date:'', doi:'', link:'', ...initial }; CV.publications.push(item);
   const wrap = document.createElement('div'); wrap.className = 'exp-card';
   wrap.innerHTML = `
     <div class="grid">
@@ -810,16 +1724,16 @@ function addPublication(initial={}) {
     </div>
     <div class="controls"><button class="btn" data-act="delete">Delete</button></div>`;
   wrap.querySelectorAll('input').forEach(inp => {
-    if (inp.dataset.k in initial) inp.value = initial[inp.dataset.k];
-    inp.addEventListener('input', () => { CV.publications[idx][inp.dataset.k] = inp.value; refreshPreview(); });
+    if (inp.dataset.k in initial) inp.value = fieldText(initial[inp.dataset.k]);
+    inp.addEventListener('input', () => { item[inp.dataset.k] = inp.value; refreshPreview(); });
   });
-  wrap.querySelector('[data-act="delete"]')?.addEventListener('click', () => { CV.publications.splice(idx,1); pubList.removeChild(wrap); refreshPreview(); });
+  wrap.querySelector('[data-act="delete"]')?.addEventListener('click', () => { CV.publications.splice(CV.publications.indexOf(item),1); pubList.removeChild(wrap); refreshPreview(); });
   (document.querySelector('#publicationList')||pubList).appendChild(wrap);
 }
 
 const patList = document.querySelector('#patentList') || document.createElement('div');
 function addPatent(initial={}) {
-  const idx = CV.patents.push({ title:'', office:'', number:'', date:'', status:'', link:'', inventors:'', ...initial }) - 1;
+  const item = { title:'', office:'', number:'', date:'', status:'', link:'', inventors:'', ...initial }; CV.patents.push(item);
   const wrap = document.createElement('div'); wrap.className = 'exp-card';
   wrap.innerHTML = `
     <div class="grid">
@@ -833,10 +1747,10 @@ function addPatent(initial={}) {
     </div>
     <div class="controls"><button class="btn" data-act="delete">Delete</button></div>`;
   wrap.querySelectorAll('input').forEach(inp => {
-    if (inp.dataset.k in initial) inp.value = initial[inp.dataset.k];
-    inp.addEventListener('input', () => { CV.patents[idx][inp.dataset.k] = inp.value; refreshPreview(); });
+    if (inp.dataset.k in initial) inp.value = fieldText(initial[inp.dataset.k]);
+    inp.addEventListener('input', () => { item[inp.dataset.k] = inp.value; refreshPreview(); });
   });
-  wrap.querySelector('[data-act="delete"]')?.addEventListener('click', () => { CV.patents.splice(idx,1); patList.removeChild(wrap); refreshPreview(); });
+  wrap.querySelector('[data-act="delete"]')?.addEventListener('click', () => { CV.patents.splice(CV.patents.indexOf(item),1); patList.removeChild(wrap); refreshPreview(); });
   (document.querySelector('#patentList')||patList).appendChild(wrap);
 }
 
@@ -844,197 +1758,195 @@ function addPatent(initial={}) {
 function languagesForPack(pack) { const tag = String(pack?.spelling || 'en-GB'); const base = tag.split('-')[0] || 'en'; return Array.from(new Set([tag, base])); }
 function norm(s) { return String(s ?? '').replace(/\s+/g, ' ').trim(); }
 
+// `accept` for corrections: only an answer that differs from the input counts, so the next backend gets a try.
+const changedFrom = (input) => (out) => !!out && norm(out) !== norm(input);
+// A routed correction where some backend answered but none changed anything → `result`; real failures are rethrown.
+function unchanged(e, result) { if (e instanceof ai.AIRouteError && e.answered) return result; throw e; }
+
+// Returns { text, source } — source is the backend that changed the text ('device' | 'cloud' | 'original').
 async function normalizeDialect(text, localeTag) {
   const input = String(text ?? '');
-  if (!/^en(-|$)/i.test(localeTag)) return input;
+  if (!/^en(-|$)/i.test(localeTag)) return { text: input, source: 'original' };
   const instruction = `Convert spelling to ${localeTag} conventions (e.g., organisation/organization as appropriate).
 Correct ONLY spelling variants; preserve meaning, punctuation, casing and line breaks.
 Return ONLY the corrected text.`;
   try {
-    const writer = await ensureWriter({ tone:'neutral', format:'plain-text', length:'short' });
-    const out = await writer.write(`${instruction}\n${input}`, { context: 'Dialect normalisation for résumé text' });
-    if (out && norm(out) !== norm(input)) return String(stripMeta(out));
-  } catch (_) {}
-  try {
-    const out = await writeCloudLocal({ prompt: `${instruction}\n${input}`, tone: 'neutral', length: 'short', format: 'plain-text' });
-    if (out && norm(out) !== norm(input)) return String(stripMeta(out));
-  } catch (_) {}
-  return input;
+    const { text: out, backend } = await ai.write(`${instruction}\n${input}`, { context: 'Dialect normalisation for résumé text', accept: changedFrom(input) });
+    return { text: String(stripMeta(out)), source: backend };
+  } catch (e) { return unchanged(e, { text: input, source: 'original' }); }
 }
 
 async function proofreadSmart(text, { localeTag = 'en-GB', aggressive = true } = {}) {
   const input = String(text ?? '').trim(); if (!input) return { corrected: '', source: 'none' };
   try {
-    const langs = languagesForPack({ spelling: localeTag });
-    const proof = await ensureProofreader({ expectedInputLanguages: langs });
-    const r = await proof.proofread(input);
-    if (r?.corrected && norm(r.corrected) !== norm(input)) return { corrected: stripMeta(r.corrected), source: 'device' };
-    if (!aggressive) return { corrected: stripMeta(r?.corrected || input), source: 'device' };
-  } catch (_) {}
-  try {
-    const corrected = await proofreadCloudLocal({ text: input, language: localeTag });
-    if (corrected && norm(corrected) !== norm(input)) return { corrected: stripMeta(corrected), source: 'cloud' };
-  } catch (_) {}
-  try {
-    const fixed = await writeCloudLocal({
-      prompt: 'Correct grammar, spelling, and punctuation ONLY. Preserve line breaks. Return ONLY the corrected text (no explanations, headings, labels).\n' + input,
-      tone:'neutral', length:'short', format:'plain-text'
-    });
-    if (fixed && norm(fixed) !== norm(input)) return { corrected: stripMeta(String(fixed)), source: 'writer' };
-  } catch (_) {}
-  return { corrected: input, source: 'original' };
+    const { text: out, backend } = await ai.proofread(input, { language: localeTag, accept: aggressive ? changedFrom(input) : undefined });
+    return { corrected: stripMeta(out), source: backend };
+  } catch (e) { return unchanged(e, { corrected: input, source: 'original' }); }
 }
 async function proofreadRoleSafe(text, localeTag) {
-  const original = String(text || ''); let out = original;
-  try { const langs = languagesForPack({ spelling: localeTag }); const proof = await ensureProofreader({ expectedInputLanguages: langs }); const r = await proof.proofread(original); if (r?.corrected) out = r.corrected; } catch (_) {}
-  if (out === original) { try { const corrected = await proofreadCloudLocal({ text: original, language: localeTag }); if (corrected) out = corrected; } catch (_) {} }
-  return sanitizeRoleText(out, original);
+  const original = String(text || '');
+  try {
+    const { text: out, backend } = await ai.proofread(original, { language: localeTag, accept: changedFrom(original) });
+    return { text: sanitizeRoleText(out, original), source: backend };
+  } catch (e) { return unchanged(e, { text: original, source: 'original' }); }
 }
 async function proofreadBulletsSafe(list, localeTag) {
-  const out = [];
+  const out = []; const sources = new Set();
   for (const b of list) {
     let curr = String(b || '');
-    try { const langs = languagesForPack({ spelling: localeTag }); const proof = await ensureProofreader({ expectedInputLanguages: langs }); const r = await proof.proofread(curr); if (r?.corrected) curr = r.corrected; } catch (_) {}
-    try { const corrected = await proofreadCloudLocal({ text: curr, language: localeTag }); if (corrected) curr = corrected; } catch (_) {}
+    try {
+      const { text, backend } = await ai.proofread(curr, { language: localeTag, accept: changedFrom(curr) });
+      curr = text; sources.add(backend);
+    } catch (e) { unchanged(e); }
     out.push(sanitizeBulletLine(curr));
   }
-  return sanitizeBulletList(out);
+  return { list: sanitizeBulletList(out), source: [...sources].join(' + ') || 'original' };
+}
+
+/* ================== REVIEW (diff before applying AI output) ================== */
+// Show suggestions side by side; apply the accepted ones as ONE history entry.
+// `label` may be a function of the accepted list. Returns the accepted suggestions.
+async function reviewAndApply(title, suggestions, label) {
+  const changed = suggestions.filter(s => s && String(s.after) !== String(s.before));
+  if (!changed.length) return [];
+  const accepted = await reviewSuggestions(changed, { title });
+  if (accepted.length) {
+    await withHistory(typeof label === 'function' ? label(accepted) : label, () => {
+      accepted.forEach(s => s.apply(s.after));
+      refreshPreview();
+    });
+  }
+  return accepted;
+}
+
+// Input of `item`'s card inside `listSel` (cards are kept in the same order as the CV arrays).
+function cardField(listSel, arr, item, k) {
+  const i = arr.indexOf(item);
+  return i < 0 ? null : document.querySelectorAll(`${listSel} .exp-card`)[i]?.querySelector(`[data-k="${k}"]`);
+}
+
+// Suggestion for a plain string field of a card item.
+function itemFieldSuggestion(listSel, arr, item, k, label, after, source) {
+  return {
+    label, before: item[k] || '', after, source,
+    apply: (v) => { item[k] = v; const el = cardField(listSel, arr, item, k); if (el) el.value = v; }
+  };
+}
+
+// Suggestion that replaces an experience/project card's bullets (one per line).
+function bulletsSuggestion(listSel, arr, item, label, bullets, source) {
+  return {
+    label, before: (item.bullets || []).join('\n'), after: bullets.join('\n'), source,
+    apply: (v) => {
+      item.bullets = v.split('\n').map(x => x.trim()).filter(Boolean);
+      const el = cardField(listSel, arr, item, 'bullets'); if (el) el.value = item.bullets.join('\n');
+    }
+  };
 }
 
 async function onProofreadAll() {
   const pack = countryPacks[CV.meta.countryPack] || DEFAULT_PACKS[CV.meta.countryPack] || { spelling: 'en-GB' };
   const localeTag = String(pack.spelling || 'en-GB');
-  let changes = 0; const changedFields = [];
+  const suggestions = [];
 
   const fixStringField = async (value, doDialect = true) => {
-    let { corrected } = await proofreadSmart(value, { localeTag, aggressive: true });
-    if (doDialect) corrected = await normalizeDialect(corrected, localeTag);
-    return corrected;
+    const { corrected, source } = await proofreadSmart(value, { localeTag, aggressive: true });
+    if (!doDialect) return { text: corrected, source };
+    const d = await normalizeDialect(corrected, localeTag);
+    return { text: d.text, source: d.text !== corrected ? `${source} + dialect:${d.source}` : source };
+  };
+  const titleField = async (listSel, arr, item, k, label) => {
+    const before = item[k]; const { text, source } = await fixStringField(before, true);
+    suggestions.push(itemFieldSuggestion(listSel, arr, item, k, label, sanitizeTitleText(text, before), source));
   };
 
-  // Summary & Title
-  if (typeof CV.profile.summary === 'string') { const before = CV.profile.summary; const after = await fixStringField(before, true); if (after !== before) { updateBoundField('summary', after); changes++; changedFields.push('Summary'); } }
-  if (CV.profile.title) { const before = CV.profile.title; const afterRaw = await fixStringField(before, true); const after = sanitizeTitleText(afterRaw, before); if (after !== before) { updateBoundField('title', after); changes++; changedFields.push('Title'); } }
-
-  // Experience
-  const expCards = document.querySelectorAll('#experienceList .exp-card');
-  for (let i = 0; i < CV.experience.length; i++) {
-    const exp = CV.experience[i];
-    if (exp.role) {
-      const before = exp.role; const safe = await proofreadRoleSafe(before, localeTag);
-      if (safe !== before) { exp.role = safe; const inp = expCards[i]?.querySelector('input[data-k="role"]'); if (inp) inp.value = safe; changes++; changedFields.push(`Experience #${i+1} role`); }
+  // The first field every backend fails on stops the run (the rest would fail the same way).
+  let failure = null;
+  try {
+    // Summary & Title
+    if (typeof CV.profile.summary === 'string' && CV.profile.summary) {
+      const before = CV.profile.summary; const { text, source } = await fixStringField(before, true);
+      suggestions.push({ label: 'Summary', before, after: text, source, apply: v => updateBoundField('summary', v) });
     }
-    if (Array.isArray(exp.bullets) && exp.bullets.length) {
-      const beforeList = [...exp.bullets]; const afterList = await proofreadBulletsSafe(beforeList, localeTag);
-      if (afterList.join('\n') !== beforeList.join('\n')) { exp.bullets = afterList; const ta = expCards[i]?.querySelector('textarea[data-k="bullets"]'); if (ta) ta.value = afterList.join('\n'); changes++; changedFields.push(`Experience #${i+1} bullets`); }
+    if (CV.profile.title) {
+      const before = CV.profile.title; const { text, source } = await fixStringField(before, true);
+      suggestions.push({ label: 'Title', before, after: sanitizeTitleText(text, before), source, apply: v => updateBoundField('title', v) });
     }
-  }
 
-  // Education degree
-  const eduCards = document.querySelectorAll('#educationList .exp-card');
-  for (let i = 0; i < CV.education.length; i++) {
-    const ed = CV.education[i];
-    if (ed.degree) { const before = ed.degree; const afterRaw = await fixStringField(before, true); const after = sanitizeTitleText(afterRaw, before);
-      if (after !== before) { ed.degree = after; const inp = eduCards[i]?.querySelector('input[data-k="degree"]'); if (inp) inp.value = after; changes++; changedFields.push(`Education #${i+1} degree`); } }
-  }
-
-  // Projects bullets
-  if (Array.isArray(CV.projects)) {
-    const projCards = document.querySelectorAll('#projectList .exp-card');
-    for (let i = 0; i < CV.projects.length; i++) {
-      const pr = CV.projects[i];
-      if (Array.isArray(pr.bullets) && pr.bullets.length) {
-        const beforeList = [...pr.bullets]; const afterList = await proofreadBulletsSafe(beforeList, localeTag);
-        if (afterList.join('\n') !== beforeList.join('\n')) { pr.bullets = afterList; const ta = projCards[i]?.querySelector('textarea[data-k="bullets"]'); if (ta) ta.value = afterList.join('\n'); changes++; changedFields.push(`Project #${i+1} bullets`); }
+    // Experience
+    for (const [i, exp] of CV.experience.entries()) {
+      if (exp.role) {
+        const { text, source } = await proofreadRoleSafe(exp.role, localeTag);
+        suggestions.push(itemFieldSuggestion('#experienceList', CV.experience, exp, 'role', `Experience #${i+1} role`, text, source));
+      }
+      if (Array.isArray(exp.bullets) && exp.bullets.length) {
+        const { list, source } = await proofreadBulletsSafe([...exp.bullets], localeTag);
+        suggestions.push(bulletsSuggestion('#experienceList', CV.experience, exp, `Experience #${i+1} bullets`, list, source));
       }
-      if (pr.name) { const before = pr.name; const after = sanitizeTitleText(await fixStringField(before, true), before); if (after !== before) { pr.name = after; const inp = projCards[i]?.querySelector('input[data-k="name"]'); if (inp) inp.value = after; changes++; changedFields.push(`Project #${i+1} name`); } }
     }
-  }
 
-  // Certifications basic fields
-  if (Array.isArray(CV.certifications)) {
-    const certCards = document.querySelectorAll('#certificationList .exp-card');
-    for (let i = 0; i < CV.certifications.length; i++) {
-      const c = CV.certifications[i];
-      for (const k of ['name','issuer']) {
-        if (c[k]) {
-          const before = c[k]; const after = sanitizeTitleText(await fixStringField(before, true), before);
-          if (after !== before) { c[k] = after; const inp = certCards[i]?.querySelector(`input[data-k="${k}"]`); if (inp) inp.value = after; changes++; changedFields.push(`Certification #${i+1} ${k}`); }
-        }
-      }
+    // Education degree
+    for (const [i, ed] of CV.education.entries()) {
+      if (ed.degree) await titleField('#educationList', CV.education, ed, 'degree', `Education #${i+1} degree`);
     }
-  }
 
-  // Publications fields
-  if (Array.isArray(CV.publications)) {
-    const pubCards = document.querySelectorAll('#publicationList .exp-card');
-    for (let i = 0; i < CV.publications.length; i++) {
-      const p = CV.publications[i];
-      for (const k of ['title','venue']) {
-        if (p[k]) {
-          const before = p[k]; const after = sanitizeTitleText(await fixStringField(before, true), before);
-          if (after !== before) { p[k] = after; const inp = pubCards[i]?.querySelector(`input[data-k="${k}"]`); if (inp) inp.value = after; changes++; changedFields.push(`Publication #${i+1} ${k}`); }
-        }
+    // Projects bullets & name
+    for (const [i, pr] of (CV.projects || []).entries()) {
+      if (Array.isArray(pr.bullets) && pr.bullets.length) {
+        const { list, source } = await proofreadBulletsSafe([...pr.bullets], localeTag);
+        suggestions.push(bulletsSuggestion('#projectList', CV.projects, pr, `Project #${i+1} bullets`, list, source));
       }
+      if (pr.name) await titleField('#projectList', CV.projects, pr, 'name', `Project #${i+1} name`);
     }
-  }
 
-  // Patents fields
-  if (Array.isArray(CV.patents)) {
-    const patCards = document.querySelectorAll('#patentList .exp-card');
-    for (let i = 0; i < CV.patents.length; i++) {
-      const p = CV.patents[i];
-      for (const k of ['title','status','office']) {
-        if (p[k]) {
-          const before = p[k]; const after = sanitizeTitleText(await fixStringField(before, true), before);
-          if (after !== before) { p[k] = after; const inp = patCards[i]?.querySelector(`input[data-k="${k}"]`); if (inp) inp.value = after; changes++; changedFields.push(`Patent #${i+1} ${k}`); }
-        }
-      }
+    // Certifications, publications, patents: short title-like fields
+    for (const [i, c] of (CV.certifications || []).entries()) {
+      for (const k of ['name','issuer']) if (c[k]) await titleField('#certificationList', CV.certifications, c, k, `Certification #${i+1} ${k}`);
     }
-  }
-  
-  refreshPreview();
-  alert(changes ? `Proofread complete. Updated ${changes} field${changes>1?'s':''}:\n• ${changedFields.join('\n• ')}` : 'Proofread complete. No changes suggested.');
+    for (const [i, p] of (CV.publications || []).entries()) {
+      for (const k of ['title','venue']) if (p[k]) await titleField('#publicationList', CV.publications, p, k, `Publication #${i+1} ${k}`);
+    }
+    for (const [i, p] of (CV.patents || []).entries()) {
+      for (const k of ['title','status','office']) if (p[k]) await titleField('#patentList', CV.patents, p, k, `Patent #${i+1} ${k}`);
+    }
+  } catch (e) { failure = e; }
+
+  if (failure) alertAIError(`Proofreading stopped after ${suggestions.length} field${suggestions.length === 1 ? '' : 's'}.`, failure);
+  const accepted = await reviewAndApply('Proofread', suggestions, acc => `Proofread all (${acc.length} field${acc.length === 1 ? '' : 's'})`);
+  if (!failure && !suggestions.some(s => s.after !== s.before)) alert('Proofread complete. No changes suggested.');
+  return accepted;
 }
 
 /* ================== ACTIONS ================== */
 async function onAnalyzeJD() {
   const txt = (document.querySelector('#jobText')?.value) || '';
+  if (!txt.trim()) return alert('Paste a job description first.');
   try {
-    const summarizer = await ensureSummarizer({ type:'key-points', format:'markdown', length:'medium' });
-    const out = await summarizer.summarize(txt, { context: 'Extract required experience, responsibilities, and top skills.' });
-    const outEl = document.querySelector('#jdOut'); if (outEl) out.textContent = out; return;
-  } catch(e) {}
-  try {
-    const md = await summarizeJDCloudLocal(txt);
-    const outEl = document.querySelector('#jdOut'); if (outEl) outEl.textContent = md;
-  } catch(e) { alert('Summarizer unavailable (device & local).'); }
+    const { text } = await streamInto([qs('#jdOut')], ({ signal, onText }) =>
+      ai.summarize(txt, { context: 'Extract required experience, responsibilities, and top skills.', signal, onText }));
+    showJDSummary(text);
+  } catch(e) { alertAIError('Could not summarize the job description.', e); }
+}
+// Show the JD summary and keep it with the application being tailored, if any.
+function showJDSummary(text) {
+  const outEl = document.querySelector('#jdOut'); if (outEl) outEl.textContent = text;
+  if (activeApplication) { activeApplication.jdSummary = String(text || ''); scheduleApplicationSave(activeApplication); renderApplicationDetail(); }
 }
 function onGenBullets() { if (!CV.experience.length) addExperience(); const lastCard = document.querySelector('#experienceList')?.lastElementChild; lastCard?.querySelector('[data-act="generate"]')?.click(); }
 async function onRewriteTone() {
   const summary = CV.profile.summary || 'Experienced candidate.';
   const instruction = 'Rewrite this RESUME SUMMARY to be concise and impactful. Output ONLY the revised summary text. Do NOT include name, job title/headline, bullets, or emojis. Keep 2–4 sentences, ATS-friendly, neutral tone.';
   try {
-    const writer = await ensureWriter({ tone:'neutral', format:'plain-text', length:'short' });
-    const rewritten = await writer.write(`${instruction}\n\n${summary}`, { context:'Resume summary; return ONLY summary text' });
-    updateBoundField('summary', String(rewritten||'').trim()); refreshPreview(); return;
-  } catch {}
-  try {
-    const text = await writeCloudLocal({ prompt: `${instruction}\n\n${summary}`, tone: 'neutral', length:'short', format:'plain-text', context:'Resume summary; return ONLY summary text' });
-    updateBoundField('summary', String(text||'').trim()); refreshPreview();
-  } catch(e) { alert('Writer unavailable (device & local).'); }
+    const { text, backend } = await streamInto([qs('#summary')], ({ signal, onText }) =>
+      ai.write(`${instruction}\n\n${summary}`, { context:'Resume summary; return ONLY summary text', signal, onText }));
+    await proposeSummary(text, backend);
+  } catch(e) { alertAIError('Could not rewrite the summary.', e); }
 }
-async function onTranslate() {
-  try {
-    const pack = countryPacks[CV.meta.countryPack] || DEFAULT_PACKS['UK'];
-    let target = pack.spelling; if (CV.meta.locale !== 'auto') target = CV.meta.locale;
-    let source = 'en';
-    try { const det = await ensureLanguageDetector(); const best=(await det.detect(collectAllText()))?.[0]; if (best?.detectedLanguage) source = best.detectedLanguage; } catch {}
-    const translator = await ensureTranslator(source, target);
-    const previewEl = document.querySelector('#preview'); const text = previewEl?.innerText || '';
-    const translated = await translator.translate(text);
-    if (previewEl) previewEl.innerText = translated;
-  } catch(e) { alert('Translator not available on this Chrome build.'); }
+function proposeSummary(text, source) {
+  return reviewAndApply('Rewrite summary', [{
+    label: 'Summary', before: CV.profile.summary || '', after: String(text||'').trim(), source,
+    apply: v => updateBoundField('summary', v)
+  }], 'Rewrite summary');
 }
 
 /* ================== HELPERS ================== */
@@ -1042,7 +1954,6 @@ function collectAllText(){
   const tmp=document.createElement('div');
   const pack = countryPacks[CV.meta.countryPack] || DEFAULT_PACKS['UK'];
   const node = renderCV(CV, pack);
-  augmentExtraSections(node); // include extra sections in text snapshot
   tmp.appendChild(node);
   return tmp.innerText;
 }
@@ -1050,48 +1961,438 @@ function refreshPreview(){
   const preview = document.querySelector('#preview'); if (!preview) return;
   preview.innerHTML='';
   const pack = countryPacks[CV.meta.countryPack] || DEFAULT_PACKS['UK'];
+  syncStructuredDates(CV);
   const node = renderCV(CV, pack);
-  augmentExtraSections(node);
   preview.appendChild(node);
-  const warnings = lintCV(CV, pack, node);
-  const w = document.querySelector('#atsWarnings'); if (w) w.innerHTML = warnings.map(x=>'⚠️ '+x).join('<br>');
+  renderATSWarnings(lintCV(CV, pack, node), skillEvidence(CV));
+  scheduleJDMatch();
+  if (CV.coverLetter) renderLetterPreview();
+  trackHistory();
+  autosave.schedule();
+}
+
+/* ================== ATS CHECKS ================== */
+const SEVERITY_LABEL = { error: '⛔ Errors', warning: '⚠️ Warnings', info: '💡 Suggestions' };
+const CARD_LISTS = {
+  experience: '#experienceList', education: '#educationList', projects: '#projectList',
+  certifications: '#certificationList', publications: '#publicationList', patents: '#patentList'
+};
+
+// Input (or card) that a lint path such as "experience.1.bullets.3" or "profile.contact.email" points at.
+function fieldForPath(path) {
+  const [root, a, b] = String(path || '').split('.');
+  if (root === 'profile') return getBoundEls(a === 'contact' ? b : a)[0] || null;
+  if (root === 'skills') return qs('#skills');
+  const card = CARD_LISTS[root] ? document.querySelectorAll(`${CARD_LISTS[root]} .exp-card`)[+a] : null;
+  return card?.querySelector(`[data-k="${b}"]`) || card || null;
+}
+
+function jumpToPath(path) {
+  const el = fieldForPath(path); if (!el) return;
+  const card = el.closest('.exp-card') || el;
+  card.scrollIntoView?.({ behavior: 'smooth', block: 'center' });
+  el.focus?.({ preventScroll: true });
+  const line = path.split('.')[3];
+  if (el.tagName === 'TEXTAREA' && line != null) {
+    const lines = el.value.split('\n');
+    const start = lines.slice(0, +line).reduce((n, l) => n + l.length + 1, 0);
+    el.setSelectionRange?.(start, start + (lines[+line] || '').length);
+  }
+  card.classList.add('lint-flash');
+  setTimeout(() => card.classList.remove('lint-flash'), 1500);
+}
+
+// Push the CV values behind `path` back into the form after a fix.
+function syncFieldsFromPath(path) {
+  const [root, a, b] = String(path || '').split('.');
+  if (root === 'profile') {
+    const field = a === 'contact' ? b : a;
+    setElsValue(getBoundEls(field), a === 'contact' ? (CV.profile.contact[field] || '') : (CV.profile[field] || ''));
+    return;
+  }
+  if (root === 'skills') {
+    // Through the input, so the list is normalised and regrouped as if typed.
+    const input = qs('#skills');
+    if (input) { input.value = (CV.skills || []).join(', '); input.dispatchEvent(new Event('input', { bubbles: true })); }
+    renderSkillDetails();
+    return;
+  }
+  if (a === undefined) return syncCardOrder(root); // list-level fix, e.g. a re-sort
+  const item = CV[root]?.[+a];
+  const card = CARD_LISTS[root] ? document.querySelectorAll(`${CARD_LISTS[root]} .exp-card`)[+a] : null;
+  if (item && card) card.querySelectorAll('[data-k]').forEach(el => { el.value = fieldText(item[el.dataset.k]); });
+}
+
+async function applyLintFix(issue) {
+  await withHistory(`Fix: ${issue.fix.label}`, () => {
+    if (issue.fix.apply(CV) === false) return;
+    syncFieldsFromPath(issue.path);
+  });
+  refreshPreview();
+}
+
+function renderATSWarnings(issues, evidence = []) {
+  const w = qs('#atsWarnings'); if (!w) return;
+  const wasOpen = !!w.querySelector('.skill-evidence')?.open;
+  w.innerHTML = '';
+  for (const severity of SEVERITIES) {
+    const group = issues.filter(x => x.severity === severity);
+    if (!group.length) continue;
+    const box = document.createElement('div');
+    box.className = `lint-group lint-${severity}`;
+    const head = document.createElement('div');
+    head.className = 'lint-head';
+    head.textContent = `${SEVERITY_LABEL[severity]} (${group.length})`;
+    box.appendChild(head);
+    for (const issue of group) {
+      const row = document.createElement('div');
+      row.className = 'lint-item';
+      row.dataset.rule = issue.rule;
+      const msg = document.createElement(issue.path ? 'button' : 'span');
+      msg.className = 'lint-msg';
+      msg.textContent = issue.message;
+      if (issue.path) {
+        msg.type = 'button';
+        msg.title = 'Go to field';
+        msg.addEventListener('click', () => jumpToPath(issue.path));
+      }
+      row.appendChild(msg);
+      if (issue.fix) {
+        const fix = document.createElement('button');
+        fix.type = 'button';
+        fix.className = 'btn lint-fix';
+        fix.textContent = issue.fix.label;
+        fix.addEventListener('click', () => applyLintFix(issue));
+        row.appendChild(fix);
+      }
+      box.appendChild(row);
+    }
+    w.appendChild(box);
+  }
+  if (evidence.some(s => s.listed)) w.appendChild(renderSkillEvidence(evidence, wasOpen));
+}
+
+// Listed skills with the summary/bullet lines that back them up; each line jumps to its field.
+function renderSkillEvidence(evidence, open) {
+  const listed = evidence.filter(s => s.listed);
+  const backed = listed.filter(s => s.evidence.length).length;
+  const box = document.createElement('details');
+  box.className = 'skill-evidence';
+  box.open = open;
+  const head = document.createElement('summary');
+  head.textContent = `Skill evidence: ${backed} of ${listed.length} listed skills backed by your experience`;
+  box.appendChild(head);
+  for (const s of listed) {
+    const row = document.createElement('div');
+    row.className = `evidence-skill${s.evidence.length ? '' : ' unsupported'}`;
+    const name = document.createElement('strong');
+    name.textContent = `${s.name} (${s.evidence.length || 'no evidence'})`;
+    row.appendChild(name);
+    for (const e of s.evidence) {
+      const line = document.createElement('button');
+      line.type = 'button';
+      line.className = 'lint-msg evidence-line';
+      line.textContent = `${e.at}: ${e.text}`;
+      line.addEventListener('click', () => jumpToPath(e.path));
+      row.appendChild(line);
+    }
+    box.appendChild(row);
+  }
+  return box;
+}
+
+/* ================== COVER LETTER ================== */
+// The letter lives on the CV, so each application's tailored CV carries its own letter (and its undo history).
+function newLetter() {
+  return {
+    recipient: '', company: activeApplication?.company || '', role: activeApplication?.title || '',
+    salutation: '', paragraphs: [], signOff: ''
+  };
+}
+function ensureLetter() {
+  return CV.coverLetter ||= newLetter();
+}
+
+function letterChanged() {
+  renderLetterPreview();
+  trackHistory();
+}
+
+function renderLetterEditor() {
+  const pack = countryPacks[CV.meta.countryPack] || DEFAULT_PACKS['UK'];
+  const conv = letterConventions(pack);
+  const letter = CV.coverLetter || {};
+  document.querySelectorAll('#coverLetterCard [data-letter]').forEach(el => { el.value = letter[el.dataset.letter] || ''; });
+  const sal = qs('[data-letter="salutation"]'); if (sal) sal.placeholder = salutationFor(conv, letter.recipient);
+  const sign = qs('[data-letter="signOff"]'); if (sign) sign.placeholder = signOffFor(conv, letter.recipient);
+
+  const list = qs('#letterParagraphs'); if (!list) return;
+  list.innerHTML = '';
+  (letter.paragraphs || []).forEach(text => {
+    const wrap = document.createElement('div');
+    wrap.className = 'letter-para';
+    wrap.innerHTML = `
+      <textarea rows="4"></textarea>
+      <div class="controls">
+        <button class="btn" data-act="rewrite">Rewrite</button>
+        <button class="btn" data-act="tighten">Tighten</button>
+        <button class="btn" data-act="delete">Delete</button>
+      </div>`;
+    const ta = wrap.querySelector('textarea');
+    ta.value = text;
+    const index = () => [...list.children].indexOf(wrap);
+    ta.addEventListener('input', () => { CV.coverLetter.paragraphs[index()] = ta.value; letterChanged(); });
+    wrap.querySelector('[data-act="rewrite"]').addEventListener('click', () => onLetterParagraphAction(index(), 'rewrite'));
+    wrap.querySelector('[data-act="tighten"]').addEventListener('click', () => onLetterParagraphAction(index(), 'tighten'));
+    wrap.querySelector('[data-act="delete"]').addEventListener('click', () => { CV.coverLetter.paragraphs.splice(index(), 1); wrap.remove(); letterChanged(); });
+    list.appendChild(wrap);
+  });
+  renderLetterPreview();
+}
+
+function renderLetterPreview() {
+  const box = qs('#letterPreview'), warn = qs('#letterWarnings');
+  const letter = CV.coverLetter;
+  const has = !!letter?.paragraphs?.some(p => p.trim());
+  if (box) { box.innerHTML = ''; box.hidden = !has; }
+  if (warn) warn.innerHTML = '';
+  if (!has) return;
+  const pack = countryPacks[CV.meta.countryPack] || DEFAULT_PACKS['UK'];
+  box?.appendChild(renderCoverLetter(letter, CV, pack));
+  for (const issue of letterIssues(letter, CV, qs('#jobText')?.value || '', pack)) {
+    const row = document.createElement('div'); row.className = 'lint-item'; row.textContent = `⚠️ ${issue.message}`;
+    warn?.appendChild(row);
+  }
 }
 
+// Recipient, company, role, salutation and sign-off inputs (paragraph textareas have their own listeners).
+function onLetterField(e) {
+  const k = e.target.dataset?.letter; if (!k) return;
+  ensureLetter()[k] = e.target.value;
+  if (k === 'recipient') {
+    const conv = letterConventions(countryPacks[CV.meta.countryPack] || DEFAULT_PACKS['UK']);
+    const sal = qs('[data-letter="salutation"]'); if (sal) sal.placeholder = salutationFor(conv, e.target.value);
+    const sign = qs('[data-letter="signOff"]'); if (sign) sign.placeholder = signOffFor(conv, e.target.value);
+  }
+  letterChanged();
+}
+
+// Draft the body from the CV and the JD (AI router, else the offline template), reviewed before applying.
+// A CV without a letter only gets one when the draft is applied, inside that history entry.
+async function onDraftLetter() {
+  const letter = CV.coverLetter || newLetter();
+  const pack = countryPacks[CV.meta.countryPack] || DEFAULT_PACKS['UK'];
+  const jd = qs('#jobText')?.value || '';
+  const jdSummary = activeApplication?.jdSummary || '';
+  if (!jd.trim() && !jdSummary) return alert('Paste a job description first.');
+  const input = { cv: CV, pack, jd, jdSummary, company: letter.company, role: letter.role };
+  const prompt = coverLetterPrompt(input);
+  const context = 'Cover letter body. Use only the candidate facts given; return plain paragraphs.';
+  let paragraphs, source;
+  try {
+    const { text, backend } = await ai.write(prompt, { tone:'formal', length:'medium', context, accept: t => parseLetterBody(t).length > 0 });
+    paragraphs = parseLetterBody(text); source = backend;
+  } catch (e) {
+    // No AI backend answered: the offline template still gives a usable first draft (the reasons are in the AI status line).
+    if (!(e instanceof ai.AIRouteError)) return alertAIError('Could not draft the cover letter.', e);
+    paragraphs = draftLetterLocal(input); source = 'template';
+  }
+
+  try {
+    await reviewAndApply('Draft cover letter', [{
+      label: 'Cover letter', before: letter.paragraphs.join('\n\n'), after: paragraphs.join('\n\n'), source,
+      apply: v => {
+        (CV.coverLetter ||= letter).paragraphs = v.split(/\n\s*\n/).map(p => p.trim()).filter(Boolean);
+        renderLetterEditor();
+      }
+    }], 'Draft cover letter');
+  } catch (e) { alertAIError('Could not draft the cover letter.', e); }
+}
+
+async function onLetterParagraphAction(i, op) {
+  const letter = CV.coverLetter; const before = letter?.paragraphs[i] || '';
+  if (!before.trim()) return;
+  const pack = countryPacks[CV.meta.countryPack] || DEFAULT_PACKS['UK'];
+  const context = `Cover letter paragraph, ${pack.spelling} spelling. Keep every fact; add no achievements, numbers or skills.`;
+  let after, source;
+  try {
+    ({ text: after, backend: source } = await ai.rewrite(before, {
+      operation: op === 'tighten' ? 'tighten' : 'formalize', tone:'formal', length: op === 'tighten' ? 'short' : 'medium', context,
+      deviceOptions: op === 'tighten' ? { tone:'as-is', length:'shorter' } : { tone:'more-formal', length:'as-is' }
+    }));
+  } catch (e) { return alertAIError(`Could not rewrite paragraph ${i + 1}.`, e); }
+  const label = `${op === 'tighten' ? 'Tighten' : 'Rewrite'} cover letter paragraph ${i + 1}`;
+  await reviewAndApply(label, [{
+    label: `Paragraph ${i + 1}`, before, after: String(after).trim().replace(/\s*\n\s*/g, ' '), source,
+    apply: v => {
+      letter.paragraphs[i] = v;
+      const el = qs('#letterParagraphs')?.children[i]?.querySelector('textarea'); if (el) el.value = v;
+    }
+  }], label);
+}
+
+function letterExportInfo() {
+  const letter = CV.coverLetter;
+  if (!letter?.paragraphs?.some(p => p.trim())) { alert('Draft or write the cover letter first.'); return null; }
+  const pack = countryPacks[CV.meta.countryPack] || DEFAULT_PACKS['UK'];
+  const name = CV.profile?.name || '';
+  return { pack, node: renderCoverLetter(letter, CV, pack), title: name ? `${name} - Cover letter` : 'Cover letter', name,
+    subject: [letter.role, letter.company].filter(Boolean).join(' at ') };
+}
+
+function onExportLetterHTML() {
+  const info = letterExportInfo(); if (!info) return;
+  const css = themeDocumentCSS(CV.meta.theme, pageSizeForPack(info.pack, CV.meta.countryPack));
+  const html = `<!doctype html>
+<meta charset="utf-8">
+<title>${info.title.replace(/</g, '&lt;')}</title>
+<style>${css}\n${LETTER_CSS}</style>
+<body>${info.node.outerHTML}</body>`;
+  downloadBlob(new Blob([html], { type: 'text/html' }), exportFileName('html', 'Cover Letter'));
+}
+
+function onExportLetterPDF() {
+  const info = letterExportInfo(); if (!info) return;
+  try {
+    const blob = renderPDF(info.node, info.pack, {
+      country: CV.meta.countryPack, title: info.title, author: info.name, subject: info.subject,
+      lang: info.pack.spelling, style: getTheme(CV.meta.theme).pdf
+    });
+    downloadBlob(blob, exportFileName('pdf', 'Cover Letter'));
+  } catch (e) { alert('PDF export failed. See console.'); console.error(e); }
+}
+
+/* ================== SKILL LEVELS ================== */
+// Optional level and years per listed skill, kept in CV.skillDetails under the skill's taxonomy id so spelling
+// changes ("ReactJS" → "React") keep them. Shown on the CV only with #showSkillDetails, as the theme formats them.
+function renderSkillDetails() {
+  const box = qs('#skillDetails'); if (!box) return;
+  box.innerHTML = '';
+  for (const name of CV.skills || []) {
+    const id = skillId(name);
+    const known = resolveSkill(name);
+    const d = CV.skillDetails?.[id] || {};
+    const row = document.createElement('div');
+    row.className = 'skill-detail';
+    row.innerHTML = `
+      <span class="skill-name"></span>
+      <select data-k="level"><option value="">Level</option>${SKILL_LEVELS.map(l => `<option value="${l}">${skillLevelLabel(l)}</option>`).join('')}</select>
+      <input data-k="years" type="number" min="0" max="50" step="0.5" placeholder="Years" />`;
+    const label = row.querySelector('.skill-name');
+    label.textContent = name;
+    label.title = known
+      ? `${known.category}${known.related.length ? ` · related: ${known.related.map(skillName).join(', ')}` : ''}`
+      : 'Not in the skill taxonomy';
+    const level = row.querySelector('[data-k="level"]'), years = row.querySelector('[data-k="years"]');
+    level.value = d.level || '';
+    years.value = d.years ?? '';
+    row.addEventListener('input', () => {
+      const y = parseFloat(years.value);
+      const next = { ...(level.value && { level: level.value }), ...(Number.isFinite(y) && y > 0 && { years: y }) };
+      CV.skillDetails ||= {};
+      if (Object.keys(next).length) CV.skillDetails[id] = next; else delete CV.skillDetails[id];
+      refreshPreview();
+    });
+    box.appendChild(row);
+  }
+}
+
+/* ================== JD KEYWORD MATCH ================== */
+let jdMatchTimer = null;
+function scheduleJDMatch() {
+  clearTimeout(jdMatchTimer);
+  jdMatchTimer = setTimeout(renderJDMatch, 250);
+}
+
+function renderJDMatch() {
+  const box = qs('#jdMatch'); if (!box) return;
+  const jd = qs('#jobText')?.value || '';
+  if (!jd.trim()) { box.hidden = true; box.innerHTML = ''; return; }
+  const r = scoreJDMatch(jd, collectAllText(), { skills: CV.skills || [], skillDetails: CV.skillDetails });
+  box.hidden = false;
+  if (r.score === null) { box.innerHTML = '<div class="notes">No known skills, tools or certifications found in this job description.</div>'; return; }
+
+  const chip = (k, cls, extra) => {
+    const el = document.createElement('span');
+    el.className = `chip ${cls}`;
+    el.textContent = k.label + (extra ? ` ${extra}` : '');
+    el.title = `${k.kind}${k.required ? ', required' : k.optional ? ', nice to have' : ''} — JD ×${k.jdCount}, CV ×${k.cvCount}${k.weight ? `, weight ${k.weight}` : ''}`
+      + (k.yearsRequired ? ` — JD asks for ${k.yearsRequired}+ years` : '')
+      + (k.level || k.years ? ` — you: ${skillDetailText(k)}` : '')
+      + (k.related?.length ? ` — related on your CV: ${k.related.join(', ')}` : '');
+    return el;
+  };
+  const group = (title, items, render) => {
+    const row = document.createElement('div'); row.className = 'match-group';
+    const h = document.createElement('strong'); h.textContent = `${title} (${items.length})`; row.appendChild(h);
+    items.forEach(k => row.appendChild(render(k)));
+    if (!items.length) { const n = document.createElement('span'); n.className = 'notes'; n.textContent = '—'; row.appendChild(n); }
+    return row;
+  };
+
+  box.innerHTML = `
+    <div class="match-score"><strong>ATS keyword match: ${r.score}/100</strong>${r.yearsRequired ? ` <span class="notes">· JD asks for ${r.yearsRequired}+ years</span>` : ''}</div>
+    <div class="match-bar"><span style="width:${r.score}%"></span></div>`;
+  box.appendChild(group('Missing', r.missing, k => chip(k, 'miss', k.related?.length ? `(you have ${k.related.join(', ')})` : '')));
+  box.appendChild(group('Matched', r.matched, k => chip(k, 'ok')));
+  if (r.short.length) box.appendChild(group('Fewer years than asked', r.short, k => chip(k, 'over', `${k.years}/${k.yearsRequired} yrs`)));
+  box.appendChild(group('Over-represented', r.overRepresented, k => chip(k, 'over', `×${k.cvCount}`)));
+}
+
+/* ================== STREAMING ================== */
+// One streamed AI call at a time. Text is shown in `targets` as it arrives; textareas get their value back
+// afterwards, because the review panel applies the result. Stop (#cancelAI) aborts the request or session.
+let activeStream = null;
+const isAbort = (e) => e?.name === 'AbortError';
+
+async function streamInto(targets, run) {
+  activeStream?.abort();
+  const controller = activeStream = new AbortController();
+  const els = targets.filter(Boolean);
+  const fields = els.filter(el => 'value' in el).map(el => [el, el.value, el.readOnly]);
+  els.forEach(el => el.classList.add('streaming'));
+  fields.forEach(([el]) => { el.readOnly = true; });
+  const stop = qs('#cancelAI'); if (stop) stop.hidden = false;
+  const show = (text) => els.forEach(el => { if ('value' in el) el.value = text; else el.textContent = text; });
+  try {
+    return await run({ signal: controller.signal, onText: show });
+  } finally {
+    fields.forEach(([el, value, readOnly]) => { el.value = value; el.readOnly = readOnly; });
+    els.forEach(el => el.classList.remove('streaming'));
+    if (activeStream === controller) { activeStream = null; if (stop) stop.hidden = true; }
+  }
+}
+
+function cancelStream() { activeStream?.abort(); }
+
 /* ================== STAR bullets generator ================== */
-function onGenerateFromJD(idx, wrap){
+function onGenerateFromJD(item, wrap){
+  const label = () => `Experience #${CV.experience.indexOf(item) + 1}`;
+  const proposeBullets = (out, source) => reviewAndApply(`Generate bullets from JD (${label()})`,
+    [bulletsSuggestion('#experienceList', CV.experience, item, `${label()} bullets`, out, source)], `Generate bullets from JD (${label()})`);
   return async () => {
     const jdText = document.querySelector('#jobText')?.value.trim();
     if (!jdText) return alert('Paste a job description first.');
+    const outEl = qs('#jdOut');
     try {
-      const session = await ensurePromptSession({});
-      const schema = { type:'object', properties:{ bullets:{ type:'array', items:{type:'string', maxLength:220}, maxItems:6 }, skills:{ type:'array', items:{type:'string'}, maxItems:12 } }, required:['bullets'] };
-      const prompt = `Using the STAR method, draft quantified resume bullets for the role "${CV.experience[idx].role}" at "${CV.experience[idx].company}".
+      // Plain lines rather than a JSON constraint, so the bullets can be shown while they are written.
+      const prompt = `Using the STAR method, draft quantified resume bullets for the role "${item.role}" at "${item.company}".
 Candidate background (from current CV):
 ${JSON.stringify(CV, null, 2)}
 Target job description (from job snap):
 ${jdText}
-Constraints: 1) No tables or emojis. 2) 1 bullet per line. 3) <= ${MAX_BULLET_WORDS} words per bullet. Return JSON.`;
-      const res = await session.prompt(prompt, { responseConstraint: schema });
-      let parsed = {}; try { parsed = JSON.parse(res); } catch { parsed = { bullets: String(res||'').split('\n').filter(Boolean) }; }
-      let out = Array.isArray(parsed.bullets) ? parsed.bullets : [];
-      out = sanitizeBulletList(out);
-      CV.experience[idx].bullets = out;
-      const ta = wrap.querySelector('textarea[data-k="bullets"]'); if (ta) ta.value = out.join('\n');
-      const outEl=document.querySelector('#jdOut'); if (outEl) outEl.textContent = JSON.stringify({ bullets: out, skills: parsed.skills||[] },null,2);
-      refreshPreview();
-      return;
-    } catch(e) {
-      try {
-        const parsed = await bulletsFromJDCloudLocal(CV, jdText);
-        let out = Array.isArray(parsed.bullets) ? parsed.bullets : [];
-        out = sanitizeBulletList(out);
-        CV.experience[idx].bullets = out;
-        const ta = wrap.querySelector('textarea[data-k="bullets"]'); if (ta) ta.value = out.join('\n');
-        const outEl=document.querySelector('#jdOut'); if (outEl) outEl.textContent = JSON.stringify({ bullets: out, skills: parsed.skills||[] },null,2);
-        refreshPreview();
-      } catch(err) {
-        alert('Prompt API not available and local cloud fallback failed.');
-      }
+Constraints: 1) No tables or emojis. 2) 1 bullet per line, no numbering. 3) <= ${MAX_BULLET_WORDS} words per bullet. 4) At most 6 bullets.
+After the bullets, add one line "Skills: " followed by the job's skills the bullets show, comma-separated.`;
+      const { value: parsed, backend } = await streamInto([wrap.querySelector('[data-k="bullets"]'), outEl], ({ signal, onText }) =>
+        ai.route('bullets from JD', {
+          device: async (s) => parseBulletReply(await promptStreaming(await ensurePromptSession({}), prompt, { signal: s, onText })),
+          cloud: (s) => bulletsFromJDStreamCloudLocal(CV, jdText, { signal: s, onText })
+        }, { signal, timeoutMs: 90000, accept: p => p?.bullets?.length > 0 }));
+      const out = sanitizeBulletList(Array.isArray(parsed.bullets) ? parsed.bullets : []).slice(0, 6);
+      if (outEl) outEl.textContent = JSON.stringify({ bullets: out, skills: parsed.skills||[] },null,2);
+      await proposeBullets(out, backend);
+    } catch(err) {
+      alertAIError(`Could not generate bullets for ${label()}.`, err);
     }
   }
 }
\ No newline at end of file